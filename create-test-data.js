@@ -8,9 +8,10 @@
  */
 
 import { getDatabase } from './src/database/index.js';
+import { closeHistoryStorage } from './src/database/storage/index.js';
 import { databaseService } from './src/services/databaseService.js';
+import { scheduleService } from './src/services/scheduleService.js';
 import { getISOWeek } from './src/database/migrations.js';
-import { HASHTAGS, getHashtagsForDay } from './src/constants/index.js';
 import moment from 'moment-timezone';
 import { appConfig as config } from './src/config/index.js';
 
@@ -77,14 +78,8 @@ async function main() {
     // Inicializar banco
     database = getDatabase();
     
-    // Obter todos os hashtags
-    const allHashtags = new Set();
-    HASHTAGS.forEach(dayHashtags => {
-      const hashtags = getHashtagsForDay(dayHashtags);
-      hashtags.forEach(tag => allHashtags.add(tag));
-    });
-    
-    const hashtagsArray = Array.from(allHashtags);
+    // Obter todos os hashtags da agenda atual
+    const hashtagsArray = scheduleService.getAllHashtags();
     logInfo(`Criando dados de teste para ${hashtagsArray.length} hashtags`);
     
     // Criar dados para os últimos 30 dias (para ter várias semanas)
@@ -102,13 +97,14 @@ async function main() {
       
       for (const data of testData) {
         try {
-          const inserted = databaseService.saveDailyHashtagData(
+          const result = await databaseService.saveDailyHashtagData(
             data.hashtag,
             data.date,
-            { uses: data.uses, accounts: data.accounts }
+            { uses: data.uses, accounts: data.accounts },
+            { overwrite: false }
           );
           
-          if (inserted) {
+          if (result === 'inserted') {
             totalInserted++;
           } else {
             totalSkipped++;
@@ -135,6 +131,7 @@ async function main() {
     console.error('Erro fatal:', error);
     process.exit(1);
   } finally {
+    await closeHistoryStorage();
     if (database) {
       database.close();
     }
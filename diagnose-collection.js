@@ -10,7 +10,7 @@
 
 import { mastodonService } from './src/services/mastodon.js';
 import { historyCollector } from './src/services/historyCollector.js';
-import { HASHTAGS, getHashtagsForDay } from './src/constants/index.js';
+import { scheduleService } from './src/services/scheduleService.js';
 import { logger } from './src/utils/logger.js';
 import moment from 'moment-timezone';
 import { appConfig as config } from './src/config/index.js';
@@ -258,13 +258,7 @@ async function main() {
       await analyzeAPIResponse(hashtag);
     } else {
       // Analisar alguns hashtags
-      const allHashtags = new Set();
-      HASHTAGS.forEach(dayHashtags => {
-        const hashtags = getHashtagsForDay(dayHashtags);
-        hashtags.forEach(tag => allHashtags.add(tag));
-      });
-      
-      const hashtagsArray = Array.from(allHashtags).slice(0, 3); // Primeiros 3
+      const hashtagsArray = scheduleService.getAllHashtags().slice(0, 3); // Primeiros 3
       
       logInfo(`Analisando ${hashtagsArray.length} hashtags de exemplo...\n`);
       
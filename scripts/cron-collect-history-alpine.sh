@@ -88,7 +88,7 @@ echo "[$TIMESTAMP] Iniciando coleta diária de histórico" >> "$LOG_FILE"
 
 # Execução (Redirecionando stdout e stderr para o log)
 # Nota: Simplificado para evitar complexidade com tee e PIPESTATUS
-"$NODE_PATH" "$COLLECT_SCRIPT" >> "$LOG_FILE" 2>&1
+"$NODE_PATH" "$COLLECT_SCRIPT" --trigger cron >> "$LOG_FILE" 2>&1
 EXIT_CODE=$?
 
 if [ $EXIT_CODE -eq 0 ]; then
@@ -52,7 +52,7 @@ if [ -t 0 ]; then
 else
   # Execução via cron: apenas log
   echo "[$(date '+%Y-%m-%d %H:%M:%S')] Iniciando coleta diária de histórico" >> "$LOG_FILE"
-  "$NODE_PATH" "$COLLECT_SCRIPT" >> "$LOG_FILE" 2>&1
+  "$NODE_PATH" "$COLLECT_SCRIPT" --trigger cron >> "$LOG_FILE" 2>&1
   EXIT_CODE=$?
 fi
 
@@ -7,13 +7,42 @@
  *   node src/cli/collectHistory.js --date 2024-01-15  # Collect specific date
  *   node src/cli/collectHistory.js --range 2024-01-01 2024-01-31  # Collect date range
  *   node src/cli/collectHistory.js --last-7-days      # Collect last 7 days
+ *   node src/cli/collectHistory.js --gaps             # Report missing days
+ *   node src/cli/collectHistory.js --backfill         # Collect missing days Mastodon still has
+ *   node src/cli/collectHistory.js --no-backfill      # Collect today's data without backfilling
+ *   node src/cli/collectHistory.js --trigger cron     # Record the run as started by cron (default: cli)
+ *
+ * Every collection is recorded in collection_runs (see /api/collector/runs).
  */
 
 import { historyCollector } from '../services/historyCollector.js';
+import { COLLECTION_TRIGGERS } from '../services/collectionRunStore.js';
 import { logger } from '../utils/logger.js';
 import { getDatabase } from '../database/index.js';
+import { closeHistoryStorage } from '../database/storage/index.js';
 import moment from 'moment-timezone';
 
+function printBackfill(summary) {
+  console.log('\nBackfill Summary:');
+  console.log(`  Checked: ${summary.start} to ${summary.end}`);
+  console.log(`  Collected: ${summary.collected}`);
+  console.log(`  Still Missing: ${summary.stillMissing.length}`);
+  console.log(`  Errors: ${summary.errors}`);
+  printUnrecoverable(summary.unrecoverable);
+}
+
+function printRun(run) {
+  console.log(`\nRun #${run.id}: ${run.status}${run.error ? ` (${run.error})` : ''}`);
+}
+
+function printUnrecoverable(unrecoverable) {
+  if (unrecoverable.length === 0) {
+    return;
+  }
+  console.log(`  Lost (older than Mastodon's history): ${unrecoverable.length} days`);
+  unrecoverable.forEach(gap => console.log(`    ${gap.date}: ${gap.hashtags.join(', ')}`));
+}
+
 async function main() {
   let database;
   const args = process.argv.slice(2);
@@ -26,29 +55,58 @@ async function main() {
     const dateIndex = args.indexOf('--date');
     const rangeIndex = args.indexOf('--range');
     const last7DaysIndex = args.indexOf('--last-7-days');
+    const gapsIndex = args.indexOf('--gaps');
+    const backfillIndex = args.indexOf('--backfill');
+    const triggerIndex = args.indexOf('--trigger');
+    const trigger = triggerIndex !== -1 ? args[triggerIndex + 1] : 'cli';
+    
+    if (!COLLECTION_TRIGGERS.includes(trigger)) {
+      console.error(`Error: --trigger must be one of ${COLLECTION_TRIGGERS.join(', ')}`);
+      exitCode = 1;
+      return;
+    }
     
     // Validate mutual exclusivity
-    const flagCount = [dateIndex, rangeIndex, last7DaysIndex].filter(idx => idx !== -1).length;
+    const flagCount = [dateIndex, rangeIndex, last7DaysIndex, gapsIndex, backfillIndex].filter(idx => idx !== -1).length;
     if (flagCount > 1) {
-      console.error('Error: Flags --date, --range, and --last-7-days are mutually exclusive');
+      console.error('Error: Flags --date, --range, --last-7-days, --gaps, and --backfill are mutually exclusive');
       exitCode = 1;
       return;
     }
     
-    if (last7DaysIndex !== -1) {
+    if (gapsIndex !== -1) {
+      const gaps = await historyCollector.findGaps();
+      
+      console.log('\nHistory Gaps:');
+      console.log(`  Checked: ${gaps.start} to ${gaps.end}`);
+      console.log(`  Missing: ${gaps.missing}`);
+      gaps.recoverable.forEach(gap => console.log(`    ${gap.date}: ${gap.hashtags.join(', ')} (recoverable)`));
+      printUnrecoverable(gaps.unrecoverable);
+      
+    } else if (backfillIndex !== -1) {
+      console.log('Backfilling missing history data...');
+      const { run, result } = await historyCollector.recordRun({ trigger, operation: 'backfill' },
+        runId => historyCollector.backfillGaps({ runId }));
+      printBackfill(result);
+      printRun(run);
+      
+    } else if (last7DaysIndex !== -1) {
       // Collect last 7 days
       const endDate = moment().format('YYYY-MM-DD');
       const startDate = moment().subtract(7, 'days').format('YYYY-MM-DD');
       
       console.log(`Collecting history data from ${startDate} to ${endDate} (last 7 days)...`);
-      const summary = await historyCollector.collectDateRange(startDate, endDate);
+      const { run, result: summary } = await historyCollector.recordRun({ trigger, operation: 'range', startDate, endDate },
+        runId => historyCollector.collectDateRange(startDate, endDate, { runId }));
       
       console.log('\nCollection Summary:');
       console.log(`  Date Range: ${startDate} to ${endDate}`);
       console.log(`  Total Days: ${summary.totalDays}`);
       console.log(`  Collected: ${summary.totalCollected}`);
+      console.log(`  Revised: ${summary.totalRevised}`);
       console.log(`  Skipped: ${summary.totalSkipped}`);
       console.log(`  Errors: ${summary.totalErrors}`);
+      printRun(run);
       
     } else if (rangeIndex !== -1) {
       // Collect date range
@@ -62,14 +120,17 @@ async function main() {
       }
       
       console.log(`Collecting history data from ${startDate} to ${endDate}...`);
-      const summary = await historyCollector.collectDateRange(startDate, endDate);
+      const { run, result: summary } = await historyCollector.recordRun({ trigger, operation: 'range', startDate, endDate },
+        runId => historyCollector.collectDateRange(startDate, endDate, { runId }));
       
       console.log('\nCollection Summary:');
       console.log(`  Date Range: ${startDate} to ${endDate}`);
       console.log(`  Total Days: ${summary.totalDays}`);
       console.log(`  Collected: ${summary.totalCollected}`);
+      console.log(`  Revised: ${summary.totalRevised}`);
       console.log(`  Skipped: ${summary.totalSkipped}`);
       console.log(`  Errors: ${summary.totalErrors}`);
+      printRun(run);
       
     } else if (dateIndex !== -1) {
       // Collect specific date
@@ -82,26 +143,42 @@ async function main() {
       }
       
       console.log(`Collecting history data for ${date}...`);
-      const summary = await historyCollector.collectAllHashtags(date);
+      const { run, result: summary } = await historyCollector.recordRun({ trigger, operation: 'collect', startDate: date, endDate: date },
+        runId => historyCollector.collectAllHashtags(date, { runId }));
       
       console.log('\nCollection Summary:');
       console.log(`  Date: ${summary.date}`);
       console.log(`  Total Hashtags: ${summary.totalHashtags}`);
       console.log(`  Collected: ${summary.collected}`);
+      console.log(`  Revised: ${summary.revised}`);
       console.log(`  Skipped: ${summary.skipped}`);
       console.log(`  Errors: ${summary.errors}`);
+      printRun(run);
       
     } else {
       // Collect today's data (default)
       console.log('Collecting today\'s history data for all hashtags...');
-      const summary = await historyCollector.collectAllHashtags();
+      const backfill = !args.includes('--no-backfill');
+      const { run, result: summary } = await historyCollector.recordRun({ trigger, operation: 'collect' }, async runId => {
+        const collection = await historyCollector.collectAllHashtags(null, { runId });
+        // Fill days a previous run missed while Mastodon still has them
+        return backfill
+          ? { ...collection, backfill: await historyCollector.backfillGaps({ runId }) }
+          : collection;
+      });
       
       console.log('\nCollection Summary:');
       console.log(`  Date: ${summary.date}`);
       console.log(`  Total Hashtags: ${summary.totalHashtags}`);
       console.log(`  Collected: ${summary.collected}`);
+      console.log(`  Revised: ${summary.revised}`);
       console.log(`  Skipped: ${summary.skipped}`);
       console.log(`  Errors: ${summary.errors}`);
+      
+      if (summary.backfill) {
+        printBackfill(summary.backfill);
+      }
+      printRun(run);
     }
     
     console.log('\n✅ Collection completed successfully');
@@ -111,7 +188,8 @@ async function main() {
     logger.error('Collection script failed', error);
     console.error('\n❌ Collection failed:', error.message);
   } finally {
-    // Close database connection
+    // Close database connections
+    await closeHistoryStorage();
     if (database) {
       database.close();
     }
@@ -0,0 +1,192 @@
+/**
+ * CLI script to inspect and change the database schema version
+ * Opens the database without applying migrations automatically.
+ *
+ * Usage:
+ *   node src/cli/database.js status              # Current version and pending migrations
+ *   node src/cli/database.js migrate             # Apply every pending migration
+ *   node src/cli/database.js migrate --to 5      # Apply pending migrations up to version 5
+ *                                                # (with DB_DRIVER=postgres, migrate also creates the history schema there)
+ *   node src/cli/database.js rollback            # Revert the newest migration
+ *   node src/cli/database.js rollback --steps 2  # Revert the two newest migrations
+ *   node src/cli/database.js rollback --to 4     # Revert every migration above version 4
+ *   node src/cli/database.js backup              # Online backup to data/backups/ (or --out FILE)
+ *   node src/cli/database.js restore FILE        # Replace the database with a backup (stop the server first)
+ *                                                # (backup and restore need DB_DRIVER=sqlite: they copy the SQLite file)
+ *   node src/cli/database.js export              # Hashtag history bundle to data/exports/ (or --out FILE, --format json)
+ *   node src/cli/database.js import FILE         # Import a bundle, keeping the days already stored (--replace overwrites them)
+ *                                                # (export and import use the history storage of DB_DRIVER)
+ */
+
+import { DatabaseService, resolveDatabasePath } from '../database/index.js';
+import { createHistoryStorage, SqliteHistoryStorage } from '../database/storage/index.js';
+import { appConfig as config } from '../config/index.js';
+import { backupDatabase, restoreDatabase, defaultArchivePath } from '../database/backup.js';
+import { exportHistory, importHistory, bundleEncodingFor, BUNDLE_ENCODINGS } from '../database/historyBundle.js';
+
+const COMMANDS = ['status', 'migrate', 'rollback', 'backup', 'restore', 'export', 'import'];
+
+function option(args, name, fallback = null) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+function parseVersion(value, name) {
+  if (value === null) {
+    return null;
+  }
+  const number = parseInt(value);
+  if (!Number.isInteger(number) || number < 0 || String(number) !== value) {
+    throw new Error(`${name} must be a non-negative integer, got: ${value}`);
+  }
+  return number;
+}
+
+function printStatus(status) {
+  console.log(`Schema version: ${status.current} (latest: ${status.latest})`);
+  status.migrations.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`  ${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(24)} ${state}`);
+  });
+  if (status.unknown.length > 0) {
+    console.log(`Applied by a newer version of the application: ${status.unknown.map(row => row.version).join(', ')}`);
+  }
+  console.log(status.pending > 0 ? `${status.pending} pending migration(s)` : 'Up to date');
+}
+
+function printChanges(label, changes) {
+  if (changes.length === 0) {
+    console.log(`Nothing to ${label.toLowerCase()}`);
+    return;
+  }
+  changes.forEach(({ version, name }) => console.log(`  ${label} ${version} (${name})`));
+}
+
+function printBackup(backup) {
+  console.log(`Backup written to ${backup.path}`);
+  console.log(`  ${(backup.bytes / 1024).toFixed(1)} KB, schema version ${backup.schemaVersion}, ${backup.hashtagDays} hashtag days`);
+}
+
+function printRestore(restore) {
+  console.log(`Restored ${restore.path} from ${restore.restoredFrom} (schema version ${restore.schemaVersion})`);
+  if (restore.previousCopy) {
+    console.log(`  Previous database kept as ${restore.previousCopy}`);
+  }
+  if (restore.pending > 0) {
+    console.log(`  ${restore.pending} migration(s) to apply: run npm run db:migrate (or start the app with DB_AUTO_MIGRATE)`);
+  }
+}
+
+function printTables(label, tables) {
+  console.log(label);
+  Object.entries(tables).forEach(([table, count]) => {
+    console.log(typeof count === 'number'
+      ? `  ${table.padEnd(26)} ${count}`
+      : `  ${table.padEnd(26)} ${count.imported} imported, ${count.skipped} skipped of ${count.read}`);
+  });
+}
+
+function parseEncoding(value, file) {
+  if (value === null) {
+    return bundleEncodingFor(file);
+  }
+  if (!BUNDLE_ENCODINGS.includes(value)) {
+    throw new Error(`--format must be one of: ${BUNDLE_ENCODINGS.join(', ')}, got: ${value}`);
+  }
+  return value;
+}
+
+function requireFile(args, command) {
+  const file = args.find(arg => !arg.startsWith('--'));
+  if (!file) {
+    throw new Error(`Usage: node src/cli/database.js ${command} FILE`);
+  }
+  return file;
+}
+
+/**
+ * Open the history storage of DB_DRIVER, on the CLI's own SQLite connection for the sqlite driver
+ * The PostgreSQL schema is not migrated on first use: importing asks for npm run db:migrate instead.
+ */
+function openHistoryStorage(database) {
+  return config.database.driver === 'sqlite'
+    ? new SqliteHistoryStorage(database.getDatabase())
+    : createHistoryStorage({ autoMigrate: false });
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  let database;
+  let storage;
+
+  try {
+    if (!COMMANDS.includes(command)) {
+      console.error(`Usage: node src/cli/database.js <${COMMANDS.join('|')}> [--to N] [--steps N] [--out FILE] [--format json|ndjson] [--replace]`);
+      process.exitCode = 1;
+      return;
+    }
+
+    // The database file is replaced, so it must not be held open
+    if (command === 'restore') {
+      printRestore(await restoreDatabase(requireFile(args, command), resolveDatabasePath()));
+      return;
+    }
+
+    database = new DatabaseService();
+
+    if (command === 'backup') {
+      const destination = option(args, '--out') || defaultArchivePath(database.getPath(), 'backups', '.db');
+      printBackup(await backupDatabase(database.getDatabase(), destination));
+      return;
+    }
+    if (command === 'export') {
+      const format = option(args, '--format');
+      const file = option(args, '--out') || defaultArchivePath(database.getPath(), 'exports', `.${format || 'ndjson'}`);
+      storage = openHistoryStorage(database);
+      const result = await exportHistory(storage, file, { encoding: parseEncoding(format, file) });
+      printTables(`Exported hashtag history (${storage.driver}) to ${result.path} (${result.encoding}):`, result.counts);
+      return;
+    }
+    if (command === 'import') {
+      const file = requireFile(args.filter((arg, index) => args[index - 1] !== '--format'), command);
+      storage = openHistoryStorage(database);
+      const result = await importHistory(storage, file, {
+        replace: args.includes('--replace'),
+        encoding: parseEncoding(option(args, '--format'), file)
+      });
+      printTables(`Imported ${file} into ${storage.driver} (exported ${result.header.exportedAt}, schema version ${result.header.schemaVersion}):`, result.tables);
+      return;
+    }
+
+    if (command === 'migrate') {
+      printChanges('Applied', database.migrate({ target: parseVersion(option(args, '--to'), '--to') }));
+      if (config.database.driver !== 'sqlite') {
+        const storage = createHistoryStorage({ autoMigrate: false });
+        try {
+          console.log(`History storage (${storage.driver}):`);
+          printChanges('Applied', await storage.migrate());
+        } finally {
+          await storage.close();
+        }
+      }
+    } else if (command === 'rollback') {
+      const target = parseVersion(option(args, '--to'), '--to');
+      const steps = parseVersion(option(args, '--steps', '1'), '--steps');
+      printChanges('Reverted', database.rollback({ steps, target }));
+    }
+
+    printStatus(database.getMigrationStatus());
+  } catch (error) {
+    console.error('Database command failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (storage) {
+      await storage.close();
+    }
+    if (database) {
+      database.close();
+    }
+  }
+}
+
+main();
@@ -0,0 +1,93 @@
+/**
+ * CLI script to run or record data for the fake Mastodon server
+ * Needs no Mastodon credentials or .env (it does not load the application config).
+ *
+ * Usage:
+ *   node src/cli/fakeMastodon.js serve                                # Synthetic data on port 4010
+ *   node src/cli/fakeMastodon.js serve --port 4010 --tags arte,musica --seed 7 --per-day 50
+ *   node src/cli/fakeMastodon.js serve --fixtures fixtures.json       # Replay a recording (shifted to now)
+ *   node src/cli/fakeMastodon.js serve --fixtures fixtures.json --no-shift
+ *   node src/cli/fakeMastodon.js serve --stream-interval 5000         # New streamed status every 5s
+ *   node src/cli/fakeMastodon.js serve --rate-limit 300               # Mastodon's real budget (per 5 minutes)
+ *   node src/cli/fakeMastodon.js record --from https://mastodon.social/api/v1/ --tags arte,musica --pages 5 --out fixtures.json
+ */
+
+import fs from 'fs';
+import { FakeMastodonServer } from '../fake/mastodonServer.js';
+import { recordFixtures } from '../fake/recorder.js';
+
+function option(args, name, fallback = null) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+function parseTags(value) {
+  return value ? value.split(',').map(tag => tag.trim().replace(/^#/, '')).filter(Boolean) : [];
+}
+
+async function serve(args) {
+  const fixturesPath = option(args, '--fixtures');
+  const server = new FakeMastodonServer({
+    fixtures: fixturesPath ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8')) : null,
+    shiftToNow: !args.includes('--no-shift'),
+    tags: parseTags(option(args, '--tags')),
+    seed: parseInt(option(args, '--seed', '1')),
+    perDay: parseInt(option(args, '--per-day', '30')),
+    days: parseInt(option(args, '--days', '7')),
+    streamIntervalMs: parseInt(option(args, '--stream-interval', '0')),
+    rateLimit: parseInt(option(args, '--rate-limit', '30000'))
+  });
+
+  const apiUrl = await server.start(parseInt(option(args, '--port', '4010')), option(args, '--host', '127.0.0.1'));
+  console.log(`Fake Mastodon listening on ${apiUrl}`);
+  console.log(`Point the application at it with MASTODON_URL=${apiUrl}`);
+
+  const shutdown = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+async function record(args) {
+  const url = option(args, '--from');
+  const tags = parseTags(option(args, '--tags'));
+  const out = option(args, '--out');
+
+  if (!url || tags.length === 0 || !out) {
+    console.error('Error: record requires --from <api url>, --tags <a,b> and --out <file>');
+    return 1;
+  }
+
+  const fixture = await recordFixtures({
+    url,
+    accessToken: option(args, '--token', process.env.ACCESS_TOKEN || null),
+    tags,
+    pages: parseInt(option(args, '--pages', '5')),
+    onPage: (hashtag, page, count) => console.log(`  #${hashtag} page ${page}: ${count} statuses`)
+  });
+
+  fs.writeFileSync(out, JSON.stringify(fixture, null, 2));
+  const total = Object.values(fixture.statuses).reduce((sum, statuses) => sum + statuses.length, 0);
+  console.log(`Recorded ${total} statuses and ${fixture.trends.length} trends to ${out}`);
+  return 0;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'serve') {
+    await serve(args);
+  } else if (command === 'record') {
+    process.exitCode = await record(args);
+  } else {
+    console.error('Usage: node src/cli/fakeMastodon.js <serve|record> [options]');
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Fake Mastodon failed:', error.message);
+  process.exit(1);
+});
@@ -1,9 +1,12 @@
 import { logger, loggers } from '../utils/logger.js';
-import { HASHTAGS, getFirstHashtagForDay } from '../constants/index.js';
 import { appConfig as config } from '../config/index.js';
 import { ConfigurationError, BusinessError } from '../errors/index.js';
 import { HashtagService } from '../services/hashtagService.js';
 import { TootService } from '../services/tootService.js';
+import { scheduleService } from '../services/scheduleService.js';
+import { historyCollector } from '../services/historyCollector.js';
+import { collectionRunStore } from '../services/collectionRunStore.js';
+import moment from 'moment-timezone';
 
 export class CLIApplication {
   constructor() {
@@ -29,22 +32,23 @@ export class CLIApplication {
       // Validate configuration
       this.validateConfiguration();
       
-      // Get the daily hashtag
-      const dailyHashtag = this.getDailyHashtag(options.date);
-      logger.info(`Processing daily hashtag: ${dailyHashtag}`);
+      // Get all hashtags of the day
+      const dailyHashtags = this.getDailyHashtags(options.date);
+      logger.info(`Processing daily hashtags: ${dailyHashtags.join(', ')}`);
       
-      // Analyze hashtag usage
-      const analysis = await this.hashtagService.analyzeHashtag(dailyHashtag);
+      // Analyze usage of all the day's hashtags together
+      // Past dates are analyzed from the status archive
+      const analysis = await this.hashtagService.analyzeHashtags(dailyHashtags, { date: options.date });
       
       // Check if there are today's toots
       if (!analysis.hasTodayToots()) {
         console.log('Nenhum post encontrado para hoje. Encerrando.');
-        logger.info('No toots found for today', { hashtag: dailyHashtag });
+        logger.info('No toots found for today', { hashtags: dailyHashtags });
         return;
       }
       
       // Generate summary
-      const summary = await this.tootService.generateSummary(dailyHashtag, analysis);
+      const summary = await this.tootService.generateSummary(dailyHashtags, analysis);
       console.log('\n=== RESUMO DO DIA ===');
       console.log(summary);
       console.log('===================\n');
@@ -58,12 +62,12 @@ export class CLIApplication {
       if (!options.dryRun) {
         const shouldPost = await this.promptForPosting();
         if (shouldPost) {
-          await this.postSummary(summary, dailyHashtag);
+          await this.postSummary(summary, dailyHashtags.join(', '));
         }
       } else {
         console.log('Modo dry-run: post não publicado.');
         logger.info('Dry-run mode - would have posted summary', { 
-          hashtag: dailyHashtag,
+          hashtags: dailyHashtags,
           summaryLength: summary.length 
         });
       }
@@ -115,25 +119,24 @@ export class CLIApplication {
   }
 
   /**
-   * Get the daily hashtag for a specific date
-   * Returns the first hashtag if multiple are configured for the day
+   * Get all hashtags scheduled for a specific date
    */
-  getDailyHashtag(date = null) {
-    const targetDate = date ? new Date(date) : new Date();
-    const dayOfWeek = targetDate.getDay();
+  getDailyHashtags(date = null) {
+    const targetDate = date
+      ? moment(date, 'YYYY-MM-DD', true)
+      : moment().tz(config.server.timezone);
     
-    if (dayOfWeek < 0 || dayOfWeek > 6) {
-      throw new BusinessError('Invalid day of week calculated');
+    if (!targetDate.isValid()) {
+      throw new BusinessError(`Invalid date: ${date}. Expected format: YYYY-MM-DD`);
     }
     
-    const hashtagEntry = HASHTAGS[dayOfWeek];
+    const hashtags = scheduleService.getHashtagsForDate(targetDate.format('YYYY-MM-DD'));
     
-    if (!hashtagEntry) {
-      throw new BusinessError(`No hashtag configured for day ${dayOfWeek}`);
+    if (hashtags.length === 0) {
+      throw new BusinessError(`No hashtag configured for day ${targetDate.day()}`);
     }
     
-    // Return first hashtag if multiple are configured
-    return getFirstHashtagForDay(hashtagEntry);
+    return hashtags;
   }
 
   /**
@@ -218,7 +221,7 @@ export class CLIApplication {
     logger.info(`Analyzing hashtag: ${hashtag}`, { options });
 
     try {
-      const analysis = await this.hashtagService.analyzeHashtag(hashtag);
+      const analysis = await this.hashtagService.analyzeHashtag(hashtag, { date: options.date });
       
       console.log(`\n=== ANÁLISE: #${hashtag} ===`);
       console.log(`Total de posts hoje: ${analysis.getTodayCount()}`);
@@ -264,6 +267,30 @@ export class CLIApplication {
       console.log(`Erro: ${error.message}`);
     }
     
+    try {
+      const gaps = await historyCollector.findGaps();
+      const recoverable = gaps.recoverable.reduce((sum, gap) => sum + gap.hashtags.length, 0);
+      console.log(`Histórico (${gaps.start} a ${gaps.end}): ${gaps.missing === 0 ? '✅ Sem lacunas' : `⚠️  ${gaps.missing} dias faltando`}`);
+      if (recoverable > 0) {
+        console.log(`  Recuperáveis na próxima coleta: ${recoverable}`);
+      }
+      gaps.unrecoverable.forEach(gap => {
+        console.log(`  ❌ ${gap.date} (perdido): ${gap.hashtags.map(tag => `#${tag}`).join(', ')}`);
+      });
+    } catch (error) {
+      console.log(`Histórico: ❌ ${error.message}`);
+    }
+    
+    try {
+      const { lastRun } = collectionRunStore.getLatest();
+      const icons = { succeeded: '✅', partial: '⚠️ ', failed: '❌' };
+      console.log(lastRun
+        ? `Última coleta: ${icons[lastRun.status]} #${lastRun.id} (${lastRun.trigger}) em ${moment(lastRun.startedAt).tz(config.server.timezone).format('YYYY-MM-DD HH:mm')}${lastRun.error ? ` - ${lastRun.error}` : ''}`
+        : 'Última coleta: nenhuma registrada');
+    } catch (error) {
+      console.log(`Última coleta: ❌ ${error.message}`);
+    }
+    
     console.log('========================\n');
   }
 
@@ -0,0 +1,52 @@
+/**
+ * CLI script to report or apply the retention policies
+ * Without --apply nothing is removed: it prints what each policy would remove now.
+ *
+ * Usage:
+ *   node src/cli/retention.js           # Dry-run report
+ *   node src/cli/retention.js --apply   # Downsample old daily history and remove expired rows
+ */
+
+import { retentionService } from '../services/retentionService.js';
+import { getDatabase } from '../database/index.js';
+import { closeHistoryStorage } from '../database/storage/index.js';
+
+function printReport(report) {
+  console.log(report.dryRun ? 'Retention dry run (nothing removed):' : 'Retention applied:');
+  report.policies.forEach(policy => {
+    if (!policy.enabled) {
+      console.log(`  ${policy.name.padEnd(22)} kept forever`);
+      return;
+    }
+
+    const details = [];
+    if (policy.weeks !== undefined) {
+      details.push(`${policy.weeks} weekly and ${policy.months} monthly rollups, ${policy.revisions} revisions`);
+    }
+    if (policy.engagementSnapshots !== undefined) {
+      details.push(`${policy.engagementSnapshots} engagement snapshots`);
+    }
+    if (policy.accounts !== undefined) {
+      details.push(`${policy.accounts} accounts`);
+    }
+
+    const verb = report.dryRun ? 'would remove' : 'removed';
+    console.log(`  ${policy.name.padEnd(22)} ${verb} ${policy.rows} rows before ${policy.cutoff} (${policy.retentionDays} days kept)` +
+      (details.length > 0 ? `; ${details.join(', ')}` : ''));
+  });
+  console.log(`Total: ${report.totalRows} rows`);
+}
+
+async function main() {
+  try {
+    printReport(await retentionService.run({ dryRun: !process.argv.includes('--apply') }));
+  } catch (error) {
+    console.error('Retention failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeHistoryStorage();
+    getDatabase().close();
+  }
+}
+
+main();
@@ -4,6 +4,14 @@ import { z } from 'zod';
 // Load environment variables once at module import
 config();
 
+// Additional Mastodon instance (credentials are optional: public tag timelines and
+// tag history can be read anonymously)
+const instanceSchema = z.object({
+  name: z.string().min(1).optional(),
+  url: z.string().url({ message: "Instance url must be a valid URL" }),
+  accessToken: z.string().min(1).optional()
+});
+
 // Environment variable schema with validation
 const envSchema = z.object({
   // Required Mastodon configuration
@@ -12,6 +20,26 @@ const envSchema = z.object({
   CLIENT_SECRET: z.string().min(1, { message: "CLIENT_SECRET is required" }),
   ACCESS_TOKEN: z.string().min(1, { message: "ACCESS_TOKEN is required" }),
   
+  // Offline development: serve Mastodon from the fake server (synthetic data or FAKE_MASTODON_FIXTURES)
+  MASTODON_FAKE: z.string().transform(val => val === "true").default(false),
+  FAKE_MASTODON_PORT: z.coerce.number().int().min(1).default(4010),
+  FAKE_MASTODON_FIXTURES: z.string().optional(),
+  FAKE_MASTODON_SEED: z.coerce.number().int().default(1),
+  FAKE_MASTODON_STREAM_INTERVAL_MS: z.coerce.number().int().min(0).default(0),
+  
+  // Extra instances to aggregate hashtag activity from, as a JSON array of { name?, url, accessToken? }
+  MASTODON_INSTANCES: z.string().optional().transform((value, ctx) => {
+    if (!value || value.trim() === '') {
+      return [];
+    }
+    try {
+      return z.array(instanceSchema).parse(JSON.parse(value));
+    } catch (error) {
+      ctx.addIssue({ code: 'custom', message: `MASTODON_INSTANCES must be a JSON array of { name?, url, accessToken? }: ${error.message}` });
+      return z.NEVER;
+    }
+  }),
+  
   // Optional configuration with defaults
   PORT: z.string().default("3000"),
   HOST: z.string().default("0.0.0.0"),
@@ -22,16 +50,136 @@ const envSchema = z.object({
   // Performance settings
   API_TIMEOUT_MS: z.coerce.number().int().min(1000).default(30000),
   RATE_LIMIT_DELAY_MS: z.coerce.number().int().min(0).default(1000),
+  RATE_LIMIT_RESERVE: z.coerce.number().int().min(0).default(5),
+  RATE_LIMIT_MAX_WAIT_MS: z.coerce.number().int().min(0).default(60000),
+  
+  // Retries for idempotent Mastodon requests and circuit breaker per instance
+  API_RETRY_ATTEMPTS: z.coerce.number().int().min(0).default(3),
+  API_RETRY_BASE_DELAY_MS: z.coerce.number().int().min(0).default(500),
+  API_RETRY_MAX_DELAY_MS: z.coerce.number().int().min(0).default(10000),
+  CIRCUIT_BREAKER_THRESHOLD: z.coerce.number().int().min(1).default(5),
+  CIRCUIT_BREAKER_RESET_MS: z.coerce.number().int().min(1000).default(60000),
   MAX_API_PAGES: z.coerce.number().int().min(1).default(20),
   TOOTS_PER_PAGE: z.coerce.number().int().min(1).default(40),
   
+  // Apply pending schema migrations when the database is first opened (npm run db:migrate otherwise)
+  DB_AUTO_MIGRATE: z.string().transform(val => val !== "false").default(true),
+  // Storage of the hashtag history: the SQLite database, or PostgreSQL shared by several instances
+  DB_DRIVER: z.enum(["sqlite", "postgres"]).default("sqlite"),
+  DATABASE_URL: z.string().url({ message: "DATABASE_URL must be a valid URL" }).optional(),
+  DB_POOL_SIZE: z.coerce.number().int().min(1).default(10),
+  
+  // Days before today whose tag history is collected again (Mastodon keeps revising recent days)
+  HISTORY_REVISION_DAYS: z.coerce.number().int().min(0).max(6).default(2),
+  // Days looked back for missing collections (never before the first collected day)
+  HISTORY_GAP_LOOKBACK_DAYS: z.coerce.number().int().min(1).default(90),
+  // Hours without a successful collection run before the dashboard flags it as missing
+  HISTORY_RUN_MAX_AGE_HOURS: z.coerce.number().int().min(1).default(26),
+  // Days of collection runs kept (pruned by the cleanup job)
+  HISTORY_RUN_RETENTION_DAYS: z.coerce.number().int().min(1).default(90),
+  
+  // Stored toots (incremental fetching keeps toots per hashtag and instance for this long)
+  TOOT_RETENTION_DAYS: z.coerce.number().int().min(1).default(35),
+  
+  // Engagement snapshots are recorded for statuses younger than this; rising rankings
+  // compare engagement over the last ENGAGEMENT_RISING_WINDOW_HOURS
+  ENGAGEMENT_TRACKING_HOURS: z.coerce.number().int().min(1).default(72),
+  ENGAGEMENT_RISING_WINDOW_HOURS: z.coerce.number().min(0.25).default(3),
+  
+  // Live ingestion from the streaming API (scheduled hashtags plus STREAMING_HASHTAGS, comma-separated)
+  STREAMING_ENABLED: z.string().transform(val => val === "true").default(false),
+  STREAMING_HASHTAGS: z.string().optional().transform(value => (value || '')
+    .split(',')
+    .map(tag => tag.trim().replace(/^#/, ''))
+    .filter(Boolean)),
+  STREAMING_RECONNECT_BASE_MS: z.coerce.number().int().min(100).default(1000),
+  STREAMING_RECONNECT_MAX_MS: z.coerce.number().int().min(1000).default(60000),
+  STREAMING_IDLE_TIMEOUT_MS: z.coerce.number().int().min(1000).default(90000),
+  STREAMING_REFRESH_INTERVAL_MS: z.coerce.number().int().min(1000).default(300000),
+  
+  // Built-in job scheduler (cron expressions in TZ); CRON_SCHEDULE is the older name of
+  // COLLECT_HISTORY_SCHEDULE, used by the Docker cron setup
+  SCHEDULER_ENABLED: z.string().transform(val => val !== "false").default(true),
+  SCHEDULER_LOCK_TIMEOUT_MINUTES: z.coerce.number().int().min(1).default(120),
+  SCHEDULER_RUN_RETENTION_DAYS: z.coerce.number().int().min(1).default(30),
+  COLLECT_HISTORY_SCHEDULE: z.string().optional(),
+  CRON_SCHEDULE: z.string().optional(),
+  DAILY_SUMMARY_SCHEDULE: z.string().default('0 22 * * *'),
+  DAILY_SUMMARY_ENABLED: z.string().transform(val => val === "true").default(false),
+  CLEANUP_SCHEDULE: z.string().default('30 3 * * *'),
+  TRENDING_SNAPSHOT_SCHEDULE: z.string().default('*/30 * * * *'),
+  
+  // Days of trending tag snapshots kept (pruned by the cleanup job)
+  TRENDING_SNAPSHOT_RETENTION_DAYS: z.coerce.number().int().min(1).default(180),
+  
+  // Retention job: days kept per table (0 keeps forever); daily history past its retention is
+  // downsampled into weekly and monthly rollups, weekly rollups past theirs are left as monthly
+  RETENTION_SCHEDULE: z.string().default('0 4 * * *'),
+  RETENTION_DRY_RUN: z.string().transform(val => val === "true").default(false),
+  RETENTION_STATUSES_DAYS: z.coerce.number().int().min(0).default(0),
+  RETENTION_ENGAGEMENT_DAYS: z.coerce.number().int().min(0).default(30),
+  RETENTION_DAILY_HISTORY_DAYS: z.coerce.number().int().min(0).default(730),
+  RETENTION_WEEKLY_HISTORY_DAYS: z.coerce.number().int().min(0).default(0),
+  
   // Cache settings
   CACHE_TTL_SECONDS: z.coerce.number().int().min(0).default(300),
-  ENABLE_CACHE: z.string().transform(val => val === "true").default("true")
+  ENABLE_CACHE: z.string().transform(val => val === "true").default("true"),
+  
+  // Admin API (write endpoints are disabled when no token is configured)
+  ADMIN_TOKEN: z.string().min(16, { message: "ADMIN_TOKEN must be at least 16 characters" }).optional()
+}).refine(env => env.DB_DRIVER !== "postgres" || env.DATABASE_URL, {
+  message: "DATABASE_URL is required when DB_DRIVER=postgres",
+  path: ["DATABASE_URL"]
 });
 
+/**
+ * Fake Mastodon mode (MASTODON_FAKE=true): point the primary instance at the in-process
+ * fake server (src/fake/mastodonServer.js) and fill in placeholder credentials, so the
+ * application runs offline without a .env for Mastodon
+ */
+function applyFakeMastodon(source) {
+  if (source.MASTODON_FAKE !== 'true') {
+    return source;
+  }
+  const port = source.FAKE_MASTODON_PORT || '4010';
+  return {
+    ...source,
+    MASTODON_URL: `http://127.0.0.1:${port}/api/v1/`,
+    CLIENT_KEY: source.CLIENT_KEY || 'fake',
+    CLIENT_SECRET: source.CLIENT_SECRET || 'fake',
+    ACCESS_TOKEN: source.ACCESS_TOKEN || 'fake',
+    MASTODON_INSTANCES: ''
+  };
+}
+
 // Parse and validate environment variables
-export const env = envSchema.parse(process.env);
+export const env = envSchema.parse(applyFakeMastodon(process.env));
+
+/**
+ * Build the list of Mastodon instances, primary (MASTODON_URL) first
+ * Instances default to their hostname as name.
+ */
+function buildInstances() {
+  const primary = {
+    name: new URL(env.MASTODON_URL).hostname,
+    url: env.MASTODON_URL,
+    clientKey: env.CLIENT_KEY,
+    clientSecret: env.CLIENT_SECRET,
+    accessToken: env.ACCESS_TOKEN,
+    primary: true
+  };
+
+  const extras = env.MASTODON_INSTANCES.map(instance => ({
+    name: instance.name || new URL(instance.url).hostname,
+    url: instance.url,
+    clientKey: null,
+    clientSecret: null,
+    accessToken: instance.accessToken || null,
+    primary: false
+  }));
+
+  return [primary, ...extras];
+}
 
 // Export configuration object for easy access
 export const appConfig = {
@@ -40,7 +188,15 @@ export const appConfig = {
     clientKey: env.CLIENT_KEY,
     clientSecret: env.CLIENT_SECRET,
     accessToken: env.ACCESS_TOKEN,
-    timeout: env.API_TIMEOUT_MS
+    timeout: env.API_TIMEOUT_MS,
+    instances: buildInstances(),
+    fake: {
+      enabled: env.MASTODON_FAKE,
+      port: env.FAKE_MASTODON_PORT,
+      fixtures: env.FAKE_MASTODON_FIXTURES || null,
+      seed: env.FAKE_MASTODON_SEED,
+      streamInterval: env.FAKE_MASTODON_STREAM_INTERVAL_MS
+    }
   },
   server: {
     port: parseInt(env.PORT),
@@ -50,6 +206,13 @@ export const appConfig = {
   },
   performance: {
     rateLimitDelay: env.RATE_LIMIT_DELAY_MS,
+    rateLimitReserve: env.RATE_LIMIT_RESERVE,
+    rateLimitMaxWait: env.RATE_LIMIT_MAX_WAIT_MS,
+    retryAttempts: env.API_RETRY_ATTEMPTS,
+    retryBaseDelay: env.API_RETRY_BASE_DELAY_MS,
+    retryMaxDelay: env.API_RETRY_MAX_DELAY_MS,
+    circuitBreakerThreshold: env.CIRCUIT_BREAKER_THRESHOLD,
+    circuitBreakerResetTimeout: env.CIRCUIT_BREAKER_RESET_MS,
     maxApiPages: env.MAX_API_PAGES,
     tootsPerPage: env.TOOTS_PER_PAGE
   },
@@ -57,7 +220,59 @@ export const appConfig = {
     enabled: env.ENABLE_CACHE,
     ttlSeconds: env.CACHE_TTL_SECONDS
   },
+  database: {
+    autoMigrate: env.DB_AUTO_MIGRATE,
+    driver: env.DB_DRIVER,
+    url: env.DATABASE_URL,
+    poolSize: env.DB_POOL_SIZE
+  },
+  history: {
+    revisionDays: env.HISTORY_REVISION_DAYS,
+    gapLookbackDays: env.HISTORY_GAP_LOOKBACK_DAYS,
+    runMaxAgeHours: env.HISTORY_RUN_MAX_AGE_HOURS,
+    runRetentionDays: env.HISTORY_RUN_RETENTION_DAYS
+  },
+  storage: {
+    tootRetentionDays: env.TOOT_RETENTION_DAYS
+  },
+  engagement: {
+    trackingHours: env.ENGAGEMENT_TRACKING_HOURS,
+    risingWindowHours: env.ENGAGEMENT_RISING_WINDOW_HOURS
+  },
+  streaming: {
+    enabled: env.STREAMING_ENABLED,
+    hashtags: env.STREAMING_HASHTAGS,
+    reconnectBaseDelay: env.STREAMING_RECONNECT_BASE_MS,
+    reconnectMaxDelay: env.STREAMING_RECONNECT_MAX_MS,
+    idleTimeout: env.STREAMING_IDLE_TIMEOUT_MS,
+    refreshInterval: env.STREAMING_REFRESH_INTERVAL_MS
+  },
+  scheduler: {
+    enabled: env.SCHEDULER_ENABLED,
+    lockTimeoutMinutes: env.SCHEDULER_LOCK_TIMEOUT_MINUTES,
+    runRetentionDays: env.SCHEDULER_RUN_RETENTION_DAYS,
+    jobs: {
+      collectHistory: { schedule: env.COLLECT_HISTORY_SCHEDULE || env.CRON_SCHEDULE || '0 2 * * *' },
+      dailySummary: { schedule: env.DAILY_SUMMARY_SCHEDULE, enabled: env.DAILY_SUMMARY_ENABLED },
+      cleanup: { schedule: env.CLEANUP_SCHEDULE },
+      trendingSnapshot: { schedule: env.TRENDING_SNAPSHOT_SCHEDULE },
+      retention: { schedule: env.RETENTION_SCHEDULE }
+    }
+  },
+  retention: {
+    dryRun: env.RETENTION_DRY_RUN,
+    statusesDays: env.RETENTION_STATUSES_DAYS,
+    engagementDays: env.RETENTION_ENGAGEMENT_DAYS,
+    dailyHistoryDays: env.RETENTION_DAILY_HISTORY_DAYS,
+    weeklyHistoryDays: env.RETENTION_WEEKLY_HISTORY_DAYS
+  },
+  trending: {
+    snapshotRetentionDays: env.TRENDING_SNAPSHOT_RETENTION_DAYS
+  },
   logging: {
     level: env.LOG_LEVEL
+  },
+  admin: {
+    token: env.ADMIN_TOKEN || null
   }
 };
\ No newline at end of file
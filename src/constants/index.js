@@ -1,5 +1,6 @@
-// Daily hashtags by day of week (0 = Sunday, 6 = Saturday)
+// Default daily hashtags by day of week (0 = Sunday, 6 = Saturday)
 // Each entry can be a string (single hashtag) or an array (multiple hashtags)
+// Only used to seed the database schedule; the live schedule is managed via scheduleService
 export const HASHTAGS = [
   ['videomingo', 'silentsunday'],                    // Sunday - multiple hashtags
   ['segundaficha'],                                  // Monday - single hashtag
@@ -39,7 +40,8 @@ export const API_CONFIG = {
   DEFAULT_TOP_TOOTS_COUNT: 5,
   MAX_API_PAGES: 10,
   RATE_LIMIT_DELAY_MS: 1000,
-  API_TIMEOUT_MS: 30000
+  API_TIMEOUT_MS: 30000,
+  TAG_HISTORY_DAYS: 7 // Days of usage returned by tags/:name, today included
 };
 
 // Relevance calculation constants
@@ -153,6 +155,9 @@ export const VALIDATION_CONFIG = {
   USERNAME_PATTERN: /^[a-zA-Z0-9_\-]+$/
 };
 
+// Weekday names indexed by day of week (0 = Sunday)
+export const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
 // Error codes
 export const ERROR_CODES = {
   // Configuration errors
@@ -172,6 +177,7 @@ export const ERROR_CODES = {
   // Business logic errors
   BUSINESS_ERROR: 'BUSINESS_ERROR',
   PERMISSION_DENIED: 'PERMISSION_DENIED',
+  CONFLICT: 'CONFLICT',
   
   // System errors
   INTERNAL_ERROR: 'INTERNAL_ERROR',
@@ -187,6 +193,7 @@ export const HTTP_STATUS = {
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CONFLICT: 409,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   BAD_GATEWAY: 502,
@@ -204,6 +211,7 @@ export const DATETIME_CONFIG = {
 // Export all constants as a single object for easy importing
 export const CONSTANTS = {
   HASHTAGS,
+  DAY_NAMES,
   IGNORED_ACCOUNTS,
   API_CONFIG,
   RELEVANCE_CONFIG,
@@ -0,0 +1,178 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import moment from 'moment-timezone';
+import { getMigrationStatus } from './migrations.js';
+import { BackupError } from '../errors/index.js';
+import { logger } from '../utils/logger.js';
+import { appConfig as config } from '../config/index.js';
+
+/**
+ * Get a timestamped file path in a directory next to the database
+ * @param {string} dbPath - Database file path
+ * @param {string} directory - Directory name (e.g. backups)
+ * @param {string} extension - File extension, with the dot
+ * @returns {string} File path
+ */
+export function defaultArchivePath(dbPath, directory, extension) {
+  const name = path.basename(dbPath, path.extname(dbPath));
+  return path.join(path.dirname(dbPath), directory, `${name}-${moment().format('YYYYMMDD-HHmmss')}${extension}`);
+}
+
+/**
+ * Refuse file backups when the hashtag history is not in the SQLite database
+ * A copy of the SQLite file would silently leave the history out (DB_DRIVER=postgres keeps it
+ * in PostgreSQL), and restoring one would not bring it back.
+ * @param {string} driver - History storage driver
+ * @param {string} operation - backup or restore
+ * @throws {BackupError} If the driver is not sqlite
+ */
+function requireSqliteHistory(driver, operation) {
+  if (driver !== 'sqlite') {
+    throw new BackupError(
+      `Database ${operation} only covers SQLite, but DB_DRIVER=${driver} keeps the hashtag history elsewhere; ` +
+      'use the database\'s own backup tools (e.g. pg_dump) or export the history with npm run db:export',
+      null,
+      { driver }
+    );
+  }
+}
+
+/**
+ * Check a database file and read its schema version
+ * @param {string} file - Database file path
+ * @returns {Object} { path, bytes, schemaVersion, latest, pending, unknown, hashtagDays }
+ * @throws {BackupError} If the file is missing, corrupt or not a HashPanel database
+ */
+export function inspectDatabaseFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new BackupError(`File not found: ${file}`, file);
+  }
+
+  let db;
+  try {
+    db = new Database(file, { readonly: true, fileMustExist: true });
+    const integrity = db.pragma('integrity_check', { simple: true });
+    if (integrity !== 'ok') {
+      throw new BackupError(`Integrity check failed for ${file}: ${integrity}`, file);
+    }
+
+    const tables = new Set(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name));
+    if (!tables.has('schema_migrations')) {
+      throw new BackupError(`Not a HashPanel database (no schema_migrations table): ${file}`, file);
+    }
+
+    const status = getMigrationStatus(db);
+    return {
+      path: file,
+      bytes: fs.statSync(file).size,
+      schemaVersion: status.current,
+      latest: status.latest,
+      pending: status.pending,
+      unknown: status.unknown,
+      hashtagDays: tables.has('hashtag_history') ? db.prepare('SELECT COUNT(*) AS count FROM hashtag_history').get().count : 0
+    };
+  } catch (error) {
+    if (error instanceof BackupError) {
+      throw error;
+    }
+    throw new BackupError(`Cannot read ${file}: ${error.message}`, file);
+  } finally {
+    db?.close();
+  }
+}
+
+/**
+ * Take an online backup of an open database with SQLite's backup API
+ * The copy is consistent even while the application keeps writing (WAL mode), is written as a
+ * single file (rollback journal mode) and is checked once written.
+ * @param {Database} db - Open SQLite database
+ * @param {string} destination - Backup file path (must not exist)
+ * @param {Object} options - Options
+ * @param {string} options.driver - History storage driver (default: DB_DRIVER); only sqlite is supported
+ * @returns {Promise<Object>} The backup, as described by inspectDatabaseFile
+ * @throws {BackupError} If the history is not in SQLite, the destination exists or the backup fails its check
+ */
+export async function backupDatabase(db, destination, { driver = config.database.driver } = {}) {
+  requireSqliteHistory(driver, 'backup');
+  if (fs.existsSync(destination)) {
+    throw new BackupError(`Backup file already exists: ${destination}`, destination);
+  }
+  fs.mkdirSync(path.dirname(destination), { recursive: true });
+
+  try {
+    await db.backup(destination);
+    // The copy inherits WAL mode; a single self-contained file is easier to move around
+    const copy = new Database(destination, { fileMustExist: true });
+    try {
+      copy.pragma('journal_mode = DELETE');
+    } finally {
+      copy.close();
+    }
+  } catch (error) {
+    fs.rmSync(destination, { force: true });
+    throw new BackupError(`Backup failed: ${error.message}`, destination);
+  }
+
+  const backup = inspectDatabaseFile(destination);
+  logger.info('Database backup written', { path: destination, bytes: backup.bytes, schemaVersion: backup.schemaVersion });
+  return backup;
+}
+
+/**
+ * Replace a database file with a backup
+ * The backup must pass the integrity check and must not have migrations this version of the
+ * application does not know; older backups are restored and brought up to date by the next
+ * migration. The current database is checkpointed and kept next to it as <name>.pre-restore-<time>.
+ * Stop the server (and anything else using the database) before restoring.
+ * @param {string} source - Backup file path
+ * @param {string} target - Database file path
+ * @param {Object} options - Options
+ * @param {string} options.driver - History storage driver (default: DB_DRIVER); only sqlite is supported
+ * @returns {Promise<Object>} { path, restoredFrom, schemaVersion, pending, previousCopy }
+ * @throws {BackupError} If the history is not in SQLite, or the backup is invalid or newer than this version
+ */
+export async function restoreDatabase(source, target, { driver = config.database.driver } = {}) {
+  requireSqliteHistory(driver, 'restore');
+  const backup = inspectDatabaseFile(source);
+  if (backup.unknown.length > 0) {
+    throw new BackupError(
+      `Backup has migrations this version does not know (${backup.unknown.map(row => row.version).join(', ')}); upgrade the application first`,
+      source,
+      { schemaVersion: backup.schemaVersion, latest: backup.latest }
+    );
+  }
+
+  // Copy through the backup API so a backup that is itself in WAL mode is read consistently
+  const staging = `${target}.restoring`;
+  fs.rmSync(staging, { force: true });
+  const sourceDb = new Database(source, { readonly: true, fileMustExist: true });
+  try {
+    await sourceDb.backup(staging);
+  } finally {
+    sourceDb.close();
+  }
+
+  let previousCopy = null;
+  if (fs.existsSync(target)) {
+    const current = new Database(target, { fileMustExist: true });
+    try {
+      current.pragma('wal_checkpoint(TRUNCATE)');
+    } finally {
+      current.close();
+    }
+    previousCopy = `${target}.pre-restore-${moment().format('YYYYMMDD-HHmmss')}`;
+    fs.renameSync(target, previousCopy);
+  }
+  ['-wal', '-shm'].forEach(suffix => fs.rmSync(`${target}${suffix}`, { force: true }));
+  fs.renameSync(staging, target);
+
+  logger.info('Database restored from backup', { path: target, source, schemaVersion: backup.schemaVersion, previousCopy });
+  return {
+    path: target,
+    restoredFrom: source,
+    schemaVersion: backup.schemaVersion,
+    pending: backup.pending,
+    previousCopy
+  };
+}
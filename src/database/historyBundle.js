@@ -0,0 +1,243 @@
+import fs from 'fs';
+import path from 'path';
+import moment from 'moment-timezone';
+import { getISOWeek } from './migrations.js';
+import { BackupError } from '../errors/index.js';
+import { logger } from '../utils/logger.js';
+import { HISTORY_TABLES } from './storage/historyTables.js';
+
+/**
+ * Portable hashtag history bundles
+ *
+ * A bundle holds the daily counts, their revisions and the downsampled rollups, independent of
+ * the schema version and of the storage driver, to move history between deployments. Bundles are
+ * read and written through the history storage (see ./storage/index.js). Two encodings:
+ * - json: { format, version, exportedAt, driver, schemaVersion, counts, tables: { <table>: [rows] } }
+ * - ndjson: the same header (without tables) on the first line, then one { table, row } per line
+ */
+
+export const BUNDLE_FORMAT = 'hashpanel-history';
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_ENCODINGS = ['json', 'ndjson'];
+
+// Rows read from the storage per query while exporting
+const EXPORT_BATCH_SIZE = 1000;
+
+/**
+ * Pick the encoding of a bundle file from its extension (.ndjson and .jsonl are NDJSON)
+ * @param {string} file - Bundle file path
+ * @returns {string} json or ndjson
+ */
+export function bundleEncodingFor(file) {
+  return ['.ndjson', '.jsonl'].includes(path.extname(file).toLowerCase()) ? 'ndjson' : 'json';
+}
+
+/**
+ * Write every hashtag history table to a bundle file
+ * @param {SqliteHistoryStorage|PostgresHistoryStorage} storage - History storage
+ * @param {string} file - Bundle file path (must not exist)
+ * @param {Object} options - Options
+ * @param {string} options.encoding - json or ndjson (default: from the extension)
+ * @returns {Promise<Object>} { path, encoding, counts }
+ * @throws {BackupError} If the file exists
+ */
+export async function exportHistory(storage, file, { encoding = bundleEncodingFor(file) } = {}) {
+  if (fs.existsSync(file)) {
+    throw new BackupError(`Export file already exists: ${file}`, file);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const counts = {};
+  for (const table of Object.keys(HISTORY_TABLES)) {
+    counts[table] = await storage.countRows(table);
+  }
+  const header = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    driver: storage.driver,
+    schemaVersion: (await storage.getSchemaStatus()).current,
+    counts
+  };
+
+  const fd = fs.openSync(file, 'wx');
+  try {
+    const write = text => fs.writeSync(fd, text);
+    if (encoding === 'ndjson') {
+      write(`${JSON.stringify(header)}\n`);
+    } else {
+      write(`${JSON.stringify(header).slice(0, -1)},"tables":{`);
+    }
+
+    for (const [tableIndex, table] of Object.keys(HISTORY_TABLES).entries()) {
+      if (encoding === 'json') {
+        write(`${tableIndex > 0 ? ',' : ''}${JSON.stringify(table)}:[`);
+      }
+      for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+        const rows = await storage.readRows(table, { limit: EXPORT_BATCH_SIZE, offset });
+        rows.forEach((row, index) => {
+          write(encoding === 'ndjson'
+            ? `${JSON.stringify({ table, row })}\n`
+            : `${offset + index > 0 ? ',' : ''}${JSON.stringify(row)}`);
+        });
+        if (rows.length < EXPORT_BATCH_SIZE) {
+          break;
+        }
+      }
+      if (encoding === 'json') {
+        write(']');
+      }
+    }
+
+    if (encoding === 'json') {
+      write('}}\n');
+    }
+  } catch (error) {
+    fs.closeSync(fd);
+    fs.rmSync(file, { force: true });
+    throw error;
+  }
+  fs.closeSync(fd);
+
+  logger.info('Hashtag history exported', { path: file, driver: storage.driver, encoding, counts });
+  return { path: file, encoding, counts };
+}
+
+/**
+ * Read a bundle file into its header and rows
+ * @param {string} file - Bundle file path
+ * @param {string} encoding - json or ndjson
+ * @returns {{header: Object, rows: Array<{table: string, row: Object, location: string}>}} Header and rows
+ * @throws {BackupError} If the file cannot be parsed or is not a supported bundle
+ * @private
+ */
+function readBundle(file, encoding) {
+  if (!fs.existsSync(file)) {
+    throw new BackupError(`File not found: ${file}`, file);
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  const parse = (json, location) => {
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      throw new BackupError(`Invalid JSON at ${location}: ${error.message}`, file);
+    }
+  };
+
+  let header;
+  let rows;
+  if (encoding === 'ndjson') {
+    const lines = text.split('\n').map(line => line.trim());
+    header = parse(lines[0], 'line 1');
+    rows = lines.slice(1)
+      .map((line, index) => ({ line, location: `line ${index + 2}` }))
+      .filter(({ line }) => line !== '')
+      .map(({ line, location }) => ({ ...parse(line, location), location }));
+  } else {
+    const { tables = {}, ...rest } = parse(text, 'the top level');
+    header = rest;
+    rows = Object.entries(tables).flatMap(([table, tableRows]) =>
+      (Array.isArray(tableRows) ? tableRows : []).map((row, index) => ({ table, row, location: `${table}[${index}]` })));
+  }
+
+  if (header?.format !== BUNDLE_FORMAT) {
+    throw new BackupError(`Not a HashPanel history bundle: ${file}`, file);
+  }
+  if (!Number.isInteger(header.version) || header.version > BUNDLE_VERSION) {
+    throw new BackupError(`Bundle version ${header.version} is not supported (up to ${BUNDLE_VERSION}); upgrade the application first`, file);
+  }
+  return { header, rows };
+}
+
+/**
+ * Check a bundle row before it is imported
+ * @throws {BackupError} If the table is unknown or a required field is missing or invalid
+ * @private
+ */
+function validateRow(file, { table, row, location }) {
+  const definition = HISTORY_TABLES[table];
+  if (!definition) {
+    throw new BackupError(`Unknown table "${table}" at ${location}`, file);
+  }
+  if (!row || typeof row !== 'object' || typeof row.hashtag !== 'string' || row.hashtag.trim() === '') {
+    throw new BackupError(`Missing hashtag at ${location}`, file);
+  }
+  if (definition.columns.includes('date') && !moment(row.date, 'YYYY-MM-DD', true).isValid()) {
+    throw new BackupError(`Invalid date "${row.date}" at ${location}`, file);
+  }
+  if (definition.key?.includes('period') && (typeof row.period !== 'string' || !row.start_date || !row.end_date)) {
+    throw new BackupError(`Missing period at ${location}`, file);
+  }
+}
+
+/**
+ * Fill in the columns a bundle row may leave out
+ * @param {string} table - Table of the row
+ * @param {Object} row - Validated bundle row
+ * @returns {Object} Values for every portable column of the table
+ * @private
+ */
+function toValues(table, row) {
+  const values = Object.fromEntries(HISTORY_TABLES[table].columns.map(column => [column, row[column] ?? null]));
+  values.hashtag = values.hashtag.toLowerCase();
+
+  if (table === 'hashtag_history') {
+    if (values.year === null || values.week_number === null) {
+      const { year, weekNumber } = getISOWeek(values.date);
+      values.year = year;
+      values.week_number = weekNumber;
+    }
+    values.uses = values.uses ?? 0;
+    values.accounts = values.accounts ?? 0;
+    values.first_uses = values.first_uses ?? values.uses;
+    values.first_accounts = values.first_accounts ?? values.accounts;
+    values.collected_at = values.collected_at ?? new Date().toISOString();
+  } else if (table === 'hashtag_history_revisions') {
+    values.uses = values.uses ?? 0;
+    values.accounts = values.accounts ?? 0;
+    values.recorded_at = values.recorded_at ?? new Date().toISOString();
+  } else {
+    ['days_counted', 'total_uses', 'total_accounts', 'peak_uses', 'peak_accounts'].forEach(column => {
+      values[column] = values[column] ?? 0;
+    });
+  }
+  return values;
+}
+
+/**
+ * Import a bundle into the history storage, in one transaction
+ * Days already stored are kept unless replace is set; the revisions of a day are imported only
+ * with the day itself (replacing a day replaces its revisions). Rollups follow the same rule.
+ * @param {SqliteHistoryStorage|PostgresHistoryStorage} storage - History storage (schema must be up to date)
+ * @param {string} file - Bundle file path
+ * @param {Object} options - Options
+ * @param {boolean} options.replace - Overwrite the days and rollups that already exist
+ * @param {string} options.encoding - json or ndjson (default: from the extension)
+ * @returns {Promise<Object>} { header, tables: { <table>: { read, imported, skipped } } }
+ * @throws {BackupError} If the bundle is invalid or the schema has pending migrations
+ */
+export async function importHistory(storage, file, { replace = false, encoding = bundleEncodingFor(file) } = {}) {
+  const status = await storage.getSchemaStatus();
+  if (status.pending > 0) {
+    throw new BackupError(`The ${storage.driver} history storage has ${status.pending} pending migration(s); run npm run db:migrate first`, file);
+  }
+
+  const { header, rows } = readBundle(file, encoding);
+  rows.forEach(entry => validateRow(file, entry));
+
+  // Bundles list the days before their revisions, but do not depend on it
+  const order = Object.keys(HISTORY_TABLES);
+  const entries = rows.map((entry, index) => ({ ...entry, index }))
+    .sort((a, b) => order.indexOf(a.table) - order.indexOf(b.table) || a.index - b.index)
+    .map(({ table, row }) => ({ table, values: toValues(table, row) }));
+
+  const written = await storage.importRows(entries, { replace });
+  const tables = Object.fromEntries(order.map(table => [table, {
+    read: entries.filter(entry => entry.table === table).length,
+    ...written[table]
+  }]));
+
+  logger.info('Hashtag history imported', { path: file, driver: storage.driver, replace, tables });
+  return { header, tables };
+}
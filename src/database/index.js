@@ -5,11 +5,19 @@ import { dirname } from 'path';
 import fs from 'fs';
 import { appConfig as config } from '../config/index.js';
 import { logger } from '../utils/logger.js';
-import { runMigrations } from './migrations.js';
+import { runMigrations, rollbackMigrations, getMigrationStatus } from './migrations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * Get the path of the application database (DB_PATH, or data/hashpanel.db)
+ * @returns {string} Database file path
+ */
+export function resolveDatabasePath() {
+  return process.env.DB_PATH || path.join(process.cwd(), 'data', 'hashpanel.db');
+}
+
 /**
  * Database service for SQLite
  * Provides connection and basic database operations
@@ -17,7 +25,7 @@ const __dirname = dirname(__filename);
 export class DatabaseService {
   constructor() {
     // Get database path from environment or use default
-    const dbPath = process.env.DB_PATH || path.join(process.cwd(), 'data', 'hashpanel.db');
+    const dbPath = resolveDatabasePath();
     
     // Ensure data directory exists (synchronous for constructor)
     const dbDir = path.dirname(dbPath);
@@ -38,9 +46,6 @@ export class DatabaseService {
    * @private
    */
   _initializeConnection() {
-    // #region agent log
-    fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/database/index.js:40',message:'Before database initialization',data:{dbPath:this.dbPath},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-    // #endregion
     this.db = new Database(this.dbPath);
     
     // Enable WAL mode for better concurrency
@@ -49,9 +54,6 @@ export class DatabaseService {
     // Enable foreign keys
     this.db.pragma('foreign_keys = ON');
     
-    // #region agent log
-    fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/database/index.js:49',message:'Database initialization completed',data:{dbPath:this.dbPath},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-    // #endregion
     logger.info('Database connection established', { path: this.dbPath });
   }
 
@@ -96,19 +98,47 @@ export class DatabaseService {
   }
 
   /**
-   * Run a migration
+   * Apply pending migrations
+   * @param {Object} options - Options
+   * @param {number|null} options.target - Stop after this version (default: latest)
+   * @returns {Array<{version: number, name: string}>} Migrations applied now
    */
-  migrate() {
+  migrate(options = {}) {
     try {
       const db = this.getDatabase();
-      runMigrations(db);
+      const applied = runMigrations(db, options);
       logger.info('Database migrations completed');
+      return applied;
     } catch (error) {
       logger.error('Failed to run migrations', error);
       throw error;
     }
   }
 
+  /**
+   * Revert applied migrations, newest first
+   * @param {Object} options - Options
+   * @param {number} options.steps - Number of migrations to revert (default: 1)
+   * @param {number|null} options.target - Revert every migration above this version
+   * @returns {Array<{version: number, name: string}>} Migrations reverted now
+   */
+  rollback(options = {}) {
+    try {
+      return rollbackMigrations(this.getDatabase(), options);
+    } catch (error) {
+      logger.error('Failed to roll back migrations', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the schema version and the state of every migration
+   * @returns {Object} Migration status
+   */
+  getMigrationStatus() {
+    return getMigrationStatus(this.getDatabase());
+  }
+
   /**
    * Get database statistics
    */
@@ -168,7 +198,9 @@ export function getDatabase() {
   if (!dbInstance || dbInstance.isClosed()) {
     dbInstance = new DatabaseService();
     // Run migrations on first connection or after reinitialization
-    dbInstance.migrate();
+    if (config.database.autoMigrate) {
+      dbInstance.migrate();
+    }
   }
   return dbInstance;
 }
@@ -1,6 +1,8 @@
 import { logger } from '../utils/logger.js';
 import moment from 'moment-timezone';
 import { appConfig as config } from '../config/index.js';
+import { MigrationError } from '../errors/index.js';
+import { migrations } from './migrations/index.js';
 
 /**
  * Calculate ISO week number for a given date
@@ -49,70 +51,167 @@ export function getISOWeek(dateString) {
 }
 
 /**
- * Run database migrations
+ * Create the table that records applied migrations
  * @param {Database} db - SQLite database instance
- * @throws {Error} If migration fails
+ * @private
  */
-export function runMigrations(db) {
-  logger.info('Running database migrations...');
-
-  let transactionActive = false;
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
 
-  try {
-    // Begin transaction
-    db.exec('BEGIN TRANSACTION');
-    transactionActive = true;
-    logger.debug('Migration transaction started');
-
-    // Create hashtag_history table and indexes
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS hashtag_history (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        hashtag TEXT NOT NULL,
-        date TEXT NOT NULL,
-        year INTEGER NOT NULL,
-        week_number INTEGER NOT NULL,
-        uses INTEGER DEFAULT 0,
-        accounts INTEGER DEFAULT 0,
-        collected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(hashtag, date)
+/**
+ * Check that migrations have unique, increasing versions
+ * @param {Array} list - Migrations
+ * @throws {MigrationError} If versions are out of order or repeated
+ * @private
+ */
+function validateMigrations(list) {
+  list.forEach((migration, index) => {
+    if (index > 0 && migration.version <= list[index - 1].version) {
+      throw new MigrationError(
+        `Migration ${migration.version} (${migration.name}) is out of order after ${list[index - 1].version}`,
+        migration.version
       );
+    }
+  });
+}
 
-      CREATE INDEX IF NOT EXISTS idx_hashtag_date ON hashtag_history(hashtag, date);
-      CREATE INDEX IF NOT EXISTS idx_hashtag_year_week ON hashtag_history(hashtag, year, week_number);
-      CREATE INDEX IF NOT EXISTS idx_date ON hashtag_history(date);
-      CREATE INDEX IF NOT EXISTS idx_year ON hashtag_history(year);
-    `);
+/**
+ * Get the applied migrations
+ * @param {Database} db - SQLite database instance
+ * @returns {Map<number, {name: string, applied_at: string}>} Applied migrations by version
+ * @private
+ */
+function getAppliedMigrations(db) {
+  ensureMigrationsTable(db);
+  const rows = db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+  return new Map(rows.map(row => [row.version, row]));
+}
 
-    // Commit transaction
-    db.exec('COMMIT');
-    transactionActive = false;
-    logger.debug('Migration transaction committed');
+/**
+ * Get the schema version and the state of every migration
+ * @param {Database} db - SQLite database instance
+ * @param {Array} list - Migrations (defaults to the application migrations)
+ * @returns {{current: number, latest: number, pending: number, migrations: Array, unknown: Array}}
+ *   Status; unknown lists applied versions this code does not have (a newer deployment)
+ */
+export function getMigrationStatus(db, list = migrations) {
+  const applied = getAppliedMigrations(db);
+  const known = new Set(list.map(migration => migration.version));
 
-    logger.info('Database migrations completed successfully');
-  } catch (error) {
-    // Rollback on any error
-    if (transactionActive) {
-      try {
-        db.exec('ROLLBACK');
-        logger.debug('Migration transaction rolled back');
-      } catch (rollbackError) {
-        logger.error('Failed to rollback migration transaction', {
-          originalError: error.message,
-          rollbackError: rollbackError.message,
-          stack: rollbackError.stack
-        });
-      }
-    }
+  const entries = list.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    appliedAt: applied.get(migration.version)?.applied_at || null,
+    reversible: typeof migration.down === 'function'
+  }));
 
-    // Log error with detailed context
-    logger.error('Database migration failed', {
-      error: error.message,
-      stack: error.stack,
-      name: error.name
-    });
+  return {
+    current: Math.max(0, ...applied.keys()),
+    latest: list.length > 0 ? list[list.length - 1].version : 0,
+    pending: entries.filter(entry => !entry.applied).length,
+    migrations: entries,
+    unknown: Array.from(applied.values())
+      .filter(row => !known.has(row.version))
+      .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }))
+  };
+}
 
-    // Rethrow to allow caller to handle
-    throw new Error(`Migration failed: ${error.message}`);
+/**
+ * Apply pending migrations in version order, each in its own transaction
+ * Databases created before versioned migrations are brought up to date the same way:
+ * the early migrations only create what is missing.
+ * @param {Database} db - SQLite database instance
+ * @param {Object} options - Options
+ * @param {number|null} options.target - Stop after this version (default: latest)
+ * @param {Array} options.list - Migrations (defaults to the application migrations)
+ * @returns {Array<{version: number, name: string}>} Migrations applied now
+ * @throws {MigrationError} If a migration fails (earlier ones stay applied)
+ */
+export function runMigrations(db, { target = null, list = migrations } = {}) {
+  validateMigrations(list);
+  const applied = getAppliedMigrations(db);
+  const pending = list.filter(migration => !applied.has(migration.version)
+    && (target === null || migration.version <= target));
+
+  if (pending.length === 0) {
+    logger.debug('Database schema is up to date', { version: Math.max(0, ...applied.keys()) });
+    return [];
   }
+
+  logger.info(`Running ${pending.length} database migration(s)...`);
+  const recordMigration = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+
+  pending.forEach(migration => {
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        recordMigration.run(migration.version, migration.name);
+      })();
+      logger.info(`Applied migration ${migration.version} (${migration.name})`);
+    } catch (error) {
+      logger.error(`Migration ${migration.version} (${migration.name}) failed`, {
+        error: error.message,
+        stack: error.stack
+      });
+      throw new MigrationError(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`, migration.version);
+    }
+  });
+
+  logger.info('Database migrations completed successfully');
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Revert applied migrations, newest first, each in its own transaction
+ * @param {Database} db - SQLite database instance
+ * @param {Object} options - Options
+ * @param {number} options.steps - Number of migrations to revert (ignored when target is set)
+ * @param {number|null} options.target - Revert every migration above this version
+ * @param {Array} options.list - Migrations (defaults to the application migrations)
+ * @returns {Array<{version: number, name: string}>} Migrations reverted now
+ * @throws {MigrationError} If a migration is unknown, has no down step or fails
+ */
+export function rollbackMigrations(db, { steps = 1, target = null, list = migrations } = {}) {
+  const applied = getAppliedMigrations(db);
+  const byVersion = new Map(list.map(migration => [migration.version, migration]));
+
+  const versions = Array.from(applied.keys()).sort((a, b) => b - a);
+  const toRevert = target !== null
+    ? versions.filter(version => version > target)
+    : versions.slice(0, steps);
+
+  // Refuse before changing anything if some step cannot be reverted
+  toRevert.forEach(version => {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new MigrationError(`Migration ${version} is not known to this version of the application`, version);
+    }
+    if (typeof migration.down !== 'function') {
+      throw new MigrationError(`Migration ${version} (${migration.name}) cannot be reverted`, version);
+    }
+  });
+
+  const forgetMigration = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+
+  return toRevert.map(version => {
+    const migration = byVersion.get(version);
+    try {
+      db.transaction(() => {
+        migration.down(db);
+        forgetMigration.run(version);
+      })();
+      logger.info(`Reverted migration ${version} (${migration.name})`);
+    } catch (error) {
+      throw new MigrationError(`Reverting migration ${version} (${migration.name}) failed: ${error.message}`, version);
+    }
+    return { version, name: migration.name };
+  });
 }
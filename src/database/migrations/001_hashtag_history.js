@@ -0,0 +1,32 @@
+/**
+ * Daily hashtag usage collected by the history collector
+ */
+export default {
+  version: 1,
+  name: 'hashtag_history',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS hashtag_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        hashtag TEXT NOT NULL,
+        date TEXT NOT NULL,
+        year INTEGER NOT NULL,
+        week_number INTEGER NOT NULL,
+        uses INTEGER DEFAULT 0,
+        accounts INTEGER DEFAULT 0,
+        collected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(hashtag, date)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_hashtag_date ON hashtag_history(hashtag, date);
+      CREATE INDEX IF NOT EXISTS idx_hashtag_year_week ON hashtag_history(hashtag, year, week_number);
+      CREATE INDEX IF NOT EXISTS idx_date ON hashtag_history(date);
+      CREATE INDEX IF NOT EXISTS idx_year ON hashtag_history(year);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS hashtag_history');
+  }
+};
@@ -0,0 +1,73 @@
+import { logger } from '../../utils/logger.js';
+import { HASHTAGS, getHashtagsForDay } from '../../constants/index.js';
+
+/**
+ * Seed the hashtag schedule from the HASHTAGS constant when no version exists yet
+ * The seed version is effective from the epoch so past dates resolve to it
+ * @param {Database} db - SQLite database instance
+ */
+function seedHashtagSchedule(db) {
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM hashtag_schedule_versions').get();
+  if (count > 0) {
+    return;
+  }
+
+  const { lastInsertRowid: versionId } = db.prepare(`
+    INSERT INTO hashtag_schedule_versions (effective_from, note)
+    VALUES ('1970-01-01', 'Initial schedule seeded from HASHTAGS constant')
+  `).run();
+
+  const insertEntry = db.prepare(`
+    INSERT INTO hashtag_schedule (version_id, day_of_week, hashtag, position)
+    VALUES (?, ?, ?, ?)
+  `);
+
+  HASHTAGS.forEach((dayHashtags, dayOfWeek) => {
+    getHashtagsForDay(dayHashtags).forEach((hashtag, position) => {
+      insertEntry.run(versionId, dayOfWeek, hashtag, position);
+    });
+  });
+
+  logger.info('Seeded hashtag schedule from defaults', { versionId });
+}
+
+/**
+ * Versioned daily hashtag schedule
+ * Every schedule change creates a new version; entries belong to exactly one version.
+ */
+export default {
+  version: 2,
+  name: 'hashtag_schedule',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS hashtag_schedule_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        effective_from TEXT NOT NULL,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS hashtag_schedule (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        version_id INTEGER NOT NULL REFERENCES hashtag_schedule_versions(id) ON DELETE CASCADE,
+        day_of_week INTEGER NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+        hashtag TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        UNIQUE(version_id, day_of_week, hashtag)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_schedule_versions_effective ON hashtag_schedule_versions(effective_from);
+      CREATE INDEX IF NOT EXISTS idx_schedule_version_day ON hashtag_schedule(version_id, day_of_week);
+    `);
+
+    seedHashtagSchedule(db);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS hashtag_schedule;
+      DROP TABLE IF EXISTS hashtag_schedule_versions;
+    `);
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Schedule overrides: date-specific entries, rotations and holidays
+ */
+export default {
+  version: 3,
+  name: 'schedule_overrides',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS hashtag_schedule_overrides (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL CHECK (type IN ('date', 'holiday', 'rotation')),
+        date TEXT,
+        holiday_key TEXT,
+        every_weeks INTEGER,
+        start_date TEXT,
+        end_date TEXT,
+        hashtags TEXT NOT NULL,
+        mode TEXT NOT NULL DEFAULT 'replace' CHECK (mode IN ('replace', 'append')),
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_schedule_overrides_type_date ON hashtag_schedule_overrides(type, date);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS hashtag_schedule_overrides');
+  }
+};
@@ -0,0 +1,45 @@
+import { addColumnIfMissing } from './helpers.js';
+
+/**
+ * Stored toots and per-instance fetch cursors for incremental fetching
+ * newest_id is the newest status id seen; refreshes only request toots after it.
+ * covered_since is how far back the stored toots are complete (up to newest_id).
+ */
+export default {
+  version: 4,
+  name: 'stored_toots',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS stored_toots (
+        hashtag TEXT NOT NULL,
+        instance TEXT NOT NULL,
+        status_id TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL,
+        fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (hashtag, instance, status_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS toot_cursors (
+        hashtag TEXT NOT NULL,
+        instance TEXT NOT NULL,
+        newest_id TEXT NOT NULL,
+        covered_since TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (hashtag, instance)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_stored_toots_created ON stored_toots(hashtag, instance, created_at);
+    `);
+    // Databases created before coverage tracking
+    addColumnIfMissing(db, 'toot_cursors', 'covered_since', 'TEXT');
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS toot_cursors;
+      DROP TABLE IF EXISTS stored_toots;
+    `);
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * Status archive: statuses and their accounts, keyed by instance and id, and the
+ * hashtags each status uses. Unlike stored_toots it is not pruned, so past days can
+ * still be analyzed once they leave the API pagination window.
+ */
+export default {
+  version: 5,
+  name: 'status_archive',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS accounts (
+        instance TEXT NOT NULL,
+        id TEXT NOT NULL,
+        acct TEXT NOT NULL,
+        username TEXT NOT NULL,
+        display_name TEXT,
+        url TEXT,
+        avatar TEXT,
+        bot INTEGER DEFAULT 0,
+        followers_count INTEGER DEFAULT 0,
+        following_count INTEGER DEFAULT 0,
+        statuses_count INTEGER DEFAULT 0,
+        created_at TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (instance, id)
+      );
+
+      CREATE TABLE IF NOT EXISTS statuses (
+        instance TEXT NOT NULL,
+        id TEXT NOT NULL,
+        uri TEXT,
+        url TEXT,
+        account_id TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        edited_at TEXT,
+        content TEXT NOT NULL DEFAULT '',
+        spoiler_text TEXT DEFAULT '',
+        language TEXT,
+        visibility TEXT,
+        sensitive INTEGER DEFAULT 0,
+        replies_count INTEGER DEFAULT 0,
+        reblogs_count INTEGER DEFAULT 0,
+        favourites_count INTEGER DEFAULT 0,
+        media_attachments TEXT,
+        first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (instance, id)
+      );
+
+      CREATE TABLE IF NOT EXISTS status_tags (
+        instance TEXT NOT NULL,
+        status_id TEXT NOT NULL,
+        hashtag TEXT NOT NULL,
+        PRIMARY KEY (instance, status_id, hashtag)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_statuses_created ON statuses(created_at);
+      CREATE INDEX IF NOT EXISTS idx_statuses_uri ON statuses(uri);
+      CREATE INDEX IF NOT EXISTS idx_status_tags_hashtag ON status_tags(hashtag, instance, status_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS status_tags;
+      DROP TABLE IF EXISTS statuses;
+      DROP TABLE IF EXISTS accounts;
+    `);
+  }
+};
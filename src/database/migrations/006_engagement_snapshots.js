@@ -0,0 +1,26 @@
+/**
+ * Engagement snapshots: the counts of a status each time they changed while it was
+ * young enough to be tracked (ENGAGEMENT_TRACKING_HOURS)
+ */
+export default {
+  version: 6,
+  name: 'engagement_snapshots',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS status_engagement_snapshots (
+        instance TEXT NOT NULL,
+        status_id TEXT NOT NULL,
+        captured_at TEXT NOT NULL,
+        favourites_count INTEGER NOT NULL DEFAULT 0,
+        reblogs_count INTEGER NOT NULL DEFAULT 0,
+        replies_count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (instance, status_id, captured_at)
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS status_engagement_snapshots');
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Revisions of daily hashtag counts
+ * Mastodon keeps updating a day's tag history after it ends, so recent days are collected
+ * again. hashtag_history keeps the latest counts plus the first-seen ones; every change
+ * (including the first collection) is appended to hashtag_history_revisions.
+ */
+export default {
+  version: 7,
+  name: 'hashtag_history_revisions',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE hashtag_history ADD COLUMN first_uses INTEGER;
+      ALTER TABLE hashtag_history ADD COLUMN first_accounts INTEGER;
+      ALTER TABLE hashtag_history ADD COLUMN updated_at TIMESTAMP;
+
+      UPDATE hashtag_history SET first_uses = uses, first_accounts = accounts;
+
+      CREATE TABLE IF NOT EXISTS hashtag_history_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        hashtag TEXT NOT NULL,
+        date TEXT NOT NULL,
+        uses INTEGER NOT NULL DEFAULT 0,
+        accounts INTEGER NOT NULL DEFAULT 0,
+        previous_uses INTEGER,
+        previous_accounts INTEGER,
+        recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_history_revisions_day ON hashtag_history_revisions(hashtag, date, id);
+
+      INSERT INTO hashtag_history_revisions (hashtag, date, uses, accounts, recorded_at)
+      SELECT hashtag, date, uses, accounts, collected_at FROM hashtag_history ORDER BY id;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS hashtag_history_revisions;
+      ALTER TABLE hashtag_history DROP COLUMN updated_at;
+      ALTER TABLE hashtag_history DROP COLUMN first_accounts;
+      ALTER TABLE hashtag_history DROP COLUMN first_uses;
+    `);
+  }
+};
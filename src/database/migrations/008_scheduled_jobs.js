@@ -0,0 +1,45 @@
+/**
+ * Scheduled jobs: per-job overrides of the schedule and enabled flag set through the API
+ * (NULL keeps the configured default), the lock that prevents overlapping runs across
+ * processes, and the history of every run with its log lines.
+ */
+export default {
+  version: 8,
+  name: 'scheduled_jobs',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS scheduled_jobs (
+        name TEXT PRIMARY KEY,
+        schedule TEXT,
+        enabled INTEGER,
+        locked_by TEXT,
+        locked_at TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_name TEXT NOT NULL,
+        trigger TEXT NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+        status TEXT NOT NULL CHECK (status IN ('running', 'succeeded', 'failed', 'skipped')),
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        duration_ms INTEGER,
+        result TEXT,
+        error TEXT,
+        logs TEXT NOT NULL DEFAULT '[]'
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_name, id);
+      CREATE INDEX IF NOT EXISTS idx_job_runs_started ON job_runs(started_at);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS job_runs;
+      DROP TABLE IF EXISTS scheduled_jobs;
+    `);
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * Collection runs: one row per history collection (scheduled, CLI or API) with its counts,
+ * and the outcome of every hashtag and day it handled, so failed or missing collections
+ * can be found after the process that ran them is gone.
+ */
+export default {
+  version: 9,
+  name: 'collection_runs',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS collection_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger TEXT NOT NULL CHECK (trigger IN ('cron', 'cli', 'api')),
+        operation TEXT NOT NULL,
+        start_date TEXT,
+        end_date TEXT,
+        status TEXT NOT NULL CHECK (status IN ('running', 'succeeded', 'partial', 'failed')),
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        duration_ms INTEGER,
+        collected INTEGER NOT NULL DEFAULT 0,
+        revised INTEGER NOT NULL DEFAULT 0,
+        unchanged INTEGER NOT NULL DEFAULT 0,
+        skipped INTEGER NOT NULL DEFAULT 0,
+        no_data INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        error TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS collection_run_hashtags (
+        run_id INTEGER NOT NULL REFERENCES collection_runs(id) ON DELETE CASCADE,
+        hashtag TEXT NOT NULL,
+        date TEXT NOT NULL,
+        outcome TEXT NOT NULL CHECK (outcome IN ('collected', 'revised', 'unchanged', 'skipped', 'no_data', 'failed')),
+        error TEXT,
+        PRIMARY KEY (run_id, hashtag, date)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_collection_runs_started ON collection_runs(started_at);
+      CREATE INDEX IF NOT EXISTS idx_collection_runs_status ON collection_runs(status, id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS collection_run_hashtags;
+      DROP TABLE IF EXISTS collection_runs;
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Hashtag watchlist: hashtags followed for a period outside the daily schedule (campaigns,
+ * other communities). Their history is collected daily between start_date and end_date
+ * (open-ended when NULL).
+ */
+export default {
+  version: 10,
+  name: 'hashtag_watchlist',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS hashtag_watchlist (
+        hashtag TEXT PRIMARY KEY,
+        start_date TEXT NOT NULL,
+        end_date TEXT,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_date IS NULL OR end_date >= start_date)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_hashtag_watchlist_dates ON hashtag_watchlist(start_date, end_date);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS hashtag_watchlist;');
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Trending tag snapshots: the instance's trends/tags list saved periodically with each tag's
+ * rank and today's uses, so ranks, new entrants and time spent trending can be tracked.
+ */
+export default {
+  version: 11,
+  name: 'trending_snapshots',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS trending_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        instance TEXT NOT NULL,
+        taken_at TEXT NOT NULL,
+        tag_count INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE TABLE IF NOT EXISTS trending_snapshot_tags (
+        snapshot_id INTEGER NOT NULL REFERENCES trending_snapshots(id) ON DELETE CASCADE,
+        tag TEXT NOT NULL,
+        rank INTEGER NOT NULL,
+        uses INTEGER NOT NULL DEFAULT 0,
+        accounts INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (snapshot_id, tag)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_trending_snapshots_taken ON trending_snapshots(instance, taken_at);
+      CREATE INDEX IF NOT EXISTS idx_trending_snapshot_tags_tag ON trending_snapshot_tags(tag, snapshot_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS trending_snapshot_tags;
+      DROP TABLE IF EXISTS trending_snapshots;
+    `);
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Downsampled hashtag history: daily counts past their retention are folded into weekly
+ * (ISO week, e.g. 2026-W01) and monthly (e.g. 2026-01) rollups before the days are deleted.
+ * A period's counts only cover the deleted days; the days still in hashtag_history are added
+ * when the history is read.
+ */
+export default {
+  version: 12,
+  name: 'history_rollups',
+
+  up(db) {
+    ['weekly', 'monthly'].forEach(tier => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS hashtag_history_${tier} (
+          hashtag TEXT NOT NULL,
+          period TEXT NOT NULL,
+          start_date TEXT NOT NULL,
+          end_date TEXT NOT NULL,
+          days_counted INTEGER NOT NULL DEFAULT 0,
+          total_uses INTEGER NOT NULL DEFAULT 0,
+          total_accounts INTEGER NOT NULL DEFAULT 0,
+          peak_date TEXT,
+          peak_uses INTEGER NOT NULL DEFAULT 0,
+          peak_accounts INTEGER NOT NULL DEFAULT 0,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (hashtag, period)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_hashtag_history_${tier}_dates ON hashtag_history_${tier}(start_date, end_date);
+      `);
+    });
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS hashtag_history_monthly;
+      DROP TABLE IF EXISTS hashtag_history_weekly;
+    `);
+  }
+};
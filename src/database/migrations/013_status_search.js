@@ -0,0 +1,76 @@
+// Frozen copy of utils/statusText.js as of this migration: later changes to the
+// application's text extraction must not change what this migration writes
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function htmlToText(html) {
+  if (!html) {
+    return '';
+  }
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p[^>]*>/gi, '\n\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+      return ENTITIES[name.toLowerCase()] ?? entity;
+    })
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+function searchDocument(row) {
+  const media = row.media_attachments ? JSON.parse(row.media_attachments) : [];
+  return {
+    content: htmlToText(row.content),
+    spoiler_text: row.spoiler_text || '',
+    media_descriptions: media.map(attachment => attachment.description).filter(Boolean).join('\n')
+  };
+}
+
+/**
+ * Full-text search over archived statuses: an FTS5 index of their plain-text content,
+ * content warning and media descriptions, keyed by the statuses rowid. The unicode61
+ * tokenizer folds case and diacritics, so "ação" and "acao" match each other.
+ * StatusStore writes the index with the status; the trigger removes it with the status,
+ * whichever code deletes it. Statuses archived before this migration are indexed here.
+ */
+export default {
+  version: 13,
+  name: 'status_search',
+
+  up(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS status_search USING fts5(
+        content,
+        spoiler_text,
+        media_descriptions,
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS statuses_search_delete AFTER DELETE ON statuses BEGIN
+        DELETE FROM status_search WHERE rowid = old.rowid;
+      END;
+    `);
+
+    const index = db.prepare(`
+      INSERT OR REPLACE INTO status_search (rowid, content, spoiler_text, media_descriptions)
+      VALUES (@rowid, @content, @spoiler_text, @media_descriptions)
+    `);
+    const batch = db.prepare(`
+      SELECT rowid, content, spoiler_text, media_attachments FROM statuses WHERE rowid > ? ORDER BY rowid LIMIT 1000
+    `);
+    for (let rows = batch.all(0); rows.length > 0; rows = batch.all(rows[rows.length - 1].rowid)) {
+      rows.forEach(row => index.run({ rowid: row.rowid, ...searchDocument(row) }));
+    }
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TRIGGER IF EXISTS statuses_search_delete;
+      DROP TABLE IF EXISTS status_search;
+    `);
+  }
+};
@@ -0,0 +1,16 @@
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Add a column to an existing table unless it is already there
+ * @param {Database} db - SQLite database instance
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+export function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(existing => existing.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    logger.info(`Added column ${table}.${column}`);
+  }
+}
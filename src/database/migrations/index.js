@@ -0,0 +1,34 @@
+import hashtagHistory from './001_hashtag_history.js';
+import hashtagSchedule from './002_hashtag_schedule.js';
+import scheduleOverrides from './003_schedule_overrides.js';
+import storedToots from './004_stored_toots.js';
+import statusArchive from './005_status_archive.js';
+import engagementSnapshots from './006_engagement_snapshots.js';
+import hashtagHistoryRevisions from './007_hashtag_history_revisions.js';
+import scheduledJobs from './008_scheduled_jobs.js';
+import collectionRuns from './009_collection_runs.js';
+import hashtagWatchlist from './010_hashtag_watchlist.js';
+import trendingSnapshots from './011_trending_snapshots.js';
+import historyRollups from './012_history_rollups.js';
+import statusSearch from './013_status_search.js';
+
+/**
+ * Schema migrations, in the order they are applied
+ * To change the schema, add a file NNN_name.js exporting { version, name, up(db), down(db) }
+ * with the next version number and list it here. Never edit a migration that has shipped.
+ */
+export const migrations = [
+  hashtagHistory,
+  hashtagSchedule,
+  scheduleOverrides,
+  storedToots,
+  statusArchive,
+  engagementSnapshots,
+  hashtagHistoryRevisions,
+  scheduledJobs,
+  collectionRuns,
+  hashtagWatchlist,
+  trendingSnapshots,
+  historyRollups,
+  statusSearch
+];
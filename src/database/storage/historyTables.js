@@ -0,0 +1,62 @@
+import { ROLLUP_TIERS } from '../../utils/historyRollup.js';
+
+const ROLLUP_COLUMNS = ['hashtag', 'period', 'start_date', 'end_date', 'days_counted', 'total_uses', 'total_accounts',
+  'peak_date', 'peak_uses', 'peak_accounts'];
+
+// SQLite timestamp without a zone (CURRENT_TIMESTAMP writes UTC in this form)
+const ZONELESS_TIMESTAMP = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+/**
+ * Tables of the hashtag history storage, in import order (revisions follow the days they belong to)
+ * Each lists its portable columns (the ones every driver has, without generated ids), the ones
+ * holding timestamps, its unique key (null when rows are only appended) and a stable order to
+ * read it in.
+ */
+export const HISTORY_TABLES = {
+  hashtag_history: {
+    key: ['hashtag', 'date'],
+    columns: ['hashtag', 'date', 'year', 'week_number', 'uses', 'accounts', 'first_uses', 'first_accounts',
+      'collected_at', 'updated_at'],
+    timestamps: ['collected_at', 'updated_at'],
+    order: 'hashtag, date'
+  },
+  hashtag_history_revisions: {
+    key: null,
+    columns: ['hashtag', 'date', 'uses', 'accounts', 'previous_uses', 'previous_accounts', 'recorded_at'],
+    timestamps: ['recorded_at'],
+    order: 'id'
+  },
+  [ROLLUP_TIERS.week]: { key: ['hashtag', 'period'], columns: ROLLUP_COLUMNS, timestamps: [], order: 'hashtag, period' },
+  [ROLLUP_TIERS.month]: { key: ['hashtag', 'period'], columns: ROLLUP_COLUMNS, timestamps: [], order: 'hashtag, period' }
+};
+
+/**
+ * Normalize a stored timestamp to an ISO string in UTC
+ * Timestamps without a zone come from SQLite, which keeps them in UTC.
+ * @param {string|null} value - Timestamp as read from either storage
+ * @returns {string|null} ISO 8601 timestamp in UTC (null stays null)
+ * @throws {RangeError} If the value is not a timestamp
+ */
+export function toUtcTimestamp(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value);
+  return new Date(ZONELESS_TIMESTAMP.test(text) ? `${text.replace(' ', 'T')}Z` : text).toISOString();
+}
+
+/**
+ * Build the upsert clause of a history table for importRows
+ * @param {Object} definition - Table definition from HISTORY_TABLES
+ * @param {boolean} replace - Overwrite the row that has the same key
+ * @returns {string} ON CONFLICT clause (empty for tables without a key)
+ */
+export function conflictClause({ key, columns }, replace) {
+  if (!key) {
+    return '';
+  }
+  return replace
+    ? `ON CONFLICT (${key.join(', ')}) DO UPDATE SET ${columns.filter(column => !key.includes(column))
+      .map(column => `${column} = excluded.${column}`).join(', ')}`
+    : `ON CONFLICT (${key.join(', ')}) DO NOTHING`;
+}
@@ -0,0 +1,92 @@
+import { getDatabase } from '../index.js';
+import { appConfig as config } from '../../config/index.js';
+import { ConfigurationError } from '../../errors/index.js';
+import { SqliteHistoryStorage } from './sqliteHistoryStorage.js';
+import { PostgresHistoryStorage } from './postgresHistoryStorage.js';
+
+/**
+ * Hashtag history storage
+ *
+ * DatabaseService reads and writes the daily hashtag history (with its revisions and the
+ * downsampled rollups) through a storage adapter, chosen by DB_DRIVER:
+ * - sqlite (default): the application's SQLite database
+ * - postgres: a PostgreSQL database (DATABASE_URL), which several instances can share
+ *
+ * Every adapter implements the same asynchronous interface and returns rows with the SQLite
+ * column names (dates as YYYY-MM-DD strings, counts as numbers):
+ * - migrate(): create or update the schema
+ * - saveDay(hashtag, date, { year, weekNumber, uses, accounts }, { overwrite }): 'inserted' | 'updated' | 'unchanged'
+ * - getRevisions(hashtag, startDate, endDate)
+ * - getDays({ hashtag, startDate, endDate })
+ * - getWeeks({ year, hashtag, weekNumber })
+ * - getDateRange(hashtag)
+ * - getRollups(table, startDate, endDate, hashtag)
+ * - downsample(beforeDate, { dryRun }) and pruneWeeklyRollups(beforeDate, { dryRun })
+ * - getSchemaStatus(): { current, pending } schema versions, without migrating
+ * - countRows(table), readRows(table, { limit, offset }) and importRows(entries, { replace }): bulk
+ *   access to the HISTORY_TABLES, used by history bundles (src/database/historyBundle.js)
+ * - healthCheck() and close()
+ *
+ * The PostgreSQL adapter also elects the one instance that runs the scheduled jobs, with
+ * acquireSchedulerLock(onLost) and releaseSchedulerLock() (see JobScheduler). The other tables
+ * (schedule, watchlist, archive, jobs, trending snapshots...) stay in each instance's SQLite.
+ */
+
+export const STORAGE_DRIVERS = ['sqlite', 'postgres'];
+
+/**
+ * Create a history storage
+ * @param {Object} options - Options (default: config.database)
+ * @param {string} options.driver - One of STORAGE_DRIVERS
+ * @param {string} options.url - PostgreSQL connection URL (postgres driver)
+ * @param {number} options.poolSize - Maximum PostgreSQL connections
+ * @param {boolean} options.autoMigrate - Apply pending migrations on first use
+ * @returns {SqliteHistoryStorage|PostgresHistoryStorage} Storage
+ * @throws {ConfigurationError} If the driver is unknown or the PostgreSQL URL is missing
+ */
+export function createHistoryStorage({
+  driver = config.database.driver,
+  url = config.database.url,
+  poolSize = config.database.poolSize,
+  autoMigrate = config.database.autoMigrate
+} = {}) {
+  if (driver === 'sqlite') {
+    return new SqliteHistoryStorage(getDatabase().getDatabase());
+  }
+  if (driver === 'postgres') {
+    if (!url) {
+      throw new ConfigurationError('DATABASE_URL is required when DB_DRIVER=postgres');
+    }
+    return new PostgresHistoryStorage({ connectionString: url, poolSize, autoMigrate });
+  }
+  throw new ConfigurationError(`Unknown DB_DRIVER "${driver}" (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+}
+
+// Singleton instance
+let storageInstance = null;
+
+/**
+ * Get the history storage configured for the application (singleton)
+ * @returns {SqliteHistoryStorage|PostgresHistoryStorage} Storage
+ */
+export function getHistoryStorage() {
+  if (!storageInstance) {
+    storageInstance = createHistoryStorage();
+  }
+  return storageInstance;
+}
+
+/**
+ * Close the application's history storage, if it was opened
+ * @returns {Promise<void>}
+ */
+export async function closeHistoryStorage() {
+  if (storageInstance) {
+    const storage = storageInstance;
+    storageInstance = null;
+    await storage.close();
+  }
+}
+
+export { SqliteHistoryStorage, PostgresHistoryStorage };
+export { HISTORY_TABLES, toUtcTimestamp } from './historyTables.js';
@@ -0,0 +1,522 @@
+import pg from 'pg';
+import { MigrationError } from '../../errors/index.js';
+import { logger } from '../../utils/logger.js';
+import { ROLLUP_TIERS, rollupTiers } from '../../utils/historyRollup.js';
+import { HISTORY_TABLES, conflictClause, toUtcTimestamp } from './historyTables.js';
+
+// Advisory lock keys, so that instances sharing the database migrate and downsample one at a time,
+// and only one of them runs the scheduled jobs
+const MIGRATION_LOCK = 48170001;
+const DOWNSAMPLE_LOCK = 48170002;
+const SCHEDULER_LOCK = 48170003;
+
+const rollupTable = name => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    hashtag TEXT NOT NULL,
+    period TEXT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    days_counted INTEGER NOT NULL DEFAULT 0,
+    total_uses BIGINT NOT NULL DEFAULT 0,
+    total_accounts BIGINT NOT NULL DEFAULT 0,
+    peak_date DATE,
+    peak_uses INTEGER NOT NULL DEFAULT 0,
+    peak_accounts INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    PRIMARY KEY (hashtag, period)
+  );
+  CREATE INDEX IF NOT EXISTS idx_${name}_dates ON ${name} (start_date, end_date);
+`;
+
+/**
+ * Schema of the PostgreSQL history storage, in the same tables and columns as the SQLite one
+ * Never change a published migration; add the next version instead.
+ */
+export const POSTGRES_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'hashtag_history',
+    up: `
+      CREATE TABLE IF NOT EXISTS hashtag_history (
+        hashtag TEXT NOT NULL,
+        date DATE NOT NULL,
+        year INTEGER NOT NULL,
+        week_number INTEGER NOT NULL,
+        uses INTEGER DEFAULT 0,
+        accounts INTEGER DEFAULT 0,
+        first_uses INTEGER,
+        first_accounts INTEGER,
+        collected_at TIMESTAMPTZ DEFAULT now(),
+        updated_at TIMESTAMPTZ,
+        PRIMARY KEY (hashtag, date)
+      );
+      CREATE INDEX IF NOT EXISTS idx_hashtag_history_date ON hashtag_history (date);
+      CREATE INDEX IF NOT EXISTS idx_hashtag_history_year_week ON hashtag_history (year, week_number);
+
+      CREATE TABLE IF NOT EXISTS hashtag_history_revisions (
+        id BIGSERIAL PRIMARY KEY,
+        hashtag TEXT NOT NULL,
+        date DATE NOT NULL,
+        uses INTEGER NOT NULL DEFAULT 0,
+        accounts INTEGER NOT NULL DEFAULT 0,
+        previous_uses INTEGER,
+        previous_accounts INTEGER,
+        recorded_at TIMESTAMPTZ DEFAULT now()
+      );
+      CREATE INDEX IF NOT EXISTS idx_history_revisions_day ON hashtag_history_revisions (hashtag, date, id);
+
+      ${rollupTable(ROLLUP_TIERS.week)}
+      ${rollupTable(ROLLUP_TIERS.month)}
+    `
+  }
+];
+
+/**
+ * Build a WHERE clause with numbered parameters from the filters that are set
+ * @param {Array<[string, *]>} filters - [condition with one ?, value] pairs; null values are skipped
+ * @param {number} offset - Parameters already used by the query
+ * @returns {{where: string, params: Array}} Clause (empty when no filter is set) and its parameters
+ */
+function whereClause(filters, offset = 0) {
+  const set = filters.filter(([, value]) => value !== null && value !== undefined);
+  return {
+    where: set.length > 0
+      ? `WHERE ${set.map(([condition], index) => condition.replace('?', `$${offset + index + 1}`)).join(' AND ')}`
+      : '',
+    params: set.map(([, value]) => value)
+  };
+}
+
+/**
+ * Return the values as the SQLite storage does: dates as YYYY-MM-DD, timestamps as ISO strings
+ * and counts, sums and averages as numbers
+ * @returns {pg.TypeOverrides} Type parsers for this storage's connections
+ * @private
+ */
+function createTypeParsers() {
+  const types = new pg.TypeOverrides();
+  const { builtins } = pg.types;
+  types.setTypeParser(builtins.DATE, value => value);
+  types.setTypeParser(builtins.TIMESTAMPTZ, value => new Date(value).toISOString());
+  types.setTypeParser(builtins.INT8, value => parseInt(value));
+  types.setTypeParser(builtins.NUMERIC, value => parseFloat(value));
+  return types;
+}
+
+/**
+ * Hashtag history storage on PostgreSQL, for several instances sharing one database
+ * Implements the HistoryStorage interface described in ./index.js. The schema is created by
+ * POSTGRES_MIGRATIONS on first use (with autoMigrate) or by migrate(); concurrent writers are
+ * serialized per day by row locks and the downsampling by an advisory lock.
+ */
+export class PostgresHistoryStorage {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.connectionString - PostgreSQL connection URL
+   * @param {number} options.poolSize - Maximum connections in the pool (default: 10)
+   * @param {boolean} options.autoMigrate - Apply the pending migrations before the first query (default: true)
+   */
+  constructor({ connectionString, poolSize = 10, autoMigrate = true }) {
+    this.driver = 'postgres';
+    this.autoMigrate = autoMigrate;
+    this.ready = null;
+    this.pool = new pg.Pool({ connectionString, max: poolSize, types: createTypeParsers() });
+    this.pool.on('error', error => logger.error('PostgreSQL idle client error', error));
+    // Connection holding the scheduler lock, kept out of the pool while this process holds it
+    this.schedulerClient = null;
+  }
+
+  /**
+   * Apply the pending migrations, one transaction each, holding the migration lock
+   * @returns {Promise<Array<{version: number, name: string}>>} Migrations applied now
+   * @throws {MigrationError} If a migration fails (it is rolled back)
+   */
+  async migrate() {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK]);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ DEFAULT now()
+        )
+      `);
+      const { rows } = await client.query('SELECT version FROM schema_migrations');
+      const applied = new Set(rows.map(row => row.version));
+
+      const pending = POSTGRES_MIGRATIONS.filter(migration => !applied.has(migration.version));
+      for (const migration of pending) {
+        try {
+          await client.query('BEGIN');
+          await client.query(migration.up);
+          await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+          await client.query('COMMIT');
+          logger.info(`Applied PostgreSQL migration ${migration.version} (${migration.name})`);
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new MigrationError(`PostgreSQL migration ${migration.version} (${migration.name}) failed: ${error.message}`,
+            migration.version);
+        }
+      }
+      return pending.map(({ version, name }) => ({ version, name }));
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK]).catch(() => {});
+      client.release();
+    }
+  }
+
+  /**
+   * Wait for the schema (migrated once, on first use, when autoMigrate is set)
+   * @private
+   */
+  async _ready() {
+    if (!this.ready) {
+      this.ready = (this.autoMigrate ? this.migrate() : Promise.resolve()).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+  }
+
+  /**
+   * Run a query on any pooled connection
+   * @private
+   */
+  async _query(text, params = []) {
+    await this._ready();
+    return this.pool.query(text, params);
+  }
+
+  /**
+   * Run work in a transaction on one connection
+   * @param {Function} work - async (client) => result
+   * @private
+   */
+  async _transaction(work) {
+    await this._ready();
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Insert a day or update its counts, recording the revision, in one transaction
+   * Another instance saving the same day waits for the row lock and sees the new counts.
+   * @see SqliteHistoryStorage#saveDay
+   */
+  async saveDay(hashtag, date, { year, weekNumber, uses, accounts }, { overwrite = true } = {}) {
+    return this._transaction(async client => {
+      const inserted = await client.query(`
+        INSERT INTO hashtag_history
+        (hashtag, date, year, week_number, uses, accounts, first_uses, first_accounts, collected_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $5, $6, now())
+        ON CONFLICT (hashtag, date) DO NOTHING
+      `, [hashtag, date, year, weekNumber, uses, accounts]);
+
+      let existing = null;
+      if (inserted.rowCount === 0) {
+        ({ rows: [existing] } = await client.query(`
+          SELECT uses, accounts FROM hashtag_history WHERE hashtag = $1 AND date = $2 FOR UPDATE
+        `, [hashtag, date]));
+
+        if (!overwrite || (existing.uses === uses && existing.accounts === accounts)) {
+          return 'unchanged';
+        }
+        await client.query(`
+          UPDATE hashtag_history
+          SET uses = $1, accounts = $2, updated_at = now()
+          WHERE hashtag = $3 AND date = $4
+        `, [uses, accounts, hashtag, date]);
+      }
+
+      await client.query(`
+        INSERT INTO hashtag_history_revisions (hashtag, date, uses, accounts, previous_uses, previous_accounts)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [hashtag, date, uses, accounts, existing?.uses ?? null, existing?.accounts ?? null]);
+
+      return existing ? 'updated' : 'inserted';
+    });
+  }
+
+  /**
+   * @see SqliteHistoryStorage#getRevisions
+   */
+  async getRevisions(hashtag, startDate, endDate) {
+    const { rows } = await this._query(`
+      SELECT date, uses, accounts, previous_uses, previous_accounts, recorded_at
+      FROM hashtag_history_revisions
+      WHERE hashtag = $1 AND date >= $2 AND date <= $3
+      ORDER BY date ASC, id ASC
+    `, [hashtag, startDate, endDate]);
+    return rows;
+  }
+
+  /**
+   * @see SqliteHistoryStorage#getDays
+   */
+  async getDays({ hashtag = null, startDate = null, endDate = null } = {}) {
+    const { where, params } = whereClause([['hashtag = ?', hashtag], ['date >= ?', startDate], ['date <= ?', endDate]]);
+    const { rows } = await this._query(`
+      SELECT hashtag, date, uses, accounts, first_uses, first_accounts, updated_at, year, week_number
+      FROM hashtag_history
+      ${where}
+      ORDER BY hashtag, date ASC
+    `, params);
+    return rows;
+  }
+
+  /**
+   * @see SqliteHistoryStorage#getWeeks
+   */
+  async getWeeks({ year, hashtag = null, weekNumber = null }) {
+    const { where, params } = whereClause([['year = ?', year], ['hashtag = ?', hashtag], ['week_number = ?', weekNumber]]);
+    const { rows } = await this._query(`
+      SELECT
+        hashtag,
+        week_number,
+        MIN(date) as week_start,
+        MAX(date) as week_end,
+        SUM(uses) as total_uses,
+        SUM(accounts) as total_accounts,
+        AVG(uses) as daily_average,
+        COUNT(*) as days_counted
+      FROM hashtag_history
+      ${where}
+      GROUP BY hashtag, week_number
+      ORDER BY hashtag, week_number ASC
+    `, params);
+    return rows;
+  }
+
+  /**
+   * @see SqliteHistoryStorage#getDateRange
+   */
+  async getDateRange(hashtag = null) {
+    const { where, params } = whereClause([['hashtag = ?', hashtag]]);
+    const { rows: [range] } = await this._query(`
+      SELECT MIN(date) as min_date, MAX(date) as max_date
+      FROM hashtag_history
+      ${where}
+    `, params);
+    return range;
+  }
+
+  /**
+   * @see SqliteHistoryStorage#getRollups
+   */
+  async getRollups(table, startDate, endDate, hashtag = null) {
+    const { where, params } = whereClause([['end_date >= ?', startDate], ['start_date <= ?', endDate], ['hashtag = ?', hashtag]]);
+    const { rows } = await this._query(`SELECT * FROM ${table} ${where}`, params);
+    return rows;
+  }
+
+  /**
+   * Fold daily counts before a date into the rollups and delete them, holding the downsampling lock
+   * @see SqliteHistoryStorage#downsample
+   */
+  async downsample(beforeDate, { dryRun = false } = {}) {
+    return this._transaction(async client => {
+      await client.query('SELECT pg_advisory_xact_lock($1)', [DOWNSAMPLE_LOCK]);
+      const { rows: days } = await client.query(`
+        SELECT hashtag, date, uses, accounts FROM hashtag_history WHERE date < $1 ORDER BY hashtag, date
+      `, [beforeDate]);
+      const { rows: [{ count: revisions }] } = await client.query(
+        'SELECT COUNT(*) AS count FROM hashtag_history_revisions WHERE date < $1', [beforeDate]);
+
+      const rollups = rollupTiers(days);
+      const result = { rows: days.length, weeks: rollups[0].periods.length, months: rollups[1].periods.length, revisions };
+      if (dryRun || days.length === 0) {
+        return result;
+      }
+
+      for (const { table, periods } of rollups) {
+        for (const period of periods) {
+          await client.query(`
+            INSERT INTO ${table} AS rollup (hashtag, period, start_date, end_date, days_counted, total_uses, total_accounts,
+              peak_date, peak_uses, peak_accounts)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            ON CONFLICT (hashtag, period) DO UPDATE SET
+              days_counted = rollup.days_counted + excluded.days_counted,
+              total_uses = rollup.total_uses + excluded.total_uses,
+              total_accounts = rollup.total_accounts + excluded.total_accounts,
+              peak_date = CASE WHEN excluded.peak_uses > rollup.peak_uses THEN excluded.peak_date ELSE rollup.peak_date END,
+              peak_accounts = CASE WHEN excluded.peak_uses > rollup.peak_uses THEN excluded.peak_accounts ELSE rollup.peak_accounts END,
+              peak_uses = GREATEST(rollup.peak_uses, excluded.peak_uses),
+              updated_at = now()
+          `, [period.hashtag, period.period, period.start, period.end, period.daysCounted, period.totalUses,
+            period.totalAccounts, period.peakDay.date, period.peakDay.uses, period.peakDay.accounts]);
+        }
+      }
+
+      await client.query('DELETE FROM hashtag_history_revisions WHERE date < $1', [beforeDate]);
+      await client.query('DELETE FROM hashtag_history WHERE date < $1', [beforeDate]);
+      return result;
+    });
+  }
+
+  /**
+   * @see SqliteHistoryStorage#pruneWeeklyRollups
+   */
+  async pruneWeeklyRollups(beforeDate, { dryRun = false } = {}) {
+    if (dryRun) {
+      const { rows: [{ rows }] } = await this._query(`SELECT COUNT(*) AS rows FROM ${ROLLUP_TIERS.week} WHERE end_date < $1`,
+        [beforeDate]);
+      return { rows };
+    }
+    const { rowCount } = await this._query(`DELETE FROM ${ROLLUP_TIERS.week} WHERE end_date < $1`, [beforeDate]);
+    return { rows: rowCount };
+  }
+
+  /**
+   * Read the applied migrations without applying any
+   * @see SqliteHistoryStorage#getSchemaStatus
+   */
+  async getSchemaStatus() {
+    const { rows: [{ exists }] } = await this.pool.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+    const { rows } = exists ? await this.pool.query('SELECT version FROM schema_migrations') : { rows: [] };
+    const applied = new Set(rows.map(row => row.version));
+    return {
+      current: Math.max(0, ...applied),
+      pending: POSTGRES_MIGRATIONS.filter(migration => !applied.has(migration.version)).length
+    };
+  }
+
+  /**
+   * @see SqliteHistoryStorage#countRows
+   */
+  async countRows(table) {
+    const { rows: [{ count }] } = await this._query(`SELECT COUNT(*) AS count FROM ${table}`);
+    return count;
+  }
+
+  /**
+   * @see SqliteHistoryStorage#readRows
+   */
+  async readRows(table, { limit, offset = 0 }) {
+    const { columns, order } = HISTORY_TABLES[table];
+    const { rows } = await this._query(`SELECT ${columns.join(', ')} FROM ${table} ORDER BY ${order} LIMIT $1 OFFSET $2`,
+      [limit, offset]);
+    return rows;
+  }
+
+  /**
+   * @see SqliteHistoryStorage#importRows
+   */
+  async importRows(entries, { replace = false } = {}) {
+    const statements = Object.fromEntries(Object.entries(HISTORY_TABLES).map(([table, definition]) => [table, `
+      INSERT INTO ${table} (${definition.columns.join(', ')})
+      VALUES (${definition.columns.map((column, index) => `$${index + 1}`).join(', ')})
+      ${conflictClause(definition, replace)}
+    `]));
+    const tables = Object.fromEntries(Object.keys(HISTORY_TABLES).map(table => [table, { imported: 0, skipped: 0 }]));
+
+    return this._transaction(async client => {
+      const writtenDays = new Set();
+      for (const { table, values } of entries) {
+        const day = `${values.hashtag}|${values.date}`;
+        if (table === 'hashtag_history_revisions' && !writtenDays.has(day)) {
+          tables[table].skipped++;
+          continue;
+        }
+        // Zoneless SQLite timestamps would otherwise be read in the session's time zone
+        const { columns, timestamps } = HISTORY_TABLES[table];
+        const { rowCount } = await client.query(statements[table],
+          columns.map(column => timestamps.includes(column) ? toUtcTimestamp(values[column]) : values[column]));
+        if (rowCount === 0) {
+          tables[table].skipped++;
+          continue;
+        }
+        tables[table].imported++;
+        if (table === 'hashtag_history') {
+          writtenDays.add(day);
+          await client.query('DELETE FROM hashtag_history_revisions WHERE hashtag = $1 AND date = $2', [values.hashtag, values.date]);
+        }
+      }
+      return tables;
+    });
+  }
+
+  /**
+   * @see SqliteHistoryStorage#healthCheck
+   */
+  async healthCheck() {
+    await this.pool.query('SELECT 1');
+    return { driver: this.driver, status: 'healthy', connections: this.pool.totalCount };
+  }
+
+  /**
+   * Take the scheduler lock, held by at most one process among the instances sharing the database
+   * It is a session advisory lock: PostgreSQL also releases it when the process or its connection
+   * goes away, so another instance can take over.
+   * @param {Function} onLost - Called with the error when the connection holding the lock is lost
+   * @returns {Promise<boolean>} True if this process holds the lock
+   */
+  async acquireSchedulerLock(onLost = () => {}) {
+    if (this.schedulerClient) {
+      return true;
+    }
+
+    const client = await this.pool.connect();
+    let acquired = false;
+    try {
+      ({ rows: [{ acquired }] } = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [SCHEDULER_LOCK]));
+    } finally {
+      if (!acquired) {
+        client.release();
+      }
+    }
+    if (!acquired) {
+      return false;
+    }
+
+    this.schedulerClient = client;
+    client.on('error', error => {
+      if (this.schedulerClient === client) {
+        this.schedulerClient = null;
+        client.release(error);
+        logger.error('Lost the connection holding the scheduler lock', error);
+        onLost(error);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Release the scheduler lock if this process holds it
+   * @returns {Promise<void>}
+   */
+  async releaseSchedulerLock() {
+    const client = this.schedulerClient;
+    if (!client) {
+      return;
+    }
+    this.schedulerClient = null;
+    try {
+      await client.query('SELECT pg_advisory_unlock($1)', [SCHEDULER_LOCK]);
+      client.release();
+    } catch (error) {
+      // Dropping the connection releases the lock too
+      client.release(error);
+    }
+  }
+
+  /**
+   * Close every pooled connection (releasing the scheduler lock)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.releaseSchedulerLock();
+    await this.pool.end();
+  }
+}
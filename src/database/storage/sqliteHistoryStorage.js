@@ -0,0 +1,317 @@
+import { runMigrations, getMigrationStatus } from '../migrations.js';
+import { ROLLUP_TIERS, rollupTiers } from '../../utils/historyRollup.js';
+import { HISTORY_TABLES, conflictClause } from './historyTables.js';
+
+/**
+ * Build a WHERE clause from the filters that are set
+ * @param {Array<[string, *]>} filters - [condition with one ?, value] pairs; null values are skipped
+ * @returns {{where: string, params: Array}} Clause (empty when no filter is set) and its parameters
+ */
+function whereClause(filters) {
+  const set = filters.filter(([, value]) => value !== null && value !== undefined);
+  return {
+    where: set.length > 0 ? `WHERE ${set.map(([condition]) => condition).join(' AND ')}` : '',
+    params: set.map(([, value]) => value)
+  };
+}
+
+/**
+ * Hashtag history storage on the application's SQLite database (the default driver)
+ * Implements the HistoryStorage interface described in ./index.js. The schema is managed by the
+ * migrations in src/database/migrations/.
+ */
+export class SqliteHistoryStorage {
+  /**
+   * @param {Database} db - SQLite database instance
+   */
+  constructor(db) {
+    this.db = db;
+    this.driver = 'sqlite';
+  }
+
+  /**
+   * Apply the pending migrations of the SQLite schema
+   * @returns {Promise<Array<{version: number, name: string}>>} Migrations applied now
+   */
+  async migrate() {
+    return runMigrations(this.db);
+  }
+
+  /**
+   * Insert a day or update its counts, recording the revision, in one transaction
+   * @param {string} hashtag - Hashtag name
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {{year: number, weekNumber: number, uses: number, accounts: number}} day - ISO week and counts
+   * @param {Object} options - Options
+   * @param {boolean} options.overwrite - Update an existing row
+   * @returns {Promise<string>} 'inserted', 'updated' or 'unchanged'
+   */
+  async saveDay(hashtag, date, { year, weekNumber, uses, accounts }, { overwrite = true } = {}) {
+    return this.db.transaction(() => {
+      const existing = this.db.prepare(`
+        SELECT uses, accounts FROM hashtag_history WHERE hashtag = ? AND date = ?
+      `).get(hashtag, date);
+
+      if (!existing) {
+        this.db.prepare(`
+          INSERT INTO hashtag_history
+          (hashtag, date, year, week_number, uses, accounts, first_uses, first_accounts, collected_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `).run(hashtag, date, year, weekNumber, uses, accounts, uses, accounts);
+      } else if (!overwrite || (existing.uses === uses && existing.accounts === accounts)) {
+        return 'unchanged';
+      } else {
+        this.db.prepare(`
+          UPDATE hashtag_history
+          SET uses = ?, accounts = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE hashtag = ? AND date = ?
+        `).run(uses, accounts, hashtag, date);
+      }
+
+      this.db.prepare(`
+        INSERT INTO hashtag_history_revisions (hashtag, date, uses, accounts, previous_uses, previous_accounts)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(hashtag, date, uses, accounts, existing?.uses ?? null, existing?.accounts ?? null);
+
+      return existing ? 'updated' : 'inserted';
+    })();
+  }
+
+  /**
+   * Get the revisions of a hashtag's days in a range, oldest first
+   * @returns {Promise<Array>} Rows: date, uses, accounts, previous_uses, previous_accounts, recorded_at
+   */
+  async getRevisions(hashtag, startDate, endDate) {
+    return this.db.prepare(`
+      SELECT date, uses, accounts, previous_uses, previous_accounts, recorded_at
+      FROM hashtag_history_revisions
+      WHERE hashtag = ? AND date >= ? AND date <= ?
+      ORDER BY date ASC, id ASC
+    `).all(hashtag, startDate, endDate);
+  }
+
+  /**
+   * Get stored days, oldest first
+   * @param {Object} filters - Filters (each optional)
+   * @param {string} filters.hashtag - Hashtag name (all hashtags when null)
+   * @param {string} filters.startDate - First day (YYYY-MM-DD)
+   * @param {string} filters.endDate - Last day (YYYY-MM-DD)
+   * @returns {Promise<Array>} Rows: hashtag, date, uses, accounts, first_uses, first_accounts, updated_at, year, week_number
+   */
+  async getDays({ hashtag = null, startDate = null, endDate = null } = {}) {
+    const { where, params } = whereClause([['hashtag = ?', hashtag], ['date >= ?', startDate], ['date <= ?', endDate]]);
+    return this.db.prepare(`
+      SELECT hashtag, date, uses, accounts, first_uses, first_accounts, updated_at, year, week_number
+      FROM hashtag_history
+      ${where}
+      ORDER BY hashtag, date ASC
+    `).all(...params);
+  }
+
+  /**
+   * Get the stored days of a year grouped by hashtag and ISO week
+   * @param {Object} filters - Filters
+   * @param {number} filters.year - ISO year
+   * @param {string} filters.hashtag - Hashtag name (all hashtags when null)
+   * @param {number} filters.weekNumber - Week number (every week when null)
+   * @returns {Promise<Array>} Rows: hashtag, week_number, week_start, week_end, total_uses, total_accounts,
+   *   daily_average, days_counted
+   */
+  async getWeeks({ year, hashtag = null, weekNumber = null }) {
+    const { where, params } = whereClause([['year = ?', year], ['hashtag = ?', hashtag], ['week_number = ?', weekNumber]]);
+    return this.db.prepare(`
+      SELECT
+        hashtag,
+        week_number,
+        MIN(date) as week_start,
+        MAX(date) as week_end,
+        SUM(uses) as total_uses,
+        SUM(accounts) as total_accounts,
+        AVG(uses) as daily_average,
+        COUNT(*) as days_counted
+      FROM hashtag_history
+      ${where}
+      GROUP BY hashtag, week_number
+      ORDER BY hashtag, week_number ASC
+    `).all(...params);
+  }
+
+  /**
+   * Get the first and last stored day
+   * @param {string|null} hashtag - Hashtag name (all hashtags when null)
+   * @returns {Promise<{min_date: string|null, max_date: string|null}>} Date range
+   */
+  async getDateRange(hashtag = null) {
+    const { where, params } = whereClause([['hashtag = ?', hashtag]]);
+    return this.db.prepare(`
+      SELECT MIN(date) as min_date, MAX(date) as max_date
+      FROM hashtag_history
+      ${where}
+    `).get(...params);
+  }
+
+  /**
+   * Get the downsampled rollups of a tier overlapping a period
+   * @param {string} table - Rollup table (one of ROLLUP_TIERS)
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {string|null} hashtag - Hashtag name (all hashtags when null)
+   * @returns {Promise<Array>} Rollup rows
+   */
+  async getRollups(table, startDate, endDate, hashtag = null) {
+    const { where, params } = whereClause([['end_date >= ?', startDate], ['start_date <= ?', endDate], ['hashtag = ?', hashtag]]);
+    return this.db.prepare(`SELECT * FROM ${table} ${where}`).all(...params);
+  }
+
+  /**
+   * Fold daily counts before a date into the weekly and monthly rollups and delete them
+   * Rollups are added to, so days of a period deleted by different runs end up in the same row.
+   * The revisions of the deleted days are removed with them.
+   * @param {string} beforeDate - First day kept (YYYY-MM-DD)
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Only count what would be downsampled and deleted
+   * @returns {Promise<{rows: number, weeks: number, months: number, revisions: number}>} Days deleted,
+   *   weekly and monthly rollup rows written, and revisions deleted
+   */
+  async downsample(beforeDate, { dryRun = false } = {}) {
+    return this.db.transaction(() => {
+      const days = this.db.prepare(`
+        SELECT hashtag, date, uses, accounts FROM hashtag_history WHERE date < ? ORDER BY hashtag, date
+      `).all(beforeDate);
+      const { count: revisions } = this.db.prepare('SELECT COUNT(*) AS count FROM hashtag_history_revisions WHERE date < ?')
+        .get(beforeDate);
+
+      const rollups = rollupTiers(days);
+      const result = { rows: days.length, weeks: rollups[0].periods.length, months: rollups[1].periods.length, revisions };
+      if (dryRun || days.length === 0) {
+        return result;
+      }
+
+      rollups.forEach(({ table, periods }) => {
+        const upsert = this.db.prepare(`
+          INSERT INTO ${table} (hashtag, period, start_date, end_date, days_counted, total_uses, total_accounts,
+            peak_date, peak_uses, peak_accounts)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(hashtag, period) DO UPDATE SET
+            days_counted = days_counted + excluded.days_counted,
+            total_uses = total_uses + excluded.total_uses,
+            total_accounts = total_accounts + excluded.total_accounts,
+            peak_date = CASE WHEN excluded.peak_uses > peak_uses THEN excluded.peak_date ELSE peak_date END,
+            peak_accounts = CASE WHEN excluded.peak_uses > peak_uses THEN excluded.peak_accounts ELSE peak_accounts END,
+            peak_uses = MAX(peak_uses, excluded.peak_uses),
+            updated_at = CURRENT_TIMESTAMP
+        `);
+        periods.forEach(period => upsert.run(
+          period.hashtag, period.period, period.start, period.end, period.daysCounted, period.totalUses,
+          period.totalAccounts, period.peakDay.date, period.peakDay.uses, period.peakDay.accounts
+        ));
+      });
+
+      this.db.prepare('DELETE FROM hashtag_history_revisions WHERE date < ?').run(beforeDate);
+      this.db.prepare('DELETE FROM hashtag_history WHERE date < ?').run(beforeDate);
+      return result;
+    })();
+  }
+
+  /**
+   * Remove (or count) weekly rollups of weeks that ended before a date
+   * @param {string} beforeDate - First day kept (YYYY-MM-DD)
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Only count the rows
+   * @returns {Promise<{rows: number}>} Rows removed
+   */
+  async pruneWeeklyRollups(beforeDate, { dryRun = false } = {}) {
+    if (dryRun) {
+      return this.db.prepare(`SELECT COUNT(*) AS rows FROM ${ROLLUP_TIERS.week} WHERE end_date < ?`).get(beforeDate);
+    }
+    return { rows: this.db.prepare(`DELETE FROM ${ROLLUP_TIERS.week} WHERE end_date < ?`).run(beforeDate).changes };
+  }
+
+  /**
+   * Get the schema version
+   * @returns {Promise<{current: number, pending: number}>} Version applied and migrations pending
+   */
+  async getSchemaStatus() {
+    const { current, pending } = getMigrationStatus(this.db);
+    return { current, pending };
+  }
+
+  /**
+   * Count the rows of a history table
+   * @param {string} table - One of HISTORY_TABLES
+   * @returns {Promise<number>} Rows
+   */
+  async countRows(table) {
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+  }
+
+  /**
+   * Read a page of a history table, in the table's order
+   * @param {string} table - One of HISTORY_TABLES
+   * @param {Object} options - Options
+   * @param {number} options.limit - Maximum rows
+   * @param {number} options.offset - Rows to skip
+   * @returns {Promise<Array>} Rows with the table's portable columns
+   */
+  async readRows(table, { limit, offset = 0 }) {
+    const { columns, order } = HISTORY_TABLES[table];
+    return this.db.prepare(`SELECT ${columns.join(', ')} FROM ${table} ORDER BY ${order} LIMIT ? OFFSET ?`)
+      .all(limit, offset);
+  }
+
+  /**
+   * Write rows of the history tables in one transaction
+   * Days and rollups whose key exists are kept unless replace is set. Writing a day replaces
+   * its revisions: revisions are written only for the days written before them, so days must
+   * come first.
+   * @param {Array<{table: string, values: Object}>} entries - Rows with every portable column of their table
+   * @param {Object} options - Options
+   * @param {boolean} options.replace - Overwrite the days and rollups that exist
+   * @returns {Promise<Object>} { <table>: { imported, skipped } }
+   */
+  async importRows(entries, { replace = false } = {}) {
+    const statements = Object.fromEntries(Object.entries(HISTORY_TABLES).map(([table, definition]) => [table, this.db.prepare(`
+      INSERT INTO ${table} (${definition.columns.join(', ')})
+      VALUES (${definition.columns.map(column => `@${column}`).join(', ')})
+      ${conflictClause(definition, replace)}
+    `)]));
+    const deleteRevisions = this.db.prepare('DELETE FROM hashtag_history_revisions WHERE hashtag = ? AND date = ?');
+    const tables = Object.fromEntries(Object.keys(HISTORY_TABLES).map(table => [table, { imported: 0, skipped: 0 }]));
+
+    return this.db.transaction(() => {
+      const writtenDays = new Set();
+      entries.forEach(({ table, values }) => {
+        const day = `${values.hashtag}|${values.date}`;
+        if (table === 'hashtag_history_revisions' && !writtenDays.has(day)) {
+          tables[table].skipped++;
+          return;
+        }
+        if (statements[table].run(values).changes === 0) {
+          tables[table].skipped++;
+          return;
+        }
+        tables[table].imported++;
+        if (table === 'hashtag_history') {
+          writtenDays.add(day);
+          deleteRevisions.run(values.hashtag, values.date);
+        }
+      });
+      return tables;
+    })();
+  }
+
+  /**
+   * Check that the storage answers queries
+   * @returns {Promise<{driver: string, status: string}>} Health
+   */
+  async healthCheck() {
+    this.db.prepare('SELECT 1').get();
+    return { driver: this.driver, status: 'healthy' };
+  }
+
+  /**
+   * Release the storage (the SQLite connection is shared and closed by getDatabase's owner)
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
@@ -41,6 +41,22 @@ export class ConfigurationError extends HashbotError {
   }
 }
 
+// Schema migration errors (version is the migration that failed or was refused)
+export class MigrationError extends HashbotError {
+  constructor(message, version = null, details = {}) {
+    super(message, 'MIGRATION_ERROR', 500, { version, ...details });
+    this.name = 'MigrationError';
+  }
+}
+
+// Backup, restore and bundle import errors (path is the file that was refused or failed)
+export class BackupError extends HashbotError {
+  constructor(message, path = null, details = {}) {
+    super(message, 'BACKUP_ERROR', 500, { path, ...details });
+    this.name = 'BackupError';
+  }
+}
+
 // API-related errors
 export class APIError extends HashbotError {
   constructor(message, originalError = null, details = {}) {
@@ -52,6 +68,14 @@ export class APIError extends HashbotError {
   }
 }
 
+// Raised without calling an upstream service while its circuit breaker is open
+export class CircuitOpenError extends HashbotError {
+  constructor(message, service = null, retryAt = null) {
+    super(message, 'CIRCUIT_OPEN', 503, { service, retryAt });
+    this.name = 'CircuitOpenError';
+  }
+}
+
 // Validation errors
 export class ValidationError extends HashbotError {
   constructor(message, field = null, value = null) {
@@ -84,6 +108,14 @@ export class AuthenticationError extends HashbotError {
   }
 }
 
+// Permission errors (authenticated but not allowed)
+export class PermissionDeniedError extends HashbotError {
+  constructor(message = 'Permission denied', details = {}) {
+    super(message, 'PERMISSION_DENIED', 403, details);
+    this.name = 'PermissionDeniedError';
+  }
+}
+
 // Business logic errors
 export class BusinessError extends HashbotError {
   constructor(message, operation = null, details = {}) {
@@ -92,6 +124,14 @@ export class BusinessError extends HashbotError {
   }
 }
 
+// Conflict errors (the resource is busy or in a conflicting state)
+export class ConflictError extends HashbotError {
+  constructor(message, details = {}) {
+    super(message, 'CONFLICT', 409, details);
+    this.name = 'ConflictError';
+  }
+}
+
 // Not found errors
 export class NotFoundError extends HashbotError {
   constructor(message = 'Resource not found', resource = null) {
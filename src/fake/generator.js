@@ -0,0 +1,182 @@
+/**
+ * Synthetic Mastodon data for the fake Mastodon server
+ * Everything is derived from a seed, so the same seed always yields the same data.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const USERNAMES = [
+  'ana', 'bruno', 'carla', 'diego', 'elisa', 'fabio', 'gabi', 'heitor', 'iara', 'joao',
+  'karina', 'lucas', 'marina', 'nuno', 'olivia', 'pedro', 'quiteria', 'rafa', 'sofia', 'tiago'
+];
+
+const PHRASES = [
+  'Olha só o que eu fiz hoje',
+  'Compartilhando mais um para a hashtag',
+  'Primeira vez participando!',
+  'Demorou, mas saiu',
+  'Bom dia, fediverso',
+  'Mais um da série',
+  'Não resisti e postei de novo',
+  'Feito com carinho'
+];
+
+/**
+ * Deterministic pseudo-random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Derive a numeric seed from a string (e.g. to give every hashtag its own data)
+ */
+export function seedFromString(value, seed = 0) {
+  let hash = seed >>> 0;
+  for (const char of value) {
+    hash = Math.imul(hash ^ char.codePointAt(0), 2654435761) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Build a Mastodon-style status id for a creation time (milliseconds shifted left by 16 bits)
+ * @param {number} timestamp - Creation time in epoch ms
+ * @param {number} sequence - Sequence number for statuses created in the same millisecond
+ * @returns {string} Status id
+ */
+export function statusIdFor(timestamp, sequence = 0) {
+  return ((BigInt(Math.floor(timestamp)) << 16n) + BigInt(sequence % 65536)).toString();
+}
+
+/**
+ * Generate one status
+ * @param {string} hashtag - Hashtag the status uses
+ * @param {number} createdAt - Creation time in epoch ms
+ * @param {Function} random - Random number generator (see createRandom)
+ * @param {Object} options - Options ({ origin } of the fake instance, { sequence } for the id)
+ * @returns {Object} Status in the Mastodon REST API shape
+ */
+export function generateStatus(hashtag, createdAt, random, { origin = 'http://127.0.0.1', sequence = 0 } = {}) {
+  const username = USERNAMES[Math.floor(random() * USERNAMES.length)];
+  const phrase = PHRASES[Math.floor(random() * PHRASES.length)];
+  const id = statusIdFor(createdAt, sequence);
+  const popularity = random();
+
+  return {
+    id,
+    uri: `${origin}/users/${username}/statuses/${id}`,
+    url: `${origin}/@${username}/${id}`,
+    created_at: new Date(createdAt).toISOString(),
+    edited_at: null,
+    content: `<p>${phrase} <a href="${origin}/tags/${hashtag}" class="mention hashtag" rel="tag">#<span>${hashtag}</span></a></p>`,
+    visibility: 'public',
+    sensitive: false,
+    spoiler_text: '',
+    language: 'pt',
+    replies_count: Math.floor(popularity * popularity * 10),
+    reblogs_count: Math.floor(popularity * popularity * 30),
+    favourites_count: Math.floor(popularity * 60),
+    media_attachments: [],
+    mentions: [],
+    tags: [{ name: hashtag, url: `${origin}/tags/${hashtag}` }],
+    account: {
+      id: String(USERNAMES.indexOf(username) + 1),
+      username,
+      acct: username,
+      display_name: username.charAt(0).toUpperCase() + username.slice(1),
+      url: `${origin}/@${username}`,
+      avatar: `${origin}/avatars/${username}.png`,
+      bot: false,
+      followers_count: Math.floor(random() * 2000),
+      following_count: Math.floor(random() * 500),
+      statuses_count: 100 + Math.floor(random() * 5000),
+      created_at: '2022-11-01T00:00:00.000Z'
+    }
+  };
+}
+
+/**
+ * Generate a hashtag timeline covering the last days
+ * Activity peaks in the afternoon; today only has statuses up to `now`.
+ * @param {string} hashtag - Hashtag
+ * @param {Object} options - Options
+ * @param {number} options.days - Number of days, today included
+ * @param {number} options.perDay - Average statuses per day
+ * @param {number} options.now - Current time in epoch ms
+ * @param {number} options.seed - Seed
+ * @param {string} options.origin - Origin of the fake instance (for uris and urls)
+ * @returns {Array} Statuses, newest first
+ */
+export function generateTimeline(hashtag, { days = 7, perDay = 30, now = Date.now(), seed = 1, origin } = {}) {
+  const random = createRandom(seedFromString(hashtag, seed));
+  const statuses = [];
+  const todayStart = Math.floor(now / DAY_MS) * DAY_MS;
+
+  for (let day = 0; day < days; day++) {
+    const dayStart = todayStart - day * DAY_MS;
+    const count = Math.max(1, Math.round(perDay * (0.5 + random())));
+
+    for (let index = 0; index < count; index++) {
+      // Two uniform draws average to a bell-ish curve around mid-afternoon (UTC)
+      const hour = 6 + (random() + random()) * 9;
+      const createdAt = dayStart + hour * 60 * 60 * 1000 + Math.floor(random() * 60 * 1000);
+      if (createdAt <= now) {
+        statuses.push(generateStatus(hashtag, createdAt, random, { origin, sequence: index }));
+      }
+    }
+  }
+
+  return statuses.sort((a, b) => (BigInt(b.id) > BigInt(a.id) ? 1 : -1));
+}
+
+/**
+ * Build the tag history (tags/:name) from statuses, like Mastodon does
+ * @param {Array} statuses - Statuses using the tag
+ * @param {number} now - Current time in epoch ms
+ * @param {number} days - Number of days
+ * @returns {Array<{day: string, uses: string, accounts: string}>} History, newest first (UTC days)
+ */
+export function buildTagHistory(statuses, now = Date.now(), days = 7) {
+  const todayStart = Math.floor(now / DAY_MS) * DAY_MS;
+
+  return Array.from({ length: days }, (_, index) => {
+    const dayStart = todayStart - index * DAY_MS;
+    const dayStatuses = statuses.filter(status => {
+      const createdAt = Date.parse(status.created_at);
+      return createdAt >= dayStart && createdAt < dayStart + DAY_MS;
+    });
+
+    return {
+      day: String(dayStart / 1000),
+      uses: String(dayStatuses.length),
+      accounts: String(new Set(dayStatuses.map(status => status.account.id)).size)
+    };
+  });
+}
+
+/**
+ * Shift the timestamps of recorded statuses so the recording appears to have just happened
+ * @param {Array} statuses - Statuses
+ * @param {number} offsetMs - Offset to add
+ * @returns {Array} Shifted copies (ids are regenerated to keep them ordered by time)
+ */
+export function shiftStatuses(statuses, offsetMs) {
+  return statuses.map((status, index) => {
+    const createdAt = Date.parse(status.created_at) + offsetMs;
+    return {
+      ...status,
+      id: statusIdFor(createdAt, index),
+      created_at: new Date(createdAt).toISOString()
+    };
+  });
+}
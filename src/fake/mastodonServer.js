@@ -0,0 +1,391 @@
+import http from 'http';
+import {
+  createRandom,
+  seedFromString,
+  generateStatus,
+  generateTimeline,
+  buildTagHistory,
+  shiftStatuses
+} from './generator.js';
+
+const MAX_PAGE_SIZE = 40;
+const HEARTBEAT_MS = 15000;
+const RATE_LIMIT_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * Compare status ids numerically (they exceed Number precision)
+ */
+function compareIds(a, b) {
+  const left = BigInt(a);
+  const right = BigInt(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Fake Mastodon server for offline development and integration tests
+ * Serves the parts of the REST and streaming APIs the application uses:
+ * timelines/tag/:hashtag (with Link pagination), tags/:name, trends/tags,
+ * statuses, instance and streaming/hashtag (server-sent events).
+ *
+ * Data comes from a recorded fixture (see src/fake/recorder.js) or, for any other
+ * hashtag, from the seeded synthetic generator. Tag history is always computed from
+ * the statuses, so the numbers are consistent with the timelines.
+ */
+export class FakeMastodonServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Object|null} options.fixtures - Recorded fixtures ({ recordedAt, statuses: { tag: [...] }, trends })
+   * @param {boolean} options.shiftToNow - Move recorded timestamps so the recording ends now
+   * @param {string[]} options.tags - Hashtags listed in trends/tags
+   * @param {number} options.seed - Seed for synthetic data
+   * @param {number} options.perDay - Average synthetic statuses per day and hashtag
+   * @param {number} options.days - Days of synthetic history
+   * @param {number} options.streamIntervalMs - Interval between synthetic streamed statuses (0 disables)
+   * @param {number} options.rateLimit - Requests per 5-minute window advertised in X-RateLimit headers
+   *   (generous by default, so clients pacing themselves to the budget stay fast)
+   */
+  constructor({ fixtures = null, shiftToNow = true, tags = [], seed = 1, perDay = 30, days = 7, streamIntervalMs = 0, rateLimit = 30000 } = {}) {
+    this.fixtures = fixtures;
+    this.shiftToNow = shiftToNow;
+    this.tags = tags.map(tag => tag.toLowerCase());
+    this.seed = seed;
+    this.perDay = perDay;
+    this.days = days;
+    this.streamIntervalMs = streamIntervalMs;
+    this.rateLimitMax = rateLimit;
+
+    this.server = null;
+    this.origin = null;
+    this.timelines = new Map();
+    this.listeners = new Map();
+    this.random = createRandom(seed);
+    this.sequence = 0;
+    this.rateLimit = { remaining: rateLimit, resetAt: Date.now() + RATE_LIMIT_WINDOW_MS };
+    this.requests = [];
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free one)
+   * @param {string} host - Host
+   * @returns {Promise<string>} API base URL (e.g. http://127.0.0.1:4010/api/v1/)
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this._handle(req, res));
+      this.server.on('error', reject);
+      this.server.listen(port, host, () => {
+        this.origin = `http://${host}:${this.server.address().port}`;
+        this._loadFixtures();
+        resolve(this.apiUrl);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and close streaming connections
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    this.listeners.forEach(listeners => listeners.forEach(listener => listener.close()));
+    this.listeners.clear();
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  get apiUrl() {
+    return `${this.origin}/api/v1/`;
+  }
+
+  _loadFixtures() {
+    if (!this.fixtures?.statuses) {
+      return;
+    }
+    const offset = this.shiftToNow && this.fixtures.recordedAt
+      ? Date.now() - Date.parse(this.fixtures.recordedAt)
+      : 0;
+
+    Object.entries(this.fixtures.statuses).forEach(([tag, statuses]) => {
+      const replayed = offset ? shiftStatuses(statuses, offset) : statuses;
+      this.timelines.set(tag.toLowerCase(), replayed.sort((a, b) => compareIds(b.id, a.id)));
+    });
+  }
+
+  /**
+   * Get the timeline of a hashtag, generating synthetic statuses on first use
+   * @param {string} hashtag - Hashtag
+   * @returns {Array} Statuses, newest first
+   */
+  getTimeline(hashtag) {
+    const tag = hashtag.toLowerCase();
+    if (!this.timelines.has(tag)) {
+      this.timelines.set(tag, generateTimeline(tag, {
+        days: this.days,
+        perDay: this.perDay,
+        seed: this.seed,
+        origin: this.origin
+      }));
+    }
+    return this.timelines.get(tag);
+  }
+
+  /**
+   * Add a status to the timelines of its hashtags and push it to streaming listeners
+   * @param {Object} status - Status (its tags decide the timelines)
+   */
+  publish(status) {
+    status.tags.forEach(({ name }) => {
+      const tag = name.toLowerCase();
+      this.getTimeline(tag).unshift(status);
+      this._broadcast(tag, 'update', JSON.stringify(status));
+    });
+  }
+
+  /**
+   * Edit a status and push a status.update event
+   * @param {string} id - Status id
+   * @param {string} content - New content
+   * @returns {Object|null} Edited status
+   */
+  editStatus(id, content) {
+    const status = this._findStatus(id);
+    if (!status) {
+      return null;
+    }
+    status.content = content;
+    status.edited_at = new Date().toISOString();
+    status.tags.forEach(({ name }) => this._broadcast(name.toLowerCase(), 'status.update', JSON.stringify(status)));
+    return status;
+  }
+
+  /**
+   * Delete a status and push a delete event
+   * @param {string} id - Status id
+   * @returns {boolean} True if the status existed
+   */
+  deleteStatus(id) {
+    let found = false;
+    this.timelines.forEach((statuses, tag) => {
+      const index = statuses.findIndex(status => status.id === id);
+      if (index !== -1) {
+        statuses.splice(index, 1);
+        found = true;
+        this._broadcast(tag, 'delete', id);
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Create a new synthetic status for a hashtag and publish it
+   * @param {string} hashtag - Hashtag
+   * @returns {Object} Status
+   */
+  publishSynthetic(hashtag) {
+    const status = generateStatus(hashtag.toLowerCase(), Date.now(), this.random, {
+      origin: this.origin,
+      sequence: this.sequence++
+    });
+    this.publish(status);
+    return status;
+  }
+
+  _findStatus(id) {
+    for (const statuses of this.timelines.values()) {
+      const status = statuses.find(candidate => candidate.id === id);
+      if (status) {
+        return status;
+      }
+    }
+    return null;
+  }
+
+  _broadcast(tag, event, data) {
+    (this.listeners.get(tag) || new Set()).forEach(listener => listener.send(event, data));
+  }
+
+  _send(res, status, body, headers = {}) {
+    if (Date.now() >= this.rateLimit.resetAt) {
+      this.rateLimit = { remaining: this.rateLimitMax, resetAt: Date.now() + RATE_LIMIT_WINDOW_MS };
+    }
+    this.rateLimit.remaining = Math.max(this.rateLimit.remaining - 1, 0);
+
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'X-RateLimit-Limit': String(this.rateLimitMax),
+      'X-RateLimit-Remaining': String(this.rateLimit.remaining),
+      'X-RateLimit-Reset': new Date(this.rateLimit.resetAt).toISOString(),
+      ...headers
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, this.origin);
+    const path = url.pathname.replace(/^\/api\/v1\//, '').replace(/\/$/, '');
+    this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    try {
+      let match;
+      if (req.method === 'GET' && (match = path.match(/^timelines\/tag\/([^/]+)$/))) {
+        return this._timelineRoute(res, decodeURIComponent(match[1]), url);
+      }
+      if (req.method === 'GET' && (match = path.match(/^tags\/([^/]+)$/))) {
+        const tag = decodeURIComponent(match[1]).toLowerCase();
+        return this._send(res, 200, this._tagEntity(tag));
+      }
+      if (req.method === 'GET' && path === 'trends/tags') {
+        return this._trendsRoute(res, url);
+      }
+      if (req.method === 'GET' && (match = path.match(/^statuses\/(\d+)$/))) {
+        const status = this._findStatus(match[1]);
+        return status ? this._send(res, 200, status) : this._send(res, 404, { error: 'Record not found' });
+      }
+      if (req.method === 'POST' && path === 'statuses') {
+        return this._createStatusRoute(req, res);
+      }
+      if (req.method === 'GET' && path === 'instance') {
+        return this._send(res, 200, {
+          uri: new URL(this.origin).host,
+          title: 'Fake Mastodon',
+          version: '4.3.0 (fake)',
+          urls: { streaming_api: this.origin.replace(/^http/, 'ws') }
+        });
+      }
+      if (req.method === 'GET' && path === 'streaming/health') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        return res.end('OK');
+      }
+      if (req.method === 'GET' && (path === 'streaming/hashtag' || path === 'streaming/hashtag/local')) {
+        return this._streamRoute(req, res, url);
+      }
+
+      this._send(res, 404, { error: 'Record not found' });
+    } catch (error) {
+      this._send(res, 500, { error: error.message });
+    }
+  }
+
+  _timelineRoute(res, hashtag, url) {
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 20, MAX_PAGE_SIZE);
+    const maxId = url.searchParams.get('max_id');
+    const sinceId = url.searchParams.get('since_id');
+    const minId = url.searchParams.get('min_id');
+
+    let statuses = this.getTimeline(hashtag);
+    if (maxId) {
+      statuses = statuses.filter(status => compareIds(status.id, maxId) < 0);
+    }
+    if (sinceId) {
+      statuses = statuses.filter(status => compareIds(status.id, sinceId) > 0);
+    }
+
+    let page;
+    if (minId) {
+      // min_id returns the statuses immediately after it, still newest first
+      page = statuses.filter(status => compareIds(status.id, minId) > 0).slice(-limit);
+    } else {
+      page = statuses.slice(0, limit);
+    }
+
+    const headers = {};
+    if (page.length > 0) {
+      const base = `${this.origin}/api/v1/timelines/tag/${encodeURIComponent(hashtag)}`;
+      headers.Link = `<${base}?limit=${limit}&max_id=${page[page.length - 1].id}>; rel="next", ` +
+        `<${base}?limit=${limit}&min_id=${page[0].id}>; rel="prev"`;
+    }
+
+    this._send(res, 200, page, headers);
+  }
+
+  _tagEntity(tag) {
+    return {
+      name: tag,
+      url: `${this.origin}/tags/${tag}`,
+      history: buildTagHistory(this.getTimeline(tag)),
+      following: false
+    };
+  }
+
+  _trendsRoute(res, url) {
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 10, 20);
+    const offset = parseInt(url.searchParams.get('offset')) || 0;
+
+    const trends = this.fixtures?.trends && this.tags.length === 0
+      ? this.fixtures.trends
+      : [...new Set([...this.tags, ...this.timelines.keys()])]
+        .map(tag => this._tagEntity(tag))
+        .sort((a, b) => parseInt(b.history[0].uses) - parseInt(a.history[0].uses));
+
+    this._send(res, 200, trends.slice(offset, offset + limit));
+  }
+
+  async _createStatusRoute(req, res) {
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+    }
+
+    let params;
+    try {
+      params = req.headers['content-type']?.includes('application/json')
+        ? JSON.parse(body || '{}')
+        : Object.fromEntries(new URLSearchParams(body));
+    } catch {
+      return this._send(res, 400, { error: 'Invalid request body' });
+    }
+
+    if (!params.status) {
+      return this._send(res, 422, { error: "Validation failed: Text can't be blank" });
+    }
+
+    const tags = [...new Set([...params.status.matchAll(/#([\p{L}\p{N}_]+)/gu)].map(match => match[1].toLowerCase()))];
+    const random = createRandom(seedFromString(params.status, this.seed));
+    const status = {
+      ...generateStatus(tags[0] || 'fake', Date.now(), random, { origin: this.origin, sequence: this.sequence++ }),
+      content: `<p>${params.status.replace(/</g, '&lt;').replace(/\n/g, '<br>')}</p>`,
+      visibility: params.visibility || 'public',
+      tags: tags.map(name => ({ name, url: `${this.origin}/tags/${name}` }))
+    };
+    status.account = { ...status.account, id: '0', username: 'hashbot', acct: 'hashbot', display_name: 'Hashbot' };
+
+    this.publish(status);
+    this._send(res, 200, status);
+  }
+
+  _streamRoute(req, res, url) {
+    const tag = (url.searchParams.get('tag') || '').toLowerCase();
+    if (!tag) {
+      return this._send(res, 400, { error: 'No tag for stream provided' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      'Transfer-Encoding': 'chunked'
+    });
+    res.write(':)\n\n');
+
+    const listener = {
+      send: (event, data) => res.write(`event: ${event}\ndata: ${data}\n\n`),
+      close: () => res.end()
+    };
+    if (!this.listeners.has(tag)) {
+      this.listeners.set(tag, new Set());
+    }
+    this.listeners.get(tag).add(listener);
+
+    const heartbeat = setInterval(() => res.write(':thump\n\n'), HEARTBEAT_MS);
+    const generator = this.streamIntervalMs > 0
+      ? setInterval(() => this.publishSynthetic(tag), this.streamIntervalMs)
+      : null;
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clearInterval(generator);
+      this.listeners.get(tag)?.delete(listener);
+    });
+  }
+}
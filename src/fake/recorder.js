@@ -0,0 +1,48 @@
+import { MastodonClient } from '../services/mastodonClient.js';
+
+/**
+ * Record hashtag timelines and trending tags from a real instance into a fixture
+ * for the fake Mastodon server (see FakeMastodonServer's `fixtures` option)
+ * @param {Object} options - Recording options
+ * @param {string} options.url - API base URL of the instance (e.g. https://mastodon.social/api/v1/)
+ * @param {string|null} options.accessToken - Bearer token (public timelines work without one)
+ * @param {string[]} options.tags - Hashtags to record
+ * @param {number} options.pages - Timeline pages (40 statuses each) per hashtag
+ * @param {Function} options.onPage - Progress callback (hashtag, page, count)
+ * @returns {Promise<{recordedAt: string, source: string, statuses: Object, trends: Array}>} Fixture
+ */
+export async function recordFixtures({ url, accessToken = null, tags, pages = 5, onPage = () => {} }) {
+  const client = new MastodonClient({ url, accessToken });
+  const fixture = {
+    recordedAt: new Date().toISOString(),
+    source: client.origin,
+    statuses: {},
+    trends: []
+  };
+
+  for (const tag of tags) {
+    const hashtag = tag.replace(/^#/, '').toLowerCase();
+    const statuses = [];
+    let next = `timelines/tag/${encodeURIComponent(hashtag)}`;
+    let params = { limit: 40 };
+
+    for (let page = 1; page <= pages && next; page++) {
+      const response = await client.get(next, params);
+      statuses.push(...response.data);
+      onPage(hashtag, page, response.data.length);
+
+      next = response.data.length > 0 ? response.links.next : null;
+      params = {};
+    }
+
+    fixture.statuses[hashtag] = statuses;
+  }
+
+  try {
+    fixture.trends = (await client.get('trends/tags', { limit: 20 })).data;
+  } catch {
+    // Trends can be disabled on the instance; the fake server then derives them
+  }
+
+  return fixture;
+}
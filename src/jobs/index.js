@@ -0,0 +1,159 @@
+import { jobScheduler } from '../services/jobScheduler.js';
+import { historyCollector } from '../services/historyCollector.js';
+import { hashtagService } from '../services/hashtagService.js';
+import { tootService } from '../services/tootService.js';
+import { tootStore } from '../services/tootStore.js';
+import { collectionRunStore } from '../services/collectionRunStore.js';
+import { trendingHistoryService } from '../services/trendingHistoryService.js';
+import { retentionService } from '../services/retentionService.js';
+import { appConfig as config } from '../config/index.js';
+
+/**
+ * Collect today's hashtag history (revising recent days) and backfill missing days
+ * Recorded as a collection run triggered by 'cron' on schedule and by 'api' when started manually.
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} Collection and backfill counts
+ */
+async function collectHistory(context) {
+  const trigger = context.trigger === 'schedule' ? 'cron' : 'api';
+  const { run, result: { collection, backfill } } = await historyCollector.recordRun({ trigger, operation: 'collect' }, async runId => {
+    context.log(`Recording collection run ${runId}`);
+
+    const collection = await historyCollector.collectAllHashtags(null, { runId });
+    context.log(`Collected ${collection.collected}, revised ${collection.revised}, skipped ${collection.skipped} of ${collection.totalHashtags} hashtags`, {
+      date: collection.date,
+      errors: collection.errors
+    });
+
+    const backfill = await historyCollector.backfillGaps({ runId });
+    context.log(`Backfilled ${backfill.collected} missing days`, {
+      stillMissing: backfill.stillMissing.length,
+      unrecoverable: backfill.unrecoverable.length
+    });
+
+    return { collection, backfill };
+  });
+
+  const result = {
+    collectionRunId: run.id,
+    date: collection.date,
+    collected: collection.collected,
+    revised: collection.revised,
+    skipped: collection.skipped,
+    errors: collection.errors + backfill.errors,
+    backfilled: backfill.collected,
+    stillMissing: backfill.stillMissing.length,
+    unrecoverableDays: backfill.unrecoverable.length
+  };
+
+  if (result.errors > 0) {
+    throw new Error(`${result.errors} hashtags failed to collect`);
+  }
+  return result;
+}
+
+/**
+ * Post the summary of today's hashtags
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} Whether a summary was posted and its URL
+ */
+async function postDailySummary(context) {
+  const hashtags = hashtagService.getDailyHashtags();
+  const analysis = await hashtagService.analyzeHashtags(hashtags);
+
+  if (!analysis.hasTodayToots()) {
+    context.log(`No toots today for ${hashtags.map(tag => `#${tag}`).join(' ')}, nothing posted`);
+    return { posted: false, hashtags };
+  }
+
+  const { toot } = await tootService.generateAndPostSummary(hashtags, analysis);
+  context.log(`Posted summary ${toot.url}`, { tootCount: analysis.getTodayCount() });
+  return { posted: true, hashtags, tootId: toot.id, url: toot.url };
+}
+
+/**
+ * Store a snapshot of the instance's trending tags
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} Snapshot id and number of tags
+ */
+async function snapshotTrending(context) {
+  const snapshot = await trendingHistoryService.takeSnapshot();
+  context.log(`Stored trending snapshot ${snapshot.id} with ${snapshot.tagCount} tags`);
+  return { snapshotId: snapshot.id, tags: snapshot.tagCount };
+}
+
+/**
+ * Remove expired stored toots, old job runs, old collection runs and old trending snapshots
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} Rows removed
+ */
+async function cleanup(context) {
+  const toots = tootStore.pruneExpired();
+  context.log(`Removed ${toots} stored toots older than ${config.storage.tootRetentionDays} days`);
+
+  const runs = jobScheduler.pruneRuns();
+  context.log(`Removed ${runs} job runs older than ${config.scheduler.runRetentionDays} days`);
+
+  const collectionRuns = collectionRunStore.prune();
+  context.log(`Removed ${collectionRuns} collection runs older than ${config.history.runRetentionDays} days`);
+
+  const trendingSnapshots = trendingHistoryService.prune();
+  context.log(`Removed ${trendingSnapshots} trending snapshots older than ${config.trending.snapshotRetentionDays} days`);
+
+  return { toots, runs, collectionRuns, trendingSnapshots };
+}
+
+/**
+ * Apply the retention policies (or only report them when RETENTION_DRY_RUN=true)
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} Retention report
+ */
+async function applyRetention(context) {
+  const report = await retentionService.run({ dryRun: config.retention.dryRun });
+  report.policies.filter(policy => policy.enabled).forEach(policy => {
+    context.log(`${policy.name}: ${report.dryRun ? 'would remove' : 'removed'} ${policy.rows} rows before ${policy.cutoff}`);
+  });
+  return report;
+}
+
+/**
+ * Register the application's recurring jobs
+ * @param {JobScheduler} scheduler - Scheduler (defaults to the shared one)
+ * @returns {JobScheduler} The scheduler
+ */
+export function registerJobs(scheduler = jobScheduler) {
+  const { jobs } = config.scheduler;
+
+  scheduler.register('collect-history', {
+    description: 'Collect the usage history of the scheduled hashtags and backfill missing days',
+    schedule: jobs.collectHistory.schedule,
+    handler: collectHistory
+  });
+
+  scheduler.register('daily-summary', {
+    description: 'Post the summary of today\'s hashtags to Mastodon',
+    schedule: jobs.dailySummary.schedule,
+    enabled: jobs.dailySummary.enabled,
+    handler: postDailySummary
+  });
+
+  scheduler.register('cleanup', {
+    description: 'Remove stored toots past retention, old job runs, collection runs and trending snapshots',
+    schedule: jobs.cleanup.schedule,
+    handler: cleanup
+  });
+
+  scheduler.register('trending-snapshot', {
+    description: 'Store a snapshot of the instance\'s trending tags with their ranks',
+    schedule: jobs.trendingSnapshot.schedule,
+    handler: snapshotTrending
+  });
+
+  scheduler.register('retention', {
+    description: 'Downsample old daily history and remove data past the retention of each table',
+    schedule: jobs.retention.schedule,
+    handler: applyRetention
+  });
+
+  return scheduler;
+}
@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+import { appConfig as config } from '../config/index.js';
+import { AuthenticationError, PermissionDeniedError } from '../errors/index.js';
+import { loggers } from '../utils/logger.js';
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if both strings are equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Require the configured admin token as a Bearer token
+ * Admin endpoints are disabled entirely when ADMIN_TOKEN is not set
+ */
+export const requireAdmin = (req, res, next) => {
+  const adminToken = config.admin.token;
+
+  if (!adminToken) {
+    loggers.security('admin_api_disabled', { method: req.method, url: req.originalUrl, ip: req.ip });
+    return next(new PermissionDeniedError('Admin API is disabled. Set ADMIN_TOKEN to enable it.'));
+  }
+
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token || !safeEqual(token, adminToken)) {
+    loggers.security('admin_auth_failed', { method: req.method, url: req.originalUrl, ip: req.ip });
+    return next(new AuthenticationError('Invalid or missing admin token'));
+  }
+
+  next();
+};
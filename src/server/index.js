@@ -8,17 +8,29 @@ import { errorHandler, notFoundHandler, requestLogger } from '../middleware/erro
 import { apiRateLimit } from '../middleware/rateLimiter.js';
 import { apiRoutes } from './routes/index.js';
 import { mastodonService } from '../services/mastodon.js';
+import { federatedMastodonService } from '../services/federatedMastodon.js';
+import { streamIngester } from '../services/streamIngester.js';
+import { jobScheduler } from '../services/jobScheduler.js';
+import { registerJobs } from '../jobs/index.js';
+import { CircuitOpenError } from '../errors/index.js';
 import { getDatabase } from '../database/index.js';
+import { getHistoryStorage, closeHistoryStorage } from '../database/storage/index.js';
+import { FakeMastodonServer } from '../fake/mastodonServer.js';
+import fs from 'fs';
 
 export class WebServer {
   constructor() {
     this.app = express();
     this.server = null;
+    this.fakeMastodon = null;
     this.isStarted = false;
     
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
+
+    // Jobs can be listed and triggered through the API even when SCHEDULER_ENABLED=false
+    registerJobs();
   }
 
   /**
@@ -104,9 +116,6 @@ export class WebServer {
    * Health check endpoint
    */
   healthCheck = async (req, res) => {
-    // #region agent log
-    fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:92',message:'Healthcheck started',data:{uptime:process.uptime()},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-    // #endregion
     try {
       const health = {
         status: 'healthy',
@@ -125,45 +134,45 @@ export class WebServer {
       };
 
       // Test Mastodon connectivity
-      // #region agent log
-      fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:111',message:'Before Mastodon API test',data:{},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-      // #endregion
       try {
         // Quick API call to test connectivity
         await mastodonService.getTrendingTags(1);
-        // #region agent log
-        fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:114',message:'Mastodon API test succeeded',data:{},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-        // #endregion
         health.services.mastodon = 'healthy';
       } catch (error) {
-        // #region agent log
-        fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:117',message:'Mastodon API test failed',data:{error:error.message,code:error.code},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-        // #endregion
-        health.services.mastodon = 'unhealthy';
+        // An open circuit fails fast without contacting the instance
+        health.services.mastodon = error instanceof CircuitOpenError ? 'unavailable' : 'unhealthy';
         health.status = 'degraded';
       }
 
+      // Circuit breaker state per Mastodon instance
+      health.circuitBreakers = federatedMastodonService.getStats().instances.map(instance => ({
+        instance: instance.name,
+        primary: instance.primary,
+        ...instance.circuitBreaker
+      }));
+
       // Test database connectivity
-      // #region agent log
-      fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:121',message:'Before database health check',data:{},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-      // #endregion
       try {
         const dbHealth = getDatabase().healthCheck();
-        // #region agent log
-        fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:123',message:'Database health check succeeded',data:{status:dbHealth.status},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-        // #endregion
         health.services.database = dbHealth.status;
         if (dbHealth.status !== 'healthy') {
           health.status = 'degraded';
         }
       } catch (error) {
-        // #region agent log
-        fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:128',message:'Database health check failed',data:{error:error.message,code:error.code},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-        // #endregion
         health.services.database = 'unhealthy';
         health.status = 'degraded';
       }
 
+      // The hashtag history may live in a separate (PostgreSQL) database
+      try {
+        const storageHealth = await getHistoryStorage().healthCheck();
+        health.services.historyStorage = `${storageHealth.status} (${storageHealth.driver})`;
+      } catch (error) {
+        logger.error('History storage health check failed', error);
+        health.services.historyStorage = 'unhealthy';
+        health.status = 'degraded';
+      }
+
       // Determine HTTP status code
       const statusCode = health.status === 'healthy' ? 200 : 503;
       
@@ -215,15 +224,13 @@ export class WebServer {
     // This ensures fast failure if production config is invalid
     validateCorsConfig();
 
+    if (config.mastodon.fake.enabled) {
+      await this.startFakeMastodon();
+    }
+
     return new Promise((resolve, reject) => {
-      // #region agent log
-      fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:183',message:'Before server.listen',data:{host:config.server.host,port:config.server.port},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-      // #endregion
       try {
         this.server = this.app.listen(config.server.port, config.server.host, () => {
-          // #region agent log
-          fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:186',message:'Server listen callback executed',data:{host:config.server.host,port:config.server.port},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-          // #endregion
           this.isStarted = true;
           
           logger.info(`Web server started successfully`, {
@@ -240,13 +247,18 @@ export class WebServer {
             environment: config.server.environment
           });
 
+          if (config.streaming.enabled) {
+            streamIngester.start().catch(error => logger.error('Failed to start streaming ingestion', error));
+          }
+
+          if (config.scheduler.enabled) {
+            jobScheduler.start();
+          }
+
           resolve();
         });
 
         this.server.on('error', (error) => {
-          // #region agent log
-          fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:205',message:'Server error event',data:{error:error.message,code:error.code},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-          // #endregion
           logger.error('Server startup failed', error);
           reject(error);
         });
@@ -264,6 +276,21 @@ export class WebServer {
     });
   }
 
+  /**
+   * Start the in-process fake Mastodon server (MASTODON_FAKE=true)
+   */
+  async startFakeMastodon() {
+    const { port, fixtures, seed, streamInterval } = config.mastodon.fake;
+    this.fakeMastodon = new FakeMastodonServer({
+      fixtures: fixtures ? JSON.parse(fs.readFileSync(fixtures, 'utf8')) : null,
+      seed,
+      streamIntervalMs: streamInterval
+    });
+
+    const apiUrl = await this.fakeMastodon.start(port);
+    logger.warn(`Serving Mastodon from the fake server at ${apiUrl}`, { fixtures });
+  }
+
   /**
    * Stop the web server
    */
@@ -329,6 +356,17 @@ export class WebServer {
     // This would be expanded based on actual resources used
     
     try {
+      // Stop background ingestion
+      streamIngester.stop();
+      jobScheduler.stop();
+
+      if (this.fakeMastodon) {
+        await this.fakeMastodon.stop();
+        this.fakeMastodon = null;
+      }
+
+      await closeHistoryStorage();
+
       // Clear any caches
       if (global.gc) {
         global.gc();
@@ -417,55 +455,8 @@ process.on('SIGINT', async () => {
   }
 });
 
-// Helper function to check if an error is a network timeout error
-// Handles both direct ETIMEDOUT errors and AggregateErrors containing ETIMEDOUT
-function isNetworkTimeoutError(error) {
-  // Check direct ETIMEDOUT error
-  if (error?.code === 'ETIMEDOUT') {
-    return true;
-  }
-  
-  // Check if it's an AggregateError and if any of its errors are ETIMEDOUT
-  if (error?.name === 'AggregateError' && Array.isArray(error.errors)) {
-    return error.errors.some(err => err?.code === 'ETIMEDOUT');
-  }
-  
-  // Also check the code property on AggregateError itself (some implementations set it)
-  if (error?.name === 'AggregateError' && error?.code === 'ETIMEDOUT') {
-    return true;
-  }
-  
-  return false;
-}
-
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-  // #region agent log
-  fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:442',message:'Uncaught exception handler',data:{error:error.message,code:error.code,name:error.name,isAggregate:error.name==='AggregateError',errorsCount:error.errors?.length,stack:error.stack?.substring(0,200)},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-  // #endregion
-  
-  // Don't shutdown for network timeout errors - these are often transient
-  // ETIMEDOUT errors from network operations should not crash the server
-  // These errors typically occur from connection retries or keep-alive connections
-  // that fail after the main request has already completed successfully
-  if (isNetworkTimeoutError(error)) {
-    // #region agent log
-    fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:451',message:'Network timeout detected in uncaughtException',data:{code:error.code,name:error.name,isAggregate:error.name==='AggregateError',errorsCount:error.errors?.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-    // #endregion
-    // Log at debug level to reduce noise - these are expected in container environments
-    // This error occurs when Node.js tries multiple connection attempts (e.g., multiple IPs from DNS)
-    // and all timeout. The main request likely completed successfully before this error.
-    logger.debug('Network timeout error from connection retry (non-fatal) - server continues running', {
-      code: error.code,
-      name: error.name,
-      message: error.message || 'Connection timeout during retry',
-      isAggregateError: error.name === 'AggregateError',
-      errorsCount: error.errors?.length || 0
-    });
-    return; // Continue running instead of shutting down
-  }
-  
-  // For other uncaught exceptions, log with full context and shutdown gracefully
   logger.error('Uncaught exception', {
     error: {
       message: error.message,
@@ -481,48 +472,20 @@ process.on('uncaughtException', (error) => {
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
-  // #region agent log
-  fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:476',message:'Unhandled promise rejection',data:{reason:reason?.message||String(reason),code:reason?.code,name:reason?.name,isAggregate:reason?.name==='AggregateError',errorsCount:reason?.errors?.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-  // #endregion
-  
   // Extract error information safely
-  // If reason is an Error object, use it directly; otherwise create errorInfo from it
+  // If reason is an Error object, use it directly; otherwise wrap its string form
   const error = reason instanceof Error ? reason : { message: String(reason) };
-  const errorInfo = {
-    message: error.message || String(reason),
-    code: error.code,
-    name: error.name,
-    stack: error.stack,
-    errors: error.errors // For AggregateError
-  };
   
   logger.error('Unhandled promise rejection', { 
-    reason: errorInfo,
+    reason: {
+      message: error.message || String(reason),
+      code: error.code,
+      name: error.name,
+      stack: error.stack
+    },
     promise: promise?.toString?.() || 'Unknown promise'
   });
   
-  // Don't shutdown for network timeout errors - these are often transient
-  // ETIMEDOUT errors from network operations should not crash the server
-  // These errors typically occur from connection retries or keep-alive connections
-  // that fail after the main request has already completed successfully
-  if (isNetworkTimeoutError(error)) {
-    // #region agent log
-    fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/server/index.js:502',message:'Network timeout detected in unhandledRejection',data:{code:errorInfo.code,name:errorInfo.name,isAggregate:errorInfo.name==='AggregateError',errorsCount:errorInfo.errors?.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-    // #endregion
-    // Use debug level instead of warn to reduce log noise
-    // These errors are expected in container environments with network retries
-    logger.debug('Network timeout rejection caught (likely from connection retry) - server will continue running', {
-      code: errorInfo.code,
-      name: errorInfo.name,
-      message: errorInfo.message || 'Connection timeout during retry',
-      isAggregateError: errorInfo.name === 'AggregateError',
-      errorsCount: errorInfo.errors?.length || 0,
-      note: 'This error typically occurs when Node.js tries multiple connection attempts and all timeout. The main request likely completed successfully.'
-    });
-    return; // Continue running instead of shutting down
-  }
-  
-  // For other unhandled rejections, log and shutdown gracefully
   logger.error('Shutting down due to unhandled promise rejection');
   process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,90 @@
+import { Router } from 'express';
+import { asyncHandler } from '../../middleware/errorHandler.js';
+import {
+  collectionRunStore,
+  COLLECTION_TRIGGERS,
+  COLLECTION_RUN_STATUSES
+} from '../../services/collectionRunStore.js';
+import { historyCollector } from '../../services/historyCollector.js';
+import { NotFoundError, ValidationError } from '../../errors/index.js';
+import { logger } from '../../utils/logger.js';
+
+const router = Router();
+
+// Maximum runs per page
+const MAX_LIMIT = 100;
+
+/**
+ * Parse and validate a non-negative integer route or query parameter
+ * @param {string} value - Raw value
+ * @param {string} field - Field name used in validation errors
+ * @param {number} min - Smallest accepted value
+ * @returns {number} Parsed value
+ */
+function parseInteger(value, field, min) {
+  if (!/^\d+$/.test(String(value)) || parseInt(value, 10) < min) {
+    throw new ValidationError(`Invalid ${field}. Must be an integer of at least ${min}.`, field, value);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Validate an optional filter against its allowed values
+ * @param {string|undefined} value - Raw value
+ * @param {string} field - Field name used in validation errors
+ * @param {Array<string>} allowed - Allowed values
+ * @returns {string|null} The value, or null when not given
+ */
+function parseFilter(value, field, allowed) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (!allowed.includes(value)) {
+    throw new ValidationError(`Invalid ${field}. Must be one of: ${allowed.join(', ')}`, field, value);
+  }
+  return value;
+}
+
+/**
+ * GET /api/collector/runs
+ * Page through history collection runs, newest first
+ * Query params: limit (default: 20, max: 100), offset, status, trigger
+ */
+router.get('/runs', asyncHandler(async (req, res) => {
+  const limit = req.query.limit ? Math.min(parseInteger(req.query.limit, 'limit', 1), MAX_LIMIT) : 20;
+  const offset = req.query.offset ? parseInteger(req.query.offset, 'offset', 0) : 0;
+  const status = parseFilter(req.query.status, 'status', COLLECTION_RUN_STATUSES);
+  const trigger = parseFilter(req.query.trigger, 'trigger', COLLECTION_TRIGGERS);
+
+  logger.info('Collection runs requested', { limit, offset, status, trigger });
+
+  const { runs, total } = collectionRunStore.listRuns({ limit, offset, status, trigger });
+
+  res.json({
+    runs,
+    pagination: {
+      limit,
+      offset,
+      total,
+      hasMore: offset + runs.length < total
+    },
+    stats: historyCollector.getStats()
+  });
+}));
+
+/**
+ * GET /api/collector/runs/:id
+ * Get a collection run with the outcome of each hashtag and day
+ */
+router.get('/runs/:id', asyncHandler(async (req, res) => {
+  const id = parseInteger(req.params.id, 'id', 1);
+  const run = collectionRunStore.getRun(id);
+
+  if (!run) {
+    throw new NotFoundError(`Collection run not found: ${id}`, 'collection_run');
+  }
+
+  res.json({ run });
+}));
+
+export { router as collectorRoutes };
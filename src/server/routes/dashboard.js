@@ -2,10 +2,16 @@ import { Router } from 'express';
 import { asyncHandler } from '../../middleware/errorHandler.js';
 import { moderateRateLimit } from '../../middleware/rateLimiter.js';
 import { hashtagService } from '../../services/hashtagService.js';
+import { mastodonService } from '../../services/mastodon.js';
+import { federatedMastodonService } from '../../services/federatedMastodon.js';
+import { streamIngester } from '../../services/streamIngester.js';
+import { engagementService } from '../../services/engagementService.js';
+import { collectionRunStore } from '../../services/collectionRunStore.js';
 import { ValidationError } from '../../errors/index.js';
 import { logger } from '../../utils/logger.js';
 import { appConfig as config } from '../../config/index.js';
 import { validateDaysParameter, validateTimezoneParameter } from '../../utils/validators.js';
+import moment from 'moment-timezone';
 
 const router = Router();
 // Using singleton instance from service
@@ -39,18 +45,19 @@ router.get('/stats', moderateRateLimit, asyncHandler(async (req, res) => {
   logger.info('Dashboard stats requested', { timeframe: normalizedTimeframe });
   
   try {
-    // Get daily hashtag using validated timezone
-    const dailyHashtag = hashtagService.getDailyHashtag({ timezone: validatedTimezone });
+    // Get all of the day's hashtags using validated timezone
+    const dailyHashtags = hashtagService.getDailyHashtags({ timezone: validatedTimezone });
     
-    // Get comprehensive analysis - limit to 3 pages for faster response time
-    const analysis = await hashtagService.analyzeHashtag(dailyHashtag, { 
+    // Get combined analysis - limit to 3 pages per hashtag for faster response time
+    const analysis = await hashtagService.analyzeHashtags(dailyHashtags, { 
       maxPages: 3,
       timeframe: normalizedTimeframe,
       timezone: validatedTimezone
     });
     
     const stats = {
-      hashtag: dailyHashtag,
+      hashtag: dailyHashtags[0],
+      hashtags: dailyHashtags,
       timeframe: normalizedTimeframe,
       date: analysis.today,
       summary: {
@@ -69,12 +76,19 @@ router.get('/stats', moderateRateLimit, asyncHandler(async (req, res) => {
         relevance: toot.relevanceScore,
         link: toot.url,
         followers: toot.account.followers_count,
-        media: toot.media_attachments || []
+        media: toot.media_attachments || [],
+        hashtags: toot.matchedHashtags,
+        instances: toot.sourceInstances
       })),
+      perTag: analysis.getTagBreakdown(),
+      sharedToots: analysis.getSharedTootCount(),
+      instances: analysis.getInstanceBreakdown(),
       mostActiveUsers: analysis.getMostActiveUsers(5),
       metadata: {
         generatedAt: new Date().toISOString(),
-        timezone: process.env.PREFERRED_TIMEZONE || 'America/Sao_Paulo'
+        timezone: process.env.PREFERRED_TIMEZONE || 'America/Sao_Paulo',
+        dataSource: analysis.source,
+        coverage: analysis.coverage
       }
     };
     
@@ -96,21 +110,22 @@ router.get('/summary', asyncHandler(async (req, res) => {
   // Validate timezone parameter
   const validatedTimezone = validateTimezoneParameter(clientTimezone);
   
-  // Get daily hashtag using validated timezone
-  const dailyHashtag = hashtagService.getDailyHashtag({ timezone: validatedTimezone });
+  // Get all of the day's hashtags using validated timezone
+  const dailyHashtags = hashtagService.getDailyHashtags({ timezone: validatedTimezone });
   
-  logger.info('Dashboard summary requested', { hashtag: dailyHashtag });
+  logger.info('Dashboard summary requested', { hashtags: dailyHashtags });
   
   try {
-    // Limit to 3 pages for faster response time
-    const analysis = await hashtagService.analyzeHashtag(dailyHashtag, { 
+    // Limit to 3 pages per hashtag for faster response time
+    const analysis = await hashtagService.analyzeHashtags(dailyHashtags, { 
       maxPages: 3,
       timezone: validatedTimezone 
     });
     
     const topToots = analysis.getTopToots(1);
     const summary = {
-      hashtag: dailyHashtag,
+      hashtag: dailyHashtags[0],
+      hashtags: dailyHashtags,
       date: analysis.today,
       hasActivity: analysis.hasTodayToots(),
       summary: {
@@ -118,10 +133,17 @@ router.get('/summary', asyncHandler(async (req, res) => {
         uniqueUsers: analysis.getUniqueUserCount(),
         weeklyTotal: analysis.getWeeklyTotal()
       },
+      perTag: analysis.getTagBreakdown().map(tag => ({
+        hashtag: tag.hashtag,
+        tootCount: tag.tootCount,
+        uniqueUsers: tag.uniqueUsers
+      })),
       topPost: topToots[0] ? {
         author: topToots[0].account.username,
         relevance: topToots[0].relevanceScore
       } : null,
+      dataSource: analysis.source,
+      complete: analysis.coverage?.complete ?? null,
       lastUpdated: new Date().toISOString()
     };
     
@@ -134,6 +156,32 @@ router.get('/summary', asyncHandler(async (req, res) => {
 }));
 
 
+/**
+ * GET /api/dashboard/rising
+ * Get the statuses of the day's hashtags that gained engagement fastest recently
+ */
+router.get('/rising', moderateRateLimit, asyncHandler(async (req, res) => {
+  const validatedTimezone = validateTimezoneParameter(req.query.timezone);
+  const limit = Math.max(1, Math.min(50, parseInt(req.query.limit) || 10));
+  const dailyHashtags = hashtagService.getDailyHashtags({ timezone: validatedTimezone });
+
+  logger.info('Dashboard rising toots requested', { hashtags: dailyHashtags, limit });
+
+  // Refreshing the day's toots records new engagement snapshots
+  const analysis = await hashtagService.analyzeHashtags(dailyHashtags, { maxPages: 3, timezone: validatedTimezone });
+
+  res.json({
+    hashtags: dailyHashtags,
+    date: analysis.today,
+    windowHours: config.engagement.risingWindowHours,
+    rising: engagementService.getFastestRising(dailyHashtags, {
+      since: moment.tz(analysis.today, validatedTimezone).startOf('day').toDate(),
+      limit
+    }),
+    generatedAt: new Date().toISOString()
+  });
+}));
+
 /**
  * GET /api/dashboard/timeline
  * Get timeline data for the past week
@@ -192,7 +240,9 @@ router.get('/performance', asyncHandler(async (req, res) => {
       },
       services: {
         hashtag: hashtagService.getStats(),
-        mastodon: 'unknown' // Would be populated by mastodonService.getStats()
+        mastodon: mastodonService.getStats(),
+        mastodonInstances: federatedMastodonService.getStats().instances,
+        streaming: streamIngester.getStatus()
       },
       cache: {
         hashtagService: hashtagService.getStats().cacheSize
@@ -232,24 +282,54 @@ router.get('/alerts', moderateRateLimit, asyncHandler(async (req, res) => {
       });
     }
     
+    // Check history collection runs: the last one failed or partly failed, or none succeeded lately
+    const { lastRun, lastSuccessfulRun } = collectionRunStore.getLatest();
+    
+    if (lastRun && lastRun.status !== 'succeeded') {
+      alerts.push({
+        type: lastRun.status === 'failed' ? 'error' : 'warning',
+        category: 'collection',
+        message: `History collection run #${lastRun.id} ${lastRun.status === 'failed' ? 'failed' : 'partly failed'}: ${lastRun.error}`,
+        timestamp: lastRun.finishedAt,
+        severity: lastRun.status === 'failed' ? 'critical' : 'warning',
+        runId: lastRun.id
+      });
+    }
+    
+    const maxAgeHours = config.history.runMaxAgeHours;
+    if (!lastSuccessfulRun || moment().diff(moment(lastSuccessfulRun.startedAt), 'hours', true) > maxAgeHours) {
+      alerts.push({
+        type: 'warning',
+        category: 'collection',
+        message: lastSuccessfulRun
+          ? `No successful history collection in the last ${maxAgeHours} hours (last: ${lastSuccessfulRun.startedAt})`
+          : 'No successful history collection recorded',
+        timestamp: new Date().toISOString(),
+        severity: 'warning',
+        ...(lastSuccessfulRun ? { runId: lastSuccessfulRun.id } : {})
+      });
+    }
+    
     // Check daily hashtag activity using validated timezone
     const { timezone: clientTimezone } = req.query;
     const validatedTimezone = validateTimezoneParameter(clientTimezone);
-    const dailyHashtag = hashtagService.getDailyHashtag({ timezone: validatedTimezone });
-    const analysis = await hashtagService.analyzeHashtag(dailyHashtag, { 
+    const dailyHashtags = hashtagService.getDailyHashtags({ timezone: validatedTimezone });
+    const analysis = await hashtagService.analyzeHashtags(dailyHashtags, { 
       maxPages: 3,
       timezone: validatedTimezone 
     });
     
-    if (!analysis.hasTodayToots()) {
-      alerts.push({
-        type: 'info',
-        category: 'activity',
-        message: `No activity for today's hashtag: #${dailyHashtag}`,
-        timestamp: new Date().toISOString(),
-        severity: 'info'
+    analysis.getTagBreakdown()
+      .filter(tag => !analysis.perTag[tag.hashtag].hasTodayToots())
+      .forEach(tag => {
+        alerts.push({
+          type: 'info',
+          category: 'activity',
+          message: `No activity for today's hashtag: #${tag.hashtag}`,
+          timestamp: new Date().toISOString(),
+          severity: 'info'
+        });
       });
-    }
     
     // Check cache size
     const cacheStats = hashtagService.getStats();
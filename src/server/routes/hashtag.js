@@ -5,38 +5,47 @@ import { hashtagService } from '../../services/hashtagService.js';
 import { databaseService } from '../../services/databaseService.js';
 import { ValidationError } from '../../errors/index.js';
 import { logger } from '../../utils/logger.js';
-import { HASHTAGS, getHashtagsForDay, getFirstHashtagForDay } from '../../constants/index.js';
+import { scheduleService } from '../../services/scheduleService.js';
+import { engagementService } from '../../services/engagementService.js';
+import { historyCollector } from '../../services/historyCollector.js';
+import { DAY_NAMES } from '../../constants/index.js';
+import { scheduleRoutes } from './schedule.js';
+import { watchlistRoutes } from './watchlist.js';
+import { watchlistService } from '../../services/watchlistService.js';
 import { appConfig as config } from '../../config/index.js';
-import { validateTimezoneParameter } from '../../utils/validators.js';
+import { validateTimezoneParameter, validateDateParameter } from '../../utils/validators.js';
+import { GRANULARITIES } from '../../utils/historyRollup.js';
 import moment from 'moment-timezone';
 
 const router = Router();
 // Using singleton instance from service
 
 /**
- * Calculate maxPages based on timeframe to ensure representative statistics
- * while protecting response time with an upper bound
- * 
- * @param {string} timeframe - Normalized timeframe ('today', 'week', 'month', 'all')
- * @returns {number} Maximum pages to fetch, capped by config.performance.maxApiPages
+ * Validate the query parameters of the history rollup routes
+ * @param {Object} query - Request query (granularity, start, end)
+ * @returns {{granularity: string, startDate: string, endDate: string}} Granularity (default: day) and
+ *   period (default: from January 1st of the current year to today)
  */
-function calculateMaxPagesForTimeframe(timeframe) {
-  // Base pages per timeframe for representative sampling
-  // Each page contains ~40 toots (config.performance.tootsPerPage)
-  const maxPagesByTimeframe = {
-    'today': 1,    // ~40 toots - sufficient for single day statistics
-    'week': 5,     // ~200 toots - representative sample for 7 days
-    'month': 20,   // ~800 toots - representative sample for 30 days
-    'all': 50      // ~2000 toots - upper bound for historical analysis
-  };
-
-  const baseMaxPages = maxPagesByTimeframe[timeframe] || 1;
-  const upperBound = config.performance.maxApiPages;
-
-  // Enforce upper bound to protect response time and API rate limits
-  return Math.min(baseMaxPages, upperBound);
+function validateRollupParams(query) {
+  const granularity = query.granularity || 'day';
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new ValidationError(`Invalid granularity. Must be one of: ${GRANULARITIES.join(', ')}`, 'granularity', granularity);
+  }
+
+  const today = moment().tz(config.server.timezone);
+  const startDate = validateDateParameter(query.start, 'start', today.clone().startOf('year').format('YYYY-MM-DD'));
+  const endDate = validateDateParameter(query.end, 'end', today.format('YYYY-MM-DD'));
+  if (startDate > endDate) {
+    throw new ValidationError('start must not be after end');
+  }
+
+  return { granularity, startDate, endDate };
 }
 
+// Schedule and watchlist management routes (mounted before /:hashtag routes)
+router.use('/schedule', scheduleRoutes);
+router.use('/watchlist', watchlistRoutes);
+
 /**
  * GET /api/hashtag/current
  * Get current day's hashtag
@@ -48,12 +57,13 @@ router.get('/current', asyncHandler(async (req, res) => {
   const validatedTimezone = validateTimezoneParameter(clientTimezone);
   
   const now = moment().tz(validatedTimezone);
-  const currentHashtag = hashtagService.getDailyHashtag({ timezone: validatedTimezone });
+  const currentHashtags = hashtagService.getDailyHashtags({ timezone: validatedTimezone });
   
-  logger.info('Current hashtag requested', { hashtag: currentHashtag, timezone: validatedTimezone });
+  logger.info('Current hashtag requested', { hashtags: currentHashtags, timezone: validatedTimezone });
   
   res.json({
-    hashtag: currentHashtag,
+    hashtag: currentHashtags[0],
+    hashtags: currentHashtags,
     date: now.format('YYYY-MM-DD'),
     dayOfWeek: now.day(),
     timezone: validatedTimezone,
@@ -64,6 +74,7 @@ router.get('/current', asyncHandler(async (req, res) => {
 /**
  * GET /api/hashtag/:hashtag/stats
  * Get statistics for a specific hashtag
+ * Query: timeframe, timezone, date (YYYY-MM-DD; a past day is read from the status archive)
  */
 router.get('/:hashtag/stats', moderateRateLimit, asyncHandler(async (req, res) => {
   const { hashtag } = req.params;
@@ -73,6 +84,9 @@ router.get('/:hashtag/stats', moderateRateLimit, asyncHandler(async (req, res) =
     throw new ValidationError('Hashtag is required');
   }
   
+  // Optional past day, analyzed from the status archive
+  const date = validateDateParameter(req.query.date);
+  
   // Validate timeframe parameter
   const validTimeframes = ['today', 'week', 'month', 'all'];
   if (!validTimeframes.includes(timeframe.toLowerCase())) {
@@ -89,21 +103,17 @@ router.get('/:hashtag/stats', moderateRateLimit, asyncHandler(async (req, res) =
   logger.info('Hashtag stats requested', { original: hashtag, normalized: normalizedHashtag, timeframe: normalizedTimeframe });
   
   try {
-    // Calculate maxPages dynamically based on timeframe for representative statistics
-    // Larger timeframes require more data to avoid biased results
-    const maxPages = calculateMaxPagesForTimeframe(normalizedTimeframe);
-    
-    logger.debug('Calculated maxPages for timeframe', { timeframe: normalizedTimeframe, maxPages });
-    
+    // Paging goes back to the start of the timeframe (MAX_API_PAGES is the safety ceiling)
     const analysis = await hashtagService.analyzeHashtag(normalizedHashtag, { 
-      maxPages,
       timeframe: normalizedTimeframe,
-      timezone: validatedTimezone
+      timezone: validatedTimezone,
+      date
     });
     
     const stats = {
       hashtag: normalizedHashtag,
-      timeframe: normalizedTimeframe,
+      timeframe: analysis.timeframe,
+      date: analysis.today,
       summary: {
         tootCount: analysis.getTodayCount(),
         uniqueUsers: analysis.getUniqueUserCount(),
@@ -122,14 +132,18 @@ router.get('/:hashtag/stats', moderateRateLimit, asyncHandler(async (req, res) =
         createdAt: toot.created_at,
         link: toot.url,
         followers: toot.account.followers_count,
-        media: toot.media_attachments || []
+        media: toot.media_attachments || [],
+        instances: toot.sourceInstances
       })),
       mostActiveUsers: analysis.getMostActiveUsers(10),
+      instances: analysis.getInstanceBreakdown(),
       metadata: {
         generatedAt: analysis.createdAt,
         timezone: validatedTimezone,
         serverTimezone: config.server.timezone,
-        clientTimezone: clientTimezone || null
+        clientTimezone: clientTimezone || null,
+        dataSource: analysis.source,
+        coverage: analysis.coverage
       }
     };
     
@@ -329,51 +343,72 @@ router.get('/:hashtag/users', moderateRateLimit, asyncHandler(async (req, res) =
   }
 }));
 
+/**
+ * GET /api/hashtag/:hashtag/rising
+ * Get today's statuses for a hashtag that gained engagement fastest recently
+ * Query: window (hours, defaults to ENGAGEMENT_RISING_WINDOW_HOURS), limit, timezone
+ */
+router.get('/:hashtag/rising', moderateRateLimit, asyncHandler(async (req, res) => {
+  const hashtag = req.params.hashtag.replace(/^#/, '');
+  const validatedTimezone = validateTimezoneParameter(req.query.timezone);
+  const windowHours = req.query.window !== undefined ? parseFloat(req.query.window) : config.engagement.risingWindowHours;
+  const limit = Math.max(1, Math.min(50, parseInt(req.query.limit) || 10));
+
+  if (isNaN(windowHours) || windowHours < 0.25 || windowHours > config.engagement.trackingHours) {
+    throw new ValidationError(`Invalid window. Must be between 0.25 and ${config.engagement.trackingHours} hours`);
+  }
+
+  logger.info('Rising toots requested', { hashtag, windowHours, limit });
+
+  // Refreshing the day's toots records new engagement snapshots
+  const analysis = await hashtagService.analyzeHashtag(hashtag, { timezone: validatedTimezone });
+
+  res.json({
+    hashtag,
+    date: analysis.today,
+    windowHours,
+    rising: engagementService.getFastestRising([hashtag], {
+      since: moment.tz(analysis.today, validatedTimezone).startOf('day').toDate(),
+      windowHours,
+      limit
+    }),
+    dataSource: analysis.source,
+    generatedAt: new Date().toISOString()
+  });
+}));
+
 /**
  * GET /api/hashtag/daily
- * Get all daily hashtags
+ * Get all daily hashtags from the schedule effective today
+ * The current day is resolved with overrides applied
  */
 router.get('/daily', asyncHandler(async (req, res) => {
   logger.info('Daily hashtags requested');
   
   try {
-    // Defensive validation: ensure HASHTAGS is an array
-    const safeHashtags = Array.isArray(HASHTAGS) ? HASHTAGS : [];
-    
-    const today = new Date().getDay();
-    const currentHashtagEntry = safeHashtags[today];
-    
-    // Get current hashtag with safe fallback
-    const currentHashtag = currentHashtagEntry 
-      ? (getFirstHashtagForDay(currentHashtagEntry) || 'unknown')
-      : 'unknown';
-    
-    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    
-    const dailySchedule = safeHashtags.map((hashtagEntry, dayIndex) => {
-      // Get hashtags for day with defensive validation
-      const hashtags = hashtagEntry 
-        ? (getHashtagsForDay(hashtagEntry).filter(Boolean) || [])
-        : [];
-      
-      // Use the first hashtag for display (backward compatibility) with fallback
-      const displayHashtag = hashtags[0] || 'unknown';
-      
-      return {
-        day: dayIndex,
-        name: dayNames[dayIndex],
-        hashtag: displayHashtag,
-        hashtags: hashtags, // Include all hashtags for the day
-        isToday: today === dayIndex
-      };
-    });
+    const now = moment().tz(config.server.timezone);
+    const today = now.day();
+    const schedule = scheduleService.getScheduleForDate(now.format('YYYY-MM-DD'));
+    const resolution = scheduleService.resolveDate(schedule.date);
+    
+    const dailySchedule = schedule.days.map((hashtags, dayIndex) => ({
+      day: dayIndex,
+      name: DAY_NAMES[dayIndex],
+      hashtag: hashtags[0] || 'unknown', // First hashtag for display (backward compatibility)
+      hashtags, // Include all hashtags for the day
+      isToday: today === dayIndex
+    }));
     
     res.json({
       dailySchedule,
       current: {
         day: today,
-        hashtag: currentHashtag
+        hashtag: resolution.hashtags[0] || 'unknown',
+        hashtags: resolution.hashtags, // Includes date overrides, rotations and holidays
+        appliedOverrides: resolution.appliedOverrides,
+        holidays: resolution.holidays
       },
+      scheduleVersion: schedule.version,
       generatedAt: new Date().toISOString()
     });
     
@@ -426,6 +461,58 @@ router.get('/history/weekly', moderateRateLimit, asyncHandler(async (req, res) =
   }
 }));
 
+/**
+ * GET /api/hashtag/history/gaps
+ * Get the scheduled and watched hashtag days missing from the history: recoverable ones are backfilled by
+ * the next collection, unrecoverable ones are older than Mastodon's tag history
+ * Query params: start, end (optional, YYYY-MM-DD)
+ */
+router.get('/history/gaps', moderateRateLimit, asyncHandler(async (req, res) => {
+  const startDate = validateDateParameter(req.query.start, 'start');
+  const endDate = validateDateParameter(req.query.end, 'end');
+
+  if (startDate && endDate && startDate > endDate) {
+    throw new ValidationError('start must not be after end');
+  }
+
+  res.json(await historyCollector.findGaps({ startDate, endDate }));
+}));
+
+/**
+ * GET /api/hashtag/history
+ * Roll the history of every hashtag up into periods, with the hashtags ranked by total uses
+ * Query params: granularity (day, week, month, quarter or year; default: day), start, end (YYYY-MM-DD;
+ * default: the current year)
+ */
+router.get('/history', moderateRateLimit, asyncHandler(async (req, res) => {
+  const { granularity, startDate, endDate } = validateRollupParams(req.query);
+
+  logger.info('All hashtags history rollup requested', { granularity, startDate, endDate });
+
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.setHeader('Vary', 'Accept-Encoding');
+
+  res.json(await databaseService.getAllHashtagsHistoryRollup(granularity, startDate, endDate));
+}));
+
+/**
+ * GET /api/hashtag/:hashtag/history
+ * Roll a hashtag's history up into periods with totals, averages, peak day and change from the previous period
+ * Query params: granularity (day, week, month, quarter or year; default: day), start, end (YYYY-MM-DD;
+ * default: the current year)
+ */
+router.get('/:hashtag/history', moderateRateLimit, asyncHandler(async (req, res) => {
+  const hashtag = req.params.hashtag.toLowerCase();
+  const { granularity, startDate, endDate } = validateRollupParams(req.query);
+
+  logger.info('History rollup requested', { hashtag, granularity, startDate, endDate });
+
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.setHeader('Vary', 'Accept-Encoding');
+
+  res.json(await databaseService.getHistoryRollup(hashtag, granularity, startDate, endDate));
+}));
+
 /**
  * GET /api/hashtag/:hashtag/history/weekly
  * Get weekly historical data for a specific hashtag
@@ -433,7 +520,8 @@ router.get('/history/weekly', moderateRateLimit, asyncHandler(async (req, res) =
  */
 router.get('/:hashtag/history/weekly', moderateRateLimit, asyncHandler(async (req, res) => {
   const { hashtag } = req.params;
-  const { year, week, date } = req.query;
+  const { year, week } = req.query;
+  const date = validateDateParameter(req.query.date);
   
   if (!hashtag) {
     throw new ValidationError('Hashtag is required');
@@ -452,6 +540,8 @@ router.get('/:hashtag/history/weekly', moderateRateLimit, asyncHandler(async (re
     // If date is specified, return daily data for that date
     if (date) {
       const dailyData = await databaseService.getDailyData(hashtag, date);
+      const scheduled = scheduleService.isScheduledOn(hashtag, date);
+      const watched = watchlistService.isWatchedOn(hashtag, date);
       if (!dailyData) {
         return res.json({
           hashtag,
@@ -460,6 +550,8 @@ router.get('/:hashtag/history/weekly', moderateRateLimit, asyncHandler(async (re
           accounts: 0,
           year: targetYear,
           weekNumber: null,
+          scheduled,
+          watched,
           type: 'daily'
         });
       }
@@ -472,8 +564,15 @@ router.get('/:hashtag/history/weekly', moderateRateLimit, asyncHandler(async (re
         date: dailyData.date,
         uses: dailyData.uses,
         accounts: dailyData.accounts,
+        firstSeen: {
+          uses: dailyData.firstUses,
+          accounts: dailyData.firstAccounts
+        },
+        updatedAt: dailyData.updatedAt,
         year: dailyData.year,
         weekNumber: dailyData.weekNumber,
+        scheduled,
+        watched,
         type: 'daily'
       });
     }
@@ -575,4 +674,42 @@ router.get('/:hashtag/history/weekly', moderateRateLimit, asyncHandler(async (re
   }
 }));
 
+/**
+ * GET /api/hashtag/:hashtag/history/revisions
+ * Get every recorded change of the daily counts (the first entry of a day is its first-seen value)
+ * Query params: date, or start and end (YYYY-MM-DD)
+ */
+router.get('/:hashtag/history/revisions', moderateRateLimit, asyncHandler(async (req, res) => {
+  const { hashtag } = req.params;
+  const date = validateDateParameter(req.query.date);
+  const start = validateDateParameter(req.query.start, 'start');
+  const end = validateDateParameter(req.query.end, 'end');
+
+  if (!date && !(start && end)) {
+    throw new ValidationError('Provide date or both start and end (YYYY-MM-DD)');
+  }
+  if (!date && start > end) {
+    throw new ValidationError('start must not be after end');
+  }
+
+  const startDate = date || start;
+  const endDate = date || end;
+  const revisions = await databaseService.getRevisions(hashtag, startDate, endDate);
+  const days = (await databaseService.getDailyHistory(hashtag, startDate, endDate)).map(day => ({
+    date: day.date,
+    uses: day.uses,
+    accounts: day.accounts,
+    firstSeen: { uses: day.firstUses, accounts: day.firstAccounts },
+    updatedAt: day.updatedAt,
+    revisions: revisions.filter(revision => revision.date === day.date)
+  }));
+
+  res.json({
+    hashtag,
+    start: startDate,
+    end: endDate,
+    days
+  });
+}));
+
 export { router as hashtagRoutes };
\ No newline at end of file
@@ -4,6 +4,10 @@ import { hashtagRoutes } from './hashtag.js';
 import { trendingRoutes } from './trending.js';
 import { tootRoutes } from './toot.js';
 import { mediaRoutes } from './media.js';
+import { jobRoutes } from './jobs.js';
+import { collectorRoutes } from './collector.js';
+import { retentionRoutes } from './retention.js';
+import { searchRoutes } from './search.js';
 
 const router = Router();
 
@@ -18,7 +22,11 @@ router.get('/', (req, res) => {
       hashtag: '/api/hashtag',
       trending: '/api/trending',
       toot: '/api/toot',
-      media: '/api/media'
+      media: '/api/media',
+      jobs: '/api/jobs',
+      collector: '/api/collector',
+      retention: '/api/retention',
+      search: '/api/search'
     },
     documentation: '/api/docs'
   });
@@ -30,5 +38,9 @@ router.use('/hashtag', hashtagRoutes);
 router.use('/trending', trendingRoutes);
 router.use('/toot', tootRoutes);
 router.use('/media', mediaRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/collector', collectorRoutes);
+router.use('/retention', retentionRoutes);
+router.use('/search', searchRoutes);
 
 export { router as apiRoutes };
\ No newline at end of file
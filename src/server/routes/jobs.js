@@ -0,0 +1,105 @@
+import { Router } from 'express';
+import { asyncHandler } from '../../middleware/errorHandler.js';
+import { requireAdmin } from '../../middleware/adminAuth.js';
+import { jobScheduler } from '../../services/jobScheduler.js';
+import { ValidationError } from '../../errors/index.js';
+import { logger } from '../../utils/logger.js';
+import { appConfig as config } from '../../config/index.js';
+
+const router = Router();
+
+/**
+ * Parse and validate a positive integer route or query parameter
+ * @param {string} value - Raw value
+ * @param {string} field - Field name used in validation errors
+ * @returns {number} Parsed value
+ */
+function parsePositiveInteger(value, field) {
+  if (!/^\d+$/.test(String(value)) || parseInt(value, 10) < 1) {
+    throw new ValidationError(`Invalid ${field}. Must be a positive integer.`, field, value);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * GET /api/jobs
+ * List the scheduled jobs with their schedule, next run and last run
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const jobs = jobScheduler.listJobs();
+
+  res.json({
+    schedulerEnabled: config.scheduler.enabled,
+    // False on instances standing by while another one is the elected scheduler (DB_DRIVER=postgres)
+    schedulerActive: jobScheduler.active,
+    timezone: jobScheduler.timezone,
+    jobs,
+    total: jobs.length
+  });
+}));
+
+/**
+ * GET /api/jobs/:name
+ * Get a job and its most recent runs
+ * Query params: limit (default: 20, max: 100)
+ */
+router.get('/:name', asyncHandler(async (req, res) => {
+  const job = jobScheduler.getJob(req.params.name);
+  const limit = req.query.limit ? Math.min(parsePositiveInteger(req.query.limit, 'limit'), 100) : 20;
+
+  res.json({
+    job,
+    runs: jobScheduler.getRuns(job.name, { limit })
+  });
+}));
+
+/**
+ * GET /api/jobs/:name/runs/:id
+ * Get a run with its log lines
+ */
+router.get('/:name/runs/:id', asyncHandler(async (req, res) => {
+  const { name } = jobScheduler.getJob(req.params.name);
+  const run = jobScheduler.getRun(parsePositiveInteger(req.params.id, 'id'));
+
+  if (run.job !== name) {
+    throw new ValidationError(`Run ${run.id} belongs to job ${run.job}`, 'id', req.params.id);
+  }
+
+  res.json({ run });
+}));
+
+/**
+ * POST /api/jobs/:name/run
+ * Start a job now; responds once the run is recorded, without waiting for it to finish
+ * (409 if the job is already running)
+ */
+router.post('/:name/run', requireAdmin, asyncHandler(async (req, res) => {
+  const { run, finished } = jobScheduler.startRun(req.params.name, { trigger: 'manual' });
+  finished.catch(() => {});
+
+  logger.info('Job triggered manually', { job: run.job, runId: run.id });
+
+  res.status(202).json({ run });
+}));
+
+/**
+ * PATCH /api/jobs/:name
+ * Override a job's schedule or enabled flag (null restores the configured default)
+ * Body: { schedule?, enabled? }
+ */
+router.patch('/:name', requireAdmin, asyncHandler(async (req, res) => {
+  const { schedule, enabled } = req.body || {};
+
+  if (schedule !== undefined && schedule !== null && typeof schedule !== 'string') {
+    throw new ValidationError('Invalid schedule. Must be a cron expression or null.', 'schedule', schedule);
+  }
+  if (schedule === undefined && enabled === undefined) {
+    throw new ValidationError('Provide schedule and/or enabled');
+  }
+
+  const job = jobScheduler.updateJob(req.params.name, { schedule, enabled });
+
+  res.json({ job });
+}));
+
+export { router as jobRoutes };
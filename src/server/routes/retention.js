@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import { asyncHandler } from '../../middleware/errorHandler.js';
+import { retentionService } from '../../services/retentionService.js';
+import { jobScheduler } from '../../services/jobScheduler.js';
+import { appConfig as config } from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+
+const router = Router();
+
+/**
+ * GET /api/retention
+ * Dry-run report of the retention policies: the rows each one would remove now, and the
+ * last run of the retention job (run it with POST /api/jobs/retention/run)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  logger.info('Retention report requested');
+
+  const [lastRun] = jobScheduler.getRuns('retention', { limit: 1 });
+
+  res.json({
+    report: await retentionService.run({ dryRun: true }),
+    jobDryRun: config.retention.dryRun,
+    lastRun: lastRun || null
+  });
+}));
+
+export { router as retentionRoutes };
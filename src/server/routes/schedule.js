@@ -0,0 +1,309 @@
+import { Router } from 'express';
+import { asyncHandler } from '../../middleware/errorHandler.js';
+import { requireAdmin } from '../../middleware/adminAuth.js';
+import { scheduleService } from '../../services/scheduleService.js';
+import { ValidationError } from '../../errors/index.js';
+import { logger } from '../../utils/logger.js';
+import { appConfig as config } from '../../config/index.js';
+import { DAY_NAMES } from '../../constants/index.js';
+import { validateDateParameter, validateHashtagParameter } from '../../utils/validators.js';
+import { getBrazilianHolidays } from '../../utils/holidays.js';
+import moment from 'moment-timezone';
+
+const router = Router();
+
+/**
+ * Parse and validate the :day route parameter
+ * @param {string} dayValue - Raw day value (0-6)
+ * @returns {number} Day of week
+ */
+function parseDayParameter(dayValue) {
+  if (!/^[0-6]$/.test(String(dayValue))) {
+    throw new ValidationError('Invalid day parameter. Must be an integer between 0 (Sunday) and 6 (Saturday).', 'day', dayValue);
+  }
+  return parseInt(dayValue, 10);
+}
+
+/**
+ * Validate an array of hashtags from a request body
+ * @param {*} hashtags - Raw hashtags value
+ * @param {string} field - Field name used in validation errors
+ * @returns {string[]} Normalized hashtags
+ */
+function parseHashtagList(hashtags, field = 'hashtags') {
+  if (!Array.isArray(hashtags)) {
+    throw new ValidationError(`Invalid ${field}. Must be an array of hashtags.`, field, hashtags);
+  }
+  return hashtags.map(hashtag => validateHashtagParameter(hashtag, field));
+}
+
+/**
+ * Extract version options (effectiveFrom, allowPast, note) from a request body
+ * An effectiveFrom before today is refused by the service unless allowPast is true.
+ */
+function parseVersionOptions(body = {}) {
+  const note = body.note === undefined ? null : body.note;
+  if (note !== null && typeof note !== 'string') {
+    throw new ValidationError('Invalid note. Must be a string.', 'note', note);
+  }
+  if (body.allowPast !== undefined && typeof body.allowPast !== 'boolean') {
+    throw new ValidationError('Invalid allowPast. Must be a boolean.', 'allowPast', body.allowPast);
+  }
+
+  return {
+    effectiveFrom: validateDateParameter(body.effectiveFrom, 'effectiveFrom'),
+    allowPast: body.allowPast === true,
+    note
+  };
+}
+
+/**
+ * Format a schedule days array for API responses
+ */
+function formatDays(days) {
+  return days.map((hashtags, dayIndex) => ({
+    day: dayIndex,
+    name: DAY_NAMES[dayIndex],
+    hashtags
+  }));
+}
+
+/**
+ * Format a schedule version with its days for API responses
+ */
+function formatVersion({ days, ...version }) {
+  return {
+    version,
+    schedule: formatDays(days)
+  };
+}
+
+/**
+ * GET /api/hashtag/schedule
+ * Get the weekly schedule effective on a date (defaults to today)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const date = validateDateParameter(req.query.date);
+
+  logger.info('Hashtag schedule requested', { date });
+
+  const schedule = scheduleService.getScheduleForDate(date);
+  const resolution = scheduleService.resolveDate(schedule.date);
+
+  res.json({
+    date: schedule.date,
+    version: schedule.version,
+    schedule: formatDays(schedule.days),
+    resolved: {
+      hashtags: resolution.hashtags,
+      appliedOverrides: resolution.appliedOverrides,
+      holidays: resolution.holidays
+    }
+  });
+}));
+
+/**
+ * GET /api/hashtag/schedule/calendar
+ * Resolve the hashtags for every date in a range (overrides and holidays applied)
+ * Query params: from (default today), to (default from + 6 days)
+ */
+router.get('/calendar', asyncHandler(async (req, res) => {
+  const from = validateDateParameter(req.query.from, 'from', moment().tz(config.server.timezone).format('YYYY-MM-DD'));
+  const to = validateDateParameter(req.query.to, 'to', moment(from, 'YYYY-MM-DD').add(6, 'days').format('YYYY-MM-DD'));
+
+  logger.info('Hashtag schedule calendar requested', { from, to });
+
+  const calendar = scheduleService.getCalendar(from, to).map(day => ({
+    ...day,
+    dayOfWeek: moment(day.date, 'YYYY-MM-DD').day()
+  }));
+
+  res.json({
+    from,
+    to,
+    calendar
+  });
+}));
+
+/**
+ * GET /api/hashtag/schedule/holidays
+ * List the bundled Brazilian holidays for a year
+ */
+router.get('/holidays', asyncHandler(async (req, res) => {
+  const year = req.query.year ? parseInt(req.query.year, 10) : new Date().getFullYear();
+
+  if (isNaN(year) || year < 2020 || year > 2100) {
+    throw new ValidationError('Invalid year parameter', 'year', req.query.year);
+  }
+
+  res.json({
+    year,
+    holidays: getBrazilianHolidays(year)
+  });
+}));
+
+/**
+ * GET /api/hashtag/schedule/overrides
+ * List schedule overrides (optionally filtered by type)
+ */
+router.get('/overrides', asyncHandler(async (req, res) => {
+  const { type } = req.query;
+  const overrides = scheduleService.listOverrides({ type });
+
+  res.json({
+    overrides,
+    total: overrides.length
+  });
+}));
+
+/**
+ * POST /api/hashtag/schedule/overrides
+ * Create a date-specific, holiday or rotation override
+ * Body: { type, hashtags, mode?, date?, holiday?, everyWeeks?, startDate?, endDate?, note? }
+ */
+router.post('/overrides', requireAdmin, asyncHandler(async (req, res) => {
+  const body = req.body || {};
+
+  if (body.note !== undefined && typeof body.note !== 'string') {
+    throw new ValidationError('Invalid note. Must be a string.', 'note', body.note);
+  }
+
+  const override = scheduleService.createOverride({
+    type: body.type,
+    date: validateDateParameter(body.date),
+    holidayKey: body.holiday,
+    everyWeeks: body.everyWeeks,
+    startDate: validateDateParameter(body.startDate, 'startDate'),
+    endDate: validateDateParameter(body.endDate, 'endDate'),
+    hashtags: parseHashtagList(body.hashtags),
+    mode: body.mode,
+    note: body.note
+  });
+
+  logger.info('Hashtag schedule override created', { overrideId: override.id, type: override.type });
+
+  res.status(201).json({ override });
+}));
+
+/**
+ * DELETE /api/hashtag/schedule/overrides/:id
+ * Delete a schedule override
+ */
+router.delete('/overrides/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const overrideId = parseInt(req.params.id, 10);
+  if (isNaN(overrideId) || overrideId < 1) {
+    throw new ValidationError('Invalid override id', 'id', req.params.id);
+  }
+
+  const override = scheduleService.deleteOverride(overrideId);
+
+  logger.info('Hashtag schedule override deleted', { overrideId });
+
+  res.json({ deleted: override });
+}));
+
+/**
+ * GET /api/hashtag/schedule/versions
+ * List all schedule versions
+ */
+router.get('/versions', asyncHandler(async (req, res) => {
+  const versions = scheduleService.listVersions();
+
+  res.json({
+    versions,
+    total: versions.length
+  });
+}));
+
+/**
+ * GET /api/hashtag/schedule/versions/:id
+ * Get a specific schedule version
+ */
+router.get('/versions/:id', asyncHandler(async (req, res) => {
+  const versionId = parseInt(req.params.id, 10);
+  if (isNaN(versionId) || versionId < 1) {
+    throw new ValidationError('Invalid version id', 'id', req.params.id);
+  }
+
+  const version = scheduleService.getVersion(versionId);
+
+  res.json(formatVersion(version));
+}));
+
+/**
+ * PUT /api/hashtag/schedule
+ * Replace the whole weekly schedule
+ * Body: { days: string[7][], effectiveFrom?, allowPast?, note? }
+ */
+router.put('/', requireAdmin, asyncHandler(async (req, res) => {
+  const { days } = req.body || {};
+
+  if (!Array.isArray(days) || days.length !== 7) {
+    throw new ValidationError('Invalid days. Must be an array of 7 hashtag arrays (0 = Sunday).', 'days', days);
+  }
+
+  const normalizedDays = days.map((hashtags, dayIndex) => parseHashtagList(hashtags, `days[${dayIndex}]`));
+  const version = scheduleService.replaceSchedule(normalizedDays, parseVersionOptions(req.body));
+
+  logger.info('Hashtag schedule replaced', { versionId: version.id });
+
+  res.json(formatVersion(version));
+}));
+
+/**
+ * PUT /api/hashtag/schedule/:day
+ * Replace the hashtags of a single day
+ * Body: { hashtags: string[], effectiveFrom?, allowPast?, note? }
+ */
+router.put('/:day', requireAdmin, asyncHandler(async (req, res) => {
+  const dayOfWeek = parseDayParameter(req.params.day);
+  const hashtags = parseHashtagList((req.body || {}).hashtags);
+
+  const version = scheduleService.setDay(dayOfWeek, hashtags, parseVersionOptions(req.body));
+
+  logger.info('Hashtag schedule day replaced', { dayOfWeek, hashtags, versionId: version.id });
+
+  res.json(formatVersion(version));
+}));
+
+/**
+ * POST /api/hashtag/schedule/:day
+ * Add a hashtag to a day
+ * Body: { hashtag: string, position?, effectiveFrom?, allowPast?, note? }
+ */
+router.post('/:day', requireAdmin, asyncHandler(async (req, res) => {
+  const dayOfWeek = parseDayParameter(req.params.day);
+  const body = req.body || {};
+  const hashtag = validateHashtagParameter(body.hashtag);
+
+  if (body.position !== undefined && (!Number.isInteger(body.position) || body.position < 0)) {
+    throw new ValidationError('Invalid position. Must be a non-negative integer.', 'position', body.position);
+  }
+
+  const version = scheduleService.addHashtag(dayOfWeek, hashtag, {
+    ...parseVersionOptions(body),
+    position: body.position
+  });
+
+  logger.info('Hashtag added to schedule', { dayOfWeek, hashtag, versionId: version.id });
+
+  res.status(201).json(formatVersion(version));
+}));
+
+/**
+ * DELETE /api/hashtag/schedule/:day/:hashtag
+ * Remove a hashtag from a day
+ * Body (optional): { effectiveFrom?, allowPast?, note? }
+ */
+router.delete('/:day/:hashtag', requireAdmin, asyncHandler(async (req, res) => {
+  const dayOfWeek = parseDayParameter(req.params.day);
+  const hashtag = validateHashtagParameter(req.params.hashtag);
+
+  const version = scheduleService.removeHashtag(dayOfWeek, hashtag, parseVersionOptions(req.body));
+
+  logger.info('Hashtag removed from schedule', { dayOfWeek, hashtag, versionId: version.id });
+
+  res.json(formatVersion(version));
+}));
+
+export { router as scheduleRoutes };
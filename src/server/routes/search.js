@@ -0,0 +1,87 @@
+import { Router } from 'express';
+import { asyncHandler } from '../../middleware/errorHandler.js';
+import { moderateRateLimit } from '../../middleware/rateLimiter.js';
+import { searchService } from '../../services/searchService.js';
+import { ValidationError } from '../../errors/index.js';
+import { logger } from '../../utils/logger.js';
+import { appConfig as config } from '../../config/index.js';
+import { validateDateParameter, validateHashtagParameter } from '../../utils/validators.js';
+import moment from 'moment-timezone';
+
+const router = Router();
+
+// Maximum results per page
+const MAX_LIMIT = 100;
+
+// Longest search text accepted
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Parse and validate a non-negative integer query parameter
+ * @param {string} value - Raw value
+ * @param {string} field - Field name used in validation errors
+ * @param {number} min - Smallest accepted value
+ * @returns {number} Parsed value
+ */
+function parseInteger(value, field, min) {
+  if (!/^\d+$/.test(String(value)) || parseInt(value, 10) < min) {
+    throw new ValidationError(`Invalid ${field}. Must be an integer of at least ${min}.`, field, value);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * GET /api/search
+ * Full-text search over archived toots (content, content warnings and media descriptions),
+ * best matches first, each with highlighted snippets (matches in <mark> tags)
+ * Case and accents are ignored: "acao" finds "ação".
+ * Query params: q (words, "a phrase", prefix*, -excluded), hashtag, author (username or
+ * user@domain), instance, start, end (YYYY-MM-DD, server timezone), limit (default: 20,
+ * max: 100), offset
+ */
+router.get('/', moderateRateLimit, asyncHandler(async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) {
+    throw new ValidationError('The q parameter is required', 'q', req.query.q);
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new ValidationError(`The q parameter must be at most ${MAX_QUERY_LENGTH} characters`, 'q', q);
+  }
+
+  const hashtag = req.query.hashtag ? validateHashtagParameter(req.query.hashtag) : null;
+  const author = typeof req.query.author === 'string' && req.query.author.trim() ? req.query.author.trim() : null;
+  const instance = typeof req.query.instance === 'string' && req.query.instance ? req.query.instance : null;
+  const startDate = validateDateParameter(req.query.start, 'start');
+  const endDate = validateDateParameter(req.query.end, 'end');
+  if (startDate && endDate && startDate > endDate) {
+    throw new ValidationError('start must not be after end');
+  }
+  const limit = req.query.limit ? Math.min(parseInteger(req.query.limit, 'limit', 1), MAX_LIMIT) : 20;
+  const offset = req.query.offset ? parseInteger(req.query.offset, 'offset', 0) : 0;
+
+  logger.info('Toot search requested', { q, hashtag, author, instance, startDate, endDate, limit, offset });
+
+  const { results, total } = searchService.search(q, {
+    hashtag,
+    author,
+    instance,
+    since: startDate && moment.tz(startDate, config.server.timezone).toDate(),
+    until: endDate && moment.tz(endDate, config.server.timezone).add(1, 'day').toDate(),
+    limit,
+    offset
+  });
+
+  res.json({
+    query: q,
+    filters: { hashtag, author, instance, start: startDate, end: endDate },
+    results,
+    pagination: {
+      limit,
+      offset,
+      total,
+      hasMore: offset + results.length < total
+    }
+  });
+}));
+
+export { router as searchRoutes };
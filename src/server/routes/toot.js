@@ -3,6 +3,7 @@ import { asyncHandler } from '../../middleware/errorHandler.js';
 import { postingRateLimit } from '../../middleware/rateLimiter.js';
 import { tootService } from '../../services/tootService.js';
 import { hashtagService } from '../../services/hashtagService.js';
+import { engagementService } from '../../services/engagementService.js';
 import { ValidationError, BusinessError } from '../../errors/index.js';
 import { logger } from '../../utils/logger.js';
 import { VALIDATION_CONFIG } from '../../constants/index.js';
@@ -284,19 +285,20 @@ router.post('/daily', postingRateLimit, asyncHandler(async (req, res) => {
   });
   
   try {
-    // Get current day's hashtag using validated timezone
-    const dailyHashtag = hashtagService.getDailyHashtag({ timezone: validatedTimezone });
+    // Get all of the current day's hashtags using validated timezone
+    const dailyHashtags = hashtagService.getDailyHashtags({ timezone: validatedTimezone });
     
-    // Analyze hashtag
-    const analysis = await hashtagService.analyzeHashtag(dailyHashtag, { 
+    // Analyze them together
+    const analysis = await hashtagService.analyzeHashtags(dailyHashtags, { 
       timezone: validatedTimezone 
     });
     
     if (!analysis.hasTodayToots()) {
       return res.json({
         success: false,
-        message: `No toots found for today's hashtag: #${dailyHashtag}`,
-        hashtag: dailyHashtag,
+        message: `No toots found for today's hashtags: ${dailyHashtags.map(tag => `#${tag}`).join(' ')}`,
+        hashtag: dailyHashtags[0],
+        hashtags: dailyHashtags,
         tootCount: 0,
         postedAt: new Date().toISOString()
       });
@@ -304,28 +306,31 @@ router.post('/daily', postingRateLimit, asyncHandler(async (req, res) => {
     
     if (dryRun) {
       // Generate preview only
-      const preview = await tootService.previewSummary(dailyHashtag, analysis);
+      const preview = await tootService.previewSummary(dailyHashtags, analysis);
       
       return res.json({
         success: true,
         dryRun: true,
-        hashtag: dailyHashtag,
+        hashtag: dailyHashtags[0],
+        hashtags: dailyHashtags,
         summary: preview.summary,
         analysis: {
           tootCount: analysis.getTodayCount(),
           uniqueUsers: analysis.getUniqueUserCount(),
-          weeklyTotal: analysis.getWeeklyTotal()
+          weeklyTotal: analysis.getWeeklyTotal(),
+          perTag: analysis.getTagBreakdown()
         },
         generatedAt: new Date().toISOString()
       });
     } else {
       // Post the summary
-      const result = await tootService.generateAndPostSummary(dailyHashtag, analysis);
+      const result = await tootService.generateAndPostSummary(dailyHashtags, analysis);
       
       res.json({
         success: true,
         dryRun: false,
-        hashtag: dailyHashtag,
+        hashtag: dailyHashtags[0],
+        hashtags: dailyHashtags,
         summary: result.summary,
         toot: {
           id: result.toot.id,
@@ -335,7 +340,8 @@ router.post('/daily', postingRateLimit, asyncHandler(async (req, res) => {
         analysis: {
           tootCount: analysis.getTodayCount(),
           uniqueUsers: analysis.getUniqueUserCount(),
-          weeklyTotal: analysis.getWeeklyTotal()
+          weeklyTotal: analysis.getWeeklyTotal(),
+          perTag: analysis.getTagBreakdown()
         },
         postedAt: new Date().toISOString()
       });
@@ -404,6 +410,27 @@ router.get('/stats', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * GET /api/toot/:id/engagement
+ * Get the engagement time series of an archived status
+ * Query: instance (defaults to the primary instance)
+ */
+router.get('/:id/engagement', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { instance } = req.query;
+
+  if (!/^\d+$/.test(id)) {
+    throw new ValidationError('Status id must be numeric', 'id', id);
+  }
+
+  logger.info('Toot engagement requested', { id, instance: sanitizeForLog(instance) });
+
+  res.json({
+    ...engagementService.getSeries(id, instance || undefined),
+    generatedAt: new Date().toISOString()
+  });
+}));
+
 /**
  * POST /api/toot/validate
  * Validate toot content before posting
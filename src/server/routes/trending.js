@@ -2,7 +2,9 @@ import { Router } from 'express';
 import { asyncHandler } from '../../middleware/errorHandler.js';
 import { ValidationError } from '../../errors/index.js';
 import { hashtagService } from '../../services/hashtagService.js';
+import { trendingHistoryService } from '../../services/trendingHistoryService.js';
 import { logger } from '../../utils/logger.js';
+import { validateDateParameter, validateHashtagParameter } from '../../utils/validators.js';
 
 const router = Router();
 // Using singleton instance from service
@@ -46,6 +48,37 @@ function validatePaginationParams(limitValue, offsetValue) {
   return { limit, offset };
 }
 
+/**
+ * Validate the startDate/endDate query parameters of the snapshot history routes
+ * @param {Object} query - Request query
+ * @returns {{startDate: string|null, endDate: string|null}} Dates (null falls back to the last 30 days)
+ */
+function validatePeriodParams(query) {
+  const startDate = validateDateParameter(query.startDate, 'startDate');
+  const endDate = validateDateParameter(query.endDate, 'endDate');
+
+  if (startDate && endDate && endDate < startDate) {
+    throw new ValidationError('endDate must not be before startDate', 'endDate', endDate);
+  }
+  return { startDate, endDate };
+}
+
+/**
+ * Parse a snapshot id parameter ('latest' or omitted selects the latest snapshot)
+ * @param {string|undefined} value - Raw value
+ * @param {string} field - Field name used in validation errors
+ * @returns {number|null} Snapshot id, or null for the latest
+ */
+function parseSnapshotId(value, field) {
+  if (value === undefined || value === '' || value === 'latest') {
+    return null;
+  }
+  if (!/^\d+$/.test(String(value)) || parseInt(value, 10) < 1) {
+    throw new ValidationError(`Invalid ${field}. Must be a snapshot id or "latest".`, field, value);
+  }
+  return parseInt(value, 10);
+}
+
 /**
  * GET /api/trending
  * Get trending tags
@@ -136,6 +169,93 @@ router.get('/summary', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * GET /api/trending/snapshots
+ * Page through the stored trending snapshots, newest first
+ * Query params: limit (default: 10, max: 100), offset
+ */
+router.get('/snapshots', asyncHandler(async (req, res) => {
+  const { limit, offset } = validatePaginationParams(req.query.limit, req.query.offset);
+
+  logger.info('Trending snapshots requested', { limit, offset });
+
+  const { snapshots, total } = trendingHistoryService.listSnapshots({ limit, offset });
+
+  res.json({
+    snapshots,
+    pagination: {
+      limit,
+      offset,
+      total,
+      hasMore: offset + snapshots.length < total
+    }
+  });
+}));
+
+/**
+ * GET /api/trending/snapshots/:id
+ * Get a stored snapshot with each tag's rank, uses and accounts (:id may be "latest")
+ */
+router.get('/snapshots/:id', asyncHandler(async (req, res) => {
+  const snapshot = trendingHistoryService.getSnapshot(parseSnapshotId(req.params.id, 'id'));
+
+  res.json({ snapshot });
+}));
+
+/**
+ * GET /api/trending/new
+ * Get the tags that entered and left the trends since the previous snapshot
+ * Query params: snapshot (id, default: the latest)
+ */
+router.get('/new', asyncHandler(async (req, res) => {
+  const snapshotId = parseSnapshotId(req.query.snapshot, 'snapshot');
+
+  logger.info('Trending entrants requested', { snapshotId });
+
+  res.json(trendingHistoryService.getNewEntrants(snapshotId));
+}));
+
+/**
+ * GET /api/trending/durations
+ * Rank the tags of a period by how long they stayed trending
+ * Query params: startDate, endDate (default: the last 30 days), limit (default: 10, max: 100)
+ */
+router.get('/durations', asyncHandler(async (req, res) => {
+  const { startDate, endDate } = validatePeriodParams(req.query);
+  const { limit } = validatePaginationParams(req.query.limit);
+
+  logger.info('Trending durations requested', { startDate, endDate, limit });
+
+  res.json(trendingHistoryService.getDurations({ startDate, endDate, limit }));
+}));
+
+/**
+ * GET /api/trending/history/:tag
+ * Get a tag's rank in each snapshot of a period and the stints it spent trending
+ * Query params: startDate, endDate (default: the last 30 days)
+ */
+router.get('/history/:tag', asyncHandler(async (req, res) => {
+  const tag = validateHashtagParameter(req.params.tag, 'tag');
+  const { startDate, endDate } = validatePeriodParams(req.query);
+
+  logger.info('Trending tag history requested', { tag, startDate, endDate });
+
+  res.json(trendingHistoryService.getTagHistory(tag, { startDate, endDate }));
+}));
+
+/**
+ * GET /api/trending/scheduled
+ * Check whether each day's scheduled hashtags reached the trends that day
+ * Query params: startDate, endDate (default: the last 30 days)
+ */
+router.get('/scheduled', asyncHandler(async (req, res) => {
+  const { startDate, endDate } = validatePeriodParams(req.query);
+
+  logger.info('Scheduled hashtags in trends requested', { startDate, endDate });
+
+  res.json(trendingHistoryService.getScheduledHashtagRanks({ startDate, endDate }));
+}));
+
 /**
  * GET /api/trending/:tag
  * Get detailed information about a specific trending tag
@@ -0,0 +1,81 @@
+import { Router } from 'express';
+import { asyncHandler } from '../../middleware/errorHandler.js';
+import { requireAdmin } from '../../middleware/adminAuth.js';
+import { watchlistService } from '../../services/watchlistService.js';
+import { databaseService } from '../../services/databaseService.js';
+import { ValidationError } from '../../errors/index.js';
+import { logger } from '../../utils/logger.js';
+import { validateDateParameter, validateHashtagParameter } from '../../utils/validators.js';
+
+const router = Router();
+
+/**
+ * GET /api/hashtag/watchlist
+ * List watched hashtags
+ * Query params: active=true to list only the hashtags watched today
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const watchlist = watchlistService.list({ activeOnly: req.query.active === 'true' });
+
+  res.json({
+    watchlist,
+    total: watchlist.length
+  });
+}));
+
+/**
+ * GET /api/hashtag/watchlist/:hashtag
+ * Get a watched hashtag with the history collected during its watch period
+ */
+router.get('/:hashtag', asyncHandler(async (req, res) => {
+  const entry = watchlistService.get(validateHashtagParameter(req.params.hashtag));
+  const history = await databaseService.getDailyHistory(entry.hashtag, entry.startDate, entry.endDate);
+
+  res.json({
+    entry,
+    history,
+    summary: {
+      days: history.length,
+      totalUses: history.reduce((sum, day) => sum + day.uses, 0),
+      peakDay: history.reduce((peak, day) => (!peak || day.uses > peak.uses ? day : peak), null)
+    }
+  });
+}));
+
+/**
+ * POST /api/hashtag/watchlist
+ * Watch a hashtag, or change the period of one already watched
+ * Body: { hashtag, startDate?, endDate?, note? } (startDate defaults to today, no endDate watches until removed)
+ */
+router.post('/', requireAdmin, asyncHandler(async (req, res) => {
+  const body = req.body || {};
+
+  if (body.note !== undefined && body.note !== null && typeof body.note !== 'string') {
+    throw new ValidationError('Invalid note. Must be a string.', 'note', body.note);
+  }
+
+  const { entry, created } = watchlistService.add(validateHashtagParameter(body.hashtag), {
+    startDate: validateDateParameter(body.startDate, 'startDate'),
+    endDate: validateDateParameter(body.endDate, 'endDate'),
+    note: body.note || null
+  });
+
+  logger.info(`Hashtag #${entry.hashtag} ${created ? 'added to' : 'updated on'} the watchlist`, {
+    startDate: entry.startDate,
+    endDate: entry.endDate
+  });
+
+  res.status(created ? 201 : 200).json({ entry });
+}));
+
+/**
+ * DELETE /api/hashtag/watchlist/:hashtag
+ * Stop watching a hashtag (its collected history is kept)
+ */
+router.delete('/:hashtag', requireAdmin, asyncHandler(async (req, res) => {
+  const entry = watchlistService.remove(validateHashtagParameter(req.params.hashtag));
+
+  res.json({ deleted: entry });
+}));
+
+export { router as watchlistRoutes };
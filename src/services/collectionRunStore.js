@@ -0,0 +1,212 @@
+import { getDatabase } from '../database/index.js';
+import { appConfig as config } from '../config/index.js';
+
+export const COLLECTION_TRIGGERS = ['cron', 'cli', 'api'];
+export const COLLECTION_RUN_STATUSES = ['running', 'succeeded', 'partial', 'failed'];
+
+// Outcomes counted in the run row, one column each
+const OUTCOMES = ['collected', 'revised', 'unchanged', 'skipped', 'no_data', 'failed'];
+
+/**
+ * Map a collection_runs row to its public representation
+ * @param {Object} row - Database row
+ * @returns {Object} Run
+ */
+function mapRun(row) {
+  return {
+    id: row.id,
+    trigger: row.trigger,
+    operation: row.operation,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    counts: {
+      collected: row.collected,
+      revised: row.revised,
+      unchanged: row.unchanged,
+      skipped: row.skipped,
+      noData: row.no_data,
+      failed: row.failed
+    },
+    error: row.error
+  };
+}
+
+/**
+ * Audit trail of history collections
+ * Each run (scheduled, from the CLI or triggered through the API) gets a row, and the
+ * outcome of every hashtag and day it handled is recorded as it happens, so a run that
+ * dies halfway still shows how far it got.
+ */
+export class CollectionRunStore {
+  constructor(db = getDatabase().getDatabase()) {
+    this.db = db;
+  }
+
+  /**
+   * Record the start of a run
+   * @param {Object} run - Run
+   * @param {string} run.trigger - 'cron', 'cli' or 'api'
+   * @param {string} run.operation - What the run does (e.g. 'collect', 'range', 'backfill')
+   * @param {string|null} run.startDate - First date collected (YYYY-MM-DD), if known upfront
+   * @param {string|null} run.endDate - Last date collected (YYYY-MM-DD), if known upfront
+   * @returns {number} Run id
+   */
+  start({ trigger, operation, startDate = null, endDate = null }) {
+    const { lastInsertRowid } = this.db.prepare(`
+      INSERT INTO collection_runs (trigger, operation, start_date, end_date, status, started_at)
+      VALUES (?, ?, ?, ?, 'running', ?)
+    `).run(trigger, operation, startDate, endDate, new Date().toISOString());
+    return Number(lastInsertRowid);
+  }
+
+  /**
+   * Record what happened to a hashtag on a day (a later outcome for the same day replaces it,
+   * e.g. a backfill that recovers a day the collection failed)
+   * @param {number} runId - Run id
+   * @param {string} hashtag - Hashtag name
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} outcome - 'collected', 'revised', 'unchanged', 'skipped', 'no_data' or 'failed'
+   * @param {string|null} error - Error message for failed outcomes
+   */
+  recordOutcome(runId, hashtag, date, outcome, error = null) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO collection_run_hashtags (run_id, hashtag, date, outcome, error)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(runId, hashtag, date, outcome, error);
+  }
+
+  /**
+   * Record the end of a run, totalling its outcomes
+   * The run failed if it threw or every hashtag day it tried failed; it is partial if only some did.
+   * @param {number} runId - Run id
+   * @param {Object} options - Options
+   * @param {string|null} options.error - Error that stopped the run
+   * @returns {Object} Finished run
+   */
+  finish(runId, { error = null } = {}) {
+    const counts = Object.fromEntries(OUTCOMES.map(outcome => [outcome, 0]));
+    this.db.prepare(`
+      SELECT outcome, COUNT(*) AS count FROM collection_run_hashtags WHERE run_id = ? GROUP BY outcome
+    `).all(runId).forEach(row => { counts[row.outcome] = row.count; });
+
+    const dates = this.db.prepare(`
+      SELECT MIN(date) AS first, MAX(date) AS last FROM collection_run_hashtags WHERE run_id = ?
+    `).get(runId);
+    const attempted = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    let status = 'succeeded';
+    let message = error;
+    if (error || (counts.failed > 0 && counts.failed === attempted)) {
+      status = 'failed';
+      message = error || this.db.prepare(`
+        SELECT error FROM collection_run_hashtags WHERE run_id = ? AND outcome = 'failed' LIMIT 1
+      `).get(runId).error;
+    } else if (counts.failed > 0) {
+      status = 'partial';
+      message = `${counts.failed} of ${attempted} hashtag days failed`;
+    }
+
+    const run = this.getRun(runId);
+    const finishedAt = new Date();
+    this.db.prepare(`
+      UPDATE collection_runs
+      SET status = ?, finished_at = ?, duration_ms = ?, error = ?,
+          start_date = COALESCE(start_date, ?), end_date = COALESCE(end_date, ?),
+          collected = ?, revised = ?, unchanged = ?, skipped = ?, no_data = ?, failed = ?
+      WHERE id = ?
+    `).run(
+      status,
+      finishedAt.toISOString(),
+      finishedAt.getTime() - new Date(run.startedAt).getTime(),
+      message,
+      dates.first,
+      dates.last,
+      ...OUTCOMES.map(outcome => counts[outcome]),
+      runId
+    );
+
+    return this.getRun(runId);
+  }
+
+  /**
+   * Get a run with the outcome of each hashtag day
+   * @param {number} runId - Run id
+   * @returns {Object|null} Run with hashtags: [{hashtag, date, outcome, error}], or null if not found
+   */
+  getRun(runId) {
+    const row = this.db.prepare('SELECT * FROM collection_runs WHERE id = ?').get(runId);
+    if (!row) {
+      return null;
+    }
+    const hashtags = this.db.prepare(`
+      SELECT hashtag, date, outcome, error FROM collection_run_hashtags
+      WHERE run_id = ?
+      ORDER BY date ASC, hashtag ASC
+    `).all(runId);
+    return { ...mapRun(row), hashtags };
+  }
+
+  /**
+   * Page through runs, newest first (without per-hashtag outcomes)
+   * @param {Object} options - Options
+   * @param {number} options.limit - Page size (default: 20)
+   * @param {number} options.offset - Runs to skip (default: 0)
+   * @param {string} options.status - Only runs with this status
+   * @param {string} options.trigger - Only runs started this way
+   * @returns {{runs: Array, total: number}} Page of runs and the number of matching runs
+   */
+  listRuns({ limit = 20, offset = 0, status = null, trigger = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (trigger) {
+      conditions.push('trigger = ?');
+      params.push(trigger);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const runs = this.db.prepare(`SELECT * FROM collection_runs ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map(mapRun);
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM collection_runs ${where}`).get(...params);
+    return { runs, total };
+  }
+
+  /**
+   * Get the most recent finished run and the most recent run that collected anything
+   * @returns {{lastRun: Object|null, lastSuccessfulRun: Object|null}} Runs (see listRuns)
+   */
+  getLatest() {
+    const lastRun = this.db.prepare(`
+      SELECT * FROM collection_runs WHERE status != 'running' ORDER BY id DESC LIMIT 1
+    `).get();
+    const lastSuccessfulRun = this.db.prepare(`
+      SELECT * FROM collection_runs WHERE status IN ('succeeded', 'partial') ORDER BY id DESC LIMIT 1
+    `).get();
+    return {
+      lastRun: lastRun ? mapRun(lastRun) : null,
+      lastSuccessfulRun: lastSuccessfulRun ? mapRun(lastSuccessfulRun) : null
+    };
+  }
+
+  /**
+   * Delete runs older than HISTORY_RUN_RETENTION_DAYS
+   * @returns {number} Runs deleted
+   */
+  prune() {
+    const cutoff = new Date(Date.now() - config.history.runRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const { changes } = this.db.prepare("DELETE FROM collection_runs WHERE started_at < ? AND status != 'running'")
+      .run(cutoff);
+    return changes;
+  }
+}
+
+// Export singleton instance
+export const collectionRunStore = new CollectionRunStore();
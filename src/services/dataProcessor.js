@@ -271,11 +271,14 @@ export class DataProcessor {
   }
 
   /**
-   * Filter toots by timeframe (today, week, month, all)
+   * Get the start of a timeframe window (today, week, month) in the given timezone
+   * @param {string} timeframe - Timeframe
+   * @param {string} clientTimezone - Client timezone (falls back to the server timezone)
+   * @returns {moment.Moment|null} Window start, or null for 'all' and unknown timeframes
    */
-  filterByTimeframe(toots, timeframe, clientTimezone = null) {
+  getTimeframeStart(timeframe, clientTimezone = null) {
     if (!timeframe || timeframe === 'all') {
-      return toots;
+      return null;
     }
 
     // Validate and normalize timezone - prefer client timezone if provided and valid
@@ -288,27 +291,36 @@ export class DataProcessor {
     }
 
     const now = moment().tz(timezone);
-    let cutoffDate;
 
     switch (timeframe.toLowerCase()) {
       case 'today':
-        cutoffDate = now.clone().startOf('day');
-        break;
+        return now.clone().startOf('day');
       case 'week':
-        cutoffDate = now.clone().subtract(7, 'days').startOf('day');
-        break;
+        return now.clone().subtract(7, 'days').startOf('day');
       case 'month':
-        cutoffDate = now.clone().subtract(30, 'days').startOf('day');
-        break;
+        return now.clone().subtract(30, 'days').startOf('day');
       default:
-        logger.warn(`Unknown timeframe: ${timeframe}, returning all toots`);
-        return toots;
+        return null;
+    }
+  }
+
+  /**
+   * Filter toots by timeframe (today, week, month, all)
+   */
+  filterByTimeframe(toots, timeframe, clientTimezone = null) {
+    if (!timeframe || timeframe === 'all') {
+      return toots;
+    }
+
+    const cutoffDate = this.getTimeframeStart(timeframe, clientTimezone);
+    if (!cutoffDate) {
+      logger.warn(`Unknown timeframe: ${timeframe}, returning all toots`);
+      return toots;
     }
 
     const filteredToots = toots.filter(toot => {
       try {
-        const tootMoment = moment(toot.created_at).tz(timezone);
-        return tootMoment.isSameOrAfter(cutoffDate);
+        return moment(toot.created_at).isSameOrAfter(cutoffDate);
       } catch (error) {
         logger.error(`Failed to parse date for toot ${toot.id}`, { error });
         return false;
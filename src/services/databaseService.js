@@ -1,86 +1,121 @@
-import { getDatabase } from '../database/index.js';
+import { getHistoryStorage } from '../database/storage/index.js';
 import { getISOWeek } from '../database/migrations.js';
 import { logger } from '../utils/logger.js';
+import { rollupHistory, summarizeRollup, ROLLUP_TIERS } from '../utils/historyRollup.js';
 import moment from 'moment-timezone';
 import { appConfig as config } from '../config/index.js';
 
+/**
+ * Map a row of a weekly aggregation
+ * @private
+ */
+function mapWeek(row) {
+  return {
+    weekNumber: row.week_number,
+    weekStart: row.week_start,
+    weekEnd: row.week_end,
+    totalUses: row.total_uses || 0,
+    totalAccounts: row.total_accounts || 0,
+    dailyAverage: Math.round((row.daily_average || 0) * 10) / 10,
+    daysCounted: row.days_counted
+  };
+}
+
+/**
+ * Map a stored day
+ * @private
+ */
+function mapDay(row) {
+  return {
+    date: row.date,
+    uses: row.uses || 0,
+    accounts: row.accounts || 0,
+    firstUses: row.first_uses || 0,
+    firstAccounts: row.first_accounts || 0,
+    updatedAt: row.updated_at,
+    year: row.year,
+    weekNumber: row.week_number
+  };
+}
+
 /**
  * Service for hashtag history data persistence and retrieval
+ * Reads and writes through a history storage adapter (SQLite by default, or PostgreSQL;
+ * see src/database/storage/), so every method is asynchronous.
  */
 export class DatabaseService {
-  constructor() {
-    this.db = getDatabase().getDatabase();
+  /**
+   * @param {SqliteHistoryStorage|PostgresHistoryStorage} storage - History storage (default: the configured one)
+   */
+  constructor(storage = getHistoryStorage()) {
+    this.storage = storage;
   }
 
   /**
-   * Save daily hashtag data
+   * Save daily hashtag data, updating the counts when they changed since the last collection
+   * Every insert or change is recorded in hashtag_history_revisions; the first counts are kept
+   * in first_uses/first_accounts.
    * @param {string} hashtag - Hashtag name
    * @param {string} date - Date in YYYY-MM-DD format
    * @param {Object} data - Data object with uses and accounts
-   * @returns {boolean} True if saved, false if already exists
+   * @param {Object} options - Options
+   * @param {boolean} options.overwrite - Update an existing row (default: true)
+   * @returns {Promise<string>} 'inserted', 'updated' or 'unchanged' (also when the row exists and overwrite is false)
    */
-  saveDailyHashtagData(hashtag, date, data) {
+  async saveDailyHashtagData(hashtag, date, data, { overwrite = true } = {}) {
     try {
-      // Check if data already exists
-      if (this.hasDataForDate(hashtag, date)) {
-        logger.debug(`Data already exists for ${hashtag} on ${date}, skipping insert`);
-        return false;
-      }
-
       const { year, weekNumber } = getISOWeek(date);
       const uses = parseInt(data.uses) || 0;
       const accounts = parseInt(data.accounts) || 0;
 
-      const stmt = this.db.prepare(`
-        INSERT INTO hashtag_history 
-        (hashtag, date, year, week_number, uses, accounts, collected_at)
-        VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `);
-
-      stmt.run(hashtag, date, year, weekNumber, uses, accounts);
-      
-      logger.debug(`Saved daily data for ${hashtag} on ${date}`, { uses, accounts });
-      return true;
+      const result = await this.storage.saveDay(hashtag, date, { year, weekNumber, uses, accounts }, { overwrite });
+      if (result === 'unchanged') {
+        logger.debug(`Data for ${hashtag} on ${date} is unchanged`);
+      } else {
+        logger.debug(`Saved daily data for ${hashtag} on ${date} (${result})`, { uses, accounts });
+      }
+      return result;
     } catch (error) {
       logger.error(`Failed to save daily data for ${hashtag} on ${date}`, error);
       throw error;
     }
   }
 
+  /**
+   * Get the recorded revisions of daily counts, oldest first
+   * @param {string} hashtag - Hashtag name
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format (optional, defaults to startDate)
+   * @returns {Promise<Array>} Revisions with the counts before and after each change
+   */
+  async getRevisions(hashtag, startDate, endDate = startDate) {
+    try {
+      const rows = await this.storage.getRevisions(hashtag, startDate, endDate);
+
+      return rows.map(row => ({
+        date: row.date,
+        uses: row.uses,
+        accounts: row.accounts,
+        previousUses: row.previous_uses,
+        previousAccounts: row.previous_accounts,
+        recordedAt: row.recorded_at
+      }));
+    } catch (error) {
+      logger.error(`Failed to get revisions for ${hashtag}`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get weekly history for a specific hashtag
    * @param {string} hashtag - Hashtag name
    * @param {number} year - Year to query
-   * @returns {Array} Array of weekly data objects
+   * @returns {Promise<Array>} Array of weekly data objects
    */
-  getWeeklyHistory(hashtag, year) {
+  async getWeeklyHistory(hashtag, year) {
     try {
-      const stmt = this.db.prepare(`
-        SELECT 
-          week_number,
-          MIN(date) as week_start,
-          MAX(date) as week_end,
-          SUM(uses) as total_uses,
-          SUM(accounts) as total_accounts,
-          AVG(uses) as daily_average,
-          COUNT(*) as days_counted
-        FROM hashtag_history
-        WHERE hashtag = ? AND year = ?
-        GROUP BY week_number
-        ORDER BY week_number ASC
-      `);
-
-      const results = stmt.all(hashtag, year);
-      
-      return results.map(row => ({
-        weekNumber: row.week_number,
-        weekStart: row.week_start,
-        weekEnd: row.week_end,
-        totalUses: row.total_uses || 0,
-        totalAccounts: row.total_accounts || 0,
-        dailyAverage: Math.round((row.daily_average || 0) * 10) / 10,
-        daysCounted: row.days_counted
-      }));
+      const results = await this.storage.getWeeks({ year, hashtag });
+      return results.map(mapWeek);
     } catch (error) {
       logger.error(`Failed to get weekly history for ${hashtag}`, error);
       throw error;
@@ -90,43 +125,19 @@ export class DatabaseService {
   /**
    * Get weekly history for all hashtags
    * @param {number} year - Year to query
-   * @returns {Object} Object with hashtag as key and weekly data as value
+   * @returns {Promise<Object>} Object with hashtag as key and weekly data as value
    */
-  getAllHashtagsWeeklyHistory(year) {
+  async getAllHashtagsWeeklyHistory(year) {
     try {
-      const stmt = this.db.prepare(`
-        SELECT 
-          hashtag,
-          week_number,
-          MIN(date) as week_start,
-          MAX(date) as week_end,
-          SUM(uses) as total_uses,
-          SUM(accounts) as total_accounts,
-          AVG(uses) as daily_average,
-          COUNT(*) as days_counted
-        FROM hashtag_history
-        WHERE year = ?
-        GROUP BY hashtag, week_number
-        ORDER BY hashtag, week_number ASC
-      `);
-
-      const results = stmt.all(year);
-      
+      const results = await this.storage.getWeeks({ year });
+
       // Group by hashtag
       const grouped = {};
       results.forEach(row => {
         if (!grouped[row.hashtag]) {
           grouped[row.hashtag] = [];
         }
-        grouped[row.hashtag].push({
-          weekNumber: row.week_number,
-          weekStart: row.week_start,
-          weekEnd: row.week_end,
-          totalUses: row.total_uses || 0,
-          totalAccounts: row.total_accounts || 0,
-          dailyAverage: Math.round((row.daily_average || 0) * 10) / 10,
-          daysCounted: row.days_counted
-        });
+        grouped[row.hashtag].push(mapWeek(row));
       });
 
       return grouped;
@@ -141,39 +152,12 @@ export class DatabaseService {
    * @param {string} hashtag - Hashtag name
    * @param {string} startDate - Start date in YYYY-MM-DD format
    * @param {string} endDate - End date in YYYY-MM-DD format (optional)
-   * @returns {Array} Array of daily data objects
+   * @returns {Promise<Array>} Array of daily data objects
    */
-  getDailyHistory(hashtag, startDate, endDate = null) {
+  async getDailyHistory(hashtag, startDate, endDate = null) {
     try {
-      let query = `
-        SELECT 
-          date,
-          uses,
-          accounts,
-          year,
-          week_number
-        FROM hashtag_history
-        WHERE hashtag = ? AND date >= ?
-      `;
-      const params = [hashtag, startDate];
-      
-      if (endDate) {
-        query += ` AND date <= ?`;
-        params.push(endDate);
-      }
-      
-      query += ` ORDER BY date ASC`;
-      
-      const stmt = this.db.prepare(query);
-      const results = stmt.all(...params);
-      
-      return results.map(row => ({
-        date: row.date,
-        uses: row.uses || 0,
-        accounts: row.accounts || 0,
-        year: row.year,
-        weekNumber: row.week_number
-      }));
+      const results = await this.storage.getDays({ hashtag, startDate, endDate });
+      return results.map(mapDay);
     } catch (error) {
       logger.error(`Failed to get daily history for ${hashtag}`, error);
       throw error;
@@ -185,43 +169,12 @@ export class DatabaseService {
    * @param {string} hashtag - Hashtag name
    * @param {number} year - Year to query
    * @param {number} weekNumber - Week number to filter (optional)
-   * @returns {Array} Array of weekly data objects
+   * @returns {Promise<Array>} Array of weekly data objects
    */
-  getWeeklyHistoryByWeek(hashtag, year, weekNumber = null) {
+  async getWeeklyHistoryByWeek(hashtag, year, weekNumber = null) {
     try {
-      let query = `
-        SELECT 
-          week_number,
-          MIN(date) as week_start,
-          MAX(date) as week_end,
-          SUM(uses) as total_uses,
-          SUM(accounts) as total_accounts,
-          AVG(uses) as daily_average,
-          COUNT(*) as days_counted
-        FROM hashtag_history
-        WHERE hashtag = ? AND year = ?
-      `;
-      const params = [hashtag, year];
-      
-      if (weekNumber !== null) {
-        query += ` AND week_number = ?`;
-        params.push(weekNumber);
-      }
-      
-      query += ` GROUP BY week_number ORDER BY week_number ASC`;
-      
-      const stmt = this.db.prepare(query);
-      const results = stmt.all(...params);
-      
-      return results.map(row => ({
-        weekNumber: row.week_number,
-        weekStart: row.week_start,
-        weekEnd: row.week_end,
-        totalUses: row.total_uses || 0,
-        totalAccounts: row.total_accounts || 0,
-        dailyAverage: Math.round((row.daily_average || 0) * 10) / 10,
-        daysCounted: row.days_counted
-      }));
+      const results = await this.storage.getWeeks({ year, hashtag, weekNumber });
+      return results.map(mapWeek);
     } catch (error) {
       logger.error(`Failed to get weekly history by week for ${hashtag}`, error);
       throw error;
@@ -232,34 +185,12 @@ export class DatabaseService {
    * Get daily data for a specific date
    * @param {string} hashtag - Hashtag name
    * @param {string} date - Date in YYYY-MM-DD format
-   * @returns {Object|null} Daily data object or null
+   * @returns {Promise<Object|null>} Daily data object or null
    */
-  getDailyData(hashtag, date) {
+  async getDailyData(hashtag, date) {
     try {
-      const stmt = this.db.prepare(`
-        SELECT 
-          date,
-          uses,
-          accounts,
-          year,
-          week_number
-        FROM hashtag_history
-        WHERE hashtag = ? AND date = ?
-      `);
-
-      const result = stmt.get(hashtag, date);
-      
-      if (!result) {
-        return null;
-      }
-      
-      return {
-        date: result.date,
-        uses: result.uses || 0,
-        accounts: result.accounts || 0,
-        year: result.year,
-        weekNumber: result.week_number
-      };
+      const [result] = await this.storage.getDays({ hashtag, startDate: date, endDate: date });
+      return result ? mapDay(result) : null;
     } catch (error) {
       logger.error(`Failed to get daily data for ${hashtag} on ${date}`, error);
       throw error;
@@ -269,18 +200,12 @@ export class DatabaseService {
   /**
    * Get latest collection date for a hashtag
    * @param {string} hashtag - Hashtag name
-   * @returns {string|null} Latest date in YYYY-MM-DD format or null
+   * @returns {Promise<string|null>} Latest date in YYYY-MM-DD format or null
    */
-  getLatestCollectionDate(hashtag) {
+  async getLatestCollectionDate(hashtag) {
     try {
-      const stmt = this.db.prepare(`
-        SELECT MAX(date) as latest_date
-        FROM hashtag_history
-        WHERE hashtag = ?
-      `);
-
-      const result = stmt.get(hashtag);
-      return result?.latest_date || null;
+      const result = await this.storage.getDateRange(hashtag);
+      return result?.max_date || null;
     } catch (error) {
       logger.error(`Failed to get latest collection date for ${hashtag}`, error);
       throw error;
@@ -291,43 +216,43 @@ export class DatabaseService {
    * Check if data exists for a specific date
    * @param {string} hashtag - Hashtag name
    * @param {string} date - Date in YYYY-MM-DD format
-   * @returns {boolean} True if data exists
+   * @returns {Promise<boolean>} True if data exists
    * @throws {Error} Re-throws database errors to allow callers to distinguish "no data" from exceptions
    */
-  hasDataForDate(hashtag, date) {
+  async hasDataForDate(hashtag, date) {
     try {
-      const stmt = this.db.prepare(`
-        SELECT 1
-        FROM hashtag_history
-        WHERE hashtag = ? AND date = ?
-        LIMIT 1
-      `);
-
-      const result = stmt.get(hashtag, date);
-      return result !== undefined;
+      const rows = await this.storage.getDays({ hashtag, startDate: date, endDate: date });
+      return rows.length > 0;
     } catch (error) {
       logger.error(`Failed to check data existence for ${hashtag} on ${date}`, error);
       throw error;
     }
   }
 
+  /**
+   * Get the hashtag and date of every stored day in a range
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Array<{hashtag: string, date: string}>>} Stored days
+   */
+  async getCollectedDays(startDate, endDate) {
+    try {
+      const rows = await this.storage.getDays({ startDate, endDate });
+      return rows.map(({ hashtag, date }) => ({ hashtag, date }));
+    } catch (error) {
+      logger.error('Failed to get collected days', error);
+      throw error;
+    }
+  }
+
   /**
    * Get date range of available data
    * @param {string} hashtag - Hashtag name (optional, null for all)
-   * @returns {Object} Object with min and max dates
+   * @returns {Promise<Object>} Object with min and max dates
    */
-  getDateRange(hashtag = null) {
+  async getDateRange(hashtag = null) {
     try {
-      const baseQuery = `
-        SELECT MIN(date) as min_date, MAX(date) as max_date
-        FROM hashtag_history
-      `;
-      const whereClause = hashtag ? ' WHERE hashtag = ?' : '';
-      const query = baseQuery + whereClause;
-      
-      const stmt = this.db.prepare(query);
-      const result = hashtag ? stmt.get(hashtag) : stmt.get();
-      
+      const result = await this.storage.getDateRange(hashtag);
       return {
         minDate: result?.min_date || null,
         maxDate: result?.max_date || null
@@ -343,10 +268,10 @@ export class DatabaseService {
    * Includes summary statistics
    * @param {string} hashtag - Hashtag name
    * @param {number} year - Year to query
-   * @returns {Object} Object with weeklyData and summary
+   * @returns {Promise<Object>} Object with weeklyData and summary
    */
-  aggregateWeeklyData(hashtag, year) {
-    const weeklyData = this.getWeeklyHistory(hashtag, year);
+  async aggregateWeeklyData(hashtag, year) {
+    const weeklyData = await this.getWeeklyHistory(hashtag, year);
     
     if (weeklyData.length === 0) {
       return {
@@ -391,25 +316,116 @@ export class DatabaseService {
     };
   }
 
+  /**
+   * Get the downsampled rollups overlapping a period, as entries for rollupHistory
+   * Weeks come from the weekly rollups and months, quarters and years from the monthly ones;
+   * days deleted by the retention job are not available per day.
+   * @param {string} granularity - day, week, month, quarter or year
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {string|null} hashtag - Hashtag name (all hashtags when null)
+   * @returns {Promise<Array>} Entries with hashtag, date (the period start), uses, accounts, daysCounted and peakDay
+   * @private
+   */
+  async _getDownsampledEntries(granularity, startDate, endDate, hashtag = null) {
+    const table = granularity === 'week' ? ROLLUP_TIERS.week : (granularity === 'day' ? null : ROLLUP_TIERS.month);
+    if (!table) {
+      return [];
+    }
+
+    const rows = await this.storage.getRollups(table, startDate, endDate, hashtag);
+    return rows.map(row => ({
+      hashtag: row.hashtag,
+      date: row.start_date,
+      uses: row.total_uses,
+      accounts: row.total_accounts,
+      daysCounted: row.days_counted,
+      peakDay: { date: row.peak_date, uses: row.peak_uses, accounts: row.peak_accounts }
+    }));
+  }
+
+  /**
+   * Roll a hashtag's daily history up into days, ISO weeks, months, quarters or years
+   * @param {string} hashtag - Hashtag name
+   * @param {string} granularity - day, week, month, quarter or year
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Object>} Object with periods (totals, averages, peak day and change from the previous period) and summary
+   */
+  async getHistoryRollup(hashtag, granularity, startDate, endDate) {
+    const periods = rollupHistory([
+      ...await this._getDownsampledEntries(granularity, startDate, endDate, hashtag),
+      ...await this.getDailyHistory(hashtag, startDate, endDate)
+    ], granularity);
+
+    return {
+      hashtag,
+      granularity,
+      startDate,
+      endDate,
+      periods,
+      summary: summarizeRollup(periods)
+    };
+  }
+
+  /**
+   * Roll the daily history of every hashtag up into periods
+   * @param {string} granularity - day, week, month, quarter or year
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Object>} Object with hashtag as key and { periods, summary } as value, and the
+   *   hashtags ordered by total uses
+   */
+  async getAllHashtagsHistoryRollup(granularity, startDate, endDate) {
+    try {
+      const rows = await this.storage.getDays({ startDate, endDate });
+
+      const byHashtag = new Map();
+      [...await this._getDownsampledEntries(granularity, startDate, endDate), ...rows].forEach(row => {
+        if (!byHashtag.has(row.hashtag)) {
+          byHashtag.set(row.hashtag, []);
+        }
+        byHashtag.get(row.hashtag).push(row.daysCounted
+          ? row
+          : { date: row.date, uses: row.uses || 0, accounts: row.accounts || 0 });
+      });
+
+      const data = {};
+      byHashtag.forEach((days, hashtag) => {
+        const periods = rollupHistory(days, granularity);
+        data[hashtag] = { periods, summary: summarizeRollup(periods) };
+      });
+
+      return {
+        granularity,
+        startDate,
+        endDate,
+        data,
+        ranking: Object.keys(data)
+          .map(hashtag => ({ hashtag, totalUses: data[hashtag].summary.totalUses }))
+          .sort((a, b) => b.totalUses - a.totalUses || a.hashtag.localeCompare(b.hashtag))
+      };
+    } catch (error) {
+      logger.error(`Failed to get history rollup for all hashtags (${granularity})`, error);
+      throw error;
+    }
+  }
+
   /**
    * Delete old data (cleanup utility)
+   * The days are downsampled into the weekly and monthly rollups before they are deleted.
    * @param {number} daysToKeep - Number of days of data to keep
-   * @returns {number} Number of records deleted
+   * @returns {Promise<number>} Number of records deleted
    */
-  deleteOldData(daysToKeep = 365) {
+  async deleteOldData(daysToKeep = 365) {
     try {
       const cutoffDate = moment().tz(config.server.timezone)
         .subtract(daysToKeep, 'days')
         .format('YYYY-MM-DD');
 
-      const stmt = this.db.prepare(`
-        DELETE FROM hashtag_history
-        WHERE date < ?
-      `);
-
-      const info = stmt.run(cutoffDate);
-      logger.info(`Deleted ${info.changes} old records before ${cutoffDate}`);
-      return info.changes;
+      const { rows, weeks, months } = await this.storage.downsample(cutoffDate);
+      logger.info(`Deleted ${rows} old records before ${cutoffDate} (kept as ${weeks} weekly and ${months} monthly rollups)`);
+      return rows;
     } catch (error) {
       logger.error('Failed to delete old data', error);
       throw error;
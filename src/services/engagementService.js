@@ -0,0 +1,176 @@
+import { statusStore } from './statusStore.js';
+import { appConfig as config } from '../config/index.js';
+import { NotFoundError } from '../errors/index.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+// Shortest elapsed time used for rates, so a status a few minutes old is not ranked on noise
+const MIN_ELAPSED_HOURS = 0.25;
+
+function totals(snapshot) {
+  return {
+    favourites: snapshot.favourites_count,
+    reblogs: snapshot.reblogs_count,
+    replies: snapshot.replies_count
+  };
+}
+
+/**
+ * Measure how fast a status gained engagement over a window, from its snapshots
+ * The baseline is the last snapshot taken before the window; statuses created inside
+ * the window start from zero. Statuses first seen after the window started, but created
+ * before it, use their first snapshot (earlier engagement is unknown).
+ * @param {Object} status - Status (created_at)
+ * @param {Array} snapshots - Its snapshots, oldest first
+ * @param {number} windowStart - Window start in epoch ms
+ * @param {number} now - Window end in epoch ms
+ * @returns {{gained: Object, perHour: number, current: Object}|null} Growth, or null without snapshots
+ */
+export function measureGrowth(status, snapshots, windowStart, now) {
+  if (snapshots.length === 0) {
+    return null;
+  }
+
+  const createdAt = Date.parse(status.created_at);
+  const current = totals(snapshots[snapshots.length - 1]);
+  const before = snapshots.filter(snapshot => Date.parse(snapshot.captured_at) <= windowStart).pop();
+  const baseline = before
+    ? totals(before)
+    : createdAt >= windowStart ? { favourites: 0, reblogs: 0, replies: 0 } : totals(snapshots[0]);
+
+  const gained = {
+    favourites: current.favourites - baseline.favourites,
+    reblogs: current.reblogs - baseline.reblogs,
+    replies: current.replies - baseline.replies
+  };
+  gained.total = gained.favourites + gained.reblogs + gained.replies;
+
+  const elapsedHours = Math.max((now - Math.max(createdAt, windowStart)) / HOUR_MS, MIN_ELAPSED_HOURS);
+
+  return {
+    gained,
+    perHour: Math.round(gained.total / elapsedHours * 10) / 10,
+    current
+  };
+}
+
+/**
+ * Engagement over time, from the snapshots recorded by the status archive
+ */
+export class EngagementService {
+  /**
+   * @param {StatusStore} store - Status archive
+   */
+  constructor(store = statusStore) {
+    this.store = store;
+  }
+
+  /**
+   * Get the engagement time series of a status
+   * @param {string} statusId - Status id
+   * @param {string} instance - Instance name (defaults to the primary instance)
+   * @returns {Object} Status summary and snapshots, oldest first
+   * @throws {NotFoundError} If the status is not archived
+   */
+  getSeries(statusId, instance = config.mastodon.instances[0].name) {
+    const status = this.store.getStatus(instance, statusId);
+    if (!status) {
+      throw new NotFoundError(`Status ${statusId} is not archived for ${instance}`, 'status');
+    }
+
+    const createdAt = Date.parse(status.created_at);
+    const snapshots = this.store.getSnapshots(instance, [status.id]).map(snapshot => ({
+      capturedAt: snapshot.captured_at,
+      hoursSinceCreated: Math.round((Date.parse(snapshot.captured_at) - createdAt) / HOUR_MS * 100) / 100,
+      ...totals(snapshot)
+    }));
+
+    return {
+      id: status.id,
+      instance,
+      url: status.url,
+      author: status.account.username,
+      createdAt: status.created_at,
+      current: {
+        favourites: status.favourites_count,
+        reblogs: status.reblogs_count,
+        replies: status.replies_count
+      },
+      trackingHours: config.engagement.trackingHours,
+      snapshots
+    };
+  }
+
+  /**
+   * Rank statuses using the hashtags by how fast they gained engagement recently
+   * Copies of a status from several instances count once (the fastest copy).
+   * @param {string[]} hashtags - Hashtags
+   * @param {Object} options - Options
+   * @param {Date|string} options.since - Only statuses created at or after this time
+   * @param {number} options.windowHours - Length of the window engagement growth is measured over
+   * @param {number} options.limit - Maximum number of statuses
+   * @param {Date} options.now - End of the window
+   * @returns {Array} Statuses with gained engagement and engagement per hour, fastest first
+   */
+  getFastestRising(hashtags, { since, windowHours = config.engagement.risingWindowHours, limit = 10, now = new Date() } = {}) {
+    const end = now.getTime();
+    const windowStart = end - windowHours * HOUR_MS;
+
+    // Candidate statuses by instance
+    const candidates = new Map();
+    hashtags.forEach(hashtag => {
+      this.store.getStatuses(hashtag, { since }).forEach(status => {
+        const key = `${status.instance}:${status.id}`;
+        const existing = candidates.get(key);
+        if (existing) {
+          existing.hashtags.add(hashtag);
+        } else {
+          candidates.set(key, { status, hashtags: new Set([hashtag]) });
+        }
+      });
+    });
+
+    const byInstance = new Map();
+    candidates.forEach(candidate => {
+      const { instance, id } = candidate.status;
+      if (!byInstance.has(instance)) {
+        byInstance.set(instance, new Map());
+      }
+      byInstance.get(instance).set(id, []);
+    });
+    byInstance.forEach((snapshotsById, instance) => {
+      this.store.getSnapshots(instance, Array.from(snapshotsById.keys())).forEach(snapshot => {
+        snapshotsById.get(snapshot.status_id).push(snapshot);
+      });
+    });
+
+    const rising = new Map();
+    candidates.forEach(({ status, hashtags: matched }) => {
+      const growth = measureGrowth(status, byInstance.get(status.instance).get(status.id), windowStart, end);
+      if (!growth || growth.gained.total <= 0) {
+        return;
+      }
+
+      const key = status.uri || `${status.instance}:${status.id}`;
+      if (rising.has(key) && rising.get(key).perHour >= growth.perHour) {
+        return;
+      }
+      rising.set(key, {
+        id: status.id,
+        instance: status.instance,
+        url: status.url,
+        author: status.account.username,
+        content: status.content,
+        createdAt: status.created_at,
+        hashtags: Array.from(matched),
+        ...growth
+      });
+    });
+
+    return Array.from(rising.values())
+      .sort((a, b) => b.perHour - a.perHour || b.gained.total - a.gained.total)
+      .slice(0, limit);
+  }
+}
+
+// Export singleton instance
+export const engagementService = new EngagementService();
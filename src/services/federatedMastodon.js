@@ -0,0 +1,265 @@
+import { MastodonService, mastodonService } from './mastodon.js';
+import { appConfig as config } from '../config/index.js';
+import { logger, loggers } from '../utils/logger.js';
+import { ConfigurationError } from '../errors/index.js';
+import { mergeHistories } from '../utils/historyMerge.js';
+import { tootStore, TIMELINE_START } from './tootStore.js';
+
+/**
+ * Merge toots fetched from several instances, deduplicating by ActivityPub uri
+ * The copy from the first instance (in configuration order, primary first) is kept,
+ * since its id is the one that resolves on that instance's web interface.
+ * @param {Array<[string, Array]>} resultsByInstance - [instanceName, toots] pairs in configuration order
+ * @returns {Array} Toots annotated with instance (kept copy) and sourceInstances, newest first
+ */
+export function mergeInstanceToots(resultsByInstance) {
+  const merged = new Map();
+
+  resultsByInstance.forEach(([instanceName, toots]) => {
+    toots.forEach(toot => {
+      const key = toot.uri || `${instanceName}:${toot.id}`;
+      const existing = merged.get(key);
+      if (existing) {
+        existing.sourceInstances.push(instanceName);
+      } else {
+        merged.set(key, { ...toot, instance: instanceName, sourceInstances: [instanceName] });
+      }
+    });
+  });
+
+  return Array.from(merged.values())
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+/**
+ * Read hashtag activity from every configured Mastodon instance
+ * Posting, trending tags and connectivity checks stay on the primary instance
+ * (mastodonService); this service only aggregates hashtag timelines and history.
+ */
+export class FederatedMastodonService {
+  constructor(instances = config.mastodon.instances, primaryService = mastodonService) {
+    this.instances = instances;
+    this.services = new Map();
+    this.lastErrors = {};
+
+    instances.forEach(instance => {
+      if (this.services.has(instance.name)) {
+        throw new ConfigurationError(`Duplicate Mastodon instance name: ${instance.name}`, { instance: instance.name });
+      }
+      this.services.set(instance.name, instance.primary ? primaryService : new MastodonService(instance));
+    });
+
+    this.primaryName = instances.find(instance => instance.primary)?.name || instances[0]?.name;
+  }
+
+  /**
+   * Check whether more than one instance is configured
+   */
+  isFederated() {
+    return this.services.size > 1;
+  }
+
+  /**
+   * Run a request against every instance in parallel
+   * Each instance has its own rate limiter. A failure on the primary instance is
+   * rethrown; failures on other instances are logged and that instance is skipped.
+   * @param {Function} request - (service, instance) => Promise
+   * @param {string} description - Description used in logs
+   * @returns {Promise<Array<[string, *]>>} [instanceName, result] pairs for successful instances
+   */
+  async _fromEachInstance(request, description) {
+    const results = await Promise.allSettled(
+      this.instances.map(instance => request(this.services.get(instance.name), instance))
+    );
+
+    const successful = [];
+    results.forEach((result, index) => {
+      const instance = this.instances[index];
+
+      if (result.status === 'fulfilled') {
+        delete this.lastErrors[instance.name];
+        successful.push([instance.name, result.value]);
+        return;
+      }
+
+      this.lastErrors[instance.name] = {
+        message: result.reason?.message,
+        at: new Date().toISOString()
+      };
+
+      if (instance.primary) {
+        throw result.reason;
+      }
+
+      loggers.error(`Failed to fetch ${description} from instance ${instance.name}`, result.reason);
+    });
+
+    return successful;
+  }
+
+  /**
+   * Fetch all toots for a hashtag from every instance, deduplicated by uri
+   * @param {string} hashtag - Hashtag to fetch
+   * @param {number} maxPages - Maximum pages per instance
+   * @returns {Promise<Array>} Merged toots (see mergeInstanceToots)
+   */
+  async fetchAllToots(hashtag, maxPages = null) {
+    const results = await this._fromEachInstance(
+      service => service.fetchAllToots(hashtag, maxPages),
+      `toots for #${hashtag}`
+    );
+
+    const toots = mergeInstanceToots(results);
+
+    if (this.isFederated()) {
+      logger.info(`Merged toots for hashtag: ${hashtag}`, {
+        instances: results.map(([name, instanceToots]) => ({ name, count: instanceToots.length })),
+        merged: toots.length
+      });
+    }
+
+    return toots;
+  }
+
+  /**
+   * Bring the stored toots of one instance up to date for a time window
+   * Without a cursor the window is fetched newest first; with one, only toots after
+   * the cursor are fetched, plus older pages when the stored toots do not reach back
+   * to the window start yet.
+   * @returns {Promise<{toots: Array, coverage: Object}>} Stored toots in the window and coverage
+   */
+  async _syncInstanceToots(service, instance, hashtag, since, maxPages, store) {
+    const cursor = store.getCursor(hashtag, instance.name);
+    let newestComplete = true;
+    let pagesFetched = 0;
+
+    if (cursor) {
+      const newer = await service.fetchTootsSince(hashtag, cursor.newestId, maxPages);
+      store.saveToots(hashtag, instance.name, newer.toots);
+      newestComplete = newer.complete;
+      pagesFetched += newer.pagesFetched;
+    }
+
+    if (!cursor || !cursor.coveredSince || cursor.coveredSince > since) {
+      const older = await service.fetchTootsWindow(hashtag, {
+        since,
+        maxId: cursor ? store.getOldestId(hashtag, instance.name) : null,
+        maxPages
+      });
+      store.saveToots(hashtag, instance.name, older.toots, {
+        coveredSince: older.reachedEnd ? TIMELINE_START : older.oldestAt
+      });
+      pagesFetched += older.pagesFetched;
+    }
+
+    const coveredSince = store.getCursor(hashtag, instance.name)?.coveredSince || null;
+    // An empty timeline leaves no cursor, but nothing was missed either. Coverage is clamped
+    // to the retention cutoff when saved, which is a little later than the window start
+    // when the window is the whole retention period.
+    const reachesBack = coveredSince
+      ? coveredSince <= since || coveredSince <= store.getRetentionCutoff()
+      : store.getOldestId(hashtag, instance.name) === null;
+
+    return {
+      toots: store.getToots(hashtag, instance.name, since),
+      coverage: {
+        instance: instance.name,
+        complete: newestComplete && reachesBack,
+        coveredSince,
+        pagesFetched
+      }
+    };
+  }
+
+  /**
+   * Fetch toots for a hashtag in a time window from every instance, deduplicated by uri
+   * Toots are stored per instance (see _syncInstanceToots), so after the first fetch
+   * only new toots are requested. Paging is driven by the window start; maxPages is a
+   * per-instance safety ceiling, and the window is only reported complete when every
+   * instance covered it.
+   * @param {string} hashtag - Hashtag to fetch
+   * @param {Object} options - Options
+   * @param {Date|string|null} options.since - Window start (null: everything retention keeps)
+   * @param {number} options.maxPages - Maximum pages per instance and direction
+   * @param {TootStore} store - Toot store (defaults to the shared store)
+   * @returns {Promise<{toots: Array, coverage: {complete: boolean, since: string, instances: Array}}>}
+   *   Merged toots (see mergeInstanceToots) and coverage per instance
+   */
+  async fetchTootsIncrementally(hashtag, { since = null, maxPages = null } = {}, store = tootStore) {
+    // Retention bounds what can be stored, so older windows are only covered back to it
+    const cutoff = store.getRetentionCutoff();
+    const windowStart = since && new Date(since).toISOString() > cutoff ? new Date(since).toISOString() : cutoff;
+
+    const results = await this._fromEachInstance(
+      (service, instance) => this._syncInstanceToots(service, instance, hashtag, windowStart, maxPages, store),
+      `toots for #${hashtag}`
+    );
+
+    const toots = mergeInstanceToots(results.map(([name, result]) => [name, result.toots]));
+    const instances = results.map(([, result]) => result.coverage);
+    const coverage = {
+      complete: results.length === this.instances.length && instances.every(instance => instance.complete),
+      since: windowStart,
+      instances
+    };
+
+    logger.info(`Incremental fetch for hashtag: ${hashtag}`, {
+      instances: instances.map(instance => ({ ...instance, stored: results.find(([name]) => name === instance.instance)[1].toots.length })),
+      merged: toots.length,
+      complete: coverage.complete
+    });
+
+    return { toots, coverage };
+  }
+
+  /**
+   * Get hashtag history from every instance
+   * @param {string} hashtag - Hashtag to look up
+   * @returns {Promise<Object>} Map of instance name to history array
+   */
+  async getHashtagUseByInstance(hashtag) {
+    const results = await this._fromEachInstance(
+      service => service.getHashtagUse(hashtag),
+      `history for #${hashtag}`
+    );
+
+    return Object.fromEntries(results);
+  }
+
+  /**
+   * Get merged hashtag history across instances
+   * Each instance's history also counts federated posts it knows about, so the
+   * per-day maximum is used rather than the sum.
+   * @param {string} hashtag - Hashtag to look up
+   * @returns {Promise<Array>} Merged history, newest first
+   */
+  async getHashtagUse(hashtag) {
+    const byInstance = await this.getHashtagUseByInstance(hashtag);
+    return mergeHistories(Object.values(byInstance), 'max');
+  }
+
+  /**
+   * Get per-instance service statistics
+   */
+  getStats() {
+    return {
+      primary: this.primaryName,
+      instances: this.instances.map(instance => {
+        const stats = this.services.get(instance.name).getStats();
+        return {
+          name: instance.name,
+          url: instance.url,
+          primary: instance.primary,
+          authenticated: Boolean(instance.accessToken),
+          requestCount: stats.requestCount,
+          rateLimit: stats.rateLimit,
+          circuitBreaker: stats.circuitBreaker,
+          lastError: this.lastErrors[instance.name] || null
+        };
+      })
+    };
+  }
+}
+
+// Export singleton instance
+export const federatedMastodonService = new FederatedMastodonService();
@@ -1,9 +1,13 @@
 import { mastodonService } from './mastodon.js';
+import { federatedMastodonService, mergeInstanceToots } from './federatedMastodon.js';
+import { statusStore } from './statusStore.js';
 import { dataProcessor } from './dataProcessor.js';
 import { logger, loggers } from '../utils/logger.js';
 import { appConfig as config } from '../config/index.js';
-import { BusinessError, NotFoundError } from '../errors/index.js';
-import { HASHTAGS, getFirstHashtagForDay } from '../constants/index.js';
+import { BusinessError, NotFoundError, APIError, RateLimitError, CircuitOpenError } from '../errors/index.js';
+import { scheduleService } from './scheduleService.js';
+import { databaseService } from './databaseService.js';
+import { mergeHistories } from '../utils/historyMerge.js';
 import moment from 'moment-timezone';
 import NodeCache from 'node-cache';
 
@@ -14,35 +18,114 @@ export class HashtagService {
       checkperiod: 60,
       useClones: false
     });
+
+    // Last successful analysis per cache key, served when the instance is unavailable
+    this.lastGoodAnalyses = new NodeCache({
+      stdTTL: 24 * 60 * 60,
+      checkperiod: 600,
+      useClones: false
+    });
   }
 
   /**
-   * Get the daily hashtag based on current date
-   * Returns the first hashtag if multiple are configured for the day
+   * Get all hashtags scheduled for the current date
    * @param {Object} options - Options object
    * @param {string} options.timezone - Client timezone (IANA timezone identifier)
+   * @returns {string[]} Hashtags of the day, in display order
    */
-  getDailyHashtag(options = {}) {
+  getDailyHashtags(options = {}) {
     // Se timezone do cliente foi fornecido, usar para calcular o dia
     const timezone = options.timezone && moment.tz.zone(options.timezone) 
       ? options.timezone 
       : config.server.timezone;
     
     const now = moment().tz(timezone);
-    const dayOfWeek = now.day();
-    
-    const hashtagEntry = HASHTAGS[dayOfWeek];
+    const hashtags = scheduleService.getHashtagsForDate(now.format('YYYY-MM-DD'));
     
-    if (!hashtagEntry) {
-      throw new BusinessError(`No hashtag configured for day ${dayOfWeek}`);
+    if (hashtags.length === 0) {
+      throw new BusinessError(`No hashtag configured for day ${now.day()}`);
     }
     
-    // Return first hashtag if multiple are configured
-    return getFirstHashtagForDay(hashtagEntry);
+    return hashtags;
+  }
+
+  /**
+   * Get the daily hashtag based on current date
+   * Returns the first hashtag if multiple are configured for the day
+   * @param {Object} options - Options object
+   * @param {string} options.timezone - Client timezone (IANA timezone identifier)
+   */
+  getDailyHashtag(options = {}) {
+    return this.getDailyHashtags(options)[0];
+  }
+
+  /**
+   * Analyze several hashtags together (e.g. all hashtags of the day)
+   * Each hashtag is analyzed on its own, then toots are merged and deduplicated
+   * so a post using several of the hashtags is only counted once.
+   * @param {string[]} hashtags - Hashtags to analyze
+   * @param {Object} options - Same options as analyzeHashtag
+   * @returns {Promise<CombinedHashtagAnalysis>} Combined analysis with per-tag breakdown
+   */
+  async analyzeHashtags(hashtags, options = {}) {
+    if (!Array.isArray(hashtags) || hashtags.length === 0) {
+      throw new BusinessError('At least one hashtag is required');
+    }
+
+    const uniqueHashtags = [...new Set(hashtags)];
+    const { limit, ...perTagOptions } = options;
+
+    logger.info(`Starting combined analysis for: ${uniqueHashtags.join(', ')}`, { options });
+
+    // Analyze sequentially so requests stay within the Mastodon rate limit
+    const perTag = {};
+    for (const hashtag of uniqueHashtags) {
+      perTag[hashtag] = await this.analyzeHashtag(hashtag, perTagOptions);
+    }
+
+    // Merge toots, keeping track of which of the hashtags each toot matched
+    const merged = new Map();
+    uniqueHashtags.forEach(hashtag => {
+      perTag[hashtag].toots.forEach(toot => {
+        const key = toot.uri || toot.id;
+        const existing = merged.get(key);
+        if (existing) {
+          existing.matchedHashtags.push(hashtag);
+        } else {
+          merged.set(key, { ...toot, matchedHashtags: [hashtag] });
+        }
+      });
+    });
+
+    let toots = dataProcessor.sortByRelevance(Array.from(merged.values()));
+    if (limit) {
+      toots = toots.slice(0, limit);
+    }
+
+    const first = perTag[uniqueHashtags[0]];
+    const analysis = new CombinedHashtagAnalysis(uniqueHashtags, first.today, toots, perTag, first.timeframe, merged.size);
+
+    logger.info(`Completed combined analysis for: ${uniqueHashtags.join(', ')}`, {
+      mergedToots: merged.size,
+      sharedToots: analysis.getSharedTootCount()
+    });
+
+    return analysis;
+  }
+
+  /**
+   * Analyze all hashtags scheduled for the current date together
+   * @param {Object} options - Same options as analyzeHashtag (timezone selects the day)
+   * @returns {Promise<CombinedHashtagAnalysis>} Combined analysis
+   */
+  async analyzeDailyHashtags(options = {}) {
+    return this.analyzeHashtags(this.getDailyHashtags(options), options);
   }
 
   /**
    * Analyze hashtag usage and statistics
+   * With options.date set to a past day (YYYY-MM-DD, in the selected timezone), that day
+   * is analyzed from the status archive instead of the Mastodon API.
    */
   async analyzeHashtag(hashtag, options = {}) {
     if (!hashtag) {
@@ -70,6 +153,15 @@ export class HashtagService {
     const usedTimezone = options.timezone && moment.tz.zone(options.timezone) 
       ? options.timezone 
       : config.server.timezone;
+
+    // Get today's date in the selected timezone (client timezone if valid, otherwise server timezone)
+    const today = moment().tz(usedTimezone).format('YYYY-MM-DD');
+
+    // Past days may have left the API pagination window; they are read from the archive
+    if (options.date && options.date < today) {
+      return this.analyzeArchivedDate(hashtag, options.date, usedTimezone, options);
+    }
+
     const cacheKey = `analysis_${hashtag}_${maxPages}_${normalizedTimeframe}_${usedTimezone}`;
 
     // Check analysis cache
@@ -82,17 +174,18 @@ export class HashtagService {
     logger.info(`Starting hashtag analysis for: ${hashtag}`, { options });
 
     try {
-      // Get today's date in the selected timezone (client timezone if valid, otherwise server timezone)
-      const today = moment().tz(usedTimezone).format('YYYY-MM-DD');
-      
       // Determine filtering strategy based on timeframe
       const shouldFilterByDate = normalizedTimeframe === 'today';
       
-      // Fetch data in parallel
-      const [allToots, hashtagHistory] = await Promise.all([
-        this.fetchAllToots(hashtag, options),
-        this.getHashtagHistory(hashtag)
+      // Fetch data in parallel; paging goes back to the start of the timeframe
+      const [{ toots: allToots, coverage }, instanceHistories] = await Promise.all([
+        this.fetchToots(hashtag, {
+          maxPages,
+          since: dataProcessor.getTimeframeStart(normalizedTimeframe, usedTimezone)
+        }),
+        this.getHashtagHistoryByInstance(hashtag)
       ]);
+      const hashtagHistory = mergeHistories(Object.values(instanceHistories), 'max');
 
       // Process toots with appropriate filtering
       const processOptions = {
@@ -112,31 +205,166 @@ export class HashtagService {
       const processedToots = dataProcessor.processToots(allToots, processOptions);
 
       // Create analysis result
-      const analysis = new HashtagAnalysis(hashtag, today, processedToots, hashtagHistory, normalizedTimeframe);
+      const analysis = new HashtagAnalysis(hashtag, today, processedToots, hashtagHistory, normalizedTimeframe, instanceHistories);
+      analysis.coverage = coverage;
       
       // Cache the result
       this.cache.set(cacheKey, analysis);
+      this.lastGoodAnalyses.set(cacheKey, analysis);
 
       logger.info(`Completed analysis for hashtag: ${hashtag}`, {
         totalToots: allToots.length,
         filteredToots: processedToots.length,
         timeframe: normalizedTimeframe,
-        weeklyTotal: analysis.getWeeklyTotal()
+        weeklyTotal: analysis.getWeeklyTotal(),
+        complete: coverage.complete
       });
 
       return analysis;
       
     } catch (error) {
       loggers.error(`Failed to analyze hashtag: ${hashtag}`, error);
+
+      const fallback = await this.getFallbackAnalysis(cacheKey, hashtag, today, normalizedTimeframe, error);
+      if (fallback) {
+        return fallback;
+      }
       throw error;
     }
   }
 
   /**
-   * Fetch all toots for a hashtag
+   * Build an analysis without the Mastodon API, for when the instance is unavailable
+   * Serves the last successful analysis if there is one ('cache'), otherwise the
+   * history stored by the collector ('stored', without toots). Only upstream
+   * failures fall back; other errors return null so they are rethrown.
+   * @returns {Promise<HashtagAnalysis|null>} Fallback analysis
+   */
+  async getFallbackAnalysis(cacheKey, hashtag, today, timeframe, error) {
+    const upstreamFailure = error instanceof CircuitOpenError
+      || error instanceof APIError
+      || error instanceof RateLimitError;
+    if (!upstreamFailure) {
+      return null;
+    }
+
+    const lastGood = this.lastGoodAnalyses.get(cacheKey);
+    if (lastGood) {
+      logger.warn(`Serving last successful analysis for hashtag: ${hashtag}`, {
+        createdAt: lastGood.createdAt,
+        reason: error.message
+      });
+      lastGood.source = 'cache';
+      return lastGood;
+    }
+
+    try {
+      const { history, storedDays } = await this.getStoredHistory(hashtag, today);
+      if (storedDays === 0) {
+        return null;
+      }
+
+      logger.warn(`Serving stored history for hashtag: ${hashtag}`, { storedDays, reason: error.message });
+
+      const analysis = new HashtagAnalysis(hashtag, today, [], history, timeframe);
+      analysis.source = 'stored';
+      return analysis;
+    } catch (dbError) {
+      loggers.error(`Failed to read stored history for hashtag: ${hashtag}`, dbError);
+      return null;
+    }
+  }
+
+  /**
+   * Build a 7-day history ending at a date from the history stored by the collector
+   * Same shape as the Mastodon history (UTC midnight in epoch seconds, newest first);
+   * days the collector has not stored count as zero.
+   * @param {string} hashtag - Hashtag name
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @returns {Promise<{history: Array, storedDays: number}>} History and how many days were stored
    */
-  async fetchAllToots(hashtag, options = {}) {
-    const cacheKey = `toots_${hashtag}_${moment().format('YYYY-MM-DD')}`;
+  async getStoredHistory(hashtag, endDate) {
+    const startDate = moment(endDate).subtract(6, 'days').format('YYYY-MM-DD');
+    const storedDays = new Map((await databaseService.getDailyHistory(hashtag, startDate, endDate)).map(day => [day.date, day]));
+
+    const history = Array.from({ length: 7 }, (_, index) => {
+      const date = moment(endDate).subtract(index, 'days').format('YYYY-MM-DD');
+      const stored = storedDays.get(date);
+      return {
+        day: String(moment.utc(date).unix()),
+        uses: stored?.uses || 0,
+        accounts: stored?.accounts || 0
+      };
+    });
+
+    return { history, storedDays: storedDays.size };
+  }
+
+  /**
+   * Analyze a past day from the status archive
+   * Copies of a status archived from several instances are merged like live results.
+   * @param {string} hashtag - Hashtag name
+   * @param {string} date - Day to analyze (YYYY-MM-DD)
+   * @param {string} timezone - Timezone the day is taken in
+   * @param {Object} options - Same options as analyzeHashtag (limit)
+   * @returns {Promise<HashtagAnalysis>} Analysis with source 'archive'
+   */
+  async analyzeArchivedDate(hashtag, date, timezone, options = {}) {
+    const cacheKey = `archive_${hashtag}_${date}_${timezone}_${options.limit || 'all'}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const start = moment.tz(date, timezone).startOf('day');
+    const statuses = statusStore.getStatuses(hashtag, {
+      since: start.toDate(),
+      until: start.clone().add(1, 'day').toDate()
+    });
+
+    // Group by instance in configuration order, so the primary instance's copy is kept
+    const order = config.mastodon.instances.map(instance => instance.name);
+    const byInstance = new Map(order.map(name => [name, []]));
+    statuses.forEach(status => {
+      if (!byInstance.has(status.instance)) {
+        byInstance.set(status.instance, []);
+      }
+      byInstance.get(status.instance).push(status);
+    });
+
+    const dayToots = dataProcessor.processToots(mergeInstanceToots(Array.from(byInstance.entries())), {
+      timezone,
+      filterByDate: date
+    });
+    const toots = options.limit ? dayToots.slice(0, options.limit) : dayToots;
+
+    // The collector may not have stored that day; the archive is then a lower bound
+    const { history } = await this.getStoredHistory(hashtag, date);
+    history[0].uses = Math.max(parseInt(history[0].uses) || 0, dayToots.length);
+    history[0].accounts = Math.max(parseInt(history[0].accounts) || 0, new Set(dayToots.map(toot => toot.account.id)).size);
+
+    const analysis = new HashtagAnalysis(hashtag, date, toots, history, 'today');
+    analysis.source = 'archive';
+
+    this.cache.set(cacheKey, analysis);
+    logger.info(`Analyzed archived day for hashtag: ${hashtag}`, { date, archived: statuses.length, toots: toots.length });
+
+    return analysis;
+  }
+
+  /**
+   * Fetch the toots for a hashtag in a time window from every configured instance
+   * Toots are stored per instance; after the first fetch only newer toots are requested.
+   * @param {string} hashtag - Hashtag to fetch
+   * @param {Object} options - Options
+   * @param {moment.Moment|null} options.since - Window start (null: all stored toots)
+   * @param {number} options.maxPages - Safety ceiling on pages per instance
+   * @returns {Promise<{toots: Array, coverage: Object}>} Toots and window coverage
+   */
+  async fetchToots(hashtag, options = {}) {
+    const since = options.since ? options.since.toISOString() : null;
+    const maxPages = options.maxPages || config.performance.maxApiPages;
+    const cacheKey = `toots_${hashtag}_${maxPages}_${since || 'all'}`;
     
     // Check cache first - Node-Cache handles TTL automatically
     const cached = this.cache.get(cacheKey);
@@ -146,15 +374,12 @@ export class HashtagService {
     }
 
     try {
-      const toots = await mastodonService.fetchAllToots(
-        hashtag, 
-        options.maxPages || config.performance.maxApiPages
-      );
+      const result = await federatedMastodonService.fetchTootsIncrementally(hashtag, { since, maxPages });
 
       // Cache the results - Node-Cache handles TTL
-      this.cache.set(cacheKey, toots);
+      this.cache.set(cacheKey, result);
 
-      return toots;
+      return result;
       
     } catch (error) {
       loggers.error(`Failed to fetch toots for hashtag: ${hashtag}`, error);
@@ -163,11 +388,11 @@ export class HashtagService {
   }
 
   /**
-   * Get hashtag usage history
+   * Get hashtag usage history, merged across instances
    */
   async getHashtagHistory(hashtag) {
     try {
-      const history = await mastodonService.getHashtagUse(hashtag);
+      const history = await federatedMastodonService.getHashtagUse(hashtag);
       return history || [];
     } catch (error) {
       loggers.error(`Failed to get hashtag history for: ${hashtag}`, error);
@@ -175,14 +400,24 @@ export class HashtagService {
     }
   }
 
+  /**
+   * Get hashtag usage history from each instance
+   * @returns {Promise<Object>} Map of instance name to history array
+   */
+  async getHashtagHistoryByInstance(hashtag) {
+    try {
+      return await federatedMastodonService.getHashtagUseByInstance(hashtag);
+    } catch (error) {
+      loggers.error(`Failed to get hashtag history for: ${hashtag}`, error);
+      return {};
+    }
+  }
+
   /**
    * Get trending tags with pagination support
    * Returns { tags, totalCount } where totalCount is the real total from the API
    */
   async getTrendingTags(limit = 10, offset = 0) {
-    // #region agent log
-    fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/hashtagService.js:182',message:'getTrendingTags entry',data:{limit,offset},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-    // #endregion
     const cacheKey = `trending_tags_all`;
     const totalCountCacheKey = `trending_tags_total`;
     
@@ -193,24 +428,8 @@ export class HashtagService {
     // If we don't have cached data, fetch all tags (up to API max of 100) to get total
     if (totalCount === undefined || allTags === undefined) {
       try {
-        // #region agent log
-        fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/hashtagService.js:194',message:'Before getTrendingTags call',data:{limit:100},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-        // #endregion
         // Fetch maximum allowed (100) to determine total count
-        const promise = mastodonService.getTrendingTags(100, 0);
-        // #region agent log
-        fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/hashtagService.js:198',message:'Promise created for getTrendingTags',data:{hasPromise:!!promise},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-        // #endregion
-        // Add catch to prevent unhandled rejection
-        promise.catch((err) => {
-          // #region agent log
-          fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/hashtagService.js:201',message:'getTrendingTags promise catch',data:{error:err?.message,code:err?.code,name:err?.name},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-          // #endregion
-        });
-        allTags = await promise;
-        // #region agent log
-        fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/hashtagService.js:206',message:'getTrendingTags succeeded',data:{tagsCount:allTags?.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-        // #endregion
+        allTags = await mastodonService.getTrendingTags(100, 0);
         totalCount = allTags.length;
         
         // Cache both the tags and total count
@@ -219,9 +438,6 @@ export class HashtagService {
         
         logger.debug('Fetched and cached trending tags for total count', { totalCount });
       } catch (error) {
-        // #region agent log
-        fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/hashtagService.js:216',message:'getTrendingTags error caught',data:{error:error.message,code:error.code,name:error.name,isAggregate:error.name==='AggregateError'},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-        // #endregion
         loggers.error('Failed to fetch trending tags for total count', error);
         // If we can't get total, return empty and let caller handle fallback
         return { tags: [], totalCount: null };
@@ -306,12 +522,19 @@ export class HashtagService {
  * Hashtag analysis result class
  */
 export class HashtagAnalysis {
-  constructor(hashtag, today, toots, history, timeframe = 'today') {
+  constructor(hashtag, today, toots, history, timeframe = 'today', instanceHistories = {}) {
     this.hashtag = hashtag;
     this.today = today;
     this.toots = toots;
     this.history = history || [];
     this.timeframe = timeframe;
+    this.instanceHistories = instanceHistories || {};
+    // Where the data came from: 'live' (Mastodon API), 'cache' (last successful analysis
+    // while the instance is unavailable), 'stored' (collector history only) or 'archive'
+    // (a past day read from the status archive)
+    this.source = 'live';
+    // Whether the toots cover the whole timeframe (see FederatedMastodonService.fetchTootsIncrementally)
+    this.coverage = null;
     this.createdAt = new Date();
     this._cachedStats = null;
   }
@@ -459,6 +682,45 @@ export class HashtagAnalysis {
     };
   }
 
+  /**
+   * Get per-instance statistics
+   * tootCount counts toots seen on each instance (a federated toot counts for every
+   * instance that has it); exclusiveToots only those no other configured instance returned.
+   */
+  getInstanceBreakdown() {
+    const instances = new Map();
+    const getEntry = (name) => {
+      if (!instances.has(name)) {
+        instances.set(name, { instance: name, tootCount: 0, exclusiveToots: 0, users: new Set() });
+      }
+      return instances.get(name);
+    };
+
+    Object.keys(this.instanceHistories).forEach(getEntry);
+
+    this.toots.forEach(toot => {
+      const sourceInstances = toot.sourceInstances || [];
+      sourceInstances.forEach(name => {
+        const entry = getEntry(name);
+        entry.tootCount++;
+        entry.users.add(toot.account.username);
+        if (sourceInstances.length === 1) {
+          entry.exclusiveToots++;
+        }
+      });
+    });
+
+    return Array.from(instances.values()).map(({ users, ...entry }) => {
+      const history = this.instanceHistories[entry.instance] || [];
+      return {
+        ...entry,
+        uniqueUsers: users.size,
+        historyToday: history.length > 0 ? parseInt(history[0].uses) || 0 : null,
+        weeklyTotal: history.reduce((sum, day) => sum + (parseInt(day.uses) || 0), 0)
+      };
+    });
+  }
+
   /**
    * Export analysis as JSON
    */
@@ -481,10 +743,114 @@ export class HashtagAnalysis {
       })),
       mostActiveUsers: this.getMostActiveUsers(5),
       engagement: this.getEngagementStats(),
+      instances: this.getInstanceBreakdown(),
+      source: this.source,
+      coverage: this.coverage,
       createdAt: this.createdAt
     };
   }
 }
 
+/**
+ * Combined analysis of several hashtags
+ * Toots are deduplicated across hashtags; per-tag analyses are kept for the breakdown.
+ */
+export class CombinedHashtagAnalysis extends HashtagAnalysis {
+  /**
+   * @param {string[]} hashtags - Hashtags analyzed together
+   * @param {string} today - Date of the analysis
+   * @param {Array} toots - Merged toots (possibly limited)
+   * @param {Object} perTag - Analysis of each hashtag
+   * @param {string} timeframe - Timeframe of the analyses
+   * @param {number} mergedCount - Merged toots before the limit was applied
+   */
+  constructor(hashtags, today, toots, perTag, timeframe = 'today', mergedCount = toots.length) {
+    const analyses = Object.values(perTag);
+    const instanceNames = [...new Set(analyses.flatMap(analysis => Object.keys(analysis.instanceHistories)))];
+    const instanceHistories = Object.fromEntries(instanceNames.map(name => [
+      name,
+      mergeHistories(analyses.map(analysis => analysis.instanceHistories[name]))
+    ]));
+
+    super(
+      hashtags.join('+'),
+      today,
+      toots,
+      mergeHistories(analyses.map(analysis => analysis.history)),
+      timeframe,
+      instanceHistories
+    );
+    this.hashtags = hashtags;
+    this.perTag = perTag;
+    this.mergedCount = mergedCount;
+    // Degraded if any of the hashtags had to fall back
+    this.source = analyses.find(analysis => analysis.source !== 'live')?.source || 'live';
+    this.coverage = {
+      complete: analyses.every(analysis => analysis.coverage?.complete === true),
+      perTag: Object.fromEntries(Object.entries(perTag).map(([hashtag, analysis]) => [hashtag, analysis.coverage]))
+    };
+  }
+
+  /**
+   * Count merged toots that used more than one of the hashtags
+   */
+  getSharedTootCount() {
+    return this.toots.filter(toot => toot.matchedHashtags?.length > 1).length;
+  }
+
+  /**
+   * Get count of toots for the current timeframe
+   * Counts the toots merged by URI, so a post using several of the hashtags counts once
+   * (the summed tag histories would count it once per hashtag). A single hashtag has nothing
+   * to merge and keeps its own count.
+   */
+  getTodayCount() {
+    if (this.hashtags.length === 1) {
+      return this.perTag[this.hashtags[0]].getTodayCount();
+    }
+    return this.mergedCount;
+  }
+
+  /**
+   * Get unique user count
+   * History only reports accounts per tag, so this is the larger of the merged
+   * toot authors and the busiest single tag (a lower bound of the true union)
+   */
+  getUniqueUserCount() {
+    const mergedUsers = new Set(this.toots.map(toot => toot.account.username)).size;
+    const perTagMax = Math.max(...Object.values(this.perTag).map(analysis => analysis.getUniqueUserCount()));
+    return Math.max(mergedUsers, perTagMax);
+  }
+
+  /**
+   * Get per-hashtag statistics
+   */
+  getTagBreakdown() {
+    return this.hashtags.map(hashtag => {
+      const analysis = this.perTag[hashtag];
+      return {
+        hashtag,
+        tootCount: analysis.getTodayCount(),
+        uniqueUsers: analysis.getUniqueUserCount(),
+        weeklyTotal: analysis.getWeeklyTotal(),
+        averageRelevance: analysis.getAverageRelevance(),
+        engagement: analysis.getEngagementStats()
+      };
+    });
+  }
+
+  /**
+   * Export analysis as JSON
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      hashtags: this.hashtags,
+      sharedToots: this.getSharedTootCount(),
+      perTag: this.getTagBreakdown()
+    };
+  }
+}
+
 // Export singleton instance for use across the application
 export const hashtagService = new HashtagService();
\ No newline at end of file
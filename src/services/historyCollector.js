@@ -1,9 +1,12 @@
 import { databaseService } from './databaseService.js';
-import { mastodonService } from './mastodon.js';
-import { HASHTAGS, getHashtagsForDay } from '../constants/index.js';
+import { federatedMastodonService } from './federatedMastodon.js';
+import { scheduleService } from './scheduleService.js';
+import { collectionRunStore } from './collectionRunStore.js';
+import { watchlistService } from './watchlistService.js';
 import { logger, loggers } from '../utils/logger.js';
 import moment from 'moment-timezone';
 import { appConfig as config } from '../config/index.js';
+import { API_CONFIG } from '../constants/index.js';
 
 /**
  * Service for collecting and storing hashtag history data
@@ -14,6 +17,7 @@ export class HistoryCollector {
     this.stats = {
       allHashtags: {
         collected: 0,
+        revised: 0,
         skipped: 0,
         errors: 0,
         lastRun: null,
@@ -21,6 +25,7 @@ export class HistoryCollector {
       },
       hashtagData: {
         collected: 0,
+        revised: 0,
         skipped: 0,
         errors: 0,
         lastRun: null,
@@ -28,6 +33,15 @@ export class HistoryCollector {
       },
       dateRange: {
         collected: 0,
+        revised: 0,
+        skipped: 0,
+        errors: 0,
+        lastRun: null,
+        lastReset: null
+      },
+      backfill: {
+        collected: 0,
+        revised: 0,
         skipped: 0,
         errors: 0,
         lastRun: null,
@@ -38,12 +52,13 @@ export class HistoryCollector {
 
   /**
    * Reset statistics for a specific operation
-   * @param {string} operation - Operation name: 'allHashtags', 'hashtagData', or 'dateRange'
+   * @param {string} operation - Operation name: 'allHashtags', 'hashtagData', 'dateRange', or 'backfill'
    * @private
    */
   _resetStats(operation) {
     if (this.stats[operation]) {
       this.stats[operation].collected = 0;
+      this.stats[operation].revised = 0;
       this.stats[operation].skipped = 0;
       this.stats[operation].errors = 0;
       this.stats[operation].lastReset = new Date().toISOString();
@@ -52,8 +67,8 @@ export class HistoryCollector {
 
   /**
    * Update statistics for a specific operation
-   * @param {string} operation - Operation name: 'allHashtags', 'hashtagData', or 'dateRange'
-   * @param {string} type - Type of update: 'collected', 'skipped', or 'errors'
+   * @param {string} operation - Operation name: 'allHashtags', 'hashtagData', 'dateRange', or 'backfill'
+   * @param {string} type - Type of update: 'collected', 'revised', 'skipped', or 'errors'
    * @private
    */
   _updateStats(operation, type) {
@@ -64,81 +79,206 @@ export class HistoryCollector {
   }
 
   /**
-   * Collect history data for a single hashtag
-   * @param {string} hashtag - Hashtag to collect data for
-   * @param {string} date - Date in YYYY-MM-DD format (defaults to today)
-   * @param {string} operationContext - Operation context: 'allHashtags' when called from collectAllHashtags, 'hashtagData' when called directly
-   * @returns {Promise<boolean>} True if collected, false if skipped
+   * Get the hashtags whose history is collected for a date: every hashtag of the schedule
+   * effective that day plus the hashtags on the watchlist that day
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {string[]} Unique hashtags
+   * @private
    */
-  async collectHashtagData(hashtag, date = null, operationContext = 'hashtagData') {
-    const targetDate = date || moment().tz(config.server.timezone).format('YYYY-MM-DD');
+  _hashtagsFor(date) {
+    return [...new Set([...scheduleService.getAllHashtags(date), ...watchlistService.getHashtagsForDate(date)])];
+  }
 
+  /**
+   * Record a hashtag day's outcome in the collection run, if there is one
+   * @param {number|null} runId - Collection run id
+   * @param {string} hashtag - Hashtag name
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} outcome - Outcome (see CollectionRunStore.recordOutcome)
+   * @param {string|null} error - Error message
+   * @private
+   */
+  _recordOutcome(runId, hashtag, date, outcome, error = null) {
+    if (runId) {
+      collectionRunStore.recordOutcome(runId, hashtag, date, outcome, error);
+    }
+  }
+
+  /**
+   * Run a collection as an audited run
+   * The run is recorded in collection_runs with the outcome of every hashtag day the work
+   * handles (pass the run id it receives down to the collection methods as options.runId).
+   * @param {Object} run - Run description
+   * @param {string} run.trigger - 'cron', 'cli' or 'api'
+   * @param {string} run.operation - What the run does (e.g. 'collect', 'range', 'backfill')
+   * @param {string|null} run.startDate - First date collected, if known upfront
+   * @param {string|null} run.endDate - Last date collected, if known upfront
+   * @param {Function} work - async (runId) => result
+   * @returns {Promise<{run: Object, result: *}>} The finished run and the work's result
+   * @throws The work's error, after recording the run as failed
+   */
+  async recordRun({ trigger = 'cli', operation, startDate = null, endDate = null }, work) {
+    const runId = collectionRunStore.start({ trigger, operation, startDate, endDate });
+    let result;
     try {
-      // Check if we already have data for this date
-      if (databaseService.hasDataForDate(hashtag, targetDate)) {
-        logger.debug(`Skipping ${hashtag} for ${targetDate} - data already exists`);
-        this._updateStats(operationContext, 'skipped');
-        return false;
+      result = await work(runId);
+    } catch (error) {
+      collectionRunStore.finish(runId, { error: error.message });
+      throw error;
+    }
+
+    const run = collectionRunStore.finish(runId);
+    loggers.business('collection_run_finished', {
+      runId,
+      trigger,
+      operation,
+      status: run.status,
+      ...run.counts
+    });
+    return { run, result };
+  }
+
+  /**
+   * Get the dates a collection for targetDate should save
+   * The target date plus, when revising, the earlier days still inside the revision window
+   * (HISTORY_REVISION_DAYS before today), whose counts Mastodon may have updated since.
+   * @param {string} targetDate - Date in YYYY-MM-DD format
+   * @param {string} revisionStart - First date of the revision window
+   * @param {boolean} revise - Include the earlier days of the window
+   * @returns {Array<string>} Dates, oldest first
+   * @private
+   */
+  _datesToCollect(targetDate, revisionStart, revise) {
+    const dates = [];
+    if (revise) {
+      const day = moment.utc(revisionStart);
+      while (day.format('YYYY-MM-DD') < targetDate) {
+        dates.push(day.format('YYYY-MM-DD'));
+        day.add(1, 'day');
       }
+    }
+    dates.push(targetDate);
+    return dates;
+  }
 
-      logger.info(`Collecting history data for ${hashtag} on ${targetDate}`);
+  /**
+   * Convert a tag history entry's day to YYYY-MM-DD
+   * Mastodon API returns 'day' as Unix timestamp (seconds) representing midnight UTC
+   * IMPORTANT: API aggregates data by UTC day, so we must use UTC for timestamp conversion
+   * The local timezone is only used to determine which date to collect (today/yesterday)
+   * @param {Object} day - Tag history entry
+   * @returns {string} Date in YYYY-MM-DD format
+   * @private
+   */
+  _dayDate(day) {
+    const dayTimestamp = parseInt(day.day);
+    // If day is already a date string, use it directly
+    return isNaN(dayTimestamp) ? day.day : moment.unix(dayTimestamp).utc().format('YYYY-MM-DD');
+  }
 
-      // Fetch data from Mastodon API
-      const history = await mastodonService.getHashtagUse(hashtag);
+  /**
+   * Fetch a hashtag's usage history once and save the given days from it
+   * @param {string} hashtag - Hashtag name
+   * @param {Array<string>} dates - Dates in YYYY-MM-DD format
+   * @param {string} operationContext - Statistics bucket
+   * @param {number|null} runId - Collection run recording the outcome of each day
+   * @returns {Promise<{history: Array, saved: Array<string>, changed: boolean}>} The fetched history,
+   *   the dates it had data for and whether any of them was inserted or updated
+   * @private
+   */
+  async _collectDays(hashtag, dates, operationContext, runId = null) {
+    // Fetch data from Mastodon API (merged across configured instances)
+    const history = await federatedMastodonService.getHashtagUse(hashtag);
+
+    if (!history || !Array.isArray(history) || history.length === 0) {
+      logger.warn(`No history data found for ${hashtag}`);
+      dates.forEach(day => this._recordOutcome(runId, hashtag, day, 'no_data'));
+      return { history: [], saved: [], changed: false };
+    }
 
-      if (!history || !Array.isArray(history) || history.length === 0) {
-        logger.warn(`No history data found for ${hashtag}`);
-        return false;
+    const byDate = new Map(history.map(day => [this._dayDate(day), day]));
+    const saved = dates.filter(day => byDate.has(day));
+    let changed = false;
+
+    for (const day of saved) {
+      const dayData = byDate.get(day);
+      // Parse uses and accounts (API may return them as strings)
+      const uses = parseInt(dayData.uses) || 0;
+      const accounts = parseInt(dayData.accounts) || 0;
+
+      const result = await databaseService.saveDailyHashtagData(hashtag, day, { uses, accounts });
+
+      if (result === 'inserted') {
+        this._updateStats(operationContext, 'collected');
+        this._recordOutcome(runId, hashtag, day, 'collected');
+        logger.info(`Successfully collected data for ${hashtag} on ${day}`, { uses, accounts });
+      } else if (result === 'updated') {
+        this._updateStats(operationContext, 'revised');
+        this._recordOutcome(runId, hashtag, day, 'revised');
+        logger.info(`Revised data for ${hashtag} on ${day}`, { uses, accounts });
+      } else {
+        this._updateStats(operationContext, 'skipped');
+        this._recordOutcome(runId, hashtag, day, 'unchanged');
       }
+      changed = changed || result !== 'unchanged';
+    }
 
-      // Convert timestamps to YYYY-MM-DD format and find data for the target date
-      // Mastodon API returns 'day' as Unix timestamp (seconds) representing midnight UTC
-      // IMPORTANT: API aggregates data by UTC day, so we must use UTC for timestamp conversion
-      // The local timezone is only used to determine which date to collect (today/yesterday)
-      
-      // Try to find by converting timestamp to date string (using UTC)
-      let dayData = history.find(day => {
-        const dayTimestamp = parseInt(day.day);
-        if (isNaN(dayTimestamp)) {
-          // If day is already a date string, compare directly
-          return day.day === targetDate;
+    dates.filter(day => !byDate.has(day)).forEach(day => this._recordOutcome(runId, hashtag, day, 'no_data'));
+
+    return { history, saved, changed };
+  }
+
+  /**
+   * Collect history data for a single hashtag
+   * Days already stored are skipped unless they are inside the revision window, in which
+   * case changed counts are updated (and recorded as revisions).
+   * @param {string} hashtag - Hashtag to collect data for
+   * @param {string} date - Date in YYYY-MM-DD format (defaults to today)
+   * @param {string} operationContext - Operation context: 'allHashtags' when called from collectAllHashtags, 'hashtagData' when called directly
+   * @param {Object} options - Options
+   * @param {boolean} options.revise - Also collect the earlier days of the revision window (default: true)
+   * @param {number} options.runId - Collection run recording the outcome of each day
+   * @returns {Promise<boolean>} True if any day was saved or updated, false otherwise
+   */
+  async collectHashtagData(hashtag, date = null, operationContext = 'hashtagData', { revise = true, runId = null } = {}) {
+    const today = moment().tz(config.server.timezone).format('YYYY-MM-DD');
+    const targetDate = date || today;
+    const revisionStart = moment.tz(today, config.server.timezone)
+      .subtract(config.history.revisionDays, 'days')
+      .format('YYYY-MM-DD');
+
+    let dates = [targetDate];
+    try {
+      // Days before the revision window are final once stored
+      const toCollect = [];
+      for (const day of this._datesToCollect(targetDate, revisionStart, revise)) {
+        if (day >= revisionStart || !await databaseService.hasDataForDate(hashtag, day)) {
+          toCollect.push(day);
         }
-        // Convert timestamp to date string using UTC (API uses UTC for aggregation)
-        const dayDate = moment.unix(dayTimestamp).utc().format('YYYY-MM-DD');
-        return dayDate === targetDate;
-      });
+      }
+      dates = toCollect;
 
-      if (!dayData) {
-        logger.warn(`No data found for ${hashtag} on ${targetDate}`, {
-          availableDates: history.slice(0, 3).map(d => {
-            const ts = parseInt(d.day);
-            // Use UTC for conversion (API aggregates by UTC day)
-            return isNaN(ts) ? d.day : moment.unix(ts).utc().format('YYYY-MM-DD');
-          })
-        });
+      if (dates.length === 0) {
+        logger.debug(`Skipping ${hashtag} for ${targetDate} - data already exists`);
+        this._updateStats(operationContext, 'skipped');
+        this._recordOutcome(runId, hashtag, targetDate, 'skipped');
         return false;
       }
 
-      // Parse uses and accounts (API may return them as strings)
-      const uses = parseInt(dayData.uses) || 0;
-      const accounts = parseInt(dayData.accounts) || 0;
-
-      // Save to database
-      databaseService.saveDailyHashtagData(hashtag, targetDate, {
-        uses,
-        accounts
-      });
+      logger.info(`Collecting history data for ${hashtag} on ${dates.join(', ')}`);
+      const { history, saved, changed } = await this._collectDays(hashtag, dates, operationContext, runId);
 
-      this._updateStats(operationContext, 'collected');
-      logger.info(`Successfully collected data for ${hashtag} on ${targetDate}`, {
-        uses: dayData.uses,
-        accounts: dayData.accounts
-      });
+      if (history.length > 0 && !saved.includes(targetDate)) {
+        logger.warn(`No data found for ${hashtag} on ${targetDate}`, {
+          availableDates: history.slice(0, 3).map(day => this._dayDate(day))
+        });
+      }
 
-      return true;
+      return changed;
 
     } catch (error) {
       this._updateStats(operationContext, 'errors');
+      dates.forEach(day => this._recordOutcome(runId, hashtag, day, 'failed', error.message));
       loggers.error(`Failed to collect data for ${hashtag} on ${targetDate}`, error);
       
       // Don't throw - continue with other hashtags
@@ -149,9 +289,12 @@ export class HistoryCollector {
   /**
    * Collect history data for all configured hashtags
    * @param {string} date - Date in YYYY-MM-DD format (defaults to today)
+   * @param {Object} options - Options
+   * @param {boolean} options.revise - Also collect the earlier days of the revision window (default: true)
+   * @param {number} options.runId - Collection run recording the outcome of each hashtag day
    * @returns {Promise<Object>} Collection summary
    */
-  async collectAllHashtags(date = null) {
+  async collectAllHashtags(date = null, { revise = true, runId = null } = {}) {
     const targetDate = date || moment().tz(config.server.timezone).format('YYYY-MM-DD');
     
     logger.info(`Starting history collection for all hashtags on ${targetDate}`);
@@ -159,14 +302,8 @@ export class HistoryCollector {
     // Reset statistics for this operation
     this._resetStats('allHashtags');
 
-    // Get all unique hashtags from configuration
-    const allHashtags = new Set();
-    HASHTAGS.forEach(dayHashtags => {
-      const hashtags = getHashtagsForDay(dayHashtags);
-      hashtags.forEach(tag => allHashtags.add(tag));
-    });
-
-    const hashtagsArray = Array.from(allHashtags);
+    // Get all unique hashtags from the schedule effective on the target date and the watchlist
+    const hashtagsArray = this._hashtagsFor(targetDate);
     logger.info(`Found ${hashtagsArray.length} unique hashtags to collect`);
 
     // Collect data for each hashtag
@@ -176,7 +313,7 @@ export class HistoryCollector {
       const batch = hashtagsArray.slice(i, i + batchSize);
       
       await Promise.all(
-        batch.map(hashtag => this.collectHashtagData(hashtag, targetDate, 'allHashtags'))
+        batch.map(hashtag => this.collectHashtagData(hashtag, targetDate, 'allHashtags', { revise, runId }))
       );
 
       // Small delay between batches to respect rate limits
@@ -190,6 +327,7 @@ export class HistoryCollector {
       date: targetDate,
       totalHashtags: hashtagsArray.length,
       collected: stats.collected,
+      revised: stats.revised,
       skipped: stats.skipped,
       errors: stats.errors,
       success: stats.errors === 0
@@ -206,9 +344,11 @@ export class HistoryCollector {
    * Useful for backfilling missing data
    * @param {string} startDate - Start date in YYYY-MM-DD format
    * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {Object} options - Options
+   * @param {number} options.runId - Collection run recording the outcome of each hashtag day
    * @returns {Promise<Object>} Collection summary
    */
-  async collectDateRange(startDate, endDate) {
+  async collectDateRange(startDate, endDate, { runId = null } = {}) {
     const start = moment.tz(startDate, config.server.timezone);
     const end = moment.tz(endDate, config.server.timezone);
 
@@ -232,11 +372,13 @@ export class HistoryCollector {
       const dateStr = currentDate.format('YYYY-MM-DD');
       logger.info(`Collecting data for ${dateStr}`);
       
-      const summary = await this.collectAllHashtags(dateStr);
+      // The revision window only needs to be revisited once, with the last day
+      const summary = await this.collectAllHashtags(dateStr, { revise: currentDate.isSame(end, 'day'), runId });
       allSummaries.push(summary);
 
       // Aggregate stats from this day into dateRange bucket
       this.stats.dateRange.collected += summary.collected;
+      this.stats.dateRange.revised += summary.revised;
       this.stats.dateRange.skipped += summary.skipped;
       this.stats.dateRange.errors += summary.errors;
       this.stats.dateRange.lastRun = new Date().toISOString();
@@ -255,6 +397,7 @@ export class HistoryCollector {
       dateRange: { start: startDate, end: endDate },
       totalDays: allSummaries.length,
       totalCollected: stats.collected,
+      totalRevised: stats.revised,
       totalSkipped: stats.skipped,
       totalErrors: stats.errors,
       dailySummaries: allSummaries
@@ -264,6 +407,134 @@ export class HistoryCollector {
     return totalSummary;
   }
 
+  /**
+   * Find scheduled hashtag days missing from the stored history
+   * Every day should have a row for each hashtag of the schedule effective that day and each
+   * hashtag watched that day (what collectAllHashtags collects). Missing days still inside Mastodon's tag history window can
+   * be backfilled; older ones are lost.
+   * @param {Object} options - Options
+   * @param {string} options.startDate - First date to check (default: HISTORY_GAP_LOOKBACK_DAYS ago,
+   *   but never before the first collected day, except for watched hashtags, which are checked from
+   *   the start of their watch, nor before the days kept by RETENTION_DAILY_HISTORY_DAYS)
+   * @param {string} options.endDate - Last date to check (default: yesterday, today is still being collected)
+   * @returns {Promise<Object>} Range checked, first recoverable date and the missing days split into
+   *   recoverable and unrecoverable, each as [{date, hashtags}] oldest first
+   */
+  async findGaps({ startDate = null, endDate = null } = {}) {
+    const today = moment().tz(config.server.timezone).startOf('day');
+    const recoverableFrom = today.clone().subtract(API_CONFIG.TAG_HISTORY_DAYS - 1, 'days').format('YYYY-MM-DD');
+    const end = endDate || today.clone().subtract(1, 'day').format('YYYY-MM-DD');
+
+    let start = startDate;
+    // Days before this one are only checked for watched hashtags
+    let scheduleStart = startDate;
+    if (!start) {
+      // Days older than the daily history retention were downsampled on purpose
+      const retentionDays = config.retention.dailyHistoryDays;
+      const lookbackDays = retentionDays > 0 ? Math.min(config.history.gapLookbackDays, retentionDays) : config.history.gapLookbackDays;
+      const lookbackStart = today.clone().subtract(lookbackDays, 'days').format('YYYY-MM-DD');
+      const { minDate } = await databaseService.getDateRange();
+      // Without any collected day there is nothing lost yet, only what can still be fetched
+      const firstDay = minDate || recoverableFrom;
+      scheduleStart = firstDay > lookbackStart ? firstDay : lookbackStart;
+
+      // A hashtag added to the watchlist with a past start date is missing from that date on
+      const watchStart = watchlistService.list()
+        .filter(entry => entry.endDate === null || entry.endDate >= lookbackStart)
+        .map(entry => (entry.startDate > lookbackStart ? entry.startDate : lookbackStart))
+        .sort()[0];
+      start = watchStart && watchStart < scheduleStart ? watchStart : scheduleStart;
+    }
+
+    const collected = new Set((await databaseService.getCollectedDays(start, end))
+      .map(row => `${row.hashtag}|${row.date}`));
+
+    const recoverable = [];
+    const unrecoverable = [];
+    const day = moment.utc(start);
+    while (day.format('YYYY-MM-DD') <= end) {
+      const date = day.format('YYYY-MM-DD');
+      const hashtags = (date < scheduleStart ? watchlistService.getHashtagsForDate(date) : this._hashtagsFor(date))
+        .filter(hashtag => !collected.has(`${hashtag}|${date}`));
+
+      if (hashtags.length > 0) {
+        (date >= recoverableFrom ? recoverable : unrecoverable).push({ date, hashtags });
+      }
+      day.add(1, 'day');
+    }
+
+    const countDays = gaps => gaps.reduce((sum, gap) => sum + gap.hashtags.length, 0);
+    return {
+      start,
+      end,
+      recoverableFrom,
+      missing: countDays(recoverable) + countDays(unrecoverable),
+      recoverable,
+      unrecoverable
+    };
+  }
+
+  /**
+   * Collect the missing days that Mastodon still has
+   * Fetches each affected hashtag's history once and saves every missing day from it.
+   * @param {Object} options - Options passed to findGaps
+   * @param {number} options.runId - Collection run recording the outcome of each hashtag day
+   * @returns {Promise<Object>} Backfill summary, with the days still missing and the ones that are lost
+   */
+  async backfillGaps({ runId = null, ...options } = {}) {
+    const gaps = await this.findGaps(options);
+    this._resetStats('backfill');
+
+    const datesByHashtag = new Map();
+    gaps.recoverable.forEach(({ date, hashtags }) => {
+      hashtags.forEach(hashtag => {
+        datesByHashtag.set(hashtag, [...(datesByHashtag.get(hashtag) || []), date]);
+      });
+    });
+
+    if (datesByHashtag.size > 0) {
+      const days = gaps.recoverable.reduce((sum, gap) => sum + gap.hashtags.length, 0);
+      logger.info(`Backfilling ${days} missing days for ${datesByHashtag.size} hashtags`);
+    }
+
+    const stillMissing = [];
+    for (const [hashtag, dates] of datesByHashtag) {
+      try {
+        const { saved } = await this._collectDays(hashtag, dates, 'backfill', runId);
+        dates.filter(date => !saved.includes(date)).forEach(date => stillMissing.push({ hashtag, date }));
+      } catch (error) {
+        this._updateStats('backfill', 'errors');
+        dates.forEach(date => this._recordOutcome(runId, hashtag, date, 'failed', error.message));
+        loggers.error(`Failed to backfill ${hashtag}`, error);
+        dates.forEach(date => stillMissing.push({ hashtag, date }));
+      }
+    }
+
+    const stats = this.stats.backfill;
+    const summary = {
+      start: gaps.start,
+      end: gaps.end,
+      hashtags: datesByHashtag.size,
+      collected: stats.collected,
+      errors: stats.errors,
+      stillMissing,
+      unrecoverable: gaps.unrecoverable
+    };
+
+    if (gaps.unrecoverable.length > 0) {
+      logger.warn(`${gaps.unrecoverable.length} days of hashtag history can no longer be collected`, {
+        dates: gaps.unrecoverable.map(gap => gap.date)
+      });
+    }
+    loggers.business('history_backfill_completed', {
+      ...summary,
+      stillMissing: stillMissing.length,
+      unrecoverable: gaps.unrecoverable.length
+    });
+
+    return summary;
+  }
+
   /**
    * Get collection statistics
    * @returns {Object} Statistics about recent collections per operation
@@ -273,6 +544,7 @@ export class HistoryCollector {
       byOperation: {
         allHashtags: {
           collected: this.stats.allHashtags.collected,
+          revised: this.stats.allHashtags.revised,
           skipped: this.stats.allHashtags.skipped,
           errors: this.stats.allHashtags.errors,
           lastRun: this.stats.allHashtags.lastRun,
@@ -280,6 +552,7 @@ export class HistoryCollector {
         },
         hashtagData: {
           collected: this.stats.hashtagData.collected,
+          revised: this.stats.hashtagData.revised,
           skipped: this.stats.hashtagData.skipped,
           errors: this.stats.hashtagData.errors,
           lastRun: this.stats.hashtagData.lastRun,
@@ -287,10 +560,19 @@ export class HistoryCollector {
         },
         dateRange: {
           collected: this.stats.dateRange.collected,
+          revised: this.stats.dateRange.revised,
           skipped: this.stats.dateRange.skipped,
           errors: this.stats.dateRange.errors,
           lastRun: this.stats.dateRange.lastRun,
           lastReset: this.stats.dateRange.lastReset
+        },
+        backfill: {
+          collected: this.stats.backfill.collected,
+          revised: this.stats.backfill.revised,
+          skipped: this.stats.backfill.skipped,
+          errors: this.stats.backfill.errors,
+          lastRun: this.stats.backfill.lastRun,
+          lastReset: this.stats.backfill.lastReset
         }
       }
     };
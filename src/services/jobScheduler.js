@@ -0,0 +1,597 @@
+import os from 'os';
+import { getDatabase } from '../database/index.js';
+import { getHistoryStorage } from '../database/storage/index.js';
+import { appConfig as config } from '../config/index.js';
+import { logger, loggers } from '../utils/logger.js';
+import { parseCron, nextCronDate } from '../utils/cronExpression.js';
+import { ConflictError, NotFoundError, ValidationError } from '../errors/index.js';
+
+// Longest the timer sleeps before re-checking, so clock changes and new schedules are picked up
+const MAX_TIMER_DELAY_MS = 60 * 1000;
+
+// Log lines kept per run
+const MAX_LOG_LINES = 500;
+
+// Interval at which a standby instance tries to become the scheduler
+const ELECTION_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Check whether a process is running on this host
+ * @param {number} pid - Process id
+ * @returns {boolean} True if the process exists (even when owned by another user)
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Map a job_runs row to its public representation
+ * @param {Object} row - Database row
+ * @param {boolean} withLogs - Include the log lines
+ * @returns {Object} Run
+ */
+function mapRun(row, withLogs = false) {
+  const logs = JSON.parse(row.logs || '[]');
+  return {
+    id: row.id,
+    job: row.job_name,
+    trigger: row.trigger,
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    ...(withLogs ? { logs } : { logLines: logs.length })
+  };
+}
+
+/**
+ * In-process scheduler for recurring jobs
+ * Jobs are registered in code with a default cron schedule; the schedule and enabled flag
+ * can be overridden through the API and are persisted in scheduled_jobs. A lock row in the
+ * same table keeps a job from running twice at once, also across processes sharing the
+ * database, and every run is recorded in job_runs with its result and log lines.
+ *
+ * With DB_DRIVER=postgres, instances share the history but each has its own SQLite file, so
+ * the lock rows cannot see each other: the instances elect one scheduler through a lock in
+ * PostgreSQL (the leadership), and the others stand by, refuse runs and retry the election.
+ */
+export class JobScheduler {
+  /**
+   * @param {Database} db - SQLite database instance
+   * @param {Object} options - Scheduler options
+   * @param {string} options.timezone - Timezone the cron expressions are written in
+   * @param {number} options.lockTimeoutMinutes - Age after which a lock is considered abandoned
+   * @param {number} options.lockRefreshMs - Interval at which a running job refreshes its lock (default: a third of the timeout)
+   * @param {number} options.runRetentionDays - Days of run history kept by pruneRuns
+   * @param {Object|null} options.leadership - Lock electing the one instance that runs jobs, with
+   *   acquireSchedulerLock(onLost) and releaseSchedulerLock() (default: the PostgreSQL history
+   *   storage with DB_DRIVER=postgres, null when the SQLite lock rows are enough)
+   * @param {number} options.electionIntervalMs - Interval between election attempts while on standby
+   */
+  constructor(db = getDatabase().getDatabase(), {
+    timezone = config.server.timezone,
+    lockTimeoutMinutes = config.scheduler.lockTimeoutMinutes,
+    lockRefreshMs = lockTimeoutMinutes * 60 * 1000 / 3,
+    runRetentionDays = config.scheduler.runRetentionDays,
+    leadership = config.database.driver === 'postgres' ? getHistoryStorage() : null,
+    electionIntervalMs = ELECTION_INTERVAL_MS
+  } = {}) {
+    this.db = db;
+    this.timezone = timezone;
+    this.lockTimeoutMinutes = lockTimeoutMinutes;
+    this.lockRefreshMs = lockRefreshMs;
+    this.runRetentionDays = runRetentionDays;
+    this.leadership = leadership;
+    this.electionIntervalMs = electionIntervalMs;
+    this.owner = `${os.hostname()}:${process.pid}`;
+
+    // name -> { name, description, schedule, enabled, handler }
+    this.jobs = new Map();
+    // name -> Date of the next scheduled run
+    this.nextRuns = new Map();
+    // name -> Promise of the run in progress in this process
+    this.inProgress = new Map();
+    this.timer = null;
+    this.electionTimer = null;
+    this.started = false;
+    // Whether this process may run jobs (always, without leadership) and runs them on schedule
+    this.leader = leadership === null;
+    this.active = false;
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Job name (used in the API)
+   * @param {Object} definition - Job definition
+   * @param {string} definition.schedule - Default cron expression
+   * @param {string} definition.description - What the job does
+   * @param {boolean} definition.enabled - Enabled by default (default: true)
+   * @param {Function} definition.handler - async (context) => result; context has log(message, meta), runId and trigger
+   */
+  register(name, { schedule, description = '', enabled = true, handler }) {
+    parseCron(schedule);
+    this.jobs.set(name, { name, description, schedule, enabled, handler });
+    this.db.prepare('INSERT OR IGNORE INTO scheduled_jobs (name) VALUES (?)').run(name);
+    if (this.active) {
+      this._planJob(name);
+      this._arm();
+    }
+  }
+
+  /**
+   * Get a registered job or throw
+   * @private
+   */
+  _requireJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new NotFoundError(`Job not found: ${name}`, 'job');
+    }
+    return job;
+  }
+
+  /**
+   * Get the effective schedule and enabled flag of a job (overrides applied)
+   * @private
+   */
+  _getSettings(name) {
+    const job = this._requireJob(name);
+    const row = this.db.prepare('SELECT * FROM scheduled_jobs WHERE name = ?').get(name) || {};
+    return {
+      schedule: row.schedule || job.schedule,
+      enabled: row.enabled === null || row.enabled === undefined ? job.enabled : row.enabled === 1,
+      overridden: Boolean(row.schedule) || (row.enabled !== null && row.enabled !== undefined),
+      lockedBy: row.locked_by || null,
+      lockedAt: row.locked_at || null
+    };
+  }
+
+  /**
+   * Get a job's settings, next run and last run
+   * @param {string} name - Job name
+   * @returns {Object} Job
+   * @throws {NotFoundError} If the job is not registered
+   */
+  getJob(name) {
+    const job = this._requireJob(name);
+    const settings = this._getSettings(name);
+    const lastRun = this.db.prepare('SELECT * FROM job_runs WHERE job_name = ? ORDER BY id DESC LIMIT 1').get(name);
+    const nextRunAt = settings.enabled ? nextCronDate(settings.schedule, new Date(), this.timezone) : null;
+
+    return {
+      name,
+      description: job.description,
+      schedule: settings.schedule,
+      defaultSchedule: job.schedule,
+      timezone: this.timezone,
+      enabled: settings.enabled,
+      overridden: settings.overridden,
+      running: Boolean(settings.lockedBy),
+      lockedBy: settings.lockedBy,
+      nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+      lastRun: lastRun ? mapRun(lastRun) : null
+    };
+  }
+
+  /**
+   * List every registered job
+   * @returns {Array} Jobs (see getJob)
+   */
+  listJobs() {
+    return Array.from(this.jobs.keys()).map(name => this.getJob(name));
+  }
+
+  /**
+   * Override a job's schedule or enabled flag
+   * @param {string} name - Job name
+   * @param {Object} changes - Changes
+   * @param {string|null} changes.schedule - Cron expression, or null to restore the default
+   * @param {boolean|null} changes.enabled - Enabled flag, or null to restore the default
+   * @returns {Object} Updated job (see getJob)
+   * @throws {NotFoundError|ValidationError} If the job is unknown or the schedule is invalid
+   */
+  updateJob(name, { schedule, enabled } = {}) {
+    this._requireJob(name);
+    if (schedule !== undefined && schedule !== null) {
+      parseCron(schedule);
+    }
+    if (enabled !== undefined && enabled !== null && typeof enabled !== 'boolean') {
+      throw new ValidationError('enabled must be true, false or null', 'enabled', enabled);
+    }
+
+    if (schedule !== undefined) {
+      this.db.prepare('UPDATE scheduled_jobs SET schedule = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?')
+        .run(schedule ? schedule.trim() : null, name);
+    }
+    if (enabled !== undefined) {
+      this.db.prepare('UPDATE scheduled_jobs SET enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?')
+        .run(enabled === null ? null : (enabled ? 1 : 0), name);
+    }
+
+    logger.info(`Job ${name} updated`, { schedule, enabled });
+    if (this.active) {
+      this._planJob(name);
+      this._arm();
+    }
+    return this.getJob(name);
+  }
+
+  /**
+   * Take the job's lock
+   * @returns {boolean} True if the lock was free (or abandoned) and is now held by this process
+   * @private
+   */
+  _acquireLock(name) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.lockTimeoutMinutes * 60 * 1000).toISOString();
+    const { changes } = this.db.prepare(`
+      UPDATE scheduled_jobs SET locked_by = ?, locked_at = ?
+      WHERE name = ? AND (locked_by IS NULL OR locked_at < ?)
+    `).run(this.owner, now.toISOString(), name, staleBefore);
+    return changes === 1;
+  }
+
+  /**
+   * Refresh the lock of a running job, so a run longer than the lock timeout is not taken
+   * for abandoned
+   * @private
+   */
+  _refreshLock(name) {
+    try {
+      const { changes } = this.db.prepare('UPDATE scheduled_jobs SET locked_at = ? WHERE name = ? AND locked_by = ?')
+        .run(new Date().toISOString(), name, this.owner);
+      if (changes === 0) {
+        logger.warn(`Job ${name} no longer holds its lock`, { owner: this.owner });
+      }
+    } catch (error) {
+      loggers.error(`Failed to refresh the lock of job ${name}`, error);
+    }
+  }
+
+  /**
+   * Release the job's lock if this process holds it
+   * @private
+   */
+  _releaseLock(name) {
+    this.db.prepare('UPDATE scheduled_jobs SET locked_by = NULL, locked_at = NULL WHERE name = ? AND locked_by = ?')
+      .run(name, this.owner);
+  }
+
+  /**
+   * Start a run of a job
+   * The run is recorded before the handler starts, so its id can be returned right away.
+   * @param {string} name - Job name
+   * @param {Object} options - Options
+   * @param {string} options.trigger - 'manual' or 'schedule'
+   * @returns {{run: Object, finished: Promise<Object>}} The run as recorded and a promise of the finished run
+   * @throws {NotFoundError} If the job is not registered
+   * @throws {ConflictError} If the job is already running (a 'skipped' run is recorded), or if
+   *   another instance is the elected scheduler
+   */
+  startRun(name, { trigger = 'manual' } = {}) {
+    const job = this._requireJob(name);
+    const startedAt = new Date();
+
+    if (!this.leader) {
+      throw new ConflictError(`Job ${name} runs on the instance elected as scheduler, not on this one`, { job: name, leader: false });
+    }
+
+    if (!this._acquireLock(name)) {
+      const { lockedBy, lockedAt } = this._getSettings(name);
+      const { lastInsertRowid } = this.db.prepare(`
+        INSERT INTO job_runs (job_name, trigger, status, started_at, finished_at, duration_ms, error)
+        VALUES (?, ?, 'skipped', ?, ?, 0, ?)
+      `).run(name, trigger, startedAt.toISOString(), startedAt.toISOString(), `Already running (${lockedBy} since ${lockedAt})`);
+      logger.warn(`Job ${name} is already running, skipping this run`, { lockedBy, lockedAt, runId: lastInsertRowid });
+      throw new ConflictError(`Job ${name} is already running`, { job: name, lockedBy, lockedAt, runId: lastInsertRowid });
+    }
+
+    const { lastInsertRowid: runId } = this.db.prepare(`
+      INSERT INTO job_runs (job_name, trigger, status, started_at) VALUES (?, ?, 'running', ?)
+    `).run(name, trigger, startedAt.toISOString());
+    const heartbeat = setInterval(() => this._refreshLock(name), this.lockRefreshMs);
+    heartbeat.unref();
+
+    const logs = [];
+    const context = {
+      runId,
+      trigger,
+      log: (message, meta = {}) => {
+        if (logs.length < MAX_LOG_LINES) {
+          logs.push({ at: new Date().toISOString(), message, ...(Object.keys(meta).length > 0 ? { meta } : {}) });
+        }
+        logger.info(`[job:${name}] ${message}`, meta);
+      }
+    };
+
+    loggers.business('job_started', { job: name, trigger, runId });
+
+    const finished = (async () => {
+      let status = 'succeeded';
+      let result = null;
+      let errorMessage = null;
+      try {
+        result = await job.handler(context);
+      } catch (error) {
+        status = 'failed';
+        errorMessage = error.message;
+        context.log(`Failed: ${error.message}`);
+        loggers.error(`Job ${name} failed`, error);
+      } finally {
+        clearInterval(heartbeat);
+        const finishedAt = new Date();
+        this.db.prepare(`
+          UPDATE job_runs
+          SET status = ?, finished_at = ?, duration_ms = ?, result = ?, error = ?, logs = ?
+          WHERE id = ?
+        `).run(
+          status,
+          finishedAt.toISOString(),
+          finishedAt.getTime() - startedAt.getTime(),
+          result === null || result === undefined ? null : JSON.stringify(result),
+          errorMessage,
+          JSON.stringify(logs),
+          runId
+        );
+        this._releaseLock(name);
+        this.inProgress.delete(name);
+        loggers.business('job_finished', { job: name, trigger, runId, status, durationMs: finishedAt - startedAt });
+      }
+      return this.getRun(runId);
+    })();
+
+    this.inProgress.set(name, finished);
+    return { run: this.getRun(runId), finished };
+  }
+
+  /**
+   * Run a job and wait for it to finish
+   * @param {string} name - Job name
+   * @param {Object} options - Options (see startRun)
+   * @returns {Promise<Object>} Finished run
+   */
+  async runJob(name, options = {}) {
+    return this.startRun(name, options).finished;
+  }
+
+  /**
+   * Get a run with its log lines
+   * @param {number} runId - Run id
+   * @returns {Object} Run
+   * @throws {NotFoundError} If the run does not exist
+   */
+  getRun(runId) {
+    const row = this.db.prepare('SELECT * FROM job_runs WHERE id = ?').get(runId);
+    if (!row) {
+      throw new NotFoundError(`Job run not found: ${runId}`, 'job_run');
+    }
+    return mapRun(row, true);
+  }
+
+  /**
+   * Get the most recent runs of a job, newest first (without log lines)
+   * @param {string} name - Job name
+   * @param {Object} options - Options
+   * @param {number} options.limit - Maximum number of runs (default: 20)
+   * @returns {Array} Runs
+   */
+  getRuns(name, { limit = 20 } = {}) {
+    this._requireJob(name);
+    return this.db.prepare('SELECT * FROM job_runs WHERE job_name = ? ORDER BY id DESC LIMIT ?')
+      .all(name, limit)
+      .map(row => mapRun(row));
+  }
+
+  /**
+   * Delete runs older than the retention period
+   * @returns {number} Runs deleted
+   */
+  pruneRuns() {
+    const cutoff = new Date(Date.now() - this.runRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const { changes } = this.db.prepare("DELETE FROM job_runs WHERE started_at < ? AND status != 'running'").run(cutoff);
+    return changes;
+  }
+
+  /**
+   * Compute the next run of a job from now
+   * @private
+   */
+  _planJob(name) {
+    const { schedule, enabled } = this._getSettings(name);
+    if (enabled) {
+      this.nextRuns.set(name, nextCronDate(schedule, new Date(), this.timezone));
+    } else {
+      this.nextRuns.delete(name);
+    }
+  }
+
+  /**
+   * Set the timer for the earliest next run
+   * @private
+   */
+  _arm() {
+    clearTimeout(this.timer);
+    if (!this.active) {
+      return;
+    }
+    const upcoming = Array.from(this.nextRuns.values()).filter(Boolean).map(date => date.getTime());
+    const delay = upcoming.length > 0
+      ? Math.min(Math.max(Math.min(...upcoming) - Date.now(), 0), MAX_TIMER_DELAY_MS)
+      : MAX_TIMER_DELAY_MS;
+    this.timer = setTimeout(() => this._tick(), delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Start the jobs that are due and plan their next runs
+   * @private
+   */
+  _tick() {
+    const now = Date.now();
+    this.nextRuns.forEach((nextRun, name) => {
+      if (!nextRun || nextRun.getTime() > now) {
+        return;
+      }
+      this._planJob(name);
+      try {
+        this.startRun(name, { trigger: 'schedule' }).finished.catch(() => {});
+      } catch (error) {
+        // Already running: recorded as a skipped run
+        if (!(error instanceof ConflictError)) {
+          loggers.error(`Failed to start job ${name}`, error);
+        }
+      }
+    });
+    this._arm();
+  }
+
+  /**
+   * Release locks left by stopped processes on this host and mark runs whose lock is gone
+   * as failed
+   * A restarted process gets a new pid (outside containers), so locks of this host are
+   * released when their process no longer exists; locks of other hosts are left to expire
+   * after lockTimeoutMinutes.
+   * @private
+   */
+  _recoverInterruptedRuns() {
+    const staleBefore = new Date(Date.now() - this.lockTimeoutMinutes * 60 * 1000).toISOString();
+    const hostname = os.hostname();
+    const release = this.db.prepare('UPDATE scheduled_jobs SET locked_by = NULL, locked_at = NULL WHERE name = ? AND locked_by = ?');
+
+    this.db.prepare('SELECT name, locked_by FROM scheduled_jobs WHERE locked_by IS NOT NULL').all()
+      .filter(({ locked_by: lockedBy }) => {
+        const separator = lockedBy.lastIndexOf(':');
+        const pid = Number(lockedBy.slice(separator + 1));
+        return lockedBy === this.owner ||
+          (lockedBy.slice(0, separator) === hostname && Number.isInteger(pid) && pid > 0 && !isProcessRunning(pid));
+      })
+      .forEach(({ name, locked_by: lockedBy }) => {
+        release.run(name, lockedBy);
+        logger.warn(`Released the lock of job ${name} left by stopped process ${lockedBy}`);
+      });
+
+    const { changes } = this.db.prepare(`
+      UPDATE job_runs
+      SET status = 'failed', finished_at = ?, error = 'Interrupted: the process stopped during the run'
+      WHERE status = 'running' AND job_name IN (
+        SELECT name FROM scheduled_jobs WHERE locked_by IS NULL OR locked_at < ?
+      )
+    `).run(new Date().toISOString(), staleBefore);
+    if (changes > 0) {
+      logger.warn(`Marked ${changes} interrupted job runs as failed`);
+    }
+  }
+
+  /**
+   * Run the jobs on their schedules from now on
+   * @private
+   */
+  _activate() {
+    this.active = true;
+    this._recoverInterruptedRuns();
+    this.jobs.forEach((job, name) => this._planJob(name));
+    this._arm();
+    logger.info('Job scheduler started', {
+      timezone: this.timezone,
+      jobs: Array.from(this.nextRuns.entries()).map(([name, next]) => ({ name, nextRunAt: next?.toISOString() || null }))
+    });
+  }
+
+  /**
+   * Try to become the instance that runs the jobs, and retry later while another one is
+   * @private
+   */
+  async _elect() {
+    this.electionTimer = null;
+    try {
+      const elected = await this.leadership.acquireSchedulerLock(() => this._onLeadershipLost());
+      if (elected && !this.started) {
+        await this.leadership.releaseSchedulerLock();
+        return;
+      }
+      if (elected) {
+        this.leader = true;
+        logger.info('Elected to run the scheduled jobs', { owner: this.owner });
+        this._activate();
+        return;
+      }
+      logger.debug('Another instance runs the scheduled jobs, standing by');
+    } catch (error) {
+      loggers.error('Failed to take part in the scheduler election', error);
+    }
+
+    if (this.started) {
+      this.electionTimer = setTimeout(() => this._elect(), this.electionIntervalMs);
+      this.electionTimer.unref();
+    }
+  }
+
+  /**
+   * Stop scheduling after the leadership was lost, and stand for election again
+   * @private
+   */
+  _onLeadershipLost() {
+    this.leader = false;
+    this.active = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRuns.clear();
+    logger.warn('Lost the scheduler lock: scheduled jobs stop until this instance is elected again');
+    if (this.started && !this.electionTimer) {
+      this.electionTimer = setTimeout(() => this._elect(), this.electionIntervalMs);
+      this.electionTimer.unref();
+    }
+  }
+
+  /**
+   * Start running jobs on their schedules
+   * With a leadership, only once this instance is elected; until then it stands by.
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    if (this.leadership) {
+      logger.info('Job scheduler waiting to be elected among the instances sharing the database', { owner: this.owner });
+      this._elect();
+    } else {
+      this._activate();
+    }
+  }
+
+  /**
+   * Stop scheduling (runs in progress finish on their own)
+   * The leadership is handed over once they have finished.
+   */
+  stop() {
+    if (!this.started) {
+      return;
+    }
+    this.started = false;
+    this.active = false;
+    clearTimeout(this.timer);
+    clearTimeout(this.electionTimer);
+    this.timer = null;
+    this.electionTimer = null;
+    this.nextRuns.clear();
+
+    if (this.leadership && this.leader) {
+      this.leader = false;
+      Promise.allSettled(this.inProgress.values())
+        .then(() => this.leadership.releaseSchedulerLock())
+        .catch(error => loggers.error('Failed to release the scheduler lock', error));
+    }
+    logger.info('Job scheduler stopped');
+  }
+}
+
+// Export singleton instance
+export const jobScheduler = new JobScheduler();
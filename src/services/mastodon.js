@@ -1,277 +1,334 @@
-import Mastodon from 'mastodon-api';
+import { MastodonClient } from './mastodonClient.js';
 import { appConfig as config } from '../config/index.js';
 import { logger, loggers } from '../utils/logger.js';
-import { APIError, RateLimitError, NotFoundError } from '../errors/index.js';
+import { APIError, RateLimitError, NotFoundError, CircuitOpenError } from '../errors/index.js';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
+
+// Upstream statuses worth retrying: the instance or its proxy is temporarily unavailable
+const TRANSIENT_STATUSES = [502, 503, 504];
+
+/**
+ * Check whether an error is transient (timeout, network failure, 502/503/504)
+ */
+function isTransientError(error) {
+  if (!(error instanceof APIError) || error.details?.aborted) {
+    return false;
+  }
+  return Boolean(error.details?.timeout || error.details?.network || TRANSIENT_STATUSES.includes(error.details?.status));
+}
 
-export class MastodonService {
-  constructor() {
-    // #region agent log
-    fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:8',message:'MastodonService constructor entry',data:{timeout:config.mastodon.timeout,url:config.mastodon.url},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'D'})}).catch(()=>{});
-    // #endregion
-    try {
-      // Create client with timeout configuration
-      // Note: The mastodon-api library uses this timeout for HTTP requests
-      // However, connection timeouts at the OS level may still occur
-      this.client = new Mastodon({
-        client_key: config.mastodon.clientKey,
-        client_secret: config.mastodon.clientSecret,
-        access_token: config.mastodon.accessToken,
-        timeout_ms: config.mastodon.timeout,
-        api_url: config.mastodon.url
-      });
-      
-      // Set a global error handler for any unhandled connection errors
-      // This is a safety measure for errors that occur outside of explicit requests
-      // (e.g., keep-alive connections, DNS lookups with multiple IPs)
-      if (typeof process !== 'undefined') {
-        // Store reference to prevent garbage collection
-        this._networkErrorHandler = (error) => {
-          // Only handle network timeout errors that might occur from this client
-          if (error && (error.code === 'ETIMEDOUT' || 
-              (error.name === 'AggregateError' && error.code === 'ETIMEDOUT') ||
-              (error.name === 'AggregateError' && Array.isArray(error.errors) && 
-               error.errors.some(err => err?.code === 'ETIMEDOUT')))) {
-            // #region agent log
-            fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:35',message:'Network error handler caught timeout',data:{code:error.code,name:error.name,isAggregate:error.name==='AggregateError'},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'E'})}).catch(()=>{});
-            // #endregion
-            // Log but don't throw - let the global handler deal with it
-            // This prevents the error from becoming uncaught
-            logger.debug('Network timeout error intercepted (likely from connection retry)', {
-              code: error.code,
-              name: error.name,
-              isAggregateError: error.name === 'AggregateError'
-            });
-          }
-        };
-      }
-      // #region agent log
-      fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:17',message:'Mastodon client created',data:{hasClient:!!this.client},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'D'})}).catch(()=>{});
-      // #endregion
-      
-      // Wrap client methods to catch any errors that might occur outside of explicit requests
-      // This prevents AggregateError from becoming uncaught exceptions
-      this._wrapClientMethods();
-    } catch (error) {
-      // #region agent log
-      fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:25',message:'Mastodon client creation error',data:{error:error.message,code:error.code},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'D'})}).catch(()=>{});
-      // #endregion
-      throw error;
+/**
+ * Check whether an error is an answer from the instance (which is therefore reachable)
+ */
+function isInstanceResponse(error) {
+  return error instanceof NotFoundError || error.rateLimit !== undefined || Boolean(error.details?.status);
+}
+
+/**
+ * Sleep that can be interrupted by an AbortSignal
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const aborted = () => new APIError('Request aborted during retry backoff', null, { aborted: true });
+    if (signal?.aborted) {
+      reject(aborted());
+      return;
     }
-    
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(aborted());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export class MastodonService {
+  /**
+   * @param {Object} instance - Instance from config.mastodon.instances (defaults to the primary instance)
+   * @param {MastodonClient} client - Client to use (defaults to one built from the instance)
+   */
+  constructor(instance = config.mastodon.instances[0], client = null) {
+    this.instance = instance;
+    this.client = client || new MastodonClient({
+      url: instance.url,
+      accessToken: instance.accessToken,
+      timeoutMs: config.mastodon.timeout
+    });
+
     this.lastRequestTime = 0;
     this.requestCount = 0;
+
+    // Request budget reported by the X-RateLimit-* headers (resetAt in epoch ms)
+    this.rateLimit = { limit: null, remaining: null, resetAt: null, updatedAt: null };
+    this.throttleStats = { throttledRequests: 0, totalWaitMs: 0, rateLimitHits: 0 };
+    this._throttleQueue = Promise.resolve();
+
+    this.retryStats = { retries: 0, recovered: 0, exhausted: 0 };
+    this.circuitBreaker = new CircuitBreaker({
+      name: `mastodon:${instance.name}`,
+      failureThreshold: config.performance.circuitBreakerThreshold,
+      resetTimeoutMs: config.performance.circuitBreakerResetTimeout,
+      onStateChange: (state, breaker) => {
+        const log = state === 'open' ? logger.warn : logger.info;
+        log.call(logger, `Circuit breaker ${breaker.name} is now ${state}`, {
+          consecutiveFailures: breaker.consecutiveFailures,
+          retryAt: breaker.getStatus().retryAt
+        });
+      }
+    });
   }
 
   /**
-   * Wrap client methods to ensure all errors are caught
-   * This prevents AggregateError from becoming uncaught exceptions
-   * @private
+   * Record the budget reported by a response (or a failed response)
    */
-  _wrapClientMethods() {
-    // The mastodon-api library uses methods like 'get', 'post', etc.
-    // We need to ensure that any errors from these methods are properly caught
-    // However, since we already wrap calls in makeAPIRequest, this is mainly
-    // a safety measure for any direct calls or internal retries
-    
-    // Store original methods
-    const originalMethods = ['get', 'post', 'put', 'delete', 'patch'];
-    
-    originalMethods.forEach(method => {
-      if (this.client[method] && typeof this.client[method] === 'function') {
-        const originalMethod = this.client[method].bind(this.client);
-        
-        this.client[method] = function(...args) {
-          try {
-            const result = originalMethod(...args);
-            
-            // If result is a promise, ensure it has error handling
-            if (result && typeof result.then === 'function') {
-              return result.catch((error) => {
-                // #region agent log
-                fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:50',message:'Wrapped client method error',data:{method,error:error?.message,code:error?.code,name:error?.name,isAggregate:error?.name==='AggregateError'},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'E'})}).catch(()=>{});
-                // #endregion
-                // Re-throw to be handled by makeAPIRequest
-                throw error;
-              });
-            }
-            
-            return result;
-          } catch (syncError) {
-            // #region agent log
-            fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:62',message:'Wrapped client method sync error',data:{method,error:syncError?.message,code:syncError?.code},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'E'})}).catch(()=>{});
-            // #endregion
-            throw syncError;
-          }
-        };
-      }
-    });
+  _updateRateLimit(rateLimit) {
+    if (!rateLimit) {
+      return;
+    }
+    this.rateLimit = { ...rateLimit, updatedAt: Date.now() };
+  }
+
+  /**
+   * Plan the delay before the next request
+   * RATE_LIMIT_DELAY_MS is the minimum spacing. While the budget is known, the remaining
+   * requests (minus RATE_LIMIT_RESERVE, kept for posting) are spread evenly until the
+   * window resets; once they are used up, the next request waits for the reset.
+   * @param {number} now - Current time in epoch ms
+   * @param {number} reserve - Requests to keep in reserve (0 for writes, which may use it)
+   * @returns {number} Delay in milliseconds
+   */
+  _planDelay(now = Date.now(), reserve = config.performance.rateLimitReserve) {
+    const sinceLastRequest = now - this.lastRequestTime;
+    let delay = config.performance.rateLimitDelay - sinceLastRequest;
+
+    const { remaining, resetAt } = this.rateLimit;
+    if (remaining !== null && resetAt !== null && resetAt > now) {
+      const usable = remaining - reserve;
+      delay = usable <= 0
+        ? Math.max(delay, resetAt - now)
+        : Math.max(delay, (resetAt - now) / usable - sinceLastRequest);
+    }
+
+    return Math.max(Math.ceil(delay), 0);
   }
 
   /**
    * Apply rate limiting between API requests
+   * Callers are queued so concurrent requests share the same budget.
+   * @param {boolean} useReserve - Allow spending the reserved budget (used for posting)
+   * @throws {RateLimitError} When the budget would only allow a request after RATE_LIMIT_MAX_WAIT_MS
    */
-  async applyRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < config.performance.rateLimitDelay) {
-      const delayTime = config.performance.rateLimitDelay - timeSinceLastRequest;
-      logger.debug(`Rate limiting: waiting ${delayTime}ms`);
+  applyRateLimit(useReserve = false) {
+    const turn = this._throttleQueue.then(() => this._waitForTurn(useReserve));
+    this._throttleQueue = turn.catch(() => {});
+    return turn;
+  }
+
+  async _waitForTurn(useReserve) {
+    const delayTime = this._planDelay(Date.now(), useReserve ? 0 : config.performance.rateLimitReserve);
+
+    if (delayTime > config.performance.rateLimitMaxWait) {
+      throw new RateLimitError(
+        `Mastodon request budget exhausted on ${this.instance.name} until ${new Date(this.rateLimit.resetAt).toISOString()}`,
+        Math.ceil(delayTime / 1000)
+      );
+    }
+
+    if (delayTime > 0) {
+      logger.debug(`Rate limiting: waiting ${delayTime}ms`, { instance: this.instance.name, remaining: this.rateLimit.remaining });
+      if (delayTime > config.performance.rateLimitDelay) {
+        this.throttleStats.throttledRequests++;
+      }
+      this.throttleStats.totalWaitMs += delayTime;
       await new Promise(resolve => setTimeout(resolve, delayTime));
     }
     
     this.lastRequestTime = Date.now();
     this.requestCount++;
+
+    // Count this request against the known budget until its response reports the real value
+    if (this.rateLimit.remaining !== null) {
+      this.rateLimit.remaining = Math.max(this.rateLimit.remaining - 1, 0);
+    }
   }
 
   /**
-   * Make API request with error handling and rate limiting
-   * @param {string} endpoint - API endpoint
-   * @param {object} params - Request parameters
+   * Check whether a rate limit error can be recovered from by waiting for the reset
+   */
+  _canWaitForReset() {
+    return this._planDelay() <= config.performance.rateLimitMaxWait;
+  }
+
+  /**
+   * Delay before retry number `attempt` (0-based): exponential backoff with jitter
+   * The delay is drawn between half and all of min(base * 2^attempt, max).
+   */
+  _retryDelay(attempt) {
+    const ceiling = Math.min(config.performance.retryBaseDelay * 2 ** attempt, config.performance.retryMaxDelay);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  /**
+   * Make API request with rate limiting, retries and circuit breaking, returning the full response
+   * Only GET requests are retried (they are idempotent); transient failures (timeouts,
+   * network errors, 502/503/504) count towards opening the circuit breaker.
+   * @param {string} endpoint - API endpoint, or an absolute URL on the instance (e.g. a Link header URL)
+   * @param {object} params - Query parameters (GET) or JSON body (other methods)
    * @param {string} method - HTTP method ('get', 'post', etc.), defaults to 'get'
-   * @returns {Promise} Response data
+   * @param {object} options - Request options ({ signal, timeoutMs })
+   * @returns {Promise<{data: *, status: number, headers: Headers, links: Object}>} Response
+   * @throws {CircuitOpenError} While the instance's circuit breaker is open
    */
-  async makeAPIRequest(endpoint, params = {}, method = 'get') {
-    // #region agent log
-    fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:44',message:'makeAPIRequest entry',data:{endpoint,method},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-    // #endregion
-    await this.applyRateLimit();
-    
-    // Wrap entire operation in try/catch to catch any synchronous errors
-    try {
-      logger.debug(`Making API request to ${endpoint}`, { params, method });
-      
-      const clientMethod = this.client[method];
-      if (!clientMethod || typeof clientMethod !== 'function') {
-        throw new APIError(`Unsupported HTTP method: ${method}`, null, { endpoint, method });
-      }
-      
-      // #region agent log
-      fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:56',message:'Before client method call',data:{endpoint,method},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-      // #endregion
-      const startTime = Date.now();
-      
-      // Wrap the client method call in a new Promise to ensure proper error handling
-      // This prevents AggregateError from becoming uncaught
-      const response = await new Promise((resolve, reject) => {
-        try {
-          // #region agent log
-          fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:66',message:'Inside Promise executor',data:{endpoint,method},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-          // #endregion
-          const requestPromise = clientMethod.call(this.client, endpoint, params);
-          
-          // Handle the promise result
-          Promise.resolve(requestPromise)
-            .then((result) => {
-              // #region agent log
-              fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:73',message:'Request promise resolved',data:{endpoint,method},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-              // #endregion
-              resolve(result);
-            })
-            .catch((err) => {
-              // #region agent log
-              fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:77',message:'Request promise rejected',data:{endpoint,method,error:err?.message,code:err?.code,name:err?.name,isAggregate:err?.name==='AggregateError',errorsCount:err?.errors?.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-              // #endregion
-              reject(err);
-            });
-        } catch (syncError) {
-          // #region agent log
-          fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:85',message:'Synchronous error in Promise executor',data:{endpoint,method,error:syncError?.message,code:syncError?.code,name:syncError?.name},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-          // #endregion
-          reject(syncError);
-        }
-      });
-      const duration = Date.now() - startTime;
-      // #region agent log
-      fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:90',message:'After client method call',data:{endpoint,method,duration},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-      // #endregion
-      
-      if (!response || !response.data) {
-        throw new APIError(`Invalid response from ${endpoint}`, null, { endpoint, params, method });
-      }
-      
-      loggers.apiRequest(method.toUpperCase(), endpoint);
-      loggers.performance('mastodon_api_request', duration, { endpoint, method });
-      
-      return response.data;
-    } catch (error) {
-      // #region agent log
-      fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:100',message:'API request error caught',data:{endpoint,method,error:error.message,code:error.code,name:error.name,isAggregate:error.name==='AggregateError',errorsCount:error.errors?.length,stack:error.stack?.substring(0,100)},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-      // #endregion
-      loggers.error(`API request failed for ${endpoint}`, error, { params, method });
-      
-      // Handle AggregateError specifically - extract the first meaningful error
-      let actualError = error;
-      if (error.name === 'AggregateError' && Array.isArray(error.errors) && error.errors.length > 0) {
-        // #region agent log
-        fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:107',message:'AggregateError detected, extracting first error',data:{errorsCount:error.errors.length,firstError:error.errors[0]?.code,firstErrorName:error.errors[0]?.name},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-        // #endregion
-        // Use the first error from the aggregate, or the aggregate itself if no errors array
-        actualError = error.errors[0] || error;
-      }
-      
-      // Handle specific Mastodon API errors
-      if (actualError.response || error.response) {
-        const response = actualError.response || error.response;
-        const { status, statusText } = response;
-        
-        if (status === 429) {
-          throw new RateLimitError('Mastodon API rate limit exceeded', response.headers['retry-after']);
+  async request(endpoint, params = {}, method = 'get', options = {}) {
+    if (!this.circuitBreaker.canRequest()) {
+      const { state, retryAt } = this.circuitBreaker.getStatus();
+      throw new CircuitOpenError(
+        state === 'open'
+          ? `Mastodon instance ${this.instance.name} is unavailable (circuit open until ${retryAt})`
+          : `Mastodon instance ${this.instance.name} is unavailable (trial request in progress)`,
+        this.circuitBreaker.name,
+        retryAt
+      );
+    }
+
+    const maxRetries = method === 'get' ? config.performance.retryAttempts : 0;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this._requestOnce(endpoint, params, method, options);
+        this.circuitBreaker.recordSuccess();
+        if (attempt > 0) {
+          this.retryStats.recovered++;
         }
-        
-        if (status === 404) {
-          throw new NotFoundError(`Resource not found: ${endpoint}`, endpoint);
+        return response;
+      } catch (error) {
+        if (!isTransientError(error)) {
+          if (isInstanceResponse(error)) {
+            this.circuitBreaker.recordSuccess();
+          } else {
+            this.circuitBreaker.release();
+          }
+          throw error;
         }
-        
-        if (status >= 500) {
-          throw new APIError(`Mastodon server error: ${status} ${statusText}`, actualError, { endpoint, status, method });
+
+        if (attempt >= maxRetries || this.circuitBreaker.state === 'half_open') {
+          if (maxRetries > 0) {
+            this.retryStats.exhausted++;
+          }
+          this.circuitBreaker.recordFailure();
+          throw error;
         }
+
+        const delay = this._retryDelay(attempt);
+        this.retryStats.retries++;
+        logger.warn(`Retrying ${endpoint} in ${delay}ms (attempt ${attempt + 2} of ${maxRetries + 1})`, {
+          instance: this.instance.name,
+          error: error.message
+        });
+        await sleep(delay, options.signal);
       }
-      
-      // Check if it's a timeout error and wrap it properly
-      // Handle both direct ETIMEDOUT and AggregateError containing ETIMEDOUT
-      const isTimeout = actualError.code === 'ETIMEDOUT' || 
-                       error.code === 'ETIMEDOUT' ||
-                       (error.name === 'AggregateError' && error.code === 'ETIMEDOUT') ||
-                       (error.name === 'AggregateError' && Array.isArray(error.errors) && error.errors.some(err => err?.code === 'ETIMEDOUT'));
-      
-      if (isTimeout) {
-        // #region agent log
-        fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:130',message:'Timeout error detected in catch',data:{endpoint,method,code:actualError.code||error.code,name:error.name,isAggregate:error.name==='AggregateError',errorsCount:error.errors?.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-        // #endregion
-        // Wrap the error but preserve the original error details
-        const timeoutError = new APIError(`Request timeout for ${endpoint}: ${actualError.message || error.message}`, actualError, { endpoint, method });
-        // Preserve the original error code and name for proper handling upstream
-        timeoutError.originalError = error;
-        timeoutError.code = 'ETIMEDOUT';
-        throw timeoutError;
+    }
+  }
+
+  /**
+   * Make a single API request with rate limiting
+   */
+  async _requestOnce(endpoint, params, method, options) {
+    await this.applyRateLimit(method !== 'get');
+
+    logger.debug(`Making API request to ${endpoint}`, { params, method, instance: this.instance.name });
+    const startTime = Date.now();
+
+    try {
+      const response = method === 'get'
+        ? await this.client.get(endpoint, params, options)
+        : await this.client.request(method.toUpperCase(), endpoint, { ...options, body: params });
+
+      this._updateRateLimit(response.rateLimit);
+
+      loggers.apiRequest(method.toUpperCase(), endpoint);
+      loggers.performance('mastodon_api_request', Date.now() - startTime, { endpoint, method, instance: this.instance.name });
+
+      return response;
+    } catch (error) {
+      this._updateRateLimit(error.rateLimit);
+
+      if (error instanceof RateLimitError) {
+        this.throttleStats.rateLimitHits++;
+        // Nothing left until the reset, whatever the headers said
+        this.rateLimit = {
+          ...this.rateLimit,
+          remaining: 0,
+          resetAt: this.rateLimit.resetAt > Date.now()
+            ? this.rateLimit.resetAt
+            : Date.now() + (parseInt(error.details.retryAfter) || 60) * 1000,
+          updatedAt: Date.now()
+        };
       }
-      
-      throw new APIError(`Failed to fetch data from ${endpoint}: ${actualError.message || error.message}`, actualError, { endpoint, method });
+
+      loggers.error(`API request failed for ${endpoint}`, error, { params, method, instance: this.instance.name });
+      throw error;
+    }
+  }
+
+  /**
+   * Make API request with rate limiting
+   * @param {string} endpoint - API endpoint
+   * @param {object} params - Request parameters
+   * @param {string} method - HTTP method ('get', 'post', etc.), defaults to 'get'
+   * @param {object} options - Request options ({ signal, timeoutMs })
+   * @returns {Promise} Response data
+   */
+  async makeAPIRequest(endpoint, params = {}, method = 'get', options = {}) {
+    const response = await this.request(endpoint, params, method, options);
+    return response.data;
+  }
+
+  /**
+   * Fetch one page of a hashtag timeline
+   * @param {string} hashtag - Hashtag to fetch
+   * @param {Object} options - Page options
+   * @param {string} options.url - Pagination URL from a previous page's Link header (overrides params)
+   * @param {Object} options.params - Query parameters for the first page (limit, max_id, since_id...)
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @returns {Promise<{toots: Array, next: string|null, prev: string|null}>} Page of toots and pagination URLs
+   */
+  async fetchTootPage(hashtag, { url = null, params = {}, signal } = {}) {
+    const response = url
+      ? await this.request(url, {}, 'get', { signal })
+      : await this.request(`timelines/tag/${encodeURIComponent(hashtag)}`, {
+        limit: config.performance.tootsPerPage,
+        ...params
+      }, 'get', { signal });
+
+    if (!Array.isArray(response.data)) {
+      throw new APIError('Expected array of toots but received different data type', null, { hashtag, receivedType: typeof response.data });
     }
+
+    return {
+      toots: response.data,
+      next: response.links.next || null,
+      prev: response.links.prev || null
+    };
   }
 
   /**
-   * Fetch toots by hashtag with pagination support
+   * Fetch toots by hashtag (a single page)
    */
   async fetchTootsByHashtag(hashtag, options = {}) {
     if (!hashtag || typeof hashtag !== 'string') {
       throw new Error('Valid hashtag is required');
     }
 
-    const params = {
-      limit: options.limit || config.performance.tootsPerPage,
-      ...options
-    };
-
-    logger.info(`Fetching toots for hashtag: ${hashtag}`, { params });
+    logger.info(`Fetching toots for hashtag: ${hashtag}`, { params: options, instance: this.instance.name });
 
     try {
-      const toots = await this.makeAPIRequest(`timelines/tag/${hashtag}`, params);
-      
-      if (!Array.isArray(toots)) {
-        throw new APIError('Expected array of toots but received different data type', null, { hashtag, receivedType: typeof toots });
-      }
+      const { toots } = await this.fetchTootPage(hashtag, { params: options });
 
       logger.info(`Successfully fetched ${toots.length} toots for hashtag: ${hashtag}`);
       loggers.business('toots_fetched', { hashtag, count: toots.length });
@@ -284,65 +341,121 @@ export class MastodonService {
   }
 
   /**
-   * Fetch all toots for a hashtag with pagination and rate limiting
+   * Fetch all toots for a hashtag, following the Link header's rel="next" pages
+   * @param {string} hashtag - Hashtag to fetch
+   * @param {number} maxPages - Maximum number of pages (defaults to MAX_API_PAGES)
+   * @param {Object} options - Options ({ signal } to cancel the whole pagination)
+   */
+  async fetchAllToots(hashtag, maxPages = null, options = {}) {
+    const { toots } = await this.fetchTootsWindow(hashtag, { ...options, maxPages });
+    return toots;
+  }
+
+  /**
+   * Fetch toots for a hashtag back to the start of a time window, following the
+   * Link header's rel="next" (older) pages
+   * Paging stops once a page reaches back before `since`, at the end of the timeline,
+   * or at the maxPages safety ceiling.
+   * @param {string} hashtag - Hashtag to fetch
+   * @param {Object} options - Options
+   * @param {Date|string|null} options.since - Window start (null pages until the end or the ceiling)
+   * @param {string|null} options.maxId - Only fetch toots older than this status id
+   * @param {number} options.maxPages - Safety ceiling on pages (defaults to MAX_API_PAGES)
+   * @param {AbortSignal} options.signal - Signal to cancel the whole pagination
+   * @returns {Promise<{toots: Array, complete: boolean, reachedEnd: boolean, pagesFetched: number, oldestAt: string|null}>}
+   *   Toots newest first; complete is true when the window (or the whole timeline) was covered
    */
-  async fetchAllToots(hashtag, maxPages = null) {
+  async fetchTootsWindow(hashtag, { since = null, maxId = null, maxPages = null, signal } = {}) {
     if (!hashtag) {
       throw new Error('Hashtag is required');
     }
 
     const maxPagesToFetch = maxPages || config.performance.maxApiPages;
+    const sinceTime = since ? new Date(since).getTime() : null;
     const allToots = [];
-    let maxId = null;
+    let nextUrl = null;
     let pageCount = 0;
-    let hasMore = true;
-
-    logger.info(`Starting to fetch all toots for hashtag: ${hashtag}`, { maxPages: maxPagesToFetch });
-
-    while (hasMore && pageCount < maxPagesToFetch) {
-      const options = { limit: config.performance.tootsPerPage };
-      if (maxId) {
-        options.max_id = maxId;
-      }
+    let rateLimitRetries = 0;
+    let reachedEnd = false;
+    let reachedSince = false;
+    let truncated = false;
+
+    logger.info(`Starting to fetch all toots for hashtag: ${hashtag}`, {
+      maxPages: maxPagesToFetch,
+      since: sinceTime ? new Date(sinceTime).toISOString() : null,
+      instance: this.instance.name
+    });
 
+    while (pageCount < maxPagesToFetch) {
       try {
-        const toots = await this.fetchTootsByHashtag(hashtag, options);
+        const page = await this.fetchTootPage(hashtag, {
+          url: nextUrl,
+          params: maxId ? { max_id: maxId } : {},
+          signal
+        });
         
-        if (toots.length === 0) {
+        if (page.toots.length === 0) {
           logger.info(`No more toots found for hashtag: ${hashtag} after ${pageCount} pages`);
-          hasMore = false;
+          reachedEnd = true;
           break;
         }
 
-        allToots.push(...toots);
-        maxId = toots[toots.length - 1].id;
+        allToots.push(...page.toots);
         pageCount++;
+        rateLimitRetries = 0;
 
-        logger.debug(`Fetched page ${pageCount} for hashtag: ${hashtag}, got ${toots.length} toots`);
+        logger.debug(`Fetched page ${pageCount} for hashtag: ${hashtag}, got ${page.toots.length} toots`);
+
+        if (sinceTime !== null && new Date(page.toots[page.toots.length - 1].created_at).getTime() < sinceTime) {
+          logger.debug(`Reached the start of the window for hashtag: ${hashtag}`);
+          reachedSince = true;
+          break;
+        }
 
-        // Check if we got fewer results than requested, indicating we're at the end
-        if (toots.length < config.performance.tootsPerPage) {
-          hasMore = false;
+        if (!page.next) {
           logger.info(`Reached end of results for hashtag: ${hashtag}`);
+          reachedEnd = true;
+          break;
         }
+        nextUrl = page.next;
 
       } catch (error) {
         loggers.error(`Failed to fetch page ${pageCount + 1} for hashtag: ${hashtag}`, error);
+
+        // When rate limited, retry the same page: applyRateLimit waits for the budget reset
+        if (error instanceof RateLimitError && rateLimitRetries < 2 && this._canWaitForReset()) {
+          rateLimitRetries++;
+          logger.warn(`Rate limited while fetching #${hashtag}; waiting for the budget reset`, {
+            instance: this.instance.name,
+            resetAt: this.rateLimit.resetAt ? new Date(this.rateLimit.resetAt).toISOString() : null
+          });
+          continue;
+        }
         
-        // For rate limit errors, we should stop trying
-        if (error instanceof RateLimitError) {
+        // For rate limit errors we cannot wait out, cancellations, an open circuit or a failure
+        // on the first page, stop: callers can fall back to cached or stored data
+        if (error instanceof RateLimitError || error instanceof CircuitOpenError || error.details?.aborted || allToots.length === 0) {
           throw error;
         }
         
-        // For other errors, we might want to continue with what we have
-        logger.warn(`Continuing with ${allToots.length} toots fetched so far`);
-        hasMore = false;
+        // Retries are exhausted: continue with what we have
+        logger.warn(`Continuing with ${allToots.length} toots fetched so far (results truncated after ${pageCount} pages)`);
+        truncated = true;
+        break;
       }
     }
 
+    const complete = !truncated && (reachedEnd || reachedSince);
+    if (!complete && !truncated) {
+      logger.warn(`Stopped at the ${maxPagesToFetch} page ceiling before covering the window for #${hashtag}`, {
+        instance: this.instance.name
+      });
+    }
+
     logger.info(`Completed fetching toots for hashtag: ${hashtag}`, { 
       totalToots: allToots.length, 
-      pagesFetched: pageCount 
+      pagesFetched: pageCount,
+      complete
     });
 
     loggers.business('all_toots_fetched', { 
@@ -351,7 +464,104 @@ export class MastodonService {
       pages: pageCount 
     });
 
-    return allToots;
+    return {
+      toots: allToots,
+      complete,
+      reachedEnd,
+      pagesFetched: pageCount,
+      oldestAt: allToots.length > 0 ? allToots[allToots.length - 1].created_at : null
+    };
+  }
+
+  /**
+   * Fetch the toots posted after a known status, oldest pages first
+   * Uses min_id and follows the Link header's rel="prev" (newer) pages, so toots come
+   * in contiguously from the known status and a run cut short by maxPages resumes
+   * where it stopped.
+   * @param {string} hashtag - Hashtag to fetch
+   * @param {string} minId - Newest status id already seen
+   * @param {number} maxPages - Maximum number of pages (defaults to MAX_API_PAGES)
+   * @param {Object} options - Options ({ signal } to cancel the whole pagination)
+   * @returns {Promise<{toots: Array, complete: boolean, pagesFetched: number}>} Toots newer than
+   *   minId; complete is false when the ceiling or an error stopped paging before the newest toot
+   */
+  async fetchTootsSince(hashtag, minId, maxPages = null, options = {}) {
+    if (!hashtag || !minId) {
+      throw new Error('Hashtag and minId are required');
+    }
+
+    const maxPagesToFetch = maxPages || config.performance.maxApiPages;
+    const newToots = [];
+    let prevUrl = null;
+    let pageCount = 0;
+    let complete = false;
+
+    while (pageCount < maxPagesToFetch) {
+      try {
+        const page = await this.fetchTootPage(hashtag, {
+          url: prevUrl,
+          params: { min_id: minId },
+          signal: options.signal
+        });
+
+        if (page.toots.length === 0) {
+          complete = true;
+          break;
+        }
+
+        newToots.push(...page.toots);
+        pageCount++;
+
+        if (!page.prev) {
+          complete = true;
+          break;
+        }
+        prevUrl = page.prev;
+
+      } catch (error) {
+        loggers.error(`Failed to fetch new toots for hashtag: ${hashtag}`, error);
+
+        // Pages are contiguous from minId, so what was fetched so far can still be kept
+        if (newToots.length === 0 || error instanceof CircuitOpenError || error.details?.aborted) {
+          throw error;
+        }
+        logger.warn(`Continuing with ${newToots.length} new toots fetched so far`);
+        break;
+      }
+    }
+
+    if (!complete && pageCount === maxPagesToFetch) {
+      logger.warn(`Stopped after ${pageCount} pages of new toots for #${hashtag}; the next refresh continues from there`, {
+        instance: this.instance.name
+      });
+    }
+
+    logger.info(`Fetched ${newToots.length} new toots for hashtag: ${hashtag}`, {
+      minId,
+      pagesFetched: pageCount,
+      instance: this.instance.name
+    });
+
+    return { toots: newToots, complete, pagesFetched: pageCount };
+  }
+
+  /**
+   * Get the streaming API base URL
+   * Uses the instance's advertised streaming server (urls.streaming_api), which may
+   * be on another host, and falls back to the API origin.
+   * @returns {Promise<string>} Base URL (e.g. https://example.social/api/v1/streaming)
+   */
+  async getStreamingUrl() {
+    try {
+      const info = await this.makeAPIRequest('instance');
+      const streamingApi = info?.urls?.streaming_api;
+      if (streamingApi) {
+        return `${streamingApi.replace(/^ws/, 'http').replace(/\/$/, '')}/api/v1/streaming`;
+      }
+    } catch (error) {
+      logger.warn(`Could not read the streaming URL of ${this.instance.name}; using the API host`, { error: error.message });
+    }
+    return new URL('streaming', this.client.baseUrl).href;
   }
 
   /**
@@ -363,7 +573,7 @@ export class MastodonService {
     }
 
     try {
-      const data = await this.makeAPIRequest(`tags/${hashtag}`);
+      const data = await this.makeAPIRequest(`tags/${encodeURIComponent(hashtag)}`);
       
       logger.info(`Fetched hashtag statistics for: ${hashtag}`, {
         following: data?.following,
@@ -381,26 +591,14 @@ export class MastodonService {
    * Get trending tags
    */
   async getTrendingTags(limit = 10, offset = 0) {
-    // #region agent log
-    fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:232',message:'getTrendingTags entry',data:{limit,offset},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-    // #endregion
     try {
       const params = { limit: Math.min(limit, 100), offset };
-      // #region agent log
-      fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:236',message:'Before makeAPIRequest for trends/tags',data:{params},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-      // #endregion
       const tags = await this.makeAPIRequest('trends/tags', params);
-      // #region agent log
-      fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:239',message:'getTrendingTags succeeded',data:{tagsCount:tags?.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-      // #endregion
       
       logger.info(`Fetched ${tags.length} trending tags`, { limit, offset });
       
       return tags;
     } catch (error) {
-      // #region agent log
-      fetch('http://127.0.0.1:7246/ingest/f426892d-b7cd-4420-929c-80542dc01840',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'src/services/mastodon.js:247',message:'getTrendingTags error',data:{error:error.message,code:error.code,name:error.name,isAggregate:error.name==='AggregateError'},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-      // #endregion
       loggers.error('Failed to fetch trending tags', error, { limit, offset });
       throw error;
     }
@@ -463,11 +661,28 @@ export class MastodonService {
    * Get service statistics
    */
   getStats() {
+    const { limit, remaining, resetAt, updatedAt } = this.rateLimit;
+
     return {
+      instance: this.instance.name,
       requestCount: this.requestCount,
       lastRequestTime: this.lastRequestTime,
+      rateLimit: {
+        limit,
+        remaining,
+        resetAt: resetAt ? new Date(resetAt).toISOString() : null,
+        usedPercent: limit && remaining !== null ? Math.round(((limit - remaining) / limit) * 100) : null,
+        updatedAt: updatedAt ? new Date(updatedAt).toISOString() : null,
+        nextDelayMs: this._planDelay(),
+        ...this.throttleStats
+      },
+      retries: { ...this.retryStats },
+      circuitBreaker: this.circuitBreaker.getStatus(),
       config: {
         rateLimitDelay: config.performance.rateLimitDelay,
+        rateLimitReserve: config.performance.rateLimitReserve,
+        rateLimitMaxWait: config.performance.rateLimitMaxWait,
+        retryAttempts: config.performance.retryAttempts,
         maxApiPages: config.performance.maxApiPages,
         tootsPerPage: config.performance.tootsPerPage
       }
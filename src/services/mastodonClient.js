@@ -0,0 +1,238 @@
+import { APIError, RateLimitError, NotFoundError } from '../errors/index.js';
+
+/**
+ * Parse an RFC 8288 Link header into a map of rel to URL
+ * Mastodon paginates timelines with rel="next" (older) and rel="prev" (newer).
+ * @param {string|null} header - Link header value
+ * @returns {Object} Map of rel to URL (e.g. { next, prev })
+ */
+export function parseLinkHeader(header) {
+  const links = {};
+  if (!header) {
+    return links;
+  }
+
+  header.split(',').forEach(part => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+    if (match) {
+      match[2].split(/\s+/).forEach(rel => {
+        links[rel] = match[1];
+      });
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Parse Mastodon's X-RateLimit-* headers
+ * X-RateLimit-Reset is an ISO 8601 timestamp (epoch seconds are accepted too).
+ * @param {Headers} headers - Response headers
+ * @returns {{limit: number|null, remaining: number, resetAt: number|null}|null} Budget (resetAt in epoch ms), or null when absent
+ */
+export function parseRateLimitHeaders(headers) {
+  const remaining = parseInt(headers.get('x-ratelimit-remaining'));
+  if (isNaN(remaining)) {
+    return null;
+  }
+
+  const reset = headers.get('x-ratelimit-reset');
+  let resetAt = null;
+  if (reset) {
+    resetAt = /^\d+$/.test(reset) ? parseInt(reset) * 1000 : Date.parse(reset);
+    if (isNaN(resetAt)) {
+      resetAt = null;
+    }
+  }
+
+  return {
+    limit: parseInt(headers.get('x-ratelimit-limit')) || null,
+    remaining,
+    resetAt
+  };
+}
+
+/**
+ * Combine the caller's signal with the request timeout (AbortSignal.any needs Node 20.3)
+ * @param {AbortSignal} signal - Caller's signal
+ * @param {AbortSignal} timeoutSignal - Timeout signal of the request
+ * @returns {{signal: AbortSignal, release: Function}} Combined signal, and a function that detaches it from the caller's signal
+ */
+function combineSignals(signal, timeoutSignal) {
+  const controller = new AbortController();
+  const sources = [signal, timeoutSignal];
+  const onAbort = event => {
+    release();
+    controller.abort(event.target.reason);
+  };
+  const release = () => sources.forEach(source => source.removeEventListener('abort', onAbort));
+
+  const aborted = sources.find(source => source.aborted);
+  if (aborted) {
+    controller.abort(aborted.reason);
+  } else {
+    sources.forEach(source => source.addEventListener('abort', onAbort, { once: true }));
+  }
+  return { signal: controller.signal, release };
+}
+
+/**
+ * Minimal Mastodon REST client built on Node's fetch
+ * Every request takes its own timeout and optional AbortSignal; failures are mapped to
+ * APIError, RateLimitError and NotFoundError.
+ */
+export class MastodonClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.url - API base URL (e.g. https://example.social/api/v1/)
+   * @param {string|null} options.accessToken - Bearer token (omit for anonymous, read-only access)
+   * @param {number} options.timeoutMs - Default request timeout in milliseconds
+   */
+  constructor({ url, accessToken = null, timeoutMs = 30000 }) {
+    this.baseUrl = url.endsWith('/') ? url : `${url}/`;
+    this.origin = new URL(this.baseUrl).origin;
+    this.accessToken = accessToken;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Build the request URL from an endpoint or an absolute URL (e.g. from a Link header)
+   * Absolute URLs must stay on the instance so the token is never sent elsewhere.
+   */
+  _buildUrl(endpoint, params = {}) {
+    const url = new URL(endpoint, this.baseUrl);
+
+    if (url.origin !== this.origin) {
+      throw new APIError(`Refusing to request a URL outside ${this.origin}`, null, { endpoint });
+    }
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    });
+
+    return url;
+  }
+
+  /**
+   * Map a non-2xx response to a typed error
+   * The rate limit budget of the response is attached as error.rateLimit.
+   */
+  async _toError(response, endpoint, method) {
+    const error = await this._createError(response, endpoint, method);
+    error.rateLimit = parseRateLimitHeaders(response.headers);
+    return error;
+  }
+
+  async _createError(response, endpoint, method) {
+    let serverMessage = null;
+    try {
+      serverMessage = (await response.json())?.error || null;
+    } catch {
+      // Body is not JSON; the status is enough
+    }
+
+    if (response.status === 429) {
+      // Prefer Retry-After; otherwise derive it from the budget reset time
+      const resetAt = parseRateLimitHeaders(response.headers)?.resetAt;
+      const retryAfter = response.headers.get('retry-after')
+        || (resetAt ? Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0) : null);
+      return new RateLimitError('Mastodon API rate limit exceeded', retryAfter);
+    }
+
+    if (response.status === 404) {
+      return new NotFoundError(`Resource not found: ${endpoint}`, endpoint);
+    }
+
+    return new APIError(
+      `Mastodon API error: ${response.status} ${response.statusText}${serverMessage ? ` - ${serverMessage}` : ''}`,
+      null,
+      { endpoint, method, status: response.status }
+    );
+  }
+
+  /**
+   * Make a request
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Endpoint relative to the API base URL, or an absolute URL on the instance
+   * @param {Object} options - Request options
+   * @param {Object} options.params - Query string parameters
+   * @param {Object} options.body - JSON body
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @param {number} options.timeoutMs - Timeout for this request (defaults to the client timeout)
+   * @returns {Promise<{data: *, status: number, headers: Headers, links: Object, rateLimit: Object|null}>} Parsed response
+   */
+  async request(method, endpoint, { params = {}, body = undefined, signal = undefined, timeoutMs = this.timeoutMs } = {}) {
+    const url = this._buildUrl(endpoint, params);
+    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+
+    const headers = { Accept: 'application/json' };
+    if (this.accessToken) {
+      headers.Authorization = `Bearer ${this.accessToken}`;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    // The caller's signal usually outlives the request: detach from it once the body is read
+    const combined = signal ? combineSignals(signal, timeoutSignal) : { signal: timeoutSignal, release: () => {} };
+    try {
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          headers,
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+          signal: combined.signal
+        });
+      } catch (error) {
+        if (timeoutSignal.aborted && !signal?.aborted) {
+          throw new APIError(`Request timeout for ${endpoint} after ${timeoutMs}ms`, error, { endpoint, method, timeout: true });
+        }
+        if (signal?.aborted) {
+          throw new APIError(`Request aborted: ${endpoint}`, error, { endpoint, method, aborted: true });
+        }
+        throw new APIError(`Failed to fetch data from ${endpoint}: ${error.cause?.message || error.message}`, error, { endpoint, method, network: true });
+      }
+
+      if (!response.ok) {
+        throw await this._toError(response, endpoint, method);
+      }
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        if (timeoutSignal.aborted) {
+          throw new APIError(`Request timeout for ${endpoint} after ${timeoutMs}ms`, error, { endpoint, method, timeout: true });
+        }
+        throw new APIError(`Invalid JSON response from ${endpoint}`, error, { endpoint, method, status: response.status });
+      }
+
+      return {
+        data,
+        status: response.status,
+        headers: response.headers,
+        links: parseLinkHeader(response.headers.get('link')),
+        rateLimit: parseRateLimitHeaders(response.headers)
+      };
+    } finally {
+      combined.release();
+    }
+  }
+
+  /**
+   * GET request
+   */
+  get(endpoint, params = {}, options = {}) {
+    return this.request('GET', endpoint, { ...options, params });
+  }
+
+  /**
+   * POST request with a JSON body
+   */
+  post(endpoint, body = {}, options = {}) {
+    return this.request('POST', endpoint, { ...options, body });
+  }
+}
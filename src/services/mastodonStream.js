@@ -0,0 +1,200 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Parse server-sent events from a text buffer
+ * Complete events (terminated by a blank line) are returned; the unterminated
+ * remainder is returned as `rest` to be prefixed to the next chunk. Comment lines
+ * (heartbeats such as ":thump") are skipped.
+ * @param {string} buffer - Text received so far
+ * @returns {{events: Array<{event: string, data: string}>, rest: string}} Parsed events and remainder
+ */
+export function parseServerSentEvents(buffer) {
+  const events = [];
+  const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+
+  blocks.forEach(block => {
+    let event = 'message';
+    const data = [];
+
+    block.split('\n').forEach(line => {
+      if (line === '' || line.startsWith(':')) {
+        return;
+      }
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+      if (field === 'event') {
+        event = value;
+      } else if (field === 'data') {
+        data.push(value);
+      }
+    });
+
+    if (data.length > 0) {
+      events.push({ event, data: data.join('\n') });
+    }
+  });
+
+  return { events, rest };
+}
+
+/**
+ * Subscription to one Mastodon streaming API stream over server-sent events
+ * Reconnects with exponential backoff when the connection fails, ends or stays
+ * silent for longer than idleTimeoutMs (Mastodon sends heartbeats regularly).
+ *
+ * Events:
+ * - 'update' (status): new status
+ * - 'status.update' (status): edited status
+ * - 'delete' (statusId): deleted status
+ * - 'connected' (): connection established
+ * - 'disconnected' (error|null, delayMs): connection lost, reconnecting after delayMs
+ */
+export class MastodonStream extends EventEmitter {
+  /**
+   * @param {Object} options - Stream options
+   * @param {string} options.url - Streaming API base URL (e.g. https://example.social/api/v1/streaming)
+   * @param {string} options.stream - Stream name (e.g. 'hashtag')
+   * @param {Object} options.params - Query parameters (e.g. { tag })
+   * @param {string|null} options.accessToken - Bearer token
+   * @param {number} options.reconnectBaseMs - First reconnection delay
+   * @param {number} options.reconnectMaxMs - Maximum reconnection delay
+   * @param {number} options.idleTimeoutMs - Reconnect when nothing arrives for this long
+   */
+  constructor({ url, stream, params = {}, accessToken = null, reconnectBaseMs = 1000, reconnectMaxMs = 60000, idleTimeoutMs = 90000 }) {
+    super();
+    this.url = new URL(`${url.replace(/\/$/, '')}/${stream}`);
+    Object.entries(params).forEach(([key, value]) => this.url.searchParams.set(key, value));
+    this.accessToken = accessToken;
+    this.reconnectBaseMs = reconnectBaseMs;
+    this.reconnectMaxMs = reconnectMaxMs;
+    this.idleTimeoutMs = idleTimeoutMs;
+
+    this.running = false;
+    this.connected = false;
+    this.attempt = 0;
+    this.controller = null;
+    this.reconnectTimer = null;
+    this.stats = { connects: 0, reconnects: 0, events: 0, lastEventAt: null, lastError: null };
+  }
+
+  /**
+   * Start streaming (returns immediately; the connection runs in the background)
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this._connect();
+  }
+
+  /**
+   * Stop streaming and cancel any pending reconnection
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.controller) {
+      this.controller.abort();
+    }
+  }
+
+  /**
+   * Delay before reconnection attempt `attempt` (0-based), with jitter
+   */
+  _reconnectDelay(attempt) {
+    const ceiling = Math.min(this.reconnectBaseMs * 2 ** attempt, this.reconnectMaxMs);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  async _connect() {
+    const controller = new AbortController();
+    this.controller = controller;
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => controller.abort(new Error(`No data for ${this.idleTimeoutMs}ms`)), this.idleTimeoutMs);
+    };
+
+    let failure = null;
+    try {
+      const headers = { Accept: 'text/event-stream' };
+      if (this.accessToken) {
+        headers.Authorization = `Bearer ${this.accessToken}`;
+      }
+
+      resetIdleTimer();
+      const response = await fetch(this.url, { headers, signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Streaming API returned ${response.status} ${response.statusText}`);
+      }
+
+      this.connected = true;
+      this.attempt = 0;
+      this.stats.connects++;
+      this.emit('connected');
+
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const chunk of response.body) {
+        resetIdleTimer();
+        const parsed = parseServerSentEvents(buffer + decoder.decode(chunk, { stream: true }));
+        buffer = parsed.rest;
+        parsed.events.forEach(event => this._dispatch(event));
+      }
+    } catch (error) {
+      failure = controller.signal.aborted && controller.signal.reason instanceof Error
+        ? controller.signal.reason
+        : error;
+    } finally {
+      clearTimeout(idleTimer);
+      this.connected = false;
+      this.controller = null;
+    }
+
+    if (!this.running) {
+      return;
+    }
+
+    // The stream ended or failed: reconnect with backoff
+    const delay = this._reconnectDelay(this.attempt++);
+    this.stats.reconnects++;
+    this.stats.lastError = failure ? failure.message : 'Stream ended';
+    this.emit('disconnected', failure, delay);
+    this.reconnectTimer = setTimeout(() => this._connect(), delay);
+  }
+
+  _dispatch({ event, data }) {
+    this.stats.events++;
+    this.stats.lastEventAt = new Date().toISOString();
+
+    if (event === 'delete') {
+      this.emit('delete', data);
+      return;
+    }
+
+    if (event === 'update' || event === 'status.update') {
+      try {
+        this.emit(event, JSON.parse(data));
+      } catch (error) {
+        this.emit('error', new Error(`Invalid ${event} payload: ${error.message}`));
+      }
+    }
+  }
+
+  /**
+   * Get stream status
+   */
+  getStatus() {
+    return {
+      url: this.url.href,
+      running: this.running,
+      connected: this.connected,
+      ...this.stats
+    };
+  }
+}
@@ -0,0 +1,189 @@
+import { getDatabase } from '../database/index.js';
+import { getHistoryStorage, SqliteHistoryStorage } from '../database/storage/index.js';
+import { appConfig as config } from '../config/index.js';
+import { logger, loggers } from '../utils/logger.js';
+import { ROLLUP_TIERS } from '../utils/historyRollup.js';
+import moment from 'moment-timezone';
+
+/**
+ * Tiered retention of the stored data
+ *
+ * Each policy removes the rows of a table older than its retention (0 keeps them forever):
+ * - statuses: archived statuses (with their hashtags and engagement snapshots, and accounts left without statuses)
+ * - engagement_snapshots: engagement snapshots of statuses still archived
+ * - daily_history: daily hashtag counts, folded into the weekly and monthly rollups before deletion
+ * - weekly_history: weekly rollups (the monthly rollups are kept forever)
+ *
+ * The history policies go through the history storage (SQLite or PostgreSQL), the others
+ * through the SQLite database. Stored toots, job runs, collection runs and trending snapshots are
+ * pruned by the cleanup job.
+ */
+export class RetentionService {
+  /**
+   * @param {Database} db - SQLite database instance
+   * @param {Object} retention - Days kept per policy (defaults to config.retention)
+   * @param {SqliteHistoryStorage|PostgresHistoryStorage} history - History storage (defaults to one on db)
+   */
+  constructor(db = getDatabase().getDatabase(), retention = config.retention, history = new SqliteHistoryStorage(db)) {
+    this.db = db;
+    this.retention = retention;
+    this.history = history;
+  }
+
+  /**
+   * Get the policies with their retention and the tables they remove rows from
+   * @returns {Array<{name: string, table: string, retentionDays: number, description: string}>} Policies
+   */
+  getPolicies() {
+    return [
+      {
+        name: 'statuses',
+        table: 'statuses',
+        retentionDays: this.retention.statusesDays,
+        description: 'Archived statuses, by creation date'
+      },
+      {
+        name: 'engagement_snapshots',
+        table: 'status_engagement_snapshots',
+        retentionDays: this.retention.engagementDays,
+        description: 'Engagement snapshots, by capture time'
+      },
+      {
+        name: 'daily_history',
+        table: 'hashtag_history',
+        retentionDays: this.retention.dailyHistoryDays,
+        description: 'Daily hashtag counts, downsampled into weekly and monthly rollups'
+      },
+      {
+        name: 'weekly_history',
+        table: ROLLUP_TIERS.week,
+        retentionDays: this.retention.weeklyHistoryDays,
+        description: 'Weekly rollups, by the last day of the week'
+      }
+    ];
+  }
+
+  /**
+   * Get the first day kept by a policy, in the server timezone
+   * @param {number} days - Days kept
+   * @returns {string} Date in YYYY-MM-DD format
+   * @private
+   */
+  _cutoffDate(days) {
+    return moment().tz(config.server.timezone).subtract(days, 'days').format('YYYY-MM-DD');
+  }
+
+  /**
+   * Get the oldest instant kept by a policy
+   * @param {number} days - Days kept
+   * @returns {string} ISO timestamp
+   * @private
+   */
+  _cutoffTime(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Remove (or, in a dry run, count) statuses created before the cutoff
+   * @private
+   */
+  _pruneStatuses(cutoff, dryRun) {
+    const { count: statuses } = this.db.prepare('SELECT COUNT(*) AS count FROM statuses WHERE created_at < ?').get(cutoff);
+    const { count: snapshots } = this.db.prepare(`
+      SELECT COUNT(*) AS count FROM status_engagement_snapshots
+      WHERE (instance, status_id) IN (SELECT instance, id FROM statuses WHERE created_at < ?)
+    `).get(cutoff);
+    if (dryRun) {
+      return { rows: statuses, engagementSnapshots: snapshots };
+    }
+
+    const expired = 'SELECT instance, id FROM statuses WHERE created_at < ?';
+    this.db.prepare(`DELETE FROM status_tags WHERE (instance, status_id) IN (${expired})`).run(cutoff);
+    this.db.prepare(`DELETE FROM status_engagement_snapshots WHERE (instance, status_id) IN (${expired})`).run(cutoff);
+    const { changes } = this.db.prepare('DELETE FROM statuses WHERE created_at < ?').run(cutoff);
+    const { changes: accounts } = this.db.prepare(`
+      DELETE FROM accounts
+      WHERE NOT EXISTS (SELECT 1 FROM statuses WHERE statuses.instance = accounts.instance AND statuses.account_id = accounts.id)
+    `).run();
+    return { rows: changes, engagementSnapshots: snapshots, accounts };
+  }
+
+  /**
+   * Remove (or count) engagement snapshots captured before the cutoff
+   * @private
+   */
+  _pruneEngagementSnapshots(cutoff, dryRun) {
+    if (dryRun) {
+      return this.db.prepare('SELECT COUNT(*) AS rows FROM status_engagement_snapshots WHERE captured_at < ?').get(cutoff);
+    }
+    return { rows: this.db.prepare('DELETE FROM status_engagement_snapshots WHERE captured_at < ?').run(cutoff).changes };
+  }
+
+  /**
+   * Fold daily counts before a date into the weekly and monthly rollups and delete them
+   * Rollups are added to, so days of a period deleted by different runs end up in the same row.
+   * The revisions of the deleted days are removed with them.
+   * @param {string} beforeDate - First day kept (YYYY-MM-DD)
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Only count what would be downsampled and deleted
+   * @returns {Promise<{rows: number, weeks: number, months: number, revisions: number}>} Days deleted, weekly
+   *   and monthly rollup rows written, and revisions deleted
+   */
+  async downsampleHistory(beforeDate, { dryRun = false } = {}) {
+    return this.history.downsample(beforeDate, { dryRun });
+  }
+
+  /**
+   * Apply every policy, or report what applying them would remove
+   * Each policy runs in its own transaction; a disabled policy (0 days) is reported and skipped.
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Only count the rows each policy would remove
+   * @returns {Promise<Object>} Report: { dryRun, generatedAt, policies: [{ name, table, retentionDays, cutoff, enabled, rows, ... }] }
+   */
+  async run({ dryRun = false } = {}) {
+    const handlers = {
+      statuses: days => {
+        const cutoff = this._cutoffTime(days);
+        return { cutoff, ...this.db.transaction(() => this._pruneStatuses(cutoff, dryRun))() };
+      },
+      engagement_snapshots: days => {
+        const cutoff = this._cutoffTime(days);
+        return { cutoff, ...this._pruneEngagementSnapshots(cutoff, dryRun) };
+      },
+      daily_history: async days => {
+        const cutoff = this._cutoffDate(days);
+        return { cutoff, ...await this.downsampleHistory(cutoff, { dryRun }) };
+      },
+      weekly_history: async days => {
+        const cutoff = this._cutoffDate(days);
+        return { cutoff, ...await this.history.pruneWeeklyRollups(cutoff, { dryRun }) };
+      }
+    };
+
+    const policies = [];
+    for (const policy of this.getPolicies()) {
+      const enabled = policy.retentionDays > 0;
+      policies.push(enabled
+        ? { ...policy, enabled, ...await handlers[policy.name](policy.retentionDays) }
+        : { ...policy, enabled, cutoff: null, rows: 0 });
+    }
+
+    const report = {
+      dryRun,
+      generatedAt: new Date().toISOString(),
+      totalRows: policies.reduce((sum, policy) => sum + policy.rows, 0),
+      policies
+    };
+
+    if (!dryRun) {
+      loggers.business('retention_applied', {
+        policies: Object.fromEntries(policies.map(policy => [policy.name, policy.rows]))
+      });
+      logger.info(`Retention removed ${report.totalRows} rows`);
+    }
+    return report;
+  }
+}
+
+// Export singleton instance
+export const retentionService = new RetentionService(getDatabase().getDatabase(), config.retention, getHistoryStorage());
@@ -0,0 +1,558 @@
+import { getDatabase } from '../database/index.js';
+import { logger, loggers } from '../utils/logger.js';
+import { BusinessError, NotFoundError, ValidationError } from '../errors/index.js';
+import { appConfig as config } from '../config/index.js';
+import { resolveHashtagsForDate, OVERRIDE_TYPES, OVERRIDE_MODES } from '../utils/scheduleResolver.js';
+import { HOLIDAY_KEYS } from '../utils/holidays.js';
+import moment from 'moment-timezone';
+
+const DAYS_IN_WEEK = 7;
+const MAX_CALENDAR_DAYS = 366;
+
+/**
+ * Service for the versioned daily hashtag schedule
+ * Every change creates a new schedule version with an effective date, so the
+ * schedule that applied on any past date can still be resolved. Date-specific
+ * overrides, rotations and holidays are layered on top by resolveDate().
+ */
+export class ScheduleService {
+  /**
+   * @param {Database} db - SQLite database (defaults to the application database)
+   */
+  constructor(db = getDatabase().getDatabase()) {
+    this.db = db;
+  }
+
+  /**
+   * Get today's date in the server timezone
+   * @returns {string} Date in YYYY-MM-DD format
+   * @private
+   */
+  _today() {
+    return moment().tz(config.server.timezone).format('YYYY-MM-DD');
+  }
+
+  /**
+   * Map a version row to its public representation
+   * @private
+   */
+  _mapVersion(row) {
+    return {
+      id: row.id,
+      effectiveFrom: row.effective_from,
+      note: row.note || null,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Get the schedule entries of a version grouped by day of week
+   * @param {number} versionId - Schedule version id
+   * @returns {string[][]} Array of 7 hashtag arrays (0 = Sunday)
+   * @private
+   */
+  _getDays(versionId) {
+    const rows = this.db.prepare(`
+      SELECT day_of_week, hashtag
+      FROM hashtag_schedule
+      WHERE version_id = ?
+      ORDER BY day_of_week ASC, position ASC, id ASC
+    `).all(versionId);
+
+    const days = Array.from({ length: DAYS_IN_WEEK }, () => []);
+    rows.forEach(row => days[row.day_of_week].push(row.hashtag));
+    return days;
+  }
+
+  /**
+   * Get the version effective on a given date
+   * When several versions share the same effective date, the newest one wins
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Object|null} Version row or null
+   * @private
+   */
+  _getVersionRowForDate(date) {
+    return this.db.prepare(`
+      SELECT id, effective_from, note, created_at
+      FROM hashtag_schedule_versions
+      WHERE effective_from <= ?
+      ORDER BY effective_from DESC, id DESC
+      LIMIT 1
+    `).get(date) || null;
+  }
+
+  /**
+   * Get the full weekly schedule effective on a date
+   * @param {string} date - Date in YYYY-MM-DD format (defaults to today)
+   * @returns {Object} Object with version metadata and days array
+   */
+  getScheduleForDate(date = null) {
+    const targetDate = date || this._today();
+
+    try {
+      const version = this._getVersionRowForDate(targetDate);
+
+      if (!version) {
+        return {
+          date: targetDate,
+          version: null,
+          days: Array.from({ length: DAYS_IN_WEEK }, () => [])
+        };
+      }
+
+      return {
+        date: targetDate,
+        version: this._mapVersion(version),
+        days: this._getDays(version.id)
+      };
+    } catch (error) {
+      logger.error(`Failed to get schedule for ${targetDate}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the hashtags for a date: weekly schedule plus any applicable overrides
+   * @param {string} date - Date in YYYY-MM-DD format (defaults to today)
+   * @returns {Object} Resolution with hashtags, baseHashtags, appliedOverrides, holidays and scheduleVersion
+   */
+  resolveDate(date = null) {
+    const targetDate = date || this._today();
+    const schedule = this.getScheduleForDate(targetDate);
+    const baseHashtags = schedule.days[moment(targetDate, 'YYYY-MM-DD').day()];
+
+    const resolution = resolveHashtagsForDate(targetDate, baseHashtags, this._getOverrideCandidates(targetDate));
+
+    return {
+      ...resolution,
+      scheduleVersion: schedule.version?.id || null
+    };
+  }
+
+  /**
+   * Get the hashtags scheduled for a specific date, overrides included
+   * @param {string} date - Date in YYYY-MM-DD format (defaults to today)
+   * @returns {string[]} Hashtags scheduled for that day, in display order
+   */
+  getHashtagsForDate(date = null) {
+    return this.resolveDate(date).hashtags;
+  }
+
+  /**
+   * Get every unique hashtag in the weekly schedule effective on a date,
+   * plus any hashtags added by overrides for that date
+   * @param {string} date - Date in YYYY-MM-DD format (defaults to today)
+   * @returns {string[]} Unique hashtags
+   */
+  getAllHashtags(date = null) {
+    const targetDate = date || this._today();
+    const { days } = this.getScheduleForDate(targetDate);
+    return [...new Set([...days.flat(), ...this.getHashtagsForDate(targetDate)])];
+  }
+
+  /**
+   * Resolve every date in a range
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format (inclusive)
+   * @returns {Array} Array of resolutions (see resolveDate)
+   */
+  getCalendar(startDate, endDate) {
+    const start = moment(startDate, 'YYYY-MM-DD');
+    const end = moment(endDate, 'YYYY-MM-DD');
+
+    if (start.isAfter(end)) {
+      throw new ValidationError('Start date must be before end date', 'from', startDate);
+    }
+    if (end.diff(start, 'days') >= MAX_CALENDAR_DAYS) {
+      throw new ValidationError(`Date range cannot exceed ${MAX_CALENDAR_DAYS} days`, 'to', endDate);
+    }
+
+    const calendar = [];
+    for (const current = start.clone(); current.isSameOrBefore(end); current.add(1, 'day')) {
+      calendar.push(this.resolveDate(current.format('YYYY-MM-DD')));
+    }
+    return calendar;
+  }
+
+  /**
+   * Map an override row to its public representation
+   * @private
+   */
+  _mapOverride(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      date: row.date || null,
+      holidayKey: row.holiday_key || null,
+      everyWeeks: row.every_weeks || null,
+      startDate: row.start_date || null,
+      endDate: row.end_date || null,
+      hashtags: JSON.parse(row.hashtags),
+      mode: row.mode,
+      note: row.note || null,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Load the overrides that may apply on a date
+   * Holiday and rotation overrides are filtered by the resolver
+   * @private
+   */
+  _getOverrideCandidates(date) {
+    const rows = this.db.prepare(`
+      SELECT *
+      FROM hashtag_schedule_overrides
+      WHERE (type = 'date' AND date = ?)
+         OR (type IN ('holiday', 'rotation')
+             AND (start_date IS NULL OR start_date <= ?)
+             AND (end_date IS NULL OR end_date >= ?))
+      ORDER BY id ASC
+    `).all(date, date, date);
+
+    return rows.map(row => this._mapOverride(row));
+  }
+
+  /**
+   * List schedule overrides
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.type - Override type
+   * @returns {Array} Array of override objects, newest first
+   */
+  listOverrides(filters = {}) {
+    try {
+      let query = 'SELECT * FROM hashtag_schedule_overrides';
+      const params = [];
+
+      if (filters.type) {
+        query += ' WHERE type = ?';
+        params.push(filters.type);
+      }
+
+      query += ' ORDER BY id DESC';
+
+      return this.db.prepare(query).all(...params).map(row => this._mapOverride(row));
+    } catch (error) {
+      logger.error('Failed to list schedule overrides', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a schedule override
+   * @param {number} overrideId - Override id
+   * @returns {Object} Override object
+   * @throws {NotFoundError} If the override does not exist
+   */
+  getOverride(overrideId) {
+    const row = this.db.prepare('SELECT * FROM hashtag_schedule_overrides WHERE id = ?').get(overrideId);
+
+    if (!row) {
+      throw new NotFoundError(`Schedule override ${overrideId} not found`, 'schedule_override');
+    }
+
+    return this._mapOverride(row);
+  }
+
+  /**
+   * Create a schedule override
+   * @param {Object} data - Override data
+   * @param {string} data.type - 'date', 'holiday' or 'rotation'
+   * @param {string} data.date - Date for 'date' overrides (YYYY-MM-DD)
+   * @param {string} data.holidayKey - Holiday key for 'holiday' overrides (see HOLIDAY_KEYS)
+   * @param {number} data.everyWeeks - Interval for 'rotation' overrides
+   * @param {string} data.startDate - First occurrence for rotations, optional lower bound otherwise
+   * @param {string} data.endDate - Optional last date the override applies
+   * @param {string[]} data.hashtags - Normalized hashtags
+   * @param {string} data.mode - 'replace' (default) or 'append'
+   * @param {string} data.note - Optional description
+   * @returns {Object} Created override
+   */
+  createOverride(data) {
+    const mode = data.mode || 'replace';
+
+    if (!OVERRIDE_TYPES.includes(data.type)) {
+      throw new ValidationError(`Invalid override type. Must be one of: ${OVERRIDE_TYPES.join(', ')}`, 'type', data.type);
+    }
+    if (!OVERRIDE_MODES.includes(mode)) {
+      throw new ValidationError(`Invalid override mode. Must be one of: ${OVERRIDE_MODES.join(', ')}`, 'mode', mode);
+    }
+    if (!Array.isArray(data.hashtags) || (data.hashtags.length === 0 && mode === 'append')) {
+      throw new ValidationError('Override hashtags must be an array (non-empty when appending)', 'hashtags', data.hashtags);
+    }
+    if (data.type === 'date' && !data.date) {
+      throw new ValidationError('Date overrides require a date', 'date', data.date);
+    }
+    if (data.type === 'holiday' && !HOLIDAY_KEYS.includes(data.holidayKey)) {
+      throw new ValidationError(`Invalid holiday. Must be one of: ${HOLIDAY_KEYS.join(', ')}`, 'holiday', data.holidayKey);
+    }
+    if (data.type === 'rotation') {
+      if (!Number.isInteger(data.everyWeeks) || data.everyWeeks < 1) {
+        throw new ValidationError('Rotation overrides require everyWeeks to be a positive integer', 'everyWeeks', data.everyWeeks);
+      }
+      if (!data.startDate) {
+        throw new ValidationError('Rotation overrides require a startDate (first occurrence)', 'startDate', data.startDate);
+      }
+    }
+    if (data.startDate && data.endDate && data.startDate > data.endDate) {
+      throw new ValidationError('startDate must be before endDate', 'endDate', data.endDate);
+    }
+
+    try {
+      const { lastInsertRowid } = this.db.prepare(`
+        INSERT INTO hashtag_schedule_overrides
+        (type, date, holiday_key, every_weeks, start_date, end_date, hashtags, mode, note)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        data.type,
+        data.type === 'date' ? data.date : null,
+        data.type === 'holiday' ? data.holidayKey : null,
+        data.type === 'rotation' ? data.everyWeeks : null,
+        data.startDate || null,
+        data.endDate || null,
+        JSON.stringify([...new Set(data.hashtags)]),
+        mode,
+        data.note || null
+      );
+
+      const override = this.getOverride(Number(lastInsertRowid));
+      loggers.business('hashtag_schedule_override_created', { overrideId: override.id, type: override.type });
+
+      return override;
+    } catch (error) {
+      logger.error('Failed to create schedule override', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a schedule override
+   * @param {number} overrideId - Override id
+   * @returns {Object} Deleted override
+   * @throws {NotFoundError} If the override does not exist
+   */
+  deleteOverride(overrideId) {
+    const override = this.getOverride(overrideId);
+
+    this.db.prepare('DELETE FROM hashtag_schedule_overrides WHERE id = ?').run(overrideId);
+    loggers.business('hashtag_schedule_override_deleted', { overrideId, type: override.type });
+
+    return override;
+  }
+
+  /**
+   * Check whether a hashtag was scheduled on a specific date
+   * @param {string} hashtag - Hashtag name
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {boolean} True if the hashtag was scheduled for that day
+   */
+  isScheduledOn(hashtag, date) {
+    return this.getHashtagsForDate(date).includes(hashtag.toLowerCase());
+  }
+
+  /**
+   * List all schedule versions, newest first
+   * @returns {Array} Array of version objects
+   */
+  listVersions() {
+    try {
+      const rows = this.db.prepare(`
+        SELECT id, effective_from, note, created_at
+        FROM hashtag_schedule_versions
+        ORDER BY id DESC
+      `).all();
+
+      return rows.map(row => this._mapVersion(row));
+    } catch (error) {
+      logger.error('Failed to list schedule versions', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a schedule version with its entries
+   * @param {number} versionId - Schedule version id
+   * @returns {Object} Version object with days array
+   * @throws {NotFoundError} If the version does not exist
+   */
+  getVersion(versionId) {
+    const row = this.db.prepare(`
+      SELECT id, effective_from, note, created_at
+      FROM hashtag_schedule_versions
+      WHERE id = ?
+    `).get(versionId);
+
+    if (!row) {
+      throw new NotFoundError(`Schedule version ${versionId} not found`, 'schedule_version');
+    }
+
+    return {
+      ...this._mapVersion(row),
+      days: this._getDays(row.id)
+    };
+  }
+
+  /**
+   * Validate a day of week value
+   * @param {number} dayOfWeek - Day of week (0 = Sunday)
+   * @private
+   */
+  _validateDay(dayOfWeek) {
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek >= DAYS_IN_WEEK) {
+      throw new ValidationError('Day of week must be an integer between 0 (Sunday) and 6 (Saturday)', 'day', dayOfWeek);
+    }
+  }
+
+  /**
+   * Get the days of the version effective on a date as a mutable copy, which an edit
+   * taking effect on that date builds upon (versions dated later are left as they are)
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @private
+   */
+  _getDaysOn(date) {
+    const version = this._getVersionRowForDate(date);
+    return version ? this._getDays(version.id) : Array.from({ length: DAYS_IN_WEEK }, () => []);
+  }
+
+  /**
+   * Get the effective date of an edit, refusing past dates unless explicitly allowed
+   * Past days may already have collected history under the hashtags they resolved to.
+   * @param {Object} options - See _createVersion
+   * @returns {string} Date in YYYY-MM-DD format
+   * @private
+   */
+  _getEffectiveFrom(options = {}) {
+    const today = this._today();
+    const effectiveFrom = options.effectiveFrom || today;
+    if (effectiveFrom < today && !options.allowPast) {
+      throw new ValidationError(
+        `effectiveFrom ${effectiveFrom} is in the past; set allowPast to change the schedule of past days`,
+        'effectiveFrom',
+        effectiveFrom
+      );
+    }
+    return effectiveFrom;
+  }
+
+  /**
+   * Store a new schedule version
+   * @param {string[][]} days - Array of 7 hashtag arrays
+   * @param {Object} options - Options object
+   * @param {string} options.effectiveFrom - Date the version takes effect (defaults to today)
+   * @param {boolean} options.allowPast - Accept an effectiveFrom before today
+   * @param {string} options.note - Optional description of the change
+   * @returns {Object} Created version with days
+   * @throws {ValidationError} If effectiveFrom is in the past and allowPast is not set
+   * @private
+   */
+  _createVersion(days, options = {}) {
+    const effectiveFrom = this._getEffectiveFrom(options);
+    const note = options.note || null;
+
+    const insertVersion = this.db.prepare(`
+      INSERT INTO hashtag_schedule_versions (effective_from, note)
+      VALUES (?, ?)
+    `);
+    const insertEntry = this.db.prepare(`
+      INSERT INTO hashtag_schedule (version_id, day_of_week, hashtag, position)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    const create = this.db.transaction(() => {
+      const { lastInsertRowid } = insertVersion.run(effectiveFrom, note);
+      days.forEach((hashtags, dayOfWeek) => {
+        hashtags.forEach((hashtag, position) => {
+          insertEntry.run(lastInsertRowid, dayOfWeek, hashtag, position);
+        });
+      });
+      return Number(lastInsertRowid);
+    });
+
+    try {
+      const versionId = create();
+
+      loggers.business('hashtag_schedule_changed', { versionId, effectiveFrom, note });
+
+      return this.getVersion(versionId);
+    } catch (error) {
+      logger.error('Failed to create schedule version', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the whole weekly schedule
+   * @param {string[][]} days - Array of 7 hashtag arrays (0 = Sunday)
+   * @param {Object} options - See _createVersion
+   * @returns {Object} Created version
+   */
+  replaceSchedule(days, options = {}) {
+    if (!Array.isArray(days) || days.length !== DAYS_IN_WEEK || !days.every(Array.isArray)) {
+      throw new ValidationError('Schedule must be an array of 7 hashtag arrays (0 = Sunday)', 'days', days);
+    }
+
+    return this._createVersion(days.map(hashtags => [...new Set(hashtags)]), options);
+  }
+
+  /**
+   * Replace the hashtags of a single day
+   * @param {number} dayOfWeek - Day of week (0 = Sunday)
+   * @param {string[]} hashtags - Hashtags for that day, in display order
+   * @param {Object} options - See _createVersion
+   * @returns {Object} Created version
+   */
+  setDay(dayOfWeek, hashtags, options = {}) {
+    this._validateDay(dayOfWeek);
+
+    const days = this._getDaysOn(this._getEffectiveFrom(options));
+    days[dayOfWeek] = [...new Set(hashtags)];
+
+    return this._createVersion(days, options);
+  }
+
+  /**
+   * Add a hashtag to a day
+   * @param {number} dayOfWeek - Day of week (0 = Sunday)
+   * @param {string} hashtag - Normalized hashtag
+   * @param {Object} options - See _createVersion; options.position inserts at an index
+   * @returns {Object} Created version
+   * @throws {BusinessError} If the hashtag is already scheduled for that day
+   */
+  addHashtag(dayOfWeek, hashtag, options = {}) {
+    this._validateDay(dayOfWeek);
+
+    const days = this._getDaysOn(this._getEffectiveFrom(options));
+    if (days[dayOfWeek].includes(hashtag)) {
+      throw new BusinessError(`#${hashtag} is already scheduled for day ${dayOfWeek}`, 'schedule_add', { dayOfWeek, hashtag });
+    }
+
+    const position = Number.isInteger(options.position) ? options.position : days[dayOfWeek].length;
+    days[dayOfWeek].splice(position, 0, hashtag);
+
+    return this._createVersion(days, options);
+  }
+
+  /**
+   * Remove a hashtag from a day
+   * @param {number} dayOfWeek - Day of week (0 = Sunday)
+   * @param {string} hashtag - Normalized hashtag
+   * @param {Object} options - See _createVersion
+   * @returns {Object} Created version
+   * @throws {NotFoundError} If the hashtag is not scheduled for that day
+   */
+  removeHashtag(dayOfWeek, hashtag, options = {}) {
+    this._validateDay(dayOfWeek);
+
+    const days = this._getDaysOn(this._getEffectiveFrom(options));
+    if (!days[dayOfWeek].includes(hashtag)) {
+      throw new NotFoundError(`#${hashtag} is not scheduled for day ${dayOfWeek}`, 'schedule_entry');
+    }
+
+    days[dayOfWeek] = days[dayOfWeek].filter(tag => tag !== hashtag);
+
+    return this._createVersion(days, options);
+  }
+}
+
+// Export singleton instance
+export const scheduleService = new ScheduleService();
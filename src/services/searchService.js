@@ -0,0 +1,178 @@
+import { getDatabase } from '../database/index.js';
+import { ValidationError } from '../errors/index.js';
+import { logger } from '../utils/logger.js';
+import { STATUS_COLUMNS, rowToStatus } from './statusStore.js';
+
+// Indexed columns of status_search, in table order, with their weight in the ranking
+// and the field name of their snippet
+const COLUMNS = [
+  { column: 'content', field: 'content', weight: 1.0 },
+  { column: 'spoiler_text', field: 'spoilerText', weight: 1.0 },
+  { column: 'media_descriptions', field: 'mediaDescriptions', weight: 0.5 }
+];
+
+// Tokens (in the snippet's plain text) that surround matched terms until they are
+// replaced by <mark> tags, once the text around them has been escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Tokens of context around the matches in each snippet
+const SNIPPET_TOKENS = 24;
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Turn a snippet with match tokens into escaped HTML with the matches in <mark> tags
+ * @param {string} snippet - Snippet returned by FTS5
+ * @returns {string} HTML
+ */
+function highlight(snippet) {
+  return escapeHtml(snippet)
+    .replaceAll(MATCH_START, '<mark>')
+    .replaceAll(MATCH_END, '</mark>');
+}
+
+/**
+ * Translate a search as typed by a user into an FTS5 MATCH expression
+ * Words must all match (in any order and column); "quoted words" match as a phrase,
+ * a trailing * matches a prefix (arte* matches artesanato) and a leading - excludes a word.
+ * Every term is quoted, so FTS5 operators and punctuation in the input are taken literally.
+ * @param {string} text - Search text
+ * @returns {string|null} MATCH expression, or null when the text has no word to search for
+ */
+export function toMatchQuery(text) {
+  const included = [];
+  const excluded = [];
+
+  for (const [, exclude, phrase, word] of String(text).matchAll(/(-?)(?:"([^"]*)"?|([^\s"]+))/g)) {
+    const term = phrase ?? word;
+    const prefix = word !== undefined && term.endsWith('*');
+    const terms = exclude ? excluded : included;
+    const words = prefix ? term.replace(/\*+$/, '') : term.replace(/\*/g, ' ');
+    if (/[\p{L}\p{N}]/u.test(words)) {
+      terms.push(`"${words.trim()}"${prefix ? ' *' : ''}`);
+    }
+  }
+
+  if (included.length === 0) {
+    return null;
+  }
+  return [`(${included.join(' AND ')})`, ...excluded].join(' NOT ');
+}
+
+/**
+ * Full-text search over the status archive (the status_search FTS5 index)
+ * Results are ranked by BM25 with a highlighted snippet of each column that matched.
+ * Content, content warnings and media descriptions are searched without regard to case
+ * or diacritics, so "acao" finds "ação".
+ */
+export class SearchService {
+  /**
+   * @param {Database} db - SQLite database (defaults to the application database)
+   */
+  constructor(db = getDatabase().getDatabase()) {
+    this.db = db;
+  }
+
+  /**
+   * Search archived statuses
+   * @param {string} text - Search text (see toMatchQuery)
+   * @param {Object} filters - Filters (each optional)
+   * @param {string|null} filters.hashtag - Only statuses using this hashtag
+   * @param {Date|string|null} filters.since - Only statuses created at or after this time
+   * @param {Date|string|null} filters.until - Only statuses created before this time
+   * @param {string|null} filters.author - Only statuses by this account: username, or
+   *   user@domain (also matches the local accounts of an instance named domain)
+   * @param {string|null} filters.instance - Only statuses fetched from this instance
+   * @param {number} filters.limit - Maximum results
+   * @param {number} filters.offset - Results to skip
+   * @returns {{results: Array<{status: Object, rank: number, snippets: Object}>, total: number}}
+   *   Best matches first; snippets has one HTML string per matching column (content,
+   *   spoilerText, mediaDescriptions), and content is always present
+   * @throws {ValidationError} If the text has no word to search for
+   */
+  search(text, { hashtag = null, since = null, until = null, author = null, instance = null, limit = 20, offset = 0 } = {}) {
+    const match = toMatchQuery(text);
+    if (!match) {
+      throw new ValidationError('Search text must contain at least one word', 'q', text);
+    }
+
+    const conditions = ['status_search MATCH ?'];
+    const params = [match];
+    if (hashtag) {
+      conditions.push('EXISTS (SELECT 1 FROM status_tags t WHERE t.instance = s.instance AND t.status_id = s.id AND t.hashtag = ?)');
+      params.push(hashtag.toLowerCase());
+    }
+    if (since) {
+      conditions.push('s.created_at >= ?');
+      params.push(new Date(since).toISOString());
+    }
+    if (until) {
+      conditions.push('s.created_at < ?');
+      params.push(new Date(until).toISOString());
+    }
+    if (author) {
+      const [username, domain] = author.replace(/^@/, '').split('@');
+      if (domain) {
+        conditions.push('(a.acct = ? COLLATE NOCASE OR (a.acct = ? COLLATE NOCASE AND s.instance = ? COLLATE NOCASE))');
+        params.push(`${username}@${domain}`, username, domain);
+      } else {
+        conditions.push('a.username = ? COLLATE NOCASE');
+        params.push(username);
+      }
+    }
+    if (instance) {
+      conditions.push('s.instance = ?');
+      params.push(instance);
+    }
+
+    const from = `
+      FROM status_search
+      JOIN statuses s ON s.rowid = status_search.rowid
+      JOIN accounts a ON a.instance = s.instance AND a.id = s.account_id
+      WHERE ${conditions.join(' AND ')}
+    `;
+    const snippets = COLUMNS.map((column, index) =>
+      `snippet(status_search, ${index}, '${MATCH_START}', '${MATCH_END}', '…', ${SNIPPET_TOKENS}) AS snippet_${index}`);
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total ${from}`).get(...params);
+    const rows = total === 0 ? [] : this.db.prepare(`
+      SELECT ${STATUS_COLUMNS},
+        bm25(status_search, ${COLUMNS.map(column => column.weight).join(', ')}) AS score,
+        ${snippets.join(',\n        ')}
+      ${from}
+      ORDER BY score, s.created_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    logger.debug('Status search', { match, hashtag, author, total });
+
+    return {
+      results: rows.map(row => ({
+        status: rowToStatus(row),
+        // bm25 scores are negative, lower is better; flip them so higher is better
+        rank: -row.score,
+        snippets: Object.fromEntries(COLUMNS
+          .map(({ field }, index) => [field, row[`snippet_${index}`]])
+          .filter(([field, snippet]) => field === 'content' || snippet.includes(MATCH_START))
+          .map(([field, snippet]) => [field, highlight(snippet)]))
+      })),
+      total
+    };
+  }
+}
+
+// Export singleton instance
+export const searchService = new SearchService();
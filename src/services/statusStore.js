@@ -0,0 +1,313 @@
+import { getDatabase } from '../database/index.js';
+import { logger } from '../utils/logger.js';
+import { appConfig as config } from '../config/index.js';
+import { searchDocument } from '../utils/statusText.js';
+
+// Columns read by rowToStatus, from statuses s joined with accounts a
+export const STATUS_COLUMNS = `s.*,
+  a.acct AS account_acct, a.username AS account_username, a.display_name AS account_display_name,
+  a.url AS account_url, a.avatar AS account_avatar, a.bot AS account_bot,
+  a.followers_count AS account_followers_count, a.following_count AS account_following_count,
+  a.statuses_count AS account_statuses_count, a.created_at AS account_created_at,
+  (SELECT GROUP_CONCAT(hashtag) FROM status_tags WHERE instance = s.instance AND status_id = s.id) AS tags`;
+
+/**
+ * Map a status to its statuses row
+ * @param {string} instance - Instance the status was fetched from
+ * @param {Object} status - Status as returned by the instance
+ * @returns {Object} Row values
+ */
+export function statusToRow(instance, status) {
+  return {
+    instance,
+    id: String(status.id),
+    uri: status.uri || null,
+    url: status.url || null,
+    account_id: String(status.account.id),
+    created_at: new Date(status.created_at).toISOString(),
+    edited_at: status.edited_at || null,
+    content: status.content || '',
+    spoiler_text: status.spoiler_text || '',
+    language: status.language || null,
+    visibility: status.visibility || null,
+    sensitive: status.sensitive ? 1 : 0,
+    replies_count: status.replies_count || 0,
+    reblogs_count: status.reblogs_count || 0,
+    favourites_count: status.favourites_count || 0,
+    media_attachments: status.media_attachments?.length ? JSON.stringify(status.media_attachments) : null
+  };
+}
+
+/**
+ * Map a statuses row joined with its account back to the Mastodon status shape
+ * @param {Object} row - Row with account columns prefixed by account_
+ * @returns {Object} Status, annotated with the instance it came from
+ */
+export function rowToStatus(row) {
+  return {
+    id: row.id,
+    uri: row.uri,
+    url: row.url,
+    created_at: row.created_at,
+    edited_at: row.edited_at,
+    content: row.content,
+    spoiler_text: row.spoiler_text,
+    language: row.language,
+    visibility: row.visibility,
+    sensitive: row.sensitive === 1,
+    replies_count: row.replies_count,
+    reblogs_count: row.reblogs_count,
+    favourites_count: row.favourites_count,
+    media_attachments: row.media_attachments ? JSON.parse(row.media_attachments) : [],
+    tags: row.tags ? row.tags.split(',').map(name => ({ name })) : [],
+    account: {
+      id: row.account_id,
+      acct: row.account_acct,
+      username: row.account_username,
+      display_name: row.account_display_name,
+      url: row.account_url,
+      avatar: row.account_avatar,
+      bot: row.account_bot === 1,
+      followers_count: row.account_followers_count,
+      following_count: row.account_following_count,
+      statuses_count: row.account_statuses_count,
+      created_at: row.account_created_at
+    },
+    instance: row.instance
+  };
+}
+
+/**
+ * Long-term archive of fetched statuses, their accounts and hashtags
+ * Statuses are upserted by instance and id, so fetching a status again updates its
+ * content and engagement counts instead of adding a row. Nothing is pruned here (unlike
+ * the stored toots used for incremental fetching), so past days stay analyzable.
+ * Each write also refreshes the status in the full-text search index (status_search).
+ *
+ * While a status is younger than trackingHours, every write whose engagement counts
+ * differ from the last snapshot records a new one, building its engagement time series.
+ */
+export class StatusStore {
+  /**
+   * @param {Database} db - SQLite database (defaults to the application database)
+   * @param {Object} options - Options
+   * @param {number} options.trackingHours - Record engagement snapshots for statuses up to this age
+   */
+  constructor(db = getDatabase().getDatabase(), { trackingHours = config.engagement.trackingHours } = {}) {
+    this.db = db;
+    this.trackingHours = trackingHours;
+  }
+
+  /**
+   * Insert or update statuses fetched from an instance
+   * @param {string} instance - Instance name
+   * @param {Array} statuses - Statuses as returned by the instance
+   * @param {string|null} hashtag - Hashtag they were fetched for (recorded even when the
+   *   status lists it with different casing or not at all)
+   * @param {Object} options - Options
+   * @param {Date} options.now - Capture time of the engagement snapshots
+   * @returns {number} Number of statuses written
+   */
+  upsertStatuses(instance, statuses, hashtag = null, { now = new Date() } = {}) {
+    const upsertAccount = this.db.prepare(`
+      INSERT INTO accounts (instance, id, acct, username, display_name, url, avatar, bot,
+        followers_count, following_count, statuses_count, created_at)
+      VALUES (@instance, @id, @acct, @username, @display_name, @url, @avatar, @bot,
+        @followers_count, @following_count, @statuses_count, @created_at)
+      ON CONFLICT(instance, id) DO UPDATE SET
+        acct = excluded.acct,
+        username = excluded.username,
+        display_name = excluded.display_name,
+        url = excluded.url,
+        avatar = excluded.avatar,
+        bot = excluded.bot,
+        followers_count = excluded.followers_count,
+        following_count = excluded.following_count,
+        statuses_count = excluded.statuses_count,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    const upsertStatus = this.db.prepare(`
+      INSERT INTO statuses (instance, id, uri, url, account_id, created_at, edited_at, content,
+        spoiler_text, language, visibility, sensitive, replies_count, reblogs_count,
+        favourites_count, media_attachments)
+      VALUES (@instance, @id, @uri, @url, @account_id, @created_at, @edited_at, @content,
+        @spoiler_text, @language, @visibility, @sensitive, @replies_count, @reblogs_count,
+        @favourites_count, @media_attachments)
+      ON CONFLICT(instance, id) DO UPDATE SET
+        edited_at = excluded.edited_at,
+        content = excluded.content,
+        spoiler_text = excluded.spoiler_text,
+        sensitive = excluded.sensitive,
+        replies_count = excluded.replies_count,
+        reblogs_count = excluded.reblogs_count,
+        favourites_count = excluded.favourites_count,
+        media_attachments = excluded.media_attachments,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    const indexStatus = this.db.prepare(`
+      INSERT OR REPLACE INTO status_search (rowid, content, spoiler_text, media_descriptions)
+      SELECT rowid, @content, @spoiler_text, @media_descriptions FROM statuses WHERE instance = @instance AND id = @id
+    `);
+    const insertTag = this.db.prepare(`
+      INSERT OR IGNORE INTO status_tags (instance, status_id, hashtag) VALUES (?, ?, ?)
+    `);
+    const lastSnapshot = this.db.prepare(`
+      SELECT favourites_count, reblogs_count, replies_count FROM status_engagement_snapshots
+      WHERE instance = ? AND status_id = ?
+      ORDER BY captured_at DESC
+      LIMIT 1
+    `);
+    const insertSnapshot = this.db.prepare(`
+      INSERT OR REPLACE INTO status_engagement_snapshots
+        (instance, status_id, captured_at, favourites_count, reblogs_count, replies_count)
+      VALUES (@instance, @id, @captured_at, @favourites_count, @reblogs_count, @replies_count)
+    `);
+    const trackedSince = now.getTime() - this.trackingHours * 60 * 60 * 1000;
+
+    const write = this.db.transaction(() => {
+      statuses.forEach(status => {
+        const account = status.account;
+        upsertAccount.run({
+          instance,
+          id: String(account.id),
+          acct: account.acct || account.username,
+          username: account.username,
+          display_name: account.display_name || null,
+          url: account.url || null,
+          avatar: account.avatar || null,
+          bot: account.bot ? 1 : 0,
+          followers_count: account.followers_count || 0,
+          following_count: account.following_count || 0,
+          statuses_count: account.statuses_count || 0,
+          created_at: account.created_at || null
+        });
+
+        const row = statusToRow(instance, status);
+        upsertStatus.run(row);
+        indexStatus.run({ instance, id: row.id, ...searchDocument(row) });
+
+        if (Date.parse(row.created_at) >= trackedSince) {
+          const last = lastSnapshot.get(instance, row.id);
+          const changed = !last
+            || last.favourites_count !== row.favourites_count
+            || last.reblogs_count !== row.reblogs_count
+            || last.replies_count !== row.replies_count;
+          if (changed) {
+            insertSnapshot.run({ ...row, captured_at: now.toISOString() });
+          }
+        }
+
+        const tags = new Set((status.tags || []).map(tag => tag.name.toLowerCase()));
+        if (hashtag) {
+          tags.add(hashtag.toLowerCase());
+        }
+        tags.forEach(tag => insertTag.run(instance, row.id, tag));
+      });
+    });
+
+    write();
+    logger.debug(`Archived ${statuses.length} statuses from ${instance}`, { hashtag });
+    return statuses.length;
+  }
+
+  /**
+   * Remove a deleted status, its hashtags and its engagement snapshots
+   * @param {string} instance - Instance name
+   * @param {string} statusId - Status id
+   * @returns {number} Number of statuses removed (0 or 1)
+   */
+  deleteStatus(instance, statusId) {
+    return this.db.transaction(() => {
+      this.db.prepare('DELETE FROM status_tags WHERE instance = ? AND status_id = ?').run(instance, String(statusId));
+      this.db.prepare('DELETE FROM status_engagement_snapshots WHERE instance = ? AND status_id = ?').run(instance, String(statusId));
+      return this.db.prepare('DELETE FROM statuses WHERE instance = ? AND id = ?').run(instance, String(statusId)).changes;
+    })();
+  }
+
+  /**
+   * Get archived statuses using a hashtag, newest first
+   * @param {string} hashtag - Hashtag name
+   * @param {Object} options - Options
+   * @param {Date|string|null} options.since - Only statuses created at or after this time
+   * @param {Date|string|null} options.until - Only statuses created before this time
+   * @param {string|null} options.instance - Only statuses from this instance
+   * @returns {Array} Statuses (see rowToStatus)
+   */
+  getStatuses(hashtag, { since = null, until = null, instance = null } = {}) {
+    const conditions = ['t.hashtag = ?'];
+    const params = [hashtag.toLowerCase()];
+    if (since) {
+      conditions.push('s.created_at >= ?');
+      params.push(new Date(since).toISOString());
+    }
+    if (until) {
+      conditions.push('s.created_at < ?');
+      params.push(new Date(until).toISOString());
+    }
+    if (instance) {
+      conditions.push('s.instance = ?');
+      params.push(instance);
+    }
+
+    return this.db.prepare(`
+      SELECT ${STATUS_COLUMNS}
+      FROM status_tags t
+      JOIN statuses s ON s.instance = t.instance AND s.id = t.status_id
+      JOIN accounts a ON a.instance = s.instance AND a.id = s.account_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY s.created_at DESC
+    `).all(...params).map(rowToStatus);
+  }
+
+  /**
+   * Get one archived status
+   * @param {string} instance - Instance name
+   * @param {string} statusId - Status id
+   * @returns {Object|null} Status (see rowToStatus), or null when not archived
+   */
+  getStatus(instance, statusId) {
+    const row = this.db.prepare(`
+      SELECT ${STATUS_COLUMNS}
+      FROM statuses s
+      JOIN accounts a ON a.instance = s.instance AND a.id = s.account_id
+      WHERE s.instance = ? AND s.id = ?
+    `).get(instance, String(statusId));
+    return row ? rowToStatus(row) : null;
+  }
+
+  /**
+   * Get the engagement snapshots of statuses, oldest first
+   * @param {string} instance - Instance name
+   * @param {string[]} statusIds - Status ids
+   * @returns {Array<{status_id: string, captured_at: string, favourites_count: number,
+   *   reblogs_count: number, replies_count: number}>} Snapshots
+   */
+  getSnapshots(instance, statusIds) {
+    if (statusIds.length === 0) {
+      return [];
+    }
+    return this.db.prepare(`
+      SELECT status_id, captured_at, favourites_count, reblogs_count, replies_count
+      FROM status_engagement_snapshots
+      WHERE instance = ? AND status_id IN (${statusIds.map(() => '?').join(', ')})
+      ORDER BY status_id, captured_at ASC
+    `).all(instance, ...statusIds.map(String));
+  }
+
+  /**
+   * Get archive size
+   * @returns {{statuses: number, accounts: number, hashtags: number, oldest: string|null}} Counts
+   */
+  getStats() {
+    return this.db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM statuses) AS statuses,
+        (SELECT COUNT(*) FROM accounts) AS accounts,
+        (SELECT COUNT(DISTINCT hashtag) FROM status_tags) AS hashtags,
+        (SELECT MIN(created_at) FROM statuses) AS oldest
+    `).get();
+  }
+}
+
+// Export singleton instance
+export const statusStore = new StatusStore();
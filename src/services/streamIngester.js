@@ -0,0 +1,206 @@
+import { MastodonStream } from './mastodonStream.js';
+import { federatedMastodonService } from './federatedMastodon.js';
+import { scheduleService } from './scheduleService.js';
+import { watchlistService } from './watchlistService.js';
+import { tootStore } from './tootStore.js';
+import { appConfig as config } from '../config/index.js';
+import { logger, loggers } from '../utils/logger.js';
+
+/**
+ * Hashtags to stream: today's scheduled hashtags, the hashtags watched today and STREAMING_HASHTAGS
+ */
+function defaultTagProvider() {
+  return [...new Set([
+    ...scheduleService.getHashtagsForDate(),
+    ...watchlistService.getHashtagsForDate(),
+    ...config.streaming.hashtags
+  ])];
+}
+
+/**
+ * Background ingestion from the Mastodon streaming API
+ * Keeps one hashtag stream per instance and hashtag, and stores new statuses, edits
+ * and deletions as they arrive. The set of hashtags is re-read periodically, so the
+ * streams follow the schedule across days.
+ */
+export class StreamIngester {
+  /**
+   * @param {Object} options - Ingester options
+   * @param {Array} options.instances - Mastodon instances (defaults to the configured ones)
+   * @param {TootStore} options.store - Toot store
+   * @param {Function} options.tagProvider - () => hashtags to stream
+   * @param {Function} options.getStreamingUrl - (instance) => Promise<streaming API base URL>
+   * @param {Function} options.streamFactory - (options) => MastodonStream
+   */
+  constructor({
+    instances = config.mastodon.instances,
+    store = tootStore,
+    tagProvider = defaultTagProvider,
+    getStreamingUrl = instance => federatedMastodonService.services.get(instance.name).getStreamingUrl(),
+    streamFactory = options => new MastodonStream(options)
+  } = {}) {
+    this.instances = instances;
+    this.store = store;
+    this.tagProvider = tagProvider;
+    this.getStreamingUrl = getStreamingUrl;
+    this.streamFactory = streamFactory;
+
+    this.running = false;
+    this.refreshTimer = null;
+    this.streamingUrls = new Map();
+    // `${instance}#${hashtag}` -> { instance, hashtag, stream, counts }
+    this.subscriptions = new Map();
+  }
+
+  /**
+   * Start streaming the current hashtags on every instance
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    logger.info('Starting streaming ingestion', { instances: this.instances.map(instance => instance.name) });
+
+    await this.refreshTags();
+
+    this.refreshTimer = setInterval(() => {
+      this.refreshTags().catch(error => loggers.error('Failed to refresh streamed hashtags', error));
+    }, config.streaming.refreshInterval);
+    this.refreshTimer.unref();
+  }
+
+  /**
+   * Stop every stream
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+    this.running = false;
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+
+    this.subscriptions.forEach(subscription => subscription.stream.stop());
+    this.subscriptions.clear();
+    logger.info('Streaming ingestion stopped');
+  }
+
+  /**
+   * Subscribe to hashtags that became current and drop the ones that are no longer
+   */
+  async refreshTags() {
+    if (!this.running) {
+      return;
+    }
+
+    const hashtags = (await this.tagProvider()).map(tag => tag.toLowerCase());
+    const wanted = new Set();
+
+    for (const instance of this.instances) {
+      for (const hashtag of hashtags) {
+        const key = `${instance.name}#${hashtag}`;
+        wanted.add(key);
+        if (!this.subscriptions.has(key)) {
+          await this._subscribe(instance, hashtag, key);
+        }
+      }
+    }
+
+    this.subscriptions.forEach((subscription, key) => {
+      if (!wanted.has(key)) {
+        subscription.stream.stop();
+        this.subscriptions.delete(key);
+        logger.info(`Stopped streaming #${subscription.hashtag} from ${subscription.instance}`);
+      }
+    });
+  }
+
+  async _resolveStreamingUrl(instance) {
+    if (!this.streamingUrls.has(instance.name)) {
+      this.streamingUrls.set(instance.name, await this.getStreamingUrl(instance));
+    }
+    return this.streamingUrls.get(instance.name);
+  }
+
+  async _subscribe(instance, hashtag, key) {
+    let url;
+    try {
+      url = await this._resolveStreamingUrl(instance);
+    } catch (error) {
+      loggers.error(`Cannot stream #${hashtag} from ${instance.name}`, error);
+      return;
+    }
+
+    const stream = this.streamFactory({
+      url,
+      stream: 'hashtag',
+      params: { tag: hashtag },
+      accessToken: instance.accessToken,
+      reconnectBaseMs: config.streaming.reconnectBaseDelay,
+      reconnectMaxMs: config.streaming.reconnectMaxDelay,
+      idleTimeoutMs: config.streaming.idleTimeout
+    });
+    const subscription = {
+      instance: instance.name,
+      hashtag,
+      stream,
+      counts: { statuses: 0, edits: 0, deletions: 0 }
+    };
+
+    stream.on('connected', () => {
+      logger.info(`Streaming #${hashtag} from ${instance.name}`);
+    });
+    stream.on('disconnected', (error, delay) => {
+      logger.warn(`Stream #${hashtag} from ${instance.name} disconnected; reconnecting in ${delay}ms`, {
+        error: error?.message || null
+      });
+    });
+    stream.on('error', error => {
+      loggers.error(`Stream #${hashtag} from ${instance.name} sent an invalid event`, error);
+    });
+
+    stream.on('update', status => this._handle(subscription, 'statuses', () => {
+      this.store.saveStreamedToot(hashtag, instance.name, status);
+    }));
+    stream.on('status.update', status => this._handle(subscription, 'edits', () => {
+      if (this.store.updateToot(instance.name, status) === 0) {
+        this.store.saveStreamedToot(hashtag, instance.name, status);
+      }
+    }));
+    stream.on('delete', statusId => this._handle(subscription, 'deletions', () => {
+      this.store.deleteToot(instance.name, statusId);
+    }));
+
+    this.subscriptions.set(key, subscription);
+    stream.start();
+  }
+
+  _handle(subscription, count, store) {
+    try {
+      store();
+      subscription.counts[count]++;
+    } catch (error) {
+      loggers.error(`Failed to store streamed event for #${subscription.hashtag} from ${subscription.instance}`, error);
+    }
+  }
+
+  /**
+   * Get ingestion status per stream
+   */
+  getStatus() {
+    return {
+      enabled: config.streaming.enabled,
+      running: this.running,
+      streams: Array.from(this.subscriptions.values()).map(subscription => ({
+        instance: subscription.instance,
+        hashtag: subscription.hashtag,
+        ...subscription.counts,
+        ...subscription.stream.getStatus()
+      }))
+    };
+  }
+}
+
+// Export singleton instance
+export const streamIngester = new StreamIngester();
@@ -17,9 +17,13 @@ export class TootService {
 
   /**
    * Generate summary text for a hashtag
+   * @param {string|string[]} hashtag - Hashtag, or all hashtags of the day for a combined summary
+   * @param {HashtagAnalysis|CombinedHashtagAnalysis} analysis - Analysis to summarize
    */
   async generateSummary(hashtag, analysis) {
-    if (!hashtag) {
+    const hashtags = Array.isArray(hashtag) ? hashtag : [hashtag].filter(Boolean);
+
+    if (hashtags.length === 0) {
       throw new ValidationError('Hashtag is required');
     }
 
@@ -39,7 +43,7 @@ export class TootService {
 
       // Build summary text
       const summaryLines = [
-        `📊 #${hashtag} - Resumo Diário`,
+        `📊 ${hashtags.map(tag => `#${tag}`).join(' ')} - Resumo Diário`,
         '',
         `📝 Posts hoje: ${todayCount}`,
         `👥 Participantes: ${uniqueUsers}`,
@@ -47,6 +51,15 @@ export class TootService {
         ''
       ];
 
+      // Add per-hashtag counts for combined analyses
+      if (hashtags.length > 1 && typeof analysis.getTagBreakdown === 'function') {
+        summaryLines.push('🏷️ Por hashtag:');
+        analysis.getTagBreakdown().forEach(tag => {
+          summaryLines.push(`#${tag.hashtag}: ${tag.tootCount} posts`);
+        });
+        summaryLines.push('');
+      }
+
       // Add engagement section
       if (todayCount > 0) {
         summaryLines.push(
@@ -63,7 +76,13 @@ export class TootService {
         summaryLines.push('🏆 Principais posts:');
         
         // Generate all links in parallel
-        const linkPromises = topToots.map(toot => generateTootLink(toot.id));
+        // Toots only seen on another instance carry that instance's id, so link to their own URL
+        const primaryInstance = config.mastodon.instances[0].name;
+        const linkPromises = topToots.map(toot => (
+          toot.instance && toot.instance !== primaryInstance && toot.url
+            ? toot.url
+            : generateTootLink(toot.id)
+        ));
         const links = await Promise.all(linkPromises);
         
         // Iterate over topToots and resolved links to build summary lines
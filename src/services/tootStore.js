@@ -0,0 +1,222 @@
+import { getDatabase } from '../database/index.js';
+import { logger } from '../utils/logger.js';
+import { appConfig as config } from '../config/index.js';
+import { newestStatusId } from '../utils/statusIds.js';
+import { statusStore } from './statusStore.js';
+import moment from 'moment-timezone';
+
+// covered_since value for stored toots that reach back to the start of the timeline
+export const TIMELINE_START = new Date(0).toISOString();
+
+/**
+ * Persistence for fetched toots and the per-hashtag, per-instance fetch cursor
+ * Toots are stored as the instance returned them (JSON). The cursor holds the newest
+ * status id seen, so refreshes only need the toots after it, and how far back the
+ * stored toots are complete (coveredSince), so a wider window knows what to backfill.
+ * Every toot is also written to the status archive (StatusStore), which outlives retention.
+ */
+export class TootStore {
+  /**
+   * @param {StatusStore} archive - Status archive (defaults to the shared archive)
+   * @param {Database} db - SQLite database (defaults to the application database)
+   */
+  constructor(archive = statusStore, db = getDatabase().getDatabase()) {
+    this.db = db;
+    this.archive = archive;
+  }
+
+  /**
+   * Get the oldest time kept by the retention period
+   * @returns {string} ISO timestamp
+   */
+  getRetentionCutoff() {
+    return moment().subtract(config.storage.tootRetentionDays, 'days').toISOString();
+  }
+
+  /**
+   * Get the fetch cursor for a hashtag on an instance
+   * @param {string} hashtag - Hashtag name
+   * @param {string} instance - Instance name
+   * @returns {{newestId: string, coveredSince: string|null, updatedAt: string}|null} Cursor, or null
+   *   if the hashtag was never fetched there
+   */
+  getCursor(hashtag, instance) {
+    const row = this.db.prepare(`
+      SELECT newest_id, covered_since, updated_at FROM toot_cursors WHERE hashtag = ? AND instance = ?
+    `).get(hashtag, instance);
+    return row ? { newestId: row.newest_id, coveredSince: row.covered_since, updatedAt: row.updated_at } : null;
+  }
+
+  /**
+   * Get the oldest stored status id for a hashtag on an instance
+   * @returns {string|null} Status id, or null when nothing is stored
+   */
+  getOldestId(hashtag, instance) {
+    const row = this.db.prepare(`
+      SELECT status_id FROM stored_toots
+      WHERE hashtag = ? AND instance = ?
+      ORDER BY created_at ASC
+      LIMIT 1
+    `).get(hashtag, instance);
+    return row ? row.status_id : null;
+  }
+
+  /**
+   * Store toots and move the cursor forward
+   * Toots already stored are replaced, so engagement counts stay current. Toots
+   * older than the retention period are removed.
+   * @param {string} hashtag - Hashtag name
+   * @param {string} instance - Instance name
+   * @param {Array} toots - Toots as returned by the instance
+   * @param {Object} options - Options
+   * @param {string|null} options.coveredSince - How far back these toots are complete, when they
+   *   reach back contiguously from the stored ones (or from the newest toot on a first fetch)
+   * @returns {string|null} New cursor (newest status id)
+   */
+  saveToots(hashtag, instance, toots, { coveredSince = null } = {}) {
+    const upsertToot = this.db.prepare(`
+      INSERT INTO stored_toots (hashtag, instance, status_id, created_at, data)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(hashtag, instance, status_id) DO UPDATE SET
+        data = excluded.data,
+        fetched_at = CURRENT_TIMESTAMP
+    `);
+    const upsertCursor = this.db.prepare(`
+      INSERT INTO toot_cursors (hashtag, instance, newest_id, covered_since)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(hashtag, instance) DO UPDATE SET
+        newest_id = excluded.newest_id,
+        covered_since = excluded.covered_since,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    const prune = this.db.prepare(`
+      DELETE FROM stored_toots WHERE hashtag = ? AND instance = ? AND created_at < ?
+    `);
+
+    const cutoff = this.getRetentionCutoff();
+
+    return this.db.transaction(() => {
+      toots.forEach(toot => {
+        upsertToot.run(hashtag, instance, String(toot.id), new Date(toot.created_at).toISOString(), JSON.stringify(toot));
+      });
+      this.archive.upsertStatuses(instance, toots, hashtag);
+
+      const previous = this.getCursor(hashtag, instance);
+      const cursor = newestStatusId([previous?.newestId, ...toots.map(toot => toot.id)]);
+
+      // Coverage only grows backwards, and never past what retention keeps
+      let covered = [previous?.coveredSince, coveredSince && new Date(coveredSince).toISOString()]
+        .filter(Boolean)
+        .sort()[0] || null;
+      if (covered && covered < cutoff) {
+        covered = cutoff;
+      }
+
+      if (cursor) {
+        upsertCursor.run(hashtag, instance, cursor, covered);
+      }
+
+      const { changes: pruned } = prune.run(hashtag, instance, cutoff);
+
+      logger.debug(`Stored ${toots.length} toots for #${hashtag} from ${instance}`, { cursor, coveredSince: covered, pruned });
+      return cursor;
+    })();
+  }
+
+  /**
+   * Get stored toots for a hashtag on an instance, newest first
+   * @param {string} hashtag - Hashtag name
+   * @param {string} instance - Instance name
+   * @param {string|null} since - Only toots created at or after this time
+   * @returns {Array} Toots
+   */
+  getToots(hashtag, instance, since = null) {
+    return this.db.prepare(`
+      SELECT data FROM stored_toots
+      WHERE hashtag = ? AND instance = ? AND created_at >= ?
+      ORDER BY created_at DESC
+    `).all(hashtag, instance, since ? new Date(since).toISOString() : TIMELINE_START).map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Store a toot received from the streaming API
+   * The cursor is not moved: polling still requests everything after it, so toots
+   * missed while the stream was down are not skipped.
+   * @param {string} hashtag - Hashtag of the stream
+   * @param {string} instance - Instance name
+   * @param {Object} toot - Status
+   */
+  saveStreamedToot(hashtag, instance, toot) {
+    this.archive.upsertStatuses(instance, [toot], hashtag);
+    this.db.prepare(`
+      INSERT INTO stored_toots (hashtag, instance, status_id, created_at, data)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(hashtag, instance, status_id) DO UPDATE SET
+        data = excluded.data,
+        fetched_at = CURRENT_TIMESTAMP
+    `).run(hashtag, instance, String(toot.id), new Date(toot.created_at).toISOString(), JSON.stringify(toot));
+  }
+
+  /**
+   * Replace a stored toot with its edited version, under every hashtag it is stored for
+   * (the archived copy is updated as well)
+   * @param {string} instance - Instance name
+   * @param {Object} toot - Edited status
+   * @returns {number} Number of stored copies updated
+   */
+  updateToot(instance, toot) {
+    this.archive.upsertStatuses(instance, [toot]);
+    const { changes } = this.db.prepare(`
+      UPDATE stored_toots SET data = ?, fetched_at = CURRENT_TIMESTAMP
+      WHERE instance = ? AND status_id = ?
+    `).run(JSON.stringify(toot), instance, String(toot.id));
+    return changes;
+  }
+
+  /**
+   * Remove a deleted toot, under every hashtag it is stored for (and from the archive)
+   * @param {string} instance - Instance name
+   * @param {string} statusId - Status id
+   * @returns {number} Number of stored copies removed
+   */
+  deleteToot(instance, statusId) {
+    this.archive.deleteStatus(instance, statusId);
+    const { changes } = this.db.prepare(`
+      DELETE FROM stored_toots WHERE instance = ? AND status_id = ?
+    `).run(instance, String(statusId));
+    return changes;
+  }
+
+  /**
+   * Remove stored toots older than the retention period for every hashtag and instance
+   * saveToots prunes only the hashtag it saves, so hashtags no longer fetched keep theirs
+   * until this runs. Coverage is clamped to what is left.
+   * @returns {number} Number of toots removed
+   */
+  pruneExpired() {
+    const cutoff = this.getRetentionCutoff();
+    return this.db.transaction(() => {
+      const { changes } = this.db.prepare('DELETE FROM stored_toots WHERE created_at < ?').run(cutoff);
+      this.db.prepare('UPDATE toot_cursors SET covered_since = ? WHERE covered_since < ?').run(cutoff, cutoff);
+      return changes;
+    })();
+  }
+
+  /**
+   * Forget stored toots and the cursor for a hashtag (the next fetch starts from scratch)
+   * @param {string} hashtag - Hashtag name
+   * @param {string|null} instance - Instance name (all instances when null)
+   */
+  reset(hashtag, instance = null) {
+    const filter = instance ? 'hashtag = ? AND instance = ?' : 'hashtag = ?';
+    const params = instance ? [hashtag, instance] : [hashtag];
+
+    this.db.transaction(() => {
+      this.db.prepare(`DELETE FROM stored_toots WHERE ${filter}`).run(...params);
+      this.db.prepare(`DELETE FROM toot_cursors WHERE ${filter}`).run(...params);
+    })();
+  }
+}
+
+// Export singleton instance
+export const tootStore = new TootStore();
@@ -0,0 +1,407 @@
+import { getDatabase } from '../database/index.js';
+import { mastodonService } from './mastodon.js';
+import { scheduleService } from './scheduleService.js';
+import { appConfig as config } from '../config/index.js';
+import { logger, loggers } from '../utils/logger.js';
+import { NotFoundError } from '../errors/index.js';
+import moment from 'moment-timezone';
+
+// Largest trends/tags page requested (instances may return fewer)
+const SNAPSHOT_TAG_LIMIT = 100;
+
+/**
+ * Group a tag's appearances into stints: runs of consecutive snapshots it was in
+ * A stint ends at the first snapshot without the tag; one still running at the last
+ * snapshot ends at its last appearance. Durations are only as precise as the snapshot interval.
+ * @param {Array<{id: number, takenAt: string}>} snapshots - Every snapshot in the period, oldest first
+ * @param {Array<{snapshotId: number, rank: number}>} appearances - The tag's entries, oldest first
+ * @returns {Array<{startedAt: string, endedAt: string|null, lastSeenAt: string, snapshots: number,
+ *   bestRank: number, durationMs: number, ongoing: boolean}>} Stints, oldest first
+ */
+export function buildStints(snapshots, appearances) {
+  const position = new Map(snapshots.map((snapshot, index) => [snapshot.id, index]));
+  const stints = [];
+  let current = null;
+
+  appearances
+    .filter(appearance => position.has(appearance.snapshotId))
+    .forEach(appearance => {
+      const index = position.get(appearance.snapshotId);
+      if (!current || index !== current.lastIndex + 1) {
+        current = { firstIndex: index, lastIndex: index, bestRank: appearance.rank, snapshots: 0 };
+        stints.push(current);
+      }
+      current.lastIndex = index;
+      current.bestRank = Math.min(current.bestRank, appearance.rank);
+      current.snapshots++;
+    });
+
+  return stints.map(stint => {
+    const next = snapshots[stint.lastIndex + 1];
+    const startedAt = snapshots[stint.firstIndex].takenAt;
+    const lastSeenAt = snapshots[stint.lastIndex].takenAt;
+    return {
+      startedAt,
+      endedAt: next ? next.takenAt : null,
+      lastSeenAt,
+      snapshots: stint.snapshots,
+      bestRank: stint.bestRank,
+      durationMs: Date.parse(next ? next.takenAt : lastSeenAt) - Date.parse(startedAt),
+      ongoing: !next
+    };
+  });
+}
+
+/**
+ * History of the instance's trending tags
+ * Snapshots of trends/tags are taken periodically (the trending-snapshot job) and stored
+ * with each tag's rank and today's uses and accounts.
+ */
+export class TrendingHistoryService {
+  /**
+   * @param {Database} db - SQLite database instance
+   * @param {Object} options - Options
+   * @param {Function} options.fetchTrendingTags - () => Promise<Array> of trends/tags entries
+   * @param {string} options.instance - Instance the trends come from
+   */
+  constructor(db = getDatabase().getDatabase(), {
+    fetchTrendingTags = () => mastodonService.getTrendingTags(SNAPSHOT_TAG_LIMIT),
+    instance = config.mastodon.instances[0].name
+  } = {}) {
+    this.db = db;
+    this.fetchTrendingTags = fetchTrendingTags;
+    this.instance = instance;
+  }
+
+  /**
+   * Map a trending_snapshots row
+   * @private
+   */
+  _mapSnapshot(row) {
+    return {
+      id: row.id,
+      instance: row.instance,
+      takenAt: row.taken_at,
+      tagCount: row.tag_count
+    };
+  }
+
+  /**
+   * Fetch the current trending tags and store them as a snapshot
+   * @returns {Promise<Object>} Snapshot with its tags
+   */
+  async takeSnapshot() {
+    const tags = await this.fetchTrendingTags();
+    return this.saveSnapshot(tags);
+  }
+
+  /**
+   * Store a trends/tags response as a snapshot
+   * @param {Array} tags - Tags in trending order ({ name, history: [{ uses, accounts }] }, today first)
+   * @param {Date|string} takenAt - When the list was fetched (default: now)
+   * @returns {Object} Snapshot with its tags
+   */
+  saveSnapshot(tags, takenAt = new Date()) {
+    const seen = new Set();
+    const entries = tags
+      .map(tag => ({
+        tag: String(tag.name).toLowerCase(),
+        uses: parseInt(tag.history?.[0]?.uses) || 0,
+        accounts: parseInt(tag.history?.[0]?.accounts) || 0
+      }))
+      // Trends can list the same tag with different casing; keep its best rank
+      .filter(entry => !seen.has(entry.tag) && seen.add(entry.tag));
+
+    const snapshotId = this.db.transaction(() => {
+      const { lastInsertRowid } = this.db.prepare(`
+        INSERT INTO trending_snapshots (instance, taken_at, tag_count) VALUES (?, ?, ?)
+      `).run(this.instance, new Date(takenAt).toISOString(), entries.length);
+
+      const insertTag = this.db.prepare(`
+        INSERT INTO trending_snapshot_tags (snapshot_id, tag, rank, uses, accounts) VALUES (?, ?, ?, ?, ?)
+      `);
+      entries.forEach((entry, index) => insertTag.run(lastInsertRowid, entry.tag, index + 1, entry.uses, entry.accounts));
+      return Number(lastInsertRowid);
+    })();
+
+    loggers.business('trending_snapshot_taken', { snapshotId, tags: entries.length });
+    return this.getSnapshot(snapshotId);
+  }
+
+  /**
+   * Page through snapshots, newest first (without their tags)
+   * @param {Object} options - Options
+   * @param {number} options.limit - Page size (default: 20)
+   * @param {number} options.offset - Snapshots to skip
+   * @returns {{snapshots: Array, total: number}} Page and number of snapshots
+   */
+  listSnapshots({ limit = 20, offset = 0 } = {}) {
+    const snapshots = this.db.prepare(`
+      SELECT * FROM trending_snapshots WHERE instance = ? ORDER BY taken_at DESC, id DESC LIMIT ? OFFSET ?
+    `).all(this.instance, limit, offset).map(row => this._mapSnapshot(row));
+    const { total } = this.db.prepare('SELECT COUNT(*) AS total FROM trending_snapshots WHERE instance = ?')
+      .get(this.instance);
+    return { snapshots, total };
+  }
+
+  /**
+   * Get a snapshot with its tags in rank order
+   * @param {number|null} snapshotId - Snapshot id (default: the latest)
+   * @returns {Object} Snapshot with tags: [{tag, rank, uses, accounts}]
+   * @throws {NotFoundError} If the snapshot does not exist (or none was taken yet)
+   */
+  getSnapshot(snapshotId = null) {
+    const row = snapshotId
+      ? this.db.prepare('SELECT * FROM trending_snapshots WHERE id = ? AND instance = ?').get(snapshotId, this.instance)
+      : this.db.prepare('SELECT * FROM trending_snapshots WHERE instance = ? ORDER BY taken_at DESC, id DESC LIMIT 1')
+        .get(this.instance);
+    if (!row) {
+      throw new NotFoundError(snapshotId ? `Trending snapshot not found: ${snapshotId}` : 'No trending snapshot taken yet', 'trending_snapshot');
+    }
+
+    const tags = this.db.prepare(`
+      SELECT tag, rank, uses, accounts FROM trending_snapshot_tags WHERE snapshot_id = ? ORDER BY rank ASC
+    `).all(row.id);
+    return { ...this._mapSnapshot(row), tags };
+  }
+
+  /**
+   * Compare a snapshot with the one before it
+   * @param {number|null} snapshotId - Snapshot id (default: the latest)
+   * @returns {Object} The snapshot and previous one (without tags), tags that entered (with their
+   *   rank) and tags that left (with their previous rank)
+   */
+  getNewEntrants(snapshotId = null) {
+    const snapshot = this.getSnapshot(snapshotId);
+    const previousRow = this.db.prepare(`
+      SELECT * FROM trending_snapshots
+      WHERE instance = ? AND (taken_at < ? OR (taken_at = ? AND id < ?))
+      ORDER BY taken_at DESC, id DESC LIMIT 1
+    `).get(this.instance, snapshot.takenAt, snapshot.takenAt, snapshot.id);
+    const previous = previousRow ? this.getSnapshot(previousRow.id) : null;
+
+    const before = new Map((previous?.tags || []).map(entry => [entry.tag, entry]));
+    const now = new Set(snapshot.tags.map(entry => entry.tag));
+    const { tags, ...snapshotInfo } = snapshot;
+
+    return {
+      snapshot: snapshotInfo,
+      previous: previousRow ? this._mapSnapshot(previousRow) : null,
+      entered: previous ? tags.filter(entry => !before.has(entry.tag)) : tags,
+      left: (previous?.tags || [])
+        .filter(entry => !now.has(entry.tag))
+        .map(entry => ({ tag: entry.tag, previousRank: entry.rank }))
+    };
+  }
+
+  /**
+   * Get the snapshots taken in a period, oldest first
+   * @private
+   */
+  _snapshotsBetween(start, end) {
+    return this.db.prepare(`
+      SELECT id, taken_at FROM trending_snapshots
+      WHERE instance = ? AND taken_at >= ? AND taken_at < ?
+      ORDER BY taken_at ASC, id ASC
+    `).all(this.instance, start, end).map(row => ({ id: row.id, takenAt: row.taken_at }));
+  }
+
+  /**
+   * Convert a date range in the server timezone to ISO bounds (end exclusive)
+   * @param {string|null} startDate - First day (default: 30 days ago)
+   * @param {string|null} endDate - Last day (default: today)
+   * @returns {{startDate: string, endDate: string, start: string, end: string}} Dates and bounds
+   * @private
+   */
+  _period(startDate, endDate) {
+    const timezone = config.server.timezone;
+    const last = endDate || moment().tz(timezone).format('YYYY-MM-DD');
+    const first = startDate || moment.tz(last, timezone).subtract(29, 'days').format('YYYY-MM-DD');
+    return {
+      startDate: first,
+      endDate: last,
+      start: moment.tz(first, timezone).startOf('day').toISOString(),
+      end: moment.tz(last, timezone).add(1, 'day').startOf('day').toISOString()
+    };
+  }
+
+  /**
+   * Get a tag's rank in every snapshot of a period it was in, and its stints in the trends
+   * @param {string} tag - Normalized tag
+   * @param {Object} options - Period
+   * @param {string} options.startDate - First day (default: 30 days ago)
+   * @param {string} options.endDate - Last day (default: today)
+   * @returns {Object} Points [{snapshotId, takenAt, rank, uses, accounts, scheduled}], stints and a summary
+   */
+  getTagHistory(tag, { startDate = null, endDate = null } = {}) {
+    const period = this._period(startDate, endDate);
+    const snapshots = this._snapshotsBetween(period.start, period.end);
+    const scheduledOn = new Map();
+    const isScheduled = takenAt => {
+      const date = moment(takenAt).tz(config.server.timezone).format('YYYY-MM-DD');
+      if (!scheduledOn.has(date)) {
+        scheduledOn.set(date, scheduleService.getHashtagsForDate(date).includes(tag));
+      }
+      return scheduledOn.get(date);
+    };
+
+    const points = this.db.prepare(`
+      SELECT s.id AS snapshot_id, s.taken_at, t.rank, t.uses, t.accounts
+      FROM trending_snapshot_tags t
+      JOIN trending_snapshots s ON s.id = t.snapshot_id
+      WHERE t.tag = ? AND s.instance = ? AND s.taken_at >= ? AND s.taken_at < ?
+      ORDER BY s.taken_at ASC, s.id ASC
+    `).all(tag, this.instance, period.start, period.end).map(row => ({
+      snapshotId: row.snapshot_id,
+      takenAt: row.taken_at,
+      rank: row.rank,
+      uses: row.uses,
+      accounts: row.accounts,
+      // Whether it was one of the day's scheduled hashtags when it trended
+      scheduled: isScheduled(row.taken_at)
+    }));
+
+    const stints = buildStints(snapshots, points);
+    return {
+      tag,
+      startDate: period.startDate,
+      endDate: period.endDate,
+      snapshotsInPeriod: snapshots.length,
+      points,
+      stints,
+      summary: {
+        appearances: points.length,
+        bestRank: points.length > 0 ? Math.min(...points.map(point => point.rank)) : null,
+        firstSeenAt: points[0]?.takenAt || null,
+        lastSeenAt: points.at(-1)?.takenAt || null,
+        trendingMs: stints.reduce((sum, stint) => sum + stint.durationMs, 0),
+        longestStintMs: stints.reduce((max, stint) => Math.max(max, stint.durationMs), 0),
+        trendingNow: stints.at(-1)?.ongoing || false
+      }
+    };
+  }
+
+  /**
+   * Rank the tags of a period by how long they stayed trending
+   * @param {Object} options - Options
+   * @param {string} options.startDate - First day (default: 30 days ago)
+   * @param {string} options.endDate - Last day (default: today)
+   * @param {number} options.limit - Maximum tags (default: 20)
+   * @returns {Object} Tags [{tag, appearances, stints, bestRank, firstSeenAt, lastSeenAt, trendingMs,
+   *   longestStintMs, trendingNow}], longest first
+   */
+  getDurations({ startDate = null, endDate = null, limit = 20 } = {}) {
+    const period = this._period(startDate, endDate);
+    const snapshots = this._snapshotsBetween(period.start, period.end);
+
+    const byTag = new Map();
+    this.db.prepare(`
+      SELECT t.tag, t.snapshot_id, t.rank, s.taken_at
+      FROM trending_snapshot_tags t
+      JOIN trending_snapshots s ON s.id = t.snapshot_id
+      WHERE s.instance = ? AND s.taken_at >= ? AND s.taken_at < ?
+      ORDER BY s.taken_at ASC, s.id ASC
+    `).all(this.instance, period.start, period.end).forEach(row => {
+      const appearances = byTag.get(row.tag) || [];
+      appearances.push({ snapshotId: row.snapshot_id, rank: row.rank, takenAt: row.taken_at });
+      byTag.set(row.tag, appearances);
+    });
+
+    const tags = Array.from(byTag, ([tag, appearances]) => {
+      const stints = buildStints(snapshots, appearances);
+      return {
+        tag,
+        appearances: appearances.length,
+        stints: stints.length,
+        bestRank: Math.min(...appearances.map(appearance => appearance.rank)),
+        firstSeenAt: appearances[0].takenAt,
+        lastSeenAt: appearances.at(-1).takenAt,
+        trendingMs: stints.reduce((sum, stint) => sum + stint.durationMs, 0),
+        longestStintMs: stints.reduce((max, stint) => Math.max(max, stint.durationMs), 0),
+        trendingNow: stints.at(-1).ongoing
+      };
+    }).sort((a, b) => b.trendingMs - a.trendingMs || b.appearances - a.appearances || a.bestRank - b.bestRank);
+
+    return {
+      startDate: period.startDate,
+      endDate: period.endDate,
+      snapshotsInPeriod: snapshots.length,
+      totalTags: tags.length,
+      tags: tags.slice(0, limit)
+    };
+  }
+
+  /**
+   * Check whether each day's scheduled hashtags reached the trends that day
+   * @param {Object} options - Period
+   * @param {string} options.startDate - First day (default: 30 days ago)
+   * @param {string} options.endDate - Last day (default: today)
+   * @returns {Object} Days [{date, snapshots, hashtags: [{hashtag, trended, bestRank, appearances}]}], oldest first
+   */
+  getScheduledHashtagRanks({ startDate = null, endDate = null } = {}) {
+    const period = this._period(startDate, endDate);
+    const timezone = config.server.timezone;
+    const snapshotsByDate = new Map();
+    this._snapshotsBetween(period.start, period.end).forEach(snapshot => {
+      const date = moment(snapshot.takenAt).tz(timezone).format('YYYY-MM-DD');
+      snapshotsByDate.set(date, (snapshotsByDate.get(date) || 0) + 1);
+    });
+
+    const ranks = this.db.prepare(`
+      SELECT t.tag, t.rank, s.taken_at
+      FROM trending_snapshot_tags t
+      JOIN trending_snapshots s ON s.id = t.snapshot_id
+      WHERE s.instance = ? AND s.taken_at >= ? AND s.taken_at < ?
+    `).all(this.instance, period.start, period.end);
+
+    const days = [];
+    const day = moment.utc(period.startDate);
+    while (day.format('YYYY-MM-DD') <= period.endDate) {
+      const date = day.format('YYYY-MM-DD');
+      const dayRanks = ranks.filter(row => moment(row.taken_at).tz(timezone).format('YYYY-MM-DD') === date);
+      days.push({
+        date,
+        snapshots: snapshotsByDate.get(date) || 0,
+        hashtags: scheduleService.getHashtagsForDate(date).map(hashtag => {
+          const tagRanks = dayRanks.filter(row => row.tag === hashtag).map(row => row.rank);
+          return {
+            hashtag,
+            trended: tagRanks.length > 0,
+            bestRank: tagRanks.length > 0 ? Math.min(...tagRanks) : null,
+            appearances: tagRanks.length
+          };
+        })
+      });
+      day.add(1, 'day');
+    }
+
+    return {
+      startDate: period.startDate,
+      endDate: period.endDate,
+      days,
+      daysTrended: days.filter(entry => entry.hashtags.some(hashtag => hashtag.trended)).length
+    };
+  }
+
+  /**
+   * Delete snapshots older than TRENDING_SNAPSHOT_RETENTION_DAYS
+   * @returns {number} Snapshots deleted
+   */
+  prune() {
+    const cutoff = new Date(Date.now() - config.trending.snapshotRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+    return this.db.transaction(() => {
+      this.db.prepare(`
+        DELETE FROM trending_snapshot_tags
+        WHERE snapshot_id IN (SELECT id FROM trending_snapshots WHERE taken_at < ?)
+      `).run(cutoff);
+      const { changes } = this.db.prepare('DELETE FROM trending_snapshots WHERE taken_at < ?').run(cutoff);
+      if (changes > 0) {
+        logger.info(`Removed ${changes} trending snapshots older than ${config.trending.snapshotRetentionDays} days`);
+      }
+      return changes;
+    })();
+  }
+}
+
+// Export singleton instance
+export const trendingHistoryService = new TrendingHistoryService();
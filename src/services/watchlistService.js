@@ -0,0 +1,150 @@
+import { getDatabase } from '../database/index.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+import { logger, loggers } from '../utils/logger.js';
+import { appConfig as config } from '../config/index.js';
+import moment from 'moment-timezone';
+
+/**
+ * Hashtags followed for a period outside the daily schedule
+ * A watched hashtag gets its history collected every day from its start date to its end date
+ * (or until it is removed) and its toots streamed while it is active, so the usual hashtag
+ * routes have stored data for it.
+ */
+export class WatchlistService {
+  constructor(db = getDatabase().getDatabase()) {
+    this.db = db;
+  }
+
+  /**
+   * Get today's date in the server timezone
+   * @returns {string} Date in YYYY-MM-DD format
+   * @private
+   */
+  _today() {
+    return moment().tz(config.server.timezone).format('YYYY-MM-DD');
+  }
+
+  /**
+   * Map a watchlist row to its public representation
+   * @private
+   */
+  _mapEntry(row, today = this._today()) {
+    return {
+      hashtag: row.hashtag,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      note: row.note,
+      active: row.start_date <= today && (row.end_date === null || row.end_date >= today),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * List watched hashtags
+   * @param {Object} options - Options
+   * @param {boolean} options.activeOnly - Only hashtags being watched today
+   * @returns {Array} Entries, by start date
+   */
+  list({ activeOnly = false } = {}) {
+    const today = this._today();
+    return this.db.prepare('SELECT * FROM hashtag_watchlist ORDER BY start_date ASC, hashtag ASC')
+      .all()
+      .map(row => this._mapEntry(row, today))
+      .filter(entry => !activeOnly || entry.active);
+  }
+
+  /**
+   * Get a watched hashtag
+   * @param {string} hashtag - Normalized hashtag
+   * @returns {Object} Entry
+   * @throws {NotFoundError} If the hashtag is not on the watchlist
+   */
+  get(hashtag) {
+    const row = this.db.prepare('SELECT * FROM hashtag_watchlist WHERE hashtag = ?').get(hashtag);
+    if (!row) {
+      throw new NotFoundError(`Hashtag not on the watchlist: ${hashtag}`, 'watchlist');
+    }
+    return this._mapEntry(row);
+  }
+
+  /**
+   * Add a hashtag to the watchlist, or change its period and note if it is already there
+   * @param {string} hashtag - Normalized hashtag
+   * @param {Object} options - Watch period
+   * @param {string} options.startDate - First day collected (default: today)
+   * @param {string|null} options.endDate - Last day collected (default: open-ended)
+   * @param {string|null} options.note - Why the hashtag is watched
+   * @returns {{entry: Object, created: boolean}} The entry and whether it is new
+   * @throws {ValidationError} If the period ends before it starts
+   */
+  add(hashtag, { startDate = null, endDate = null, note = null } = {}) {
+    const start = startDate || this._today();
+    if (endDate && endDate < start) {
+      throw new ValidationError('endDate must not be before startDate', 'endDate', endDate);
+    }
+
+    const existing = this.db.prepare('SELECT 1 FROM hashtag_watchlist WHERE hashtag = ?').get(hashtag);
+    this.db.prepare(`
+      INSERT INTO hashtag_watchlist (hashtag, start_date, end_date, note)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(hashtag) DO UPDATE SET
+        start_date = excluded.start_date,
+        end_date = excluded.end_date,
+        note = excluded.note,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(hashtag, start, endDate, note);
+
+    const entry = this.get(hashtag);
+    loggers.business(existing ? 'watchlist_hashtag_updated' : 'watchlist_hashtag_added', {
+      hashtag,
+      startDate: entry.startDate,
+      endDate: entry.endDate
+    });
+    return { entry, created: !existing };
+  }
+
+  /**
+   * Remove a hashtag from the watchlist (its collected history is kept)
+   * @param {string} hashtag - Normalized hashtag
+   * @returns {Object} Removed entry
+   * @throws {NotFoundError} If the hashtag is not on the watchlist
+   */
+  remove(hashtag) {
+    const entry = this.get(hashtag);
+    this.db.prepare('DELETE FROM hashtag_watchlist WHERE hashtag = ?').run(hashtag);
+    loggers.business('watchlist_hashtag_removed', { hashtag });
+    logger.info(`Hashtag #${hashtag} removed from the watchlist`);
+    return entry;
+  }
+
+  /**
+   * Get the hashtags watched on a date
+   * @param {string} date - Date in YYYY-MM-DD format (defaults to today)
+   * @returns {string[]} Hashtags
+   */
+  getHashtagsForDate(date = null) {
+    const targetDate = date || this._today();
+    return this.db.prepare(`
+      SELECT hashtag FROM hashtag_watchlist
+      WHERE start_date <= ? AND (end_date IS NULL OR end_date >= ?)
+      ORDER BY hashtag ASC
+    `).all(targetDate, targetDate).map(row => row.hashtag);
+  }
+
+  /**
+   * Check whether a hashtag was watched on a date
+   * @param {string} hashtag - Hashtag name
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {boolean} True if the hashtag was on the watchlist that day
+   */
+  isWatchedOn(hashtag, date) {
+    return Boolean(this.db.prepare(`
+      SELECT 1 FROM hashtag_watchlist
+      WHERE hashtag = ? AND start_date <= ? AND (end_date IS NULL OR end_date >= ?)
+    `).get(hashtag.toLowerCase(), date, date));
+  }
+}
+
+// Export singleton instance
+export const watchlistService = new WatchlistService();
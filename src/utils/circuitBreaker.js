@@ -0,0 +1,123 @@
+/**
+ * Circuit breaker for an upstream service
+ *
+ * - closed: requests flow; consecutive failures are counted
+ * - open: after `failureThreshold` consecutive failures requests are refused until
+ *   `resetTimeoutMs` has passed
+ * - half_open: one trial request is let through; success closes the circuit,
+ *   failure opens it again
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {string} options.name - Name used in logs and status
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeoutMs - Time to stay open before allowing a trial request
+   * @param {Function} options.onStateChange - Optional (state, breaker) callback
+   */
+  constructor({ name, failureThreshold = 5, resetTimeoutMs = 60000, onStateChange = null }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.onStateChange = onStateChange;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.stats = { failures: 0, successes: 0, rejected: 0, timesOpened: 0 };
+  }
+
+  _setState(state) {
+    if (this.state === state) {
+      return;
+    }
+    this.state = state;
+    if (this.onStateChange) {
+      this.onStateChange(state, this);
+    }
+  }
+
+  /**
+   * Time at which an open circuit lets a trial request through (epoch ms)
+   */
+  getRetryAt() {
+    return this.openedAt !== null ? this.openedAt + this.resetTimeoutMs : null;
+  }
+
+  /**
+   * Check whether a request may be made now
+   * Moves an open circuit to half_open once the reset timeout has passed.
+   * @returns {boolean} True if the request may proceed
+   */
+  canRequest(now = Date.now()) {
+    if (this.state === 'open' && now >= this.getRetryAt()) {
+      this._setState('half_open');
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this._setState('closed');
+  }
+
+  /**
+   * Record a failed request
+   */
+  recordFailure(now = Date.now()) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = now;
+      if (this.state !== 'open') {
+        this.stats.timesOpened++;
+      }
+      this._setState('open');
+    }
+  }
+
+  /**
+   * Release a trial request that ended without telling anything about the service's
+   * health (e.g. cancelled by the caller)
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Get breaker status for health checks
+   */
+  getStatus() {
+    const retryAt = this.state === 'open' ? this.getRetryAt() : null;
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt !== null ? new Date(this.openedAt).toISOString() : null,
+      retryAt: retryAt ? new Date(retryAt).toISOString() : null,
+      ...this.stats
+    };
+  }
+}
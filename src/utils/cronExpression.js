@@ -0,0 +1,162 @@
+import moment from 'moment-timezone';
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Five-field cron expressions: minute hour day-of-month month day-of-week
+ * Fields accept *, numbers, ranges (1-5), lists (1,3,5) and steps (*\/15, 8-18/2).
+ * Day of week is 0-6 from Sunday (7 is Sunday too). As in cron, when both day fields
+ * are restricted a day matches if either does.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Give up looking for a next run after this many candidate steps (e.g. "0 0 31 2 *")
+const MAX_SEARCH_STEPS = 10000;
+
+/**
+ * Parse one cron field
+ * @param {string} text - Field text
+ * @param {Object} field - Field bounds
+ * @param {string} expression - Whole expression (for error messages)
+ * @returns {Set<number>} Allowed values
+ * @private
+ */
+function parseField(text, { name, min, max }, expression) {
+  const invalid = reason => new ValidationError(
+    `Invalid cron expression "${expression}": ${name} ${reason}`,
+    'schedule',
+    expression
+  );
+  const toNumber = value => {
+    if (!/^\d+$/.test(value)) {
+      throw invalid(`"${value}" is not a number`);
+    }
+    return Number(value);
+  };
+
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || range === '') {
+      throw invalid(`"${part}" is malformed`);
+    }
+    const step = stepText === undefined ? 1 : toNumber(stepText);
+    if (step < 1) {
+      throw invalid('step must be at least 1');
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(toNumber);
+    } else {
+      start = toNumber(range);
+      // "5/15" means from 5 to the maximum in steps of 15
+      end = stepText === undefined ? start : max;
+    }
+
+    if (start < min || end > max || start > end) {
+      throw invalid(`"${part}" is outside ${min}-${max}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields or an alias such as @daily
+ * @returns {Object} Parsed expression (pass to nextCronDate)
+ * @throws {ValidationError} If the expression is malformed
+ */
+export function parseCron(expression) {
+  const source = typeof expression === 'string' ? expression.trim() : '';
+  const parts = (ALIASES[source] || source).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new ValidationError(
+      `Invalid cron expression "${expression}": expected 5 fields (minute hour day month weekday)`,
+      'schedule',
+      expression
+    );
+  }
+
+  const [minutes, hours, daysOfMonth, months, weekdays] = parts.map((part, index) =>
+    parseField(part, FIELDS[index], source));
+  // 7 is an alias for Sunday
+  const daysOfWeek = new Set([...weekdays].map(day => day % 7));
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+/**
+ * Check whether a day matches the day-of-month and day-of-week fields
+ * @param {Object} cron - Parsed expression
+ * @param {moment.Moment} time - Time in the schedule's timezone
+ * @returns {boolean} True if the day matches
+ * @private
+ */
+function dayMatches(cron, time) {
+  const byMonthDay = cron.daysOfMonth.has(time.date());
+  const byWeekday = cron.daysOfWeek.has(time.day());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return byMonthDay || byWeekday;
+  }
+  return byMonthDay && byWeekday;
+}
+
+/**
+ * Get the first time after a given time that matches a cron expression
+ * @param {Object|string} cron - Parsed expression or expression text
+ * @param {Date|string|number} after - Exclusive lower bound (default: now)
+ * @param {string} timezone - Timezone the expression is written in (default: UTC)
+ * @returns {Date|null} Next matching minute, or null if the expression never matches
+ */
+export function nextCronDate(cron, after = new Date(), timezone = 'UTC') {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const time = moment(after).tz(timezone).startOf('minute').add(1, 'minute');
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    if (!parsed.months.has(time.month() + 1)) {
+      time.add(1, 'month').startOf('month');
+    } else if (!dayMatches(parsed, time)) {
+      time.add(1, 'day').startOf('day');
+    } else if (!parsed.hours.has(time.hour())) {
+      time.add(1, 'hour').startOf('hour');
+    } else if (!parsed.minutes.has(time.minute())) {
+      time.add(1, 'minute');
+    } else {
+      return time.toDate();
+    }
+  }
+  return null;
+}
@@ -0,0 +1,34 @@
+/**
+ * Merge several Mastodon tag histories into one, day by day
+ *
+ * Mastodon returns history entries ({ day, uses, accounts }) newest first, with
+ * 'day' as a Unix timestamp string; the merged history keeps that order.
+ *
+ * - 'sum' adds the values (different hashtags: posts using several tags are counted once per tag)
+ * - 'max' keeps the largest value (the same hashtag seen from several instances: each instance
+ *   also counts the federated posts it knows about, so summing would count them twice)
+ *
+ * @param {Array<Array>} histories - History arrays to merge
+ * @param {string} strategy - 'sum' or 'max'
+ * @returns {Array<{day: string, uses: number, accounts: number}>} Merged history
+ */
+export function mergeHistories(histories, strategy = 'sum') {
+  const combine = strategy === 'max' ? Math.max : (a, b) => a + b;
+  const byDay = new Map();
+
+  histories.forEach(history => {
+    (history || []).forEach(entry => {
+      const current = byDay.get(entry.day) || { day: entry.day, uses: 0, accounts: 0 };
+      current.uses = combine(current.uses, parseInt(entry.uses) || 0);
+      current.accounts = combine(current.accounts, parseInt(entry.accounts) || 0);
+      byDay.set(entry.day, current);
+    });
+  });
+
+  return Array.from(byDay.values()).sort((a, b) => {
+    if (/^\d+$/.test(a.day) && /^\d+$/.test(b.day)) {
+      return parseInt(b.day) - parseInt(a.day);
+    }
+    return String(b.day).localeCompare(String(a.day));
+  });
+}
@@ -0,0 +1,145 @@
+import moment from 'moment-timezone';
+
+/**
+ * Periods the daily hashtag history can be rolled up into
+ * 'week' is the ISO week (Monday to Sunday, labelled with its ISO year, e.g. 2026-W01)
+ */
+export const GRANULARITIES = ['day', 'week', 'month', 'quarter', 'year'];
+
+/**
+ * Tiers the daily history is downsampled into by the retention job, and the table of each
+ */
+export const ROLLUP_TIERS = {
+  week: 'hashtag_history_weekly',
+  month: 'hashtag_history_monthly'
+};
+
+const PERIODS = {
+  day: { unit: 'day', label: 'YYYY-MM-DD' },
+  week: { unit: 'isoWeek', label: 'GGGG-[W]WW' },
+  month: { unit: 'month', label: 'YYYY-MM' },
+  quarter: { unit: 'quarter', label: 'YYYY-[Q]Q' },
+  year: { unit: 'year', label: 'YYYY' }
+};
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Change of a value from the previous period
+ * @returns {{uses: number, percent: number|null}} Difference and percentage (null when the previous was 0)
+ */
+function changeFrom(previous, current) {
+  return {
+    uses: current - previous,
+    percent: previous > 0 ? round(((current - previous) / previous) * 100) : null
+  };
+}
+
+/**
+ * Roll daily history rows up into calendar periods
+ *
+ * Only periods with collected days are returned. Each period is compared with the calendar
+ * period right before it; the change is null when that period has no collected days (or is
+ * outside the rows given). Accounts are summed day by day like the weekly history, so an
+ * account active on several days is counted once per day.
+ *
+ * Downsampled rollups can be mixed with the days: an entry with daysCounted and peakDay stands
+ * for that many days (its date must fall in the period it was rolled up from).
+ *
+ * @param {Array<{date: string, uses: number, accounts: number, daysCounted?: number, peakDay?: Object}>} days -
+ *   Daily rows and downsampled rollups
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {Array<Object>} Periods, oldest first: { period, start, end, daysInPeriod, daysCounted,
+ *   totalUses, totalAccounts, dailyAverage, peakDay, change }
+ */
+export function rollupHistory(days, granularity = 'day') {
+  const { unit, label } = PERIODS[granularity];
+  const periods = new Map();
+
+  days.forEach(day => {
+    const date = moment.utc(day.date, 'YYYY-MM-DD');
+    const key = date.format(label);
+    if (!periods.has(key)) {
+      const start = date.clone().startOf(unit);
+      const end = date.clone().endOf(unit);
+      periods.set(key, {
+        period: key,
+        start: start.format('YYYY-MM-DD'),
+        end: end.format('YYYY-MM-DD'),
+        daysInPeriod: end.diff(start, 'days') + 1,
+        daysCounted: 0,
+        totalUses: 0,
+        totalAccounts: 0,
+        peakDay: null
+      });
+    }
+
+    const period = periods.get(key);
+    const peakDay = day.peakDay || { date: day.date, uses: day.uses || 0, accounts: day.accounts || 0 };
+    period.daysCounted += day.daysCounted || 1;
+    period.totalUses += day.uses || 0;
+    period.totalAccounts += day.accounts || 0;
+    if (!period.peakDay || peakDay.uses > period.peakDay.uses) {
+      period.peakDay = peakDay;
+    }
+  });
+
+  return Array.from(periods.values())
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map(period => {
+      const previousKey = moment.utc(period.start).subtract(1, 'day').format(label);
+      const previous = periods.get(previousKey);
+      return {
+        ...period,
+        dailyAverage: round(period.totalUses / period.daysCounted),
+        change: previous ? changeFrom(previous.totalUses, period.totalUses) : null
+      };
+    });
+}
+
+/**
+ * Summarize rolled-up periods
+ * @param {Array<Object>} periods - Output of rollupHistory
+ * @returns {Object} Totals, average per period and the peak period
+ */
+export function summarizeRollup(periods) {
+  const totalUses = periods.reduce((sum, period) => sum + period.totalUses, 0);
+  const peak = periods.reduce((max, period) => (!max || period.totalUses > max.totalUses ? period : max), null);
+
+  return {
+    totalPeriods: periods.length,
+    totalDays: periods.reduce((sum, period) => sum + period.daysCounted, 0),
+    totalUses,
+    totalAccounts: periods.reduce((sum, period) => sum + period.totalAccounts, 0),
+    averagePerPeriod: periods.length > 0 ? round(totalUses / periods.length) : 0,
+    peakPeriod: peak ? {
+      period: peak.period,
+      start: peak.start,
+      end: peak.end,
+      totalUses: peak.totalUses,
+      totalAccounts: peak.totalAccounts
+    } : null,
+    peakDay: periods.reduce((max, period) => (!max || period.peakDay.uses > max.uses ? period.peakDay : max), null)
+  };
+}
+
+/**
+ * Roll the daily rows of several hashtags up into every downsampling tier
+ * @param {Array<{hashtag: string, date: string, uses: number, accounts: number}>} days - Daily rows
+ * @returns {Array<{table: string, periods: Array<Object>}>} Periods of each tier (weekly first), with their hashtag
+ */
+export function rollupTiers(days) {
+  const byHashtag = new Map();
+  days.forEach(day => {
+    if (!byHashtag.has(day.hashtag)) {
+      byHashtag.set(day.hashtag, []);
+    }
+    byHashtag.get(day.hashtag).push({ date: day.date, uses: day.uses || 0, accounts: day.accounts || 0 });
+  });
+
+  return Object.entries(ROLLUP_TIERS).map(([granularity, table]) => ({
+    table,
+    periods: Array.from(byHashtag, ([hashtag, hashtagDays]) =>
+      rollupHistory(hashtagDays, granularity).map(period => ({ hashtag, ...period }))).flat()
+  }));
+}
@@ -0,0 +1,96 @@
+import moment from 'moment-timezone';
+
+/**
+ * Bundled Brazilian national holiday calendar
+ * Fixed-date holidays plus the Easter-based movable ones. Carnaval and Corpus Christi
+ * are optional days off ("ponto facultativo") nationally but are celebrated everywhere,
+ * so they are included with type 'optional'.
+ */
+const FIXED_HOLIDAYS = [
+  { key: 'confraternizacao', name: 'Confraternização Universal', month: 1, day: 1 },
+  { key: 'tiradentes', name: 'Tiradentes', month: 4, day: 21 },
+  { key: 'dia_do_trabalho', name: 'Dia do Trabalho', month: 5, day: 1 },
+  { key: 'independencia', name: 'Independência do Brasil', month: 9, day: 7 },
+  { key: 'aparecida', name: 'Nossa Senhora Aparecida', month: 10, day: 12 },
+  { key: 'finados', name: 'Finados', month: 11, day: 2 },
+  { key: 'proclamacao', name: 'Proclamação da República', month: 11, day: 15 },
+  // National holiday since Law 14.759/2023
+  { key: 'consciencia_negra', name: 'Dia Nacional de Zumbi e da Consciência Negra', month: 11, day: 20, since: 2024 },
+  { key: 'natal', name: 'Natal', month: 12, day: 25 }
+];
+
+// Offsets in days relative to Easter Sunday
+const MOVABLE_HOLIDAYS = [
+  { key: 'carnaval_segunda', name: 'Segunda-feira de Carnaval', offset: -48, type: 'optional' },
+  { key: 'carnaval', name: 'Carnaval', offset: -47, type: 'optional' },
+  { key: 'sexta_santa', name: 'Sexta-feira Santa', offset: -2, type: 'national' },
+  { key: 'pascoa', name: 'Páscoa', offset: 0, type: 'observance' },
+  { key: 'corpus_christi', name: 'Corpus Christi', offset: 60, type: 'optional' }
+];
+
+// Keys accepted by holiday-based schedule overrides
+export const HOLIDAY_KEYS = [
+  ...FIXED_HOLIDAYS.map(holiday => holiday.key),
+  ...MOVABLE_HOLIDAYS.map(holiday => holiday.key)
+];
+
+/**
+ * Calculate Easter Sunday for a year (anonymous Gregorian algorithm)
+ * @param {number} year - Full year
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getEasterDate(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return moment.utc({ year, month: month - 1, day }).format('YYYY-MM-DD');
+}
+
+/**
+ * Get all Brazilian holidays for a year, sorted by date
+ * @param {number} year - Full year
+ * @returns {Array<{key: string, name: string, date: string, type: string}>} Holidays
+ */
+export function getBrazilianHolidays(year) {
+  const easter = moment.utc(getEasterDate(year), 'YYYY-MM-DD');
+
+  const fixed = FIXED_HOLIDAYS
+    .filter(holiday => !holiday.since || year >= holiday.since)
+    .map(holiday => ({
+      key: holiday.key,
+      name: holiday.name,
+      date: moment.utc({ year, month: holiday.month - 1, day: holiday.day }).format('YYYY-MM-DD'),
+      type: 'national'
+    }));
+
+  const movable = MOVABLE_HOLIDAYS.map(holiday => ({
+    key: holiday.key,
+    name: holiday.name,
+    date: easter.clone().add(holiday.offset, 'days').format('YYYY-MM-DD'),
+    type: holiday.type
+  }));
+
+  return [...fixed, ...movable].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get the holidays falling on a specific date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Array} Holidays on that date (usually zero or one)
+ */
+export function getHolidaysForDate(date) {
+  const year = parseInt(date.slice(0, 4), 10);
+  return getBrazilianHolidays(year).filter(holiday => holiday.date === date);
+}
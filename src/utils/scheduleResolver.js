@@ -0,0 +1,81 @@
+import moment from 'moment-timezone';
+import { getHolidaysForDate } from './holidays.js';
+
+// Override types in ascending precedence: a date-specific override beats a holiday,
+// which beats a rotation, which beats the weekly schedule
+export const OVERRIDE_TYPES = ['rotation', 'holiday', 'date'];
+
+// 'replace' swaps the day's hashtags, 'append' adds to them
+export const OVERRIDE_MODES = ['replace', 'append'];
+
+/**
+ * Check whether an override applies on a date
+ * @param {Object} override - Override object (see ScheduleService._mapOverride)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string[]} holidayKeys - Keys of the holidays falling on the date
+ * @returns {boolean} True if the override applies
+ */
+export function overrideAppliesOn(override, date, holidayKeys = []) {
+  if (override.startDate && date < override.startDate) {
+    return false;
+  }
+  if (override.endDate && date > override.endDate) {
+    return false;
+  }
+
+  switch (override.type) {
+    case 'date':
+      return override.date === date;
+
+    case 'holiday':
+      return holidayKeys.includes(override.holidayKey);
+
+    case 'rotation': {
+      // Rotations repeat every N weeks from their start date (which fixes the weekday)
+      const daysSinceStart = moment.utc(date, 'YYYY-MM-DD').diff(moment.utc(override.startDate, 'YYYY-MM-DD'), 'days');
+      return daysSinceStart >= 0 && daysSinceStart % (7 * override.everyWeeks) === 0;
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Resolve the hashtags for a date by applying overrides on top of the weekly schedule
+ * This is the single resolution path shared by the dashboard and the history collector.
+ *
+ * Applicable overrides are applied from lowest to highest precedence (newest last within
+ * a type), so a 'replace' of higher precedence discards everything below it.
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string[]} baseHashtags - Hashtags from the weekly schedule for that weekday
+ * @param {Array} overrides - Candidate overrides
+ * @param {Array} holidays - Holidays on the date (defaults to the bundled calendar)
+ * @returns {Object} Object with hashtags, baseHashtags, appliedOverrides and holidays
+ */
+export function resolveHashtagsForDate(date, baseHashtags, overrides = [], holidays = getHolidaysForDate(date)) {
+  const holidayKeys = holidays.map(holiday => holiday.key);
+
+  const applicable = overrides
+    .filter(override => overrideAppliesOn(override, date, holidayKeys))
+    .sort((a, b) => {
+      const precedence = OVERRIDE_TYPES.indexOf(a.type) - OVERRIDE_TYPES.indexOf(b.type);
+      return precedence !== 0 ? precedence : a.id - b.id;
+    });
+
+  let hashtags = [...baseHashtags];
+  applicable.forEach(override => {
+    hashtags = override.mode === 'append'
+      ? [...new Set([...hashtags, ...override.hashtags])]
+      : [...override.hashtags];
+  });
+
+  return {
+    date,
+    hashtags,
+    baseHashtags: [...baseHashtags],
+    appliedOverrides: applicable.map(override => override.id),
+    holidays
+  };
+}
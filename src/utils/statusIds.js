@@ -0,0 +1,30 @@
+/**
+ * Compare two Mastodon status ids
+ * Ids are numeric strings (snowflakes) too large for Number, so longer ids are newer
+ * and ids of the same length compare lexically.
+ * @param {string} a - Status id
+ * @param {string} b - Status id
+ * @returns {number} Negative if a is older than b, positive if newer, 0 if equal
+ */
+export function compareStatusIds(a, b) {
+  const left = String(a);
+  const right = String(b);
+  if (left.length !== right.length) {
+    return left.length - right.length;
+  }
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Get the newest status id
+ * @param {Array<string|null>} ids - Status ids (null and undefined are ignored)
+ * @returns {string|null} Newest id, or null when there is none
+ */
+export function newestStatusId(ids) {
+  return ids.reduce((newest, id) => {
+    if (id === null || id === undefined) {
+      return newest;
+    }
+    return newest === null || compareStatusIds(id, newest) > 0 ? String(id) : newest;
+  }, null);
+}
@@ -0,0 +1,41 @@
+// Named entities Mastodon emits in status HTML (numeric ones are decoded separately)
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Convert status HTML to plain text
+ * Line breaks and paragraphs become newlines, other tags are dropped and entities decoded.
+ * @param {string|null} html - Status content as returned by the instance
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+  if (!html) {
+    return '';
+  }
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p[^>]*>/gi, '\n\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+      return ENTITIES[name.toLowerCase()] ?? entity;
+    })
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the full-text search document of a status
+ * @param {Object} row - statuses row (content, spoiler_text, media_attachments as JSON)
+ * @returns {{content: string, spoiler_text: string, media_descriptions: string}} Plain-text columns
+ */
+export function searchDocument(row) {
+  const media = row.media_attachments ? JSON.parse(row.media_attachments) : [];
+  return {
+    content: htmlToText(row.content),
+    spoiler_text: row.spoiler_text || '',
+    media_descriptions: media.map(attachment => attachment.description).filter(Boolean).join('\n')
+  };
+}
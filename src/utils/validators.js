@@ -2,6 +2,7 @@ import moment from 'moment-timezone';
 import { ValidationError } from '../errors/index.js';
 import { logger } from './logger.js';
 import { appConfig as config } from '../config/index.js';
+import { VALIDATION_CONFIG } from '../constants/index.js';
 
 /**
  * Validates and normalizes the days query parameter
@@ -114,3 +115,53 @@ export function validateTimezoneParameter(timezoneValue, defaultValue = null) {
   
   return timezoneValue;
 }
+
+/**
+ * Validates and normalizes a hashtag value
+ * Strips a leading '#' and lowercases the tag, since Mastodon tags are case-insensitive
+ * @param {string|undefined} hashtagValue - Raw hashtag value
+ * @param {string} field - Field name used in validation errors (default: 'hashtag')
+ * @returns {string} Normalized hashtag
+ * @throws {ValidationError} If value is missing or does not match the hashtag pattern
+ */
+export function validateHashtagParameter(hashtagValue, field = 'hashtag') {
+  if (typeof hashtagValue !== 'string' || hashtagValue.trim() === '') {
+    throw new ValidationError(`Invalid ${field} parameter. Must be a non-empty string.`, field, hashtagValue);
+  }
+  
+  const normalized = hashtagValue.trim().replace(/^#/, '').toLowerCase();
+  
+  if (normalized.length > VALIDATION_CONFIG.MAX_HASHTAG_LENGTH || !VALIDATION_CONFIG.HASHTAG_PATTERN.test(normalized)) {
+    throw new ValidationError(
+      `Invalid ${field} parameter: "${hashtagValue}". Only letters, numbers and underscores are allowed.`,
+      field,
+      hashtagValue
+    );
+  }
+  
+  return normalized;
+}
+
+/**
+ * Validates a date query/body parameter in YYYY-MM-DD format
+ * @param {string|undefined} dateValue - Raw date value
+ * @param {string} field - Field name used in validation errors (default: 'date')
+ * @param {string|null} defaultValue - Value returned when dateValue is empty (default: null)
+ * @returns {string|null} Validated date string or defaultValue
+ * @throws {ValidationError} If value is provided but is not a valid calendar date
+ */
+export function validateDateParameter(dateValue, field = 'date', defaultValue = null) {
+  if (dateValue === undefined || dateValue === null || dateValue === '') {
+    return defaultValue;
+  }
+  
+  if (typeof dateValue !== 'string' || !moment(dateValue, 'YYYY-MM-DD', true).isValid()) {
+    throw new ValidationError(
+      `Invalid ${field} parameter: "${dateValue}". Must be a valid date in YYYY-MM-DD format.`,
+      field,
+      dateValue
+    );
+  }
+  
+  return dateValue;
+}
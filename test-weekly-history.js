@@ -13,9 +13,10 @@
  */
 
 import { getDatabase } from './src/database/index.js';
+import { closeHistoryStorage } from './src/database/storage/index.js';
 import { databaseService } from './src/services/databaseService.js';
 import { historyCollector } from './src/services/historyCollector.js';
-import { HASHTAGS, getHashtagsForDay } from './src/constants/index.js';
+import { scheduleService } from './src/services/scheduleService.js';
 import { logger } from './src/utils/logger.js';
 import moment from 'moment-timezone';
 import { appConfig as config } from './src/config/index.js';
@@ -58,16 +59,11 @@ function logWarning(message) {
 }
 
 /**
- * Obtém todos os hashtags únicos de HASHTAGS
+ * Obtém todos os hashtags únicos da agenda atual
  * @returns {string[]} Array de hashtags únicos
  */
 function getAllUniqueHashtags() {
-  const allHashtags = new Set();
-  HASHTAGS.forEach(dayHashtags => {
-    const hashtags = getHashtagsForDay(dayHashtags);
-    hashtags.forEach(tag => allHashtags.add(tag));
-  });
-  return Array.from(allHashtags);
+  return scheduleService.getAllHashtags();
 }
 
 /**
@@ -101,7 +97,7 @@ function checkDatabaseStats() {
 /**
  * Verifica dados por hashtag
  */
-function checkHashtagData() {
+async function checkHashtagData() {
   logSection('2. VERIFICAÇÃO DE DADOS POR HASHTAG');
   
   try {
@@ -111,8 +107,8 @@ function checkHashtagData() {
     
     const hashtagStats = [];
     for (const hashtag of hashtagsArray.slice(0, 5)) { // Limitar a 5 para não demorar muito
-      const dateRange = databaseService.getDateRange(hashtag);
-      const latestDate = databaseService.getLatestCollectionDate(hashtag);
+      const dateRange = await databaseService.getDateRange(hashtag);
+      const latestDate = await databaseService.getLatestCollectionDate(hashtag);
       
       hashtagStats.push({
         hashtag,
@@ -181,7 +177,7 @@ async function collectTestData(force = false) {
 /**
  * Testa agregação semanal
  */
-function testWeeklyAggregation() {
+async function testWeeklyAggregation() {
   logSection('4. TESTE DE AGREGAÇÃO SEMANAL');
   
   try {
@@ -197,7 +193,7 @@ function testWeeklyAggregation() {
     
     logInfo(`Testando agregação semanal para: ${testHashtag} (ano ${currentYear})`);
     
-    const result = databaseService.aggregateWeeklyData(testHashtag, currentYear);
+    const result = await databaseService.aggregateWeeklyData(testHashtag, currentYear);
     
     if (result.weeklyData.length === 0) {
       logWarning(`Nenhum dado semanal encontrado para ${testHashtag} em ${currentYear}`);
@@ -333,7 +329,7 @@ async function main() {
     const hasData = checkDatabaseStats();
     
     // 2. Verificar dados por hashtag
-    const hasHashtagData = checkHashtagData();
+    const hasHashtagData = await checkHashtagData();
     
     // 3. Coletar dados se necessário
     if (!hasData || shouldCollect) {
@@ -341,7 +337,7 @@ async function main() {
     }
     
     // 4. Testar agregação semanal
-    testWeeklyAggregation();
+    await testWeeklyAggregation();
     
     // 5. Testar endpoints da API
     await testAPIEndpoints();
@@ -360,6 +356,7 @@ async function main() {
     console.error(error);
     process.exit(1);
   } finally {
+    await closeHistoryStorage();
     if (database) {
       database.close();
     }
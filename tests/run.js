@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Test runner: runs every tests/**\/*.test.js file in its own Node process
+ * Each file is a standalone script that exits non-zero when one of its tests fails.
+ * The files run from a scratch directory with a fixed test configuration, so they never
+ * read the project's .env, never reach a real instance and write their logs and database
+ * outside the repository.
+ *
+ * Usage: node tests/run.js [filter...]   (only files whose path contains one of the filters)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const TESTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Longest a test file may run before it counts as failed
+const FILE_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Find the test files under a directory, sorted by path
+ */
+function findTestFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .flatMap(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return findTestFiles(fullPath);
+      }
+      return entry.name.endsWith('.test.js') ? [fullPath] : [];
+    })
+    .sort();
+}
+
+const filters = process.argv.slice(2);
+const files = findTestFiles(TESTS_DIR)
+  .filter(file => filters.length === 0 || filters.some(filter => file.includes(filter)));
+
+if (files.length === 0) {
+  console.error(`No test files found${filters.length > 0 ? ` matching ${filters.join(', ')}` : ''}`);
+  process.exit(1);
+}
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hashpanel-tests-'));
+const env = {
+  ...process.env,
+  NODE_ENV: 'test',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+  // Required by the configuration; port 9 (discard) makes any request fail fast
+  MASTODON_URL: 'http://127.0.0.1:9/api/v1/',
+  CLIENT_KEY: 'test',
+  CLIENT_SECRET: 'test',
+  ACCESS_TOKEN: 'test',
+  ADMIN_TOKEN: 'test-admin-token-0123456789',
+  MASTODON_FAKE: 'false',
+  DB_DRIVER: 'sqlite',
+  DB_PATH: path.join(workDir, 'hashpanel.db')
+};
+
+const failures = [];
+try {
+  for (const file of files) {
+    const name = path.relative(path.dirname(TESTS_DIR), file);
+    console.log(`\n▶ ${name}`);
+    const result = spawnSync(process.execPath, [file], { cwd: workDir, env, stdio: 'inherit', timeout: FILE_TIMEOUT_MS });
+    if (result.status !== 0) {
+      failures.push(name);
+      if (result.error || result.signal) {
+        console.error(`✗ ${name} did not finish: ${result.error?.message || result.signal}`);
+      }
+    }
+  }
+} finally {
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+console.log(`\n${files.length - failures.length} of ${files.length} test files passed`);
+if (failures.length > 0) {
+  console.error(`Failed:\n${failures.map(name => `  ${name}`).join('\n')}`);
+  process.exit(1);
+}
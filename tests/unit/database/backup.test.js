@@ -0,0 +1,229 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { runMigrations } from '../../../src/database/migrations.js';
+import { backupDatabase, inspectDatabaseFile, restoreDatabase } from '../../../src/database/backup.js';
+import { exportHistory, importHistory, BUNDLE_FORMAT } from '../../../src/database/historyBundle.js';
+import { databaseService } from '../../../src/services/databaseService.js';
+import { SqliteHistoryStorage } from '../../../src/database/storage/index.js';
+import { BackupError } from '../../../src/errors/index.js';
+
+/**
+ * Test suite for database backups and hashtag history bundles
+ * Runs against database files in a temporary directory
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+/**
+ * Run a test with a temporary directory and a migrated WAL database in it,
+ * the database service pointed at that database
+ */
+async function withDatabaseFile(test) {
+  const originalHistoryStorage = databaseService.storage;
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hashpanel-backup-'));
+  const db = new Database(path.join(directory, 'hashpanel.db'));
+
+  try {
+    db.pragma('journal_mode = WAL');
+    runMigrations(db);
+    databaseService.storage = new SqliteHistoryStorage(db);
+
+    await test(db, directory);
+  } finally {
+    databaseService.storage = originalHistoryStorage;
+    db.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+function count(db, table) {
+  return db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+}
+
+// Test: A backup is a single checked file, and restoring it keeps the replaced database
+async function testBackupAndRestore() {
+  await withDatabaseFile(async (db, directory) => {
+    await databaseService.saveDailyHashtagData('arte', '2026-03-01', { uses: 10, accounts: 4 });
+    await databaseService.saveDailyHashtagData('arte', '2026-03-02', { uses: 12, accounts: 5 });
+
+    const file = path.join(directory, 'backups', 'copy.db');
+    const backup = await backupDatabase(db, file);
+    assert.strictEqual(backup.hashtagDays, 2);
+    assert.strictEqual(backup.pending, 0);
+    assert.ok(!fs.existsSync(`${file}-wal`));
+    await assert.rejects(backupDatabase(db, file), BackupError);
+
+    // Restore into a database that has diverged since the backup
+    const target = path.join(directory, 'restored.db');
+    const other = new Database(target);
+    runMigrations(other);
+    other.prepare("INSERT INTO hashtag_history (hashtag, date, year, week_number, uses, accounts) VALUES ('foto', '2026-03-05', 2026, 10, 1, 1)").run();
+    other.close();
+
+    const restored = await restoreDatabase(file, target);
+    assert.strictEqual(restored.schemaVersion, backup.schemaVersion);
+    assert.ok(fs.existsSync(restored.previousCopy));
+    assert.strictEqual(inspectDatabaseFile(target).hashtagDays, 2);
+    assert.strictEqual(inspectDatabaseFile(restored.previousCopy).hashtagDays, 1);
+  });
+
+  console.log('✓ testBackupAndRestore');
+}
+
+// Test: Backups from a newer schema and files that are not databases are refused
+async function testRestoreRefusesUnknownSchema() {
+  await withDatabaseFile(async (db, directory) => {
+    const file = path.join(directory, 'newer.db');
+    await backupDatabase(db, file);
+    const newer = new Database(file);
+    newer.prepare("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_the_future')").run();
+    newer.close();
+
+    const target = path.join(directory, 'target.db');
+    await assert.rejects(restoreDatabase(file, target), error => error instanceof BackupError && /999/.test(error.message));
+    assert.ok(!fs.existsSync(target));
+
+    const garbage = path.join(directory, 'garbage.db');
+    fs.writeFileSync(garbage, 'not a database');
+    await assert.rejects(restoreDatabase(garbage, target), BackupError);
+  });
+
+  console.log('✓ testRestoreRefusesUnknownSchema');
+}
+
+// Test: With the history in PostgreSQL, file backups and restores are refused
+async function testBackupRequiresSqliteHistory() {
+  await withDatabaseFile(async (db, directory) => {
+    const file = path.join(directory, 'copy.db');
+    await assert.rejects(backupDatabase(db, file, { driver: 'postgres' }),
+      error => error instanceof BackupError && /DB_DRIVER=postgres/.test(error.message));
+    assert.ok(!fs.existsSync(file));
+
+    await backupDatabase(db, file);
+    const target = path.join(directory, 'target.db');
+    await assert.rejects(restoreDatabase(file, target, { driver: 'postgres' }), BackupError);
+    assert.ok(!fs.existsSync(target));
+  });
+
+  console.log('✓ testBackupRequiresSqliteHistory');
+}
+
+// Test: History round-trips through both encodings, skipping or replacing days already stored
+async function testExportAndImport() {
+  await withDatabaseFile(async (db, directory) => {
+    await databaseService.saveDailyHashtagData('arte', '2026-03-01', { uses: 10, accounts: 4 });
+    await databaseService.saveDailyHashtagData('arte', '2026-03-01', { uses: 14, accounts: 6 });
+    await databaseService.saveDailyHashtagData('foto', '2026-03-01', { uses: 3, accounts: 2 });
+    db.prepare(`
+      INSERT INTO hashtag_history_monthly (hashtag, period, start_date, end_date, days_counted, total_uses, total_accounts,
+        peak_date, peak_uses, peak_accounts)
+      VALUES ('arte', '2025-01', '2025-01-01', '2025-01-31', 31, 300, 90, '2025-01-10', 20, 8)
+    `).run();
+
+    for (const encoding of ['json', 'ndjson']) {
+      const file = path.join(directory, `history.${encoding}`);
+      const exported = await exportHistory(databaseService.storage, file);
+      assert.strictEqual(exported.encoding, encoding);
+      assert.deepStrictEqual(exported.counts, {
+        hashtag_history: 2, hashtag_history_revisions: 3, hashtag_history_weekly: 0, hashtag_history_monthly: 1
+      });
+
+      const target = new Database(':memory:');
+      runMigrations(target);
+      const targetStorage = new SqliteHistoryStorage(target);
+      try {
+        const first = await importHistory(targetStorage, file);
+        assert.strictEqual(first.header.format, BUNDLE_FORMAT);
+        assert.deepStrictEqual(first.tables.hashtag_history, { read: 2, imported: 2, skipped: 0 });
+        assert.strictEqual(count(target, 'hashtag_history_revisions'), 3);
+        assert.deepStrictEqual(target.prepare("SELECT uses, first_uses FROM hashtag_history WHERE hashtag = 'arte'").get(),
+          { uses: 14, first_uses: 10 });
+
+        // Days already stored are kept, with their revisions
+        target.prepare("UPDATE hashtag_history SET uses = 99 WHERE hashtag = 'arte'").run();
+        const second = await importHistory(targetStorage, file);
+        assert.deepStrictEqual(second.tables.hashtag_history, { read: 2, imported: 0, skipped: 2 });
+        assert.strictEqual(second.tables.hashtag_history_revisions.skipped, 3);
+        assert.strictEqual(target.prepare("SELECT uses FROM hashtag_history WHERE hashtag = 'arte'").get().uses, 99);
+
+        const replaced = await importHistory(targetStorage, file, { replace: true });
+        assert.strictEqual(replaced.tables.hashtag_history.imported, 2);
+        assert.strictEqual(target.prepare("SELECT uses FROM hashtag_history WHERE hashtag = 'arte'").get().uses, 14);
+        assert.strictEqual(count(target, 'hashtag_history_revisions'), 3);
+        assert.strictEqual(count(target, 'hashtag_history_monthly'), 1);
+      } finally {
+        target.close();
+      }
+    }
+  });
+
+  console.log('✓ testExportAndImport');
+}
+
+// Test: Invalid bundles are refused without importing anything
+async function testImportRefusesInvalidBundles() {
+  await withDatabaseFile(async (db, directory) => {
+    const write = (name, text) => {
+      const file = path.join(directory, name);
+      fs.writeFileSync(file, text);
+      return file;
+    };
+    const header = JSON.stringify({ format: BUNDLE_FORMAT, version: 1 });
+    const day = (date) => JSON.stringify({ table: 'hashtag_history', row: { hashtag: 'arte', date, uses: 1, accounts: 1 } });
+
+    const storage = databaseService.storage;
+    await assert.rejects(importHistory(storage, write('other.json', '{"format":"other"}')), BackupError);
+    await assert.rejects(importHistory(storage, write('future.json', JSON.stringify({ format: BUNDLE_FORMAT, version: 99 }))),
+      /not supported/);
+    await assert.rejects(importHistory(storage, write('broken.ndjson', `${header}\n${day('2026-03-01')}\n{oops`)), /line 3/);
+    await assert.rejects(importHistory(storage, write('bad-date.ndjson', `${header}\n${day('2026-03-01')}\n${day('03/02/2026')}`)),
+      /Invalid date/);
+    assert.strictEqual(count(db, 'hashtag_history'), 0);
+  });
+
+  console.log('✓ testImportRefusesInvalidBundles');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running backup tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testBackupAndRestore,
+    testRestoreRefusesUnknownSchema,
+    testBackupRequiresSqliteHistory,
+    testExportAndImport,
+    testImportRefusesInvalidBundles
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testBackupAndRestore,
+  testRestoreRefusesUnknownSchema,
+  testBackupRequiresSqliteHistory,
+  testExportAndImport,
+  testImportRefusesInvalidBundles
+};
@@ -0,0 +1,175 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import { pathToFileURL } from 'url';
+import { runMigrations, rollbackMigrations, getMigrationStatus } from '../../../src/database/migrations.js';
+import { migrations } from '../../../src/database/migrations/index.js';
+import hashtagHistory from '../../../src/database/migrations/001_hashtag_history.js';
+
+/**
+ * Test suite for the versioned migration runner
+ * Runs against in-memory databases
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+function tableExists(db, name) {
+  return Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+}
+
+// Test: Every migration is applied once, in order, and recorded
+function testAppliesAllMigrations() {
+  const db = new Database(':memory:');
+
+  const applied = runMigrations(db);
+  assert.deepStrictEqual(applied.map(m => m.version), migrations.map(m => m.version));
+  assert.ok(tableExists(db, 'hashtag_history'));
+  assert.ok(tableExists(db, 'status_engagement_snapshots'));
+
+  const status = getMigrationStatus(db);
+  assert.strictEqual(status.current, status.latest);
+  assert.strictEqual(status.pending, 0);
+  assert.ok(status.migrations.every(m => m.applied && m.appliedAt));
+
+  assert.deepStrictEqual(runMigrations(db), [], 'A second run should apply nothing');
+
+  console.log('✓ testAppliesAllMigrations');
+}
+
+// Test: --to stops at a version and the rest stays pending
+function testMigrateToTarget() {
+  const db = new Database(':memory:');
+
+  runMigrations(db, { target: 3 });
+  const status = getMigrationStatus(db);
+  assert.strictEqual(status.current, 3);
+  assert.strictEqual(status.pending, migrations.length - 3);
+  assert.ok(!tableExists(db, 'stored_toots'));
+
+  runMigrations(db);
+  assert.ok(tableExists(db, 'stored_toots'));
+
+  console.log('✓ testMigrateToTarget');
+}
+
+// Test: Rollback runs the down steps newest first and migrations can be re-applied
+function testRollbackAndReapply() {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  const latest = migrations[migrations.length - 1].version;
+
+  const reverted = rollbackMigrations(db, { steps: 2 });
+  assert.deepStrictEqual(reverted.map(m => m.version), [latest, latest - 1]);
+  assert.strictEqual(getMigrationStatus(db).current, latest - 2);
+
+  rollbackMigrations(db, { target: 4 });
+  assert.ok(!tableExists(db, 'status_engagement_snapshots'));
+  assert.ok(!tableExists(db, 'statuses'));
+  assert.ok(tableExists(db, 'stored_toots'));
+
+  rollbackMigrations(db, { target: 1 });
+  assert.strictEqual(getMigrationStatus(db).current, 1);
+  assert.ok(tableExists(db, 'hashtag_history'));
+  assert.ok(!tableExists(db, 'hashtag_schedule'));
+
+  runMigrations(db);
+  assert.strictEqual(getMigrationStatus(db).pending, 0);
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM hashtag_schedule_versions').get();
+  assert.strictEqual(count, 1, 'Re-applying should seed the schedule again');
+
+  console.log('✓ testRollbackAndReapply');
+}
+
+// Test: A database created before schema_migrations is brought up to date without losing data
+function testLegacyDatabase() {
+  const db = new Database(':memory:');
+  hashtagHistory.up(db);
+  db.prepare(`
+    INSERT INTO hashtag_history (hashtag, date, year, week_number, uses, accounts)
+    VALUES ('arte', '2026-01-05', 2026, 2, 10, 4)
+  `).run();
+
+  runMigrations(db);
+
+  const row = db.prepare("SELECT uses FROM hashtag_history WHERE hashtag = 'arte'").get();
+  assert.strictEqual(row.uses, 10);
+  assert.strictEqual(getMigrationStatus(db).pending, 0);
+
+  console.log('✓ testLegacyDatabase');
+}
+
+// Test: A failing migration is rolled back on its own and stops the run
+function testFailingMigration() {
+  const db = new Database(':memory:');
+  const list = [
+    { version: 1, name: 'first', up: d => d.exec('CREATE TABLE first (id INTEGER)'), down: d => d.exec('DROP TABLE first') },
+    {
+      version: 2,
+      name: 'broken',
+      up: d => {
+        d.exec('CREATE TABLE second (id INTEGER)');
+        d.exec('INSERT INTO missing_table VALUES (1)');
+      },
+      down: d => d.exec('DROP TABLE second')
+    },
+    { version: 3, name: 'third', up: d => d.exec('CREATE TABLE third (id INTEGER)'), down: d => d.exec('DROP TABLE third') }
+  ];
+
+  assert.throws(() => runMigrations(db, { list }), error => {
+    assert.strictEqual(error.code, 'MIGRATION_ERROR');
+    assert.strictEqual(error.details.version, 2);
+    return true;
+  });
+
+  assert.ok(tableExists(db, 'first'));
+  assert.ok(!tableExists(db, 'second'), 'The failed migration should be undone');
+  assert.ok(!tableExists(db, 'third'));
+  assert.strictEqual(getMigrationStatus(db, list).current, 1);
+
+  // Versions this code does not know are reported and cannot be rolled back
+  db.prepare("INSERT INTO schema_migrations (version, name) VALUES (9, 'newer')").run();
+  assert.deepStrictEqual(getMigrationStatus(db, list).unknown.map(m => m.version), [9]);
+  assert.throws(() => rollbackMigrations(db, { list }), /not known/);
+  assert.ok(tableExists(db, 'first'));
+
+  console.log('✓ testFailingMigration');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running migration tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testAppliesAllMigrations,
+    testMigrateToTarget,
+    testRollbackAndReapply,
+    testLegacyDatabase,
+    testFailingMigration
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testAppliesAllMigrations,
+  testMigrateToTarget,
+  testRollbackAndReapply,
+  testLegacyDatabase,
+  testFailingMigration
+};
@@ -0,0 +1,165 @@
+import assert from 'assert';
+import { FakeMastodonServer } from '../../../src/fake/mastodonServer.js';
+import { generateTimeline, buildTagHistory, shiftStatuses } from '../../../src/fake/generator.js';
+import { MastodonClient } from '../../../src/services/mastodonClient.js';
+import { MastodonStream } from '../../../src/services/mastodonStream.js';
+
+/**
+ * Test suite for the fake Mastodon server and its synthetic data
+ * Requests go through the real MastodonClient and MastodonStream
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+async function withServer(options, run) {
+  const server = new FakeMastodonServer(options);
+  const apiUrl = await server.start();
+  try {
+    await run(server, new MastodonClient({ url: apiUrl, timeoutMs: 5000 }), apiUrl);
+  } finally {
+    await server.stop();
+  }
+}
+
+// Test: The same seed yields the same timeline, newest first
+function testGeneratorIsDeterministic() {
+  const now = Date.parse('2026-03-10T18:00:00Z');
+  const first = generateTimeline('arte', { now, seed: 3 });
+  const second = generateTimeline('arte', { now, seed: 3 });
+
+  assert.deepStrictEqual(first, second);
+  assert.notDeepStrictEqual(first, generateTimeline('arte', { now, seed: 4 }));
+  assert.ok(first.every((status, index) => index === 0 || BigInt(status.id) < BigInt(first[index - 1].id)));
+  assert.ok(first.every(status => Date.parse(status.created_at) <= now));
+  console.log('✓ testGeneratorIsDeterministic');
+}
+
+// Test: Tag history counts statuses and distinct accounts per UTC day
+function testBuildTagHistory() {
+  const now = Date.parse('2026-03-10T12:00:00Z');
+  const statuses = [
+    { created_at: '2026-03-10T01:00:00Z', account: { id: '1' } },
+    { created_at: '2026-03-10T02:00:00Z', account: { id: '1' } },
+    { created_at: '2026-03-09T23:59:59Z', account: { id: '2' } }
+  ];
+  const history = buildTagHistory(statuses, now, 3);
+
+  assert.deepStrictEqual(history.map(day => [day.uses, day.accounts]), [['2', '1'], ['1', '1'], ['0', '0']]);
+  assert.strictEqual(history[0].day, String(Date.parse('2026-03-10T00:00:00Z') / 1000));
+  console.log('✓ testBuildTagHistory');
+}
+
+// Test: Following Link headers walks the whole timeline without gaps or repeats
+async function testTimelinePagination() {
+  await withServer({ perDay: 20, days: 3 }, async (server, client) => {
+    const expected = server.getTimeline('arte').map(status => status.id);
+    const ids = [];
+    let response = await client.get('timelines/tag/arte', { limit: 7 });
+    while (response.data.length > 0) {
+      ids.push(...response.data.map(status => status.id));
+      response = await client.get(response.links.next);
+    }
+
+    assert.deepStrictEqual(ids, expected);
+    assert.ok(response.rateLimit.remaining < response.rateLimit.limit);
+
+    // min_id returns the statuses right after it, newest first
+    const newer = await client.get('timelines/tag/arte', { min_id: expected[5], limit: 2 });
+    assert.deepStrictEqual(newer.data.map(status => status.id), expected.slice(3, 5));
+  });
+  console.log('✓ testTimelinePagination');
+}
+
+// Test: Recorded fixtures are replayed shifted to now, with history derived from them
+async function testReplaysFixtures() {
+  const recordedAt = '2026-01-05T20:00:00.000Z';
+  const statuses = generateTimeline('musica', { now: Date.parse(recordedAt), days: 2, perDay: 5 });
+  const fixtures = { recordedAt, statuses: { musica: statuses }, trends: [] };
+
+  await withServer({ fixtures }, async (server, client) => {
+    const { data: timeline } = await client.get('timelines/tag/musica', { limit: 40 });
+    const { data: tag } = await client.get('tags/musica');
+
+    assert.strictEqual(timeline.length, statuses.length);
+    assert.ok(Date.now() - Date.parse(timeline[0].created_at) < Date.now() - Date.parse(statuses[0].created_at));
+    assert.strictEqual(tag.history.reduce((sum, day) => sum + parseInt(day.uses), 0), statuses.length);
+    assert.deepStrictEqual(shiftStatuses(statuses, 0).map(status => status.created_at), statuses.map(status => status.created_at));
+  });
+  console.log('✓ testReplaysFixtures');
+}
+
+// Test: Posted statuses reach the hashtag timeline, statuses/:id and the streaming API
+async function testPostAndStream() {
+  await withServer({}, async (server, client) => {
+    const { data: instance } = await client.get('instance');
+    const stream = new MastodonStream({
+      url: `${instance.urls.streaming_api.replace(/^ws/, 'http')}/api/v1/streaming`,
+      stream: 'hashtag',
+      params: { tag: 'arte' }
+    });
+    const connected = new Promise(resolve => stream.once('connected', resolve));
+    const received = new Promise(resolve => stream.once('update', resolve));
+    const deleted = new Promise(resolve => stream.once('delete', resolve));
+
+    try {
+      stream.start();
+      await connected;
+
+      const { data: posted } = await client.post('statuses', { status: 'Novo desenho #Arte' });
+      assert.deepStrictEqual(posted.tags.map(tag => tag.name), ['arte']);
+      assert.strictEqual((await received).id, posted.id);
+      assert.strictEqual((await client.get(`statuses/${posted.id}`)).data.id, posted.id);
+      assert.strictEqual((await client.get('timelines/tag/arte', { limit: 1 })).data[0].id, posted.id);
+
+      server.deleteStatus(posted.id);
+      assert.strictEqual(await deleted, posted.id);
+      await assert.rejects(client.get(`statuses/${posted.id}`), { name: 'NotFoundError' });
+    } finally {
+      stream.stop();
+    }
+  });
+  console.log('✓ testPostAndStream');
+}
+
+// Run all tests
+import { pathToFileURL } from 'url';
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running fake Mastodon server tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testGeneratorIsDeterministic,
+    testBuildTagHistory,
+    testTimelinePagination,
+    testReplaysFixtures,
+    testPostAndStream
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testGeneratorIsDeterministic,
+  testBuildTagHistory,
+  testTimelinePagination,
+  testReplaysFixtures,
+  testPostAndStream
+};
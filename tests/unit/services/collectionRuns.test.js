@@ -0,0 +1,171 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import moment from 'moment-timezone';
+import { pathToFileURL } from 'url';
+import { runMigrations } from '../../../src/database/migrations.js';
+import { databaseService } from '../../../src/services/databaseService.js';
+import { SqliteHistoryStorage } from '../../../src/database/storage/index.js';
+import { scheduleService } from '../../../src/services/scheduleService.js';
+import { collectionRunStore } from '../../../src/services/collectionRunStore.js';
+import { historyCollector } from '../../../src/services/historyCollector.js';
+import { federatedMastodonService } from '../../../src/services/federatedMastodon.js';
+import { appConfig as config } from '../../../src/config/index.js';
+
+/**
+ * Test suite for the collection run audit trail
+ * Runs the service singletons against an in-memory database with the seeded schedule
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+const date = moment().tz(config.server.timezone).subtract(10, 'days').format('YYYY-MM-DD');
+
+/**
+ * Run a test with the singletons pointed at a fresh database and Mastodon answering
+ * with a week of history for every hashtag except the failing ones
+ */
+async function withCollector(failing, test) {
+  const originalHistoryStorage = databaseService.storage;
+  const originalScheduleDb = scheduleService.db;
+  const originalRunDb = collectionRunStore.db;
+  const originalGetHashtagUse = federatedMastodonService.getHashtagUse;
+
+  try {
+    const db = new Database(':memory:');
+    runMigrations(db);
+    databaseService.storage = new SqliteHistoryStorage(db);
+    scheduleService.db = db;
+    collectionRunStore.db = db;
+
+    federatedMastodonService.getHashtagUse = async hashtag => {
+      if (failing.includes(hashtag)) {
+        throw new Error(`Timeout fetching #${hashtag}`);
+      }
+      return [{ day: String(moment.utc(date).unix()), uses: '4', accounts: '2' }];
+    };
+
+    await test();
+  } finally {
+    databaseService.storage = originalHistoryStorage;
+    scheduleService.db = originalScheduleDb;
+    collectionRunStore.db = originalRunDb;
+    federatedMastodonService.getHashtagUse = originalGetHashtagUse;
+  }
+}
+
+// Test: A run records the outcome of every hashtag and is partial when some of them fail
+async function testPartialRun() {
+  const hashtags = scheduleService.getAllHashtags(date);
+  const failing = hashtags.slice(0, 1);
+
+  await withCollector(failing, async () => {
+    const { run, result } = await historyCollector.recordRun({ trigger: 'cron', operation: 'collect' },
+      runId => historyCollector.collectAllHashtags(date, { revise: false, runId }));
+
+    assert.strictEqual(result.errors, 1);
+    assert.strictEqual(run.status, 'partial');
+    assert.strictEqual(run.trigger, 'cron');
+    assert.strictEqual(run.startDate, date, 'Dates are filled in from the outcomes');
+    assert.strictEqual(run.endDate, date);
+    assert.ok(run.finishedAt);
+    assert.strictEqual(run.counts.collected, hashtags.length - 1);
+    assert.strictEqual(run.counts.failed, 1);
+    assert.strictEqual(run.hashtags.length, hashtags.length);
+
+    const failed = run.hashtags.find(outcome => outcome.outcome === 'failed');
+    assert.strictEqual(failed.hashtag, failing[0]);
+    assert.match(failed.error, /Timeout/);
+
+    // Collecting again skips what is stored
+    const { run: again } = await historyCollector.recordRun({ trigger: 'cli', operation: 'collect' },
+      runId => historyCollector.collectAllHashtags(date, { revise: false, runId }));
+    assert.strictEqual(again.counts.skipped, hashtags.length - 1);
+    assert.strictEqual(again.status, 'partial');
+  });
+
+  console.log('✓ testPartialRun');
+}
+
+// Test: A run fails when every hashtag fails or the work throws
+async function testFailedRun() {
+  const hashtags = scheduleService.getAllHashtags(date);
+
+  await withCollector(hashtags, async () => {
+    const { run } = await historyCollector.recordRun({ trigger: 'api', operation: 'collect' },
+      runId => historyCollector.collectAllHashtags(date, { revise: false, runId }));
+    assert.strictEqual(run.status, 'failed');
+    assert.match(run.error, /Timeout/);
+
+    await assert.rejects(
+      historyCollector.recordRun({ trigger: 'cli', operation: 'range' }, async () => {
+        throw new Error('Invalid date range provided');
+      }),
+      /Invalid date range/
+    );
+    const { lastRun } = collectionRunStore.getLatest();
+    assert.strictEqual(lastRun.status, 'failed');
+    assert.strictEqual(lastRun.error, 'Invalid date range provided');
+  });
+
+  console.log('✓ testFailedRun');
+}
+
+// Test: Runs are paged newest first and can be filtered
+async function testListRuns() {
+  await withCollector([], async () => {
+    ['cron', 'cli', 'cron'].forEach(trigger => {
+      collectionRunStore.finish(collectionRunStore.start({ trigger, operation: 'collect' }));
+    });
+    collectionRunStore.start({ trigger: 'api', operation: 'collect' });
+
+    const page = collectionRunStore.listRuns({ limit: 2, offset: 1 });
+    assert.strictEqual(page.total, 4);
+    assert.deepStrictEqual(page.runs.map(run => run.id), [3, 2]);
+
+    const cron = collectionRunStore.listRuns({ trigger: 'cron' });
+    assert.deepStrictEqual(cron.runs.map(run => run.id), [3, 1]);
+    assert.strictEqual(collectionRunStore.listRuns({ status: 'running' }).total, 1);
+
+    const { lastRun, lastSuccessfulRun } = collectionRunStore.getLatest();
+    assert.strictEqual(lastRun.id, 3, 'Runs still in progress are not the last run');
+    assert.strictEqual(lastSuccessfulRun.id, 3);
+  });
+
+  console.log('✓ testListRuns');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running collection run tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testPartialRun,
+    testFailedRun,
+    testListRuns
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testPartialRun,
+  testFailedRun,
+  testListRuns
+};
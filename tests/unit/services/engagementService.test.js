@@ -0,0 +1,140 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import { runMigrations } from '../../../src/database/migrations.js';
+import { StatusStore } from '../../../src/services/statusStore.js';
+import { EngagementService, measureGrowth } from '../../../src/services/engagementService.js';
+
+/**
+ * Test suite for engagement time series and rising rankings
+ * Runs against an in-memory database with the application migrations
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOON = Date.parse('2026-03-10T12:00:00.000Z');
+
+function snapshot(hours, favourites, reblogs = 0, replies = 0) {
+  return {
+    captured_at: new Date(NOON + hours * HOUR_MS).toISOString(),
+    favourites_count: favourites,
+    reblogs_count: reblogs,
+    replies_count: replies
+  };
+}
+
+function createStatus(id, createdAt, counts = {}) {
+  return {
+    id,
+    uri: `https://example.social/users/ana/statuses/${id}`,
+    created_at: new Date(createdAt).toISOString(),
+    content: `<p>Post ${id}</p>`,
+    favourites_count: 0,
+    reblogs_count: 0,
+    replies_count: 0,
+    tags: [{ name: 'arte' }],
+    account: { id: '7', username: 'ana' },
+    ...counts
+  };
+}
+
+// Test: Growth is measured from the last snapshot before the window
+function testMeasureGrowthFromBaseline() {
+  const status = { created_at: new Date(NOON - 10 * HOUR_MS).toISOString() };
+  const growth = measureGrowth(status, [snapshot(-5, 10), snapshot(-3, 12, 1), snapshot(-1, 20, 3, 1)], NOON - 3 * HOUR_MS, NOON);
+
+  assert.deepStrictEqual(growth.gained, { favourites: 8, reblogs: 2, replies: 1, total: 11 });
+  assert.strictEqual(growth.perHour, 3.7);
+  assert.deepStrictEqual(growth.current, { favourites: 20, reblogs: 3, replies: 1 });
+  assert.strictEqual(measureGrowth(status, [], NOON - HOUR_MS, NOON), null);
+  console.log('✓ testMeasureGrowthFromBaseline');
+}
+
+// Test: Statuses created inside the window grow from zero over their own lifetime
+function testMeasureGrowthForNewStatus() {
+  const status = { created_at: new Date(NOON - HOUR_MS).toISOString() };
+  const growth = measureGrowth(status, [snapshot(-0.5, 3), snapshot(0, 6)], NOON - 3 * HOUR_MS, NOON);
+
+  assert.strictEqual(growth.gained.total, 6);
+  assert.strictEqual(growth.perHour, 6);
+  console.log('✓ testMeasureGrowthForNewStatus');
+}
+
+// Test: Rising statuses are ranked by engagement per hour, skipping static ones
+function testFastestRising() {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  const store = new StatusStore(db, { trackingHours: 72 });
+  const service = new EngagementService(store);
+  const write = (hours, statuses) => store.upsertStatuses('example.social', statuses, 'arte', { now: new Date(NOON + hours * HOUR_MS) });
+
+  write(-4, [createStatus('1', NOON - 6 * HOUR_MS, { favourites_count: 50 }), createStatus('2', NOON - 6 * HOUR_MS)]);
+  write(-1, [createStatus('1', NOON - 6 * HOUR_MS, { favourites_count: 50 }), createStatus('2', NOON - 6 * HOUR_MS, { favourites_count: 9 })]);
+  write(0, [createStatus('3', NOON - 0.5 * HOUR_MS, { favourites_count: 5, reblogs_count: 5 })]);
+
+  const rising = service.getFastestRising(['arte'], { since: new Date(NOON - 24 * HOUR_MS), windowHours: 3, now: new Date(NOON) });
+
+  assert.deepStrictEqual(rising.map(status => status.id), ['3', '2']);
+  assert.strictEqual(rising[0].perHour, 20);
+  assert.strictEqual(rising[1].gained.favourites, 9);
+  assert.deepStrictEqual(rising[0].hashtags, ['arte']);
+  console.log('✓ testFastestRising');
+}
+
+// Test: The series lists snapshots with their age, and unknown statuses are not found
+function testSeries() {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  const store = new StatusStore(db, { trackingHours: 72 });
+  const service = new EngagementService(store);
+
+  store.upsertStatuses('example.social', [createStatus('1', NOON)], 'arte', { now: new Date(NOON + HOUR_MS) });
+  store.upsertStatuses('example.social', [createStatus('1', NOON, { reblogs_count: 2 })], 'arte', { now: new Date(NOON + 2.5 * HOUR_MS) });
+
+  const series = service.getSeries('1', 'example.social');
+  assert.deepStrictEqual(series.snapshots.map(point => [point.hoursSinceCreated, point.reblogs]), [[1, 0], [2.5, 2]]);
+  assert.strictEqual(series.current.reblogs, 2);
+  assert.throws(() => service.getSeries('2', 'example.social'), { name: 'NotFoundError' });
+  console.log('✓ testSeries');
+}
+
+// Run all tests
+import { pathToFileURL } from 'url';
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running engagement tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testMeasureGrowthFromBaseline,
+    testMeasureGrowthForNewStatus,
+    testFastestRising,
+    testSeries
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testMeasureGrowthFromBaseline,
+  testMeasureGrowthForNewStatus,
+  testFastestRising,
+  testSeries
+};
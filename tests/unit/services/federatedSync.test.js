@@ -0,0 +1,180 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import { pathToFileURL } from 'url';
+import { runMigrations } from '../../../src/database/migrations.js';
+import { FakeMastodonServer } from '../../../src/fake/mastodonServer.js';
+import { FederatedMastodonService } from '../../../src/services/federatedMastodon.js';
+import { MastodonService } from '../../../src/services/mastodon.js';
+import { StatusStore } from '../../../src/services/statusStore.js';
+import { TootStore } from '../../../src/services/tootStore.js';
+import { appConfig as config } from '../../../src/config/index.js';
+
+/**
+ * Test suite for the incremental, windowed toot sync across instances
+ * Toots come from fake Mastodon servers through the real MastodonService and are
+ * stored in an in-memory database with the application migrations
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createStore() {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  return new TootStore(new StatusStore(db), db);
+}
+
+/**
+ * Run a test against one fake server per options object, each configured as an instance
+ * (the first one primary), without the spacing between requests
+ */
+async function withInstances(optionsList, run) {
+  const servers = optionsList.map(options => new FakeMastodonServer(options));
+  const originalDelay = config.performance.rateLimitDelay;
+  config.performance.rateLimitDelay = 0;
+  try {
+    const instances = [];
+    for (const [index, server] of servers.entries()) {
+      instances.push({ name: `instance${index + 1}.social`, url: await server.start(), accessToken: null, primary: index === 0 });
+    }
+    const federated = new FederatedMastodonService(instances, new MastodonService(instances[0]));
+    await run(federated, servers, createStore());
+  } finally {
+    config.performance.rateLimitDelay = originalDelay;
+    await Promise.all(servers.map(server => server.stop()));
+  }
+}
+
+function timelineRequests(server) {
+  return server.requests.filter(request => request.path.includes('/timelines/tag/'));
+}
+
+// Test: A second sync resumes from the stored cursor and only asks for newer toots
+async function testResumesFromCursor() {
+  await withInstances([{ perDay: 20, days: 4 }], async (federated, [server], store) => {
+    const since = new Date(Date.now() - 2 * DAY_MS);
+    const first = await federated.fetchTootsIncrementally('arte', { since }, store);
+    const inWindow = server.getTimeline('arte').filter(status => new Date(status.created_at) >= since);
+
+    assert.strictEqual(first.coverage.complete, true);
+    assert.deepStrictEqual(first.toots.map(toot => toot.id), inWindow.map(status => status.id));
+    const cursor = store.getCursor('arte', 'instance1.social');
+    assert.strictEqual(cursor.newestId, inWindow[0].id);
+    assert.ok(cursor.coveredSince <= first.coverage.since);
+
+    // More new toots than fit in one page: a run cut short by maxPages is picked up by the next one
+    const published = Array.from({ length: 45 }, () => server.publishSynthetic('arte'));
+    server.requests = [];
+    const partial = await federated.fetchTootsIncrementally('arte', { since, maxPages: 1 }, store);
+
+    assert.deepStrictEqual(timelineRequests(server).map(request => request.query.min_id), [cursor.newestId]);
+    assert.strictEqual(partial.coverage.complete, false);
+    assert.strictEqual(partial.toots.length, inWindow.length + config.performance.tootsPerPage);
+
+    const resumed = await federated.fetchTootsIncrementally('arte', { since }, store);
+    assert.strictEqual(resumed.coverage.complete, true);
+    // Statuses published in the same millisecond share created_at, so compare the ids unordered
+    assert.deepStrictEqual(resumed.toots.map(toot => toot.id).sort(), [...published, ...inWindow].map(status => status.id).sort());
+    assert.ok(timelineRequests(server).every(request => request.query.min_id));
+    assert.strictEqual(store.getCursor('arte', 'instance1.social').newestId, published.at(-1).id);
+  });
+  console.log('✓ testResumesFromCursor');
+}
+
+// Test: A window cut short by maxPages is reported incomplete and backfilled by later syncs
+async function testPartialWindow() {
+  await withInstances([{ perDay: 30, days: 5 }], async (federated, [server], store) => {
+    const timeline = server.getTimeline('arte');
+    const pageSize = config.performance.tootsPerPage;
+    assert.ok(timeline.length > 2 * pageSize, 'the timeline spans more than two pages');
+
+    const first = await federated.fetchTootsIncrementally('arte', { maxPages: 1 }, store);
+    const [coverage] = first.coverage.instances;
+
+    assert.strictEqual(first.coverage.complete, false);
+    assert.strictEqual(coverage.complete, false);
+    assert.strictEqual(coverage.pagesFetched, 1);
+    assert.strictEqual(coverage.coveredSince, timeline[pageSize - 1].created_at);
+    assert.deepStrictEqual(first.toots.map(toot => toot.id), timeline.slice(0, pageSize).map(status => status.id));
+
+    // Each sync continues below the oldest stored toot until the timeline is exhausted
+    let result = first;
+    for (let run = 0; run < 10 && !result.coverage.complete; run++) {
+      result = await federated.fetchTootsIncrementally('arte', { maxPages: 1 }, store);
+    }
+
+    assert.strictEqual(result.coverage.complete, true);
+    assert.ok(result.coverage.instances[0].coveredSince <= store.getRetentionCutoff());
+    assert.deepStrictEqual(result.toots.map(toot => toot.id), timeline.map(status => status.id));
+  });
+  console.log('✓ testPartialWindow');
+}
+
+// Test: Toots known to a second instance under the same uri are merged into the primary's copy
+async function testSecondInstanceDuplicates() {
+  await withInstances([{ perDay: 10, days: 2 }, { perDay: 10, days: 2 }], async (federated, [primary, secondary], store) => {
+    // The second instance knows some of the primary's toots, under its own ids, plus one of its own
+    const shared = primary.getTimeline('arte').slice(0, 5);
+    secondary.timelines.set('arte', shared.map(status => ({ ...status, id: (BigInt(status.id) + 1n).toString() })));
+    const own = secondary.publishSynthetic('arte');
+
+    const { toots, coverage } = await federated.fetchTootsIncrementally('arte', {}, store);
+
+    assert.strictEqual(coverage.complete, true);
+    assert.deepStrictEqual(coverage.instances.map(instance => instance.instance), ['instance1.social', 'instance2.social']);
+    assert.strictEqual(toots.length, primary.getTimeline('arte').length + 1);
+    assert.strictEqual(new Set(toots.map(toot => toot.uri)).size, toots.length);
+
+    shared.forEach(status => {
+      const toot = toots.find(candidate => candidate.uri === status.uri);
+      assert.strictEqual(toot.id, status.id);
+      assert.strictEqual(toot.instance, 'instance1.social');
+      assert.deepStrictEqual(toot.sourceInstances, ['instance1.social', 'instance2.social']);
+    });
+    const ownToot = toots.find(toot => toot.uri === own.uri);
+    assert.strictEqual(ownToot.instance, 'instance2.social');
+    assert.deepStrictEqual(ownToot.sourceInstances, ['instance2.social']);
+
+    // Each instance keeps its own copies and cursor
+    assert.strictEqual(store.getToots('arte', 'instance2.social').length, shared.length + 1);
+    assert.strictEqual(store.getCursor('arte', 'instance2.social').newestId, own.id);
+  });
+  console.log('✓ testSecondInstanceDuplicates');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running federated sync tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testResumesFromCursor,
+    testPartialWindow,
+    testSecondInstanceDuplicates
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testResumesFromCursor,
+  testPartialWindow,
+  testSecondInstanceDuplicates
+};
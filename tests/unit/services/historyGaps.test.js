@@ -0,0 +1,134 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import moment from 'moment-timezone';
+import { pathToFileURL } from 'url';
+import { runMigrations } from '../../../src/database/migrations.js';
+import { databaseService } from '../../../src/services/databaseService.js';
+import { SqliteHistoryStorage } from '../../../src/database/storage/index.js';
+import { scheduleService } from '../../../src/services/scheduleService.js';
+import { historyCollector } from '../../../src/services/historyCollector.js';
+import { federatedMastodonService } from '../../../src/services/federatedMastodon.js';
+import { appConfig as config } from '../../../src/config/index.js';
+
+/**
+ * Test suite for history gap detection and backfill
+ * Runs the service singletons against an in-memory database with the seeded schedule
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+const today = moment().tz(config.server.timezone).format('YYYY-MM-DD');
+const daysAgo = n => moment.tz(today, config.server.timezone).subtract(n, 'days').format('YYYY-MM-DD');
+
+/**
+ * Run a test with the singletons pointed at a fresh database where every scheduled hashtag
+ * was collected from 10 days ago to yesterday, except the given days
+ */
+async function withHistory(missing, test) {
+  const originalHistoryStorage = databaseService.storage;
+  const originalScheduleDb = scheduleService.db;
+  const originalGetHashtagUse = federatedMastodonService.getHashtagUse;
+
+  try {
+    const db = new Database(':memory:');
+    runMigrations(db);
+    databaseService.storage = new SqliteHistoryStorage(db);
+    scheduleService.db = db;
+
+    for (let n = 10; n >= 1; n--) {
+      const date = daysAgo(n);
+      const collected = scheduleService.getAllHashtags(date)
+        .filter(hashtag => !missing.some(gap => gap.date === date && (!gap.hashtag || gap.hashtag === hashtag)));
+      for (const hashtag of collected) {
+        await databaseService.saveDailyHashtagData(hashtag, date, { uses: 5, accounts: 2 });
+      }
+    }
+
+    await test();
+  } finally {
+    databaseService.storage = originalHistoryStorage;
+    scheduleService.db = originalScheduleDb;
+    federatedMastodonService.getHashtagUse = originalGetHashtagUse;
+  }
+}
+
+// Test: Missing days are split by Mastodon's history window
+async function testFindGaps() {
+  const lostHashtag = scheduleService.getAllHashtags(daysAgo(9))[0];
+
+  await withHistory([{ date: daysAgo(9), hashtag: lostHashtag }, { date: daysAgo(2) }], async () => {
+    const gaps = await historyCollector.findGaps();
+
+    assert.strictEqual(gaps.start, daysAgo(10), 'The scan should start at the first collected day');
+    assert.strictEqual(gaps.end, daysAgo(1));
+    assert.strictEqual(gaps.recoverableFrom, daysAgo(6));
+    assert.deepStrictEqual(gaps.unrecoverable, [{ date: daysAgo(9), hashtags: [lostHashtag] }]);
+    assert.strictEqual(gaps.recoverable.length, 1);
+    assert.strictEqual(gaps.recoverable[0].date, daysAgo(2));
+    assert.strictEqual(gaps.missing, 1 + gaps.recoverable[0].hashtags.length);
+  });
+
+  console.log('✓ testFindGaps');
+}
+
+// Test: Backfill fetches each hashtag once and fills the recoverable days
+async function testBackfillGaps() {
+  await withHistory([{ date: daysAgo(2) }, { date: daysAgo(3) }], async () => {
+    const expected = scheduleService.getAllHashtags(daysAgo(2)).length
+      + scheduleService.getAllHashtags(daysAgo(3)).length;
+    const fetched = [];
+
+    federatedMastodonService.getHashtagUse = async hashtag => {
+      fetched.push(hashtag);
+      return [0, 1, 2, 3, 4, 5, 6].map(n => ({
+        day: String(moment.utc(daysAgo(n)).unix()),
+        uses: '7',
+        accounts: '3'
+      }));
+    };
+
+    const summary = await historyCollector.backfillGaps();
+
+    assert.strictEqual(summary.collected, expected);
+    assert.strictEqual(summary.stillMissing.length, 0);
+    assert.strictEqual(new Set(fetched).size, fetched.length, 'Each hashtag should be fetched once');
+    assert.strictEqual((await historyCollector.findGaps()).missing, 0);
+    assert.strictEqual((await databaseService.getDailyData(fetched[0], daysAgo(1))).uses, 5, 'Collected days are left alone');
+  });
+
+  console.log('✓ testBackfillGaps');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running history gap tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testFindGaps,
+    testBackfillGaps
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testFindGaps,
+  testBackfillGaps
+};
@@ -0,0 +1,142 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import moment from 'moment-timezone';
+import { pathToFileURL } from 'url';
+import { runMigrations } from '../../../src/database/migrations.js';
+import { DatabaseService, databaseService } from '../../../src/services/databaseService.js';
+import { SqliteHistoryStorage } from '../../../src/database/storage/index.js';
+import { historyCollector } from '../../../src/services/historyCollector.js';
+import { federatedMastodonService } from '../../../src/services/federatedMastodon.js';
+import { appConfig as config } from '../../../src/config/index.js';
+
+/**
+ * Test suite for daily count upserts and their revisions
+ * Runs against an in-memory database with the application migrations
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+function createDatabase() {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  return db;
+}
+
+// Test: Changed counts update the row, keep the first-seen values and record a revision
+async function testUpsertRecordsRevisions() {
+  const service = new DatabaseService(new SqliteHistoryStorage(createDatabase()));
+
+  assert.strictEqual(await service.saveDailyHashtagData('arte', '2026-03-10', { uses: 40, accounts: 12 }), 'inserted');
+  assert.strictEqual(await service.saveDailyHashtagData('arte', '2026-03-10', { uses: 40, accounts: 12 }), 'unchanged');
+  assert.strictEqual(await service.saveDailyHashtagData('arte', '2026-03-10', { uses: '55', accounts: '15' }), 'updated');
+
+  const day = await service.getDailyData('arte', '2026-03-10');
+  assert.strictEqual(day.uses, 55);
+  assert.strictEqual(day.accounts, 15);
+  assert.strictEqual(day.firstUses, 40);
+  assert.strictEqual(day.firstAccounts, 12);
+  assert.ok(day.updatedAt);
+
+  const revisions = await service.getRevisions('arte', '2026-03-10');
+  assert.strictEqual(revisions.length, 2, 'Unchanged collections should not add revisions');
+  assert.deepStrictEqual(
+    revisions.map(r => [r.previousUses, r.uses]),
+    [[null, 40], [40, 55]]
+  );
+
+  console.log('✓ testUpsertRecordsRevisions');
+}
+
+// Test: overwrite false leaves existing rows alone
+async function testNoOverwrite() {
+  const service = new DatabaseService(new SqliteHistoryStorage(createDatabase()));
+
+  await service.saveDailyHashtagData('arte', '2026-03-10', { uses: 40, accounts: 12 });
+  const result = await service.saveDailyHashtagData('arte', '2026-03-10', { uses: 99, accounts: 99 }, { overwrite: false });
+
+  assert.strictEqual(result, 'unchanged');
+  assert.strictEqual((await service.getDailyData('arte', '2026-03-10')).uses, 40);
+  assert.strictEqual((await service.getRevisions('arte', '2026-03-10')).length, 1);
+
+  console.log('✓ testNoOverwrite');
+}
+
+// Test: The collector revisits the days in the revision window and leaves older days alone
+async function testCollectorRevisesRecentDays() {
+  const originalHistoryStorage = databaseService.storage;
+  const originalGetHashtagUse = federatedMastodonService.getHashtagUse;
+  const originalRevisionDays = config.history.revisionDays;
+
+  const today = moment().tz(config.server.timezone).format('YYYY-MM-DD');
+  const daysAgo = n => moment.tz(today, config.server.timezone).subtract(n, 'days').format('YYYY-MM-DD');
+  const dayEntry = (date, uses) => ({ day: String(moment.utc(date).unix()), uses: String(uses), accounts: '3' });
+
+  try {
+    databaseService.storage = new SqliteHistoryStorage(createDatabase());
+    config.history.revisionDays = 2;
+
+    await databaseService.saveDailyHashtagData('arte', daysAgo(1), { uses: 10, accounts: 3 });
+    await databaseService.saveDailyHashtagData('arte', daysAgo(3), { uses: 10, accounts: 3 });
+
+    federatedMastodonService.getHashtagUse = async () => [
+      dayEntry(today, 5),
+      dayEntry(daysAgo(1), 25),
+      dayEntry(daysAgo(2), 20),
+      dayEntry(daysAgo(3), 30)
+    ];
+
+    const changed = await historyCollector.collectHashtagData('arte', today);
+
+    assert.strictEqual(changed, true);
+    assert.strictEqual((await databaseService.getDailyData('arte', today)).uses, 5);
+    assert.strictEqual((await databaseService.getDailyData('arte', daysAgo(1))).uses, 25, 'Yesterday should be revised');
+    assert.strictEqual((await databaseService.getDailyData('arte', daysAgo(1))).firstUses, 10);
+    assert.strictEqual((await databaseService.getDailyData('arte', daysAgo(2))).uses, 20, 'Missing days in the window are filled');
+    assert.strictEqual((await databaseService.getDailyData('arte', daysAgo(3))).uses, 10, 'Days before the window are final');
+
+    const stats = historyCollector.getStats().byOperation.hashtagData;
+    assert.strictEqual(stats.revised, 1);
+  } finally {
+    databaseService.storage = originalHistoryStorage;
+    federatedMastodonService.getHashtagUse = originalGetHashtagUse;
+    config.history.revisionDays = originalRevisionDays;
+  }
+
+  console.log('✓ testCollectorRevisesRecentDays');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running history revision tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testUpsertRecordsRevisions,
+    testNoOverwrite,
+    testCollectorRevisesRecentDays
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testUpsertRecordsRevisions,
+  testNoOverwrite,
+  testCollectorRevisesRecentDays
+};
@@ -0,0 +1,335 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import os from 'os';
+import { spawnSync } from 'child_process';
+import { pathToFileURL } from 'url';
+import { runMigrations } from '../../../src/database/migrations.js';
+import { JobScheduler } from '../../../src/services/jobScheduler.js';
+import { ConflictError } from '../../../src/errors/index.js';
+
+/**
+ * Test suite for the job scheduler
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+/**
+ * Create a scheduler on a fresh in-memory database
+ */
+function createScheduler() {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  return new JobScheduler(db, { timezone: 'UTC', lockTimeoutMinutes: 60, runRetentionDays: 30 });
+}
+
+// Test: A run records its result and log lines
+async function testRunRecordsResultAndLogs() {
+  const scheduler = createScheduler();
+  scheduler.register('count', {
+    schedule: '0 3 * * *',
+    description: 'Counts things',
+    handler: async context => {
+      context.log('Counting', { items: 3 });
+      return { counted: 3 };
+    }
+  });
+
+  const run = await scheduler.runJob('count');
+
+  assert.strictEqual(run.status, 'succeeded');
+  assert.strictEqual(run.trigger, 'manual');
+  assert.deepStrictEqual(run.result, { counted: 3 });
+  assert.strictEqual(run.logs.length, 1);
+  assert.strictEqual(run.logs[0].message, 'Counting');
+  assert.deepStrictEqual(run.logs[0].meta, { items: 3 });
+
+  const job = scheduler.getJob('count');
+  assert.strictEqual(job.running, false, 'The lock should be released');
+  assert.strictEqual(job.lastRun.id, run.id);
+  assert.strictEqual(job.lastRun.logLines, 1);
+  assert.ok(job.nextRunAt.endsWith('T03:00:00.000Z'));
+
+  console.log('✓ testRunRecordsResultAndLogs');
+}
+
+// Test: A failing handler is recorded as a failed run
+async function testFailedRun() {
+  const scheduler = createScheduler();
+  scheduler.register('broken', {
+    schedule: '@hourly',
+    handler: async () => {
+      throw new Error('Mastodon is down');
+    }
+  });
+
+  const run = await scheduler.runJob('broken');
+
+  assert.strictEqual(run.status, 'failed');
+  assert.strictEqual(run.error, 'Mastodon is down');
+  assert.strictEqual(run.logs.at(-1).message, 'Failed: Mastodon is down');
+  assert.strictEqual(scheduler.getJob('broken').running, false);
+
+  console.log('✓ testFailedRun');
+}
+
+// Test: A job that is already running is not started again
+async function testOverlapIsSkipped() {
+  const scheduler = createScheduler();
+  let release;
+  scheduler.register('slow', {
+    schedule: '@daily',
+    handler: () => new Promise(resolve => { release = resolve; })
+  });
+
+  const { run, finished } = scheduler.startRun('slow', { trigger: 'schedule' });
+  assert.strictEqual(run.status, 'running');
+  assert.strictEqual(scheduler.getJob('slow').running, true);
+
+  assert.throws(() => scheduler.startRun('slow'), error => error instanceof ConflictError);
+
+  release({ done: true });
+  await finished;
+
+  const runs = scheduler.getRuns('slow');
+  assert.deepStrictEqual(runs.map(r => r.status), ['skipped', 'succeeded']);
+  assert.strictEqual(runs[0].trigger, 'manual');
+  assert.match(runs[0].error, /Already running/);
+  assert.strictEqual(scheduler.getJob('slow').running, false, 'The job can run again once finished');
+
+  console.log('✓ testOverlapIsSkipped');
+}
+
+// Test: A run longer than the lock timeout keeps its lock, so another process cannot start it
+async function testLongRunRefreshesLock() {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  // A lock expires after 60ms and is refreshed every 10ms
+  const options = { timezone: 'UTC', lockTimeoutMinutes: 0.001, lockRefreshMs: 10, runRetentionDays: 30 };
+  const scheduler = new JobScheduler(db, options);
+  const other = new JobScheduler(db, options);
+  other.owner = 'other-host:1234';
+  let release;
+  [scheduler, other].forEach(instance => instance.register('backfill', {
+    schedule: '@daily',
+    handler: () => new Promise(resolve => { release = resolve; })
+  }));
+
+  const { finished } = scheduler.startRun('backfill');
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.throws(() => other.startRun('backfill'), error => error instanceof ConflictError);
+
+  release();
+  await finished;
+  assert.strictEqual(scheduler.getJob('backfill').running, false);
+  assert.deepStrictEqual(scheduler.getRuns('backfill').map(run => run.status), ['skipped', 'succeeded']);
+
+  console.log('✓ testLongRunRefreshesLock');
+}
+
+// Test: Schedule and enabled overrides persist and can be reset to the defaults
+async function testUpdateJob() {
+  const scheduler = createScheduler();
+  scheduler.register('summary', { schedule: '0 22 * * *', enabled: false, handler: async () => null });
+
+  assert.strictEqual(scheduler.getJob('summary').nextRunAt, null, 'Disabled jobs have no next run');
+
+  let job = scheduler.updateJob('summary', { schedule: '*/30 * * * *', enabled: true });
+  assert.strictEqual(job.schedule, '*/30 * * * *');
+  assert.strictEqual(job.defaultSchedule, '0 22 * * *');
+  assert.strictEqual(job.enabled, true);
+  assert.strictEqual(job.overridden, true);
+  assert.ok(job.nextRunAt);
+
+  assert.throws(() => scheduler.updateJob('summary', { schedule: '* * *' }), error => error.code === 'VALIDATION_ERROR');
+  assert.throws(() => scheduler.updateJob('missing', { enabled: true }), error => error.code === 'NOT_FOUND');
+
+  job = scheduler.updateJob('summary', { schedule: null, enabled: null });
+  assert.strictEqual(job.schedule, '0 22 * * *');
+  assert.strictEqual(job.enabled, false);
+  assert.strictEqual(job.overridden, false);
+
+  console.log('✓ testUpdateJob');
+}
+
+// Test: Starting the scheduler fails runs left behind by a stopped process
+async function testRecoverInterruptedRuns() {
+  const scheduler = createScheduler();
+  scheduler.register('collect', { schedule: '@daily', handler: async () => null });
+  scheduler.db.prepare('UPDATE scheduled_jobs SET locked_by = ?, locked_at = ? WHERE name = ?')
+    .run(scheduler.owner, new Date().toISOString(), 'collect');
+  scheduler.db.prepare("INSERT INTO job_runs (job_name, trigger, status, started_at) VALUES ('collect', 'schedule', 'running', ?)")
+    .run(new Date().toISOString());
+
+  scheduler.start();
+  try {
+    const [run] = scheduler.getRuns('collect');
+    assert.strictEqual(run.status, 'failed');
+    assert.match(run.error, /Interrupted/);
+    assert.strictEqual(scheduler.getJob('collect').running, false);
+    assert.ok(scheduler.nextRuns.get('collect') instanceof Date);
+  } finally {
+    scheduler.stop();
+  }
+
+  console.log('✓ testRecoverInterruptedRuns');
+}
+
+// Test: After a restart with another pid, locks of stopped processes on this host are released
+async function testRecoverAfterRestartWithNewPid() {
+  const scheduler = createScheduler();
+  const lock = scheduler.db.prepare('UPDATE scheduled_jobs SET locked_by = ?, locked_at = ? WHERE name = ?');
+  const startRun = scheduler.db.prepare("INSERT INTO job_runs (job_name, trigger, status, started_at) VALUES (?, 'schedule', 'running', ?)");
+  // The pid of a process that has exited stands for the previous run of the server
+  const stoppedPid = spawnSync(process.execPath, ['-e', '']).pid;
+  const now = new Date().toISOString();
+
+  ['collect', 'summary', 'elsewhere'].forEach(name => scheduler.register(name, { schedule: '@daily', handler: async () => null }));
+  lock.run(`${os.hostname()}:${stoppedPid}`, now, 'collect');
+  lock.run(`${os.hostname()}:${process.ppid}`, now, 'summary');
+  lock.run('other-host:1234', now, 'elsewhere');
+  ['collect', 'summary', 'elsewhere'].forEach(name => startRun.run(name, now));
+
+  scheduler.start();
+  try {
+    assert.notStrictEqual(scheduler.owner, `${os.hostname()}:${stoppedPid}`);
+    assert.strictEqual(scheduler.getJob('collect').running, false);
+    assert.strictEqual(scheduler.getRuns('collect')[0].status, 'failed');
+
+    // Locks of running processes, and of other hosts, are left until they expire
+    assert.strictEqual(scheduler.getJob('summary').running, true);
+    assert.strictEqual(scheduler.getRuns('summary')[0].status, 'running');
+    assert.strictEqual(scheduler.getJob('elsewhere').running, true);
+    assert.strictEqual(scheduler.getRuns('elsewhere')[0].status, 'running');
+
+    const run = await scheduler.runJob('collect');
+    assert.strictEqual(run.status, 'succeeded');
+  } finally {
+    scheduler.stop();
+  }
+
+  console.log('✓ testRecoverAfterRestartWithNewPid');
+}
+
+/**
+ * In-memory stand-in for the PostgreSQL scheduler lock shared by several instances
+ */
+function createLeadership() {
+  const shared = { holder: null };
+  const forInstance = () => {
+    const instance = {
+      onLost: null,
+      acquireSchedulerLock: async onLost => {
+        if (shared.holder && shared.holder !== instance) {
+          return false;
+        }
+        shared.holder = instance;
+        instance.onLost = onLost;
+        return true;
+      },
+      releaseSchedulerLock: async () => {
+        if (shared.holder === instance) {
+          shared.holder = null;
+        }
+      },
+      // The connection holding the lock went away
+      lose: () => {
+        shared.holder = null;
+        instance.onLost(new Error('Connection terminated'));
+      }
+    };
+    return instance;
+  };
+  return { shared, forInstance };
+}
+
+// Test: With a leadership, one instance runs the jobs and the others stand by until it stops
+async function testElectedScheduler() {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  const { shared, forInstance } = createLeadership();
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const [first, second] = [forInstance(), forInstance()].map(leadership => {
+    const scheduler = new JobScheduler(db, { timezone: 'UTC', lockTimeoutMinutes: 60, runRetentionDays: 30, leadership, electionIntervalMs: 10 });
+    scheduler.register('collect', { schedule: '@daily', handler: async () => ({ collected: true }) });
+    return scheduler;
+  });
+
+  try {
+    first.start();
+    await wait(5);
+    second.start();
+    await wait(5);
+
+    assert.strictEqual(first.active, true);
+    assert.ok(first.nextRuns.get('collect') instanceof Date);
+    assert.strictEqual(second.active, false);
+    assert.strictEqual(second.nextRuns.size, 0);
+    assert.throws(() => second.startRun('collect'), error => error instanceof ConflictError && error.details.leader === false);
+    assert.strictEqual((await first.runJob('collect')).status, 'succeeded');
+
+    // The standby takes over once the scheduler stops
+    first.stop();
+    await wait(50);
+    assert.strictEqual(shared.holder, second.leadership);
+    assert.strictEqual(second.active, true);
+    assert.throws(() => first.startRun('collect'), error => error instanceof ConflictError);
+
+    // A lost connection stops the schedule until the lock is taken again
+    second.leadership.lose();
+    assert.strictEqual(second.active, false);
+    assert.strictEqual(second.nextRuns.size, 0);
+    await wait(50);
+    assert.strictEqual(second.active, true);
+  } finally {
+    first.stop();
+    second.stop();
+  }
+
+  console.log('✓ testElectedScheduler');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running job scheduler tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testRunRecordsResultAndLogs,
+    testFailedRun,
+    testOverlapIsSkipped,
+    testLongRunRefreshesLock,
+    testUpdateJob,
+    testRecoverInterruptedRuns,
+    testRecoverAfterRestartWithNewPid,
+    testElectedScheduler
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testRunRecordsResultAndLogs,
+  testFailedRun,
+  testOverlapIsSkipped,
+  testLongRunRefreshesLock,
+  testUpdateJob,
+  testRecoverInterruptedRuns,
+  testRecoverAfterRestartWithNewPid,
+  testElectedScheduler
+};
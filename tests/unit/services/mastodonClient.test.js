@@ -0,0 +1,170 @@
+import assert from 'assert';
+import { getEventListeners } from 'events';
+import { MastodonClient, parseLinkHeader, parseRateLimitHeaders } from '../../../src/services/mastodonClient.js';
+import { MastodonService } from '../../../src/services/mastodon.js';
+import { FakeMastodonServer } from '../../../src/fake/mastodonServer.js';
+import { APIError } from '../../../src/errors/index.js';
+import { appConfig as config } from '../../../src/config/index.js';
+
+/**
+ * Test suite for the fetch-based Mastodon client
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+// Test: Mastodon timeline Link header yields next and prev URLs
+function testParseLinkHeader() {
+  const links = parseLinkHeader(
+    '<https://example.social/api/v1/timelines/tag/t?max_id=108>; rel="next", ' +
+    '<https://example.social/api/v1/timelines/tag/t?min_id=110>; rel="prev"'
+  );
+
+  assert.strictEqual(links.next, 'https://example.social/api/v1/timelines/tag/t?max_id=108');
+  assert.strictEqual(links.prev, 'https://example.social/api/v1/timelines/tag/t?min_id=110');
+  console.log('✓ testParseLinkHeader');
+}
+
+// Test: Missing or malformed headers yield no links
+function testParseLinkHeaderEmpty() {
+  assert.deepStrictEqual(parseLinkHeader(null), {});
+  assert.deepStrictEqual(parseLinkHeader('not a link header'), {});
+  console.log('✓ testParseLinkHeaderEmpty');
+}
+
+// Test: X-RateLimit headers are parsed into a budget with resetAt in epoch ms
+function testParseRateLimitHeaders() {
+  const budget = parseRateLimitHeaders(new Headers({
+    'x-ratelimit-limit': '300',
+    'x-ratelimit-remaining': '42',
+    'x-ratelimit-reset': '2025-06-04T12:05:00.000Z'
+  }));
+
+  assert.deepStrictEqual(budget, { limit: 300, remaining: 42, resetAt: Date.parse('2025-06-04T12:05:00.000Z') });
+  assert.strictEqual(parseRateLimitHeaders(new Headers()), null, 'no headers means no known budget');
+  console.log('✓ testParseRateLimitHeaders');
+}
+
+// Test: Endpoints are resolved against the API base URL with query params
+function testBuildUrl() {
+  const client = new MastodonClient({ url: 'https://example.social/api/v1' });
+  const url = client._buildUrl('timelines/tag/t', { limit: 40, max_id: undefined });
+
+  assert.strictEqual(url.href, 'https://example.social/api/v1/timelines/tag/t?limit=40');
+  console.log('✓ testBuildUrl');
+}
+
+// Test: Absolute URLs on another origin are refused so the token is never leaked
+function testBuildUrlRefusesOtherOrigin() {
+  const client = new MastodonClient({ url: 'https://example.social/api/v1/', accessToken: 'secret' });
+
+  assert.throws(() => client._buildUrl('https://evil.example/api/v1/timelines/tag/t'), APIError);
+  assert.strictEqual(
+    client._buildUrl('https://example.social/api/v1/timelines/tag/t?max_id=1').href,
+    'https://example.social/api/v1/timelines/tag/t?max_id=1'
+  );
+  console.log('✓ testBuildUrlRefusesOtherOrigin');
+}
+
+// Test: Requests made under a long-lived signal leave no abort listener on it
+async function testRequestReleasesSignal() {
+  const server = new FakeMastodonServer({ perDay: 5, days: 1 });
+  const client = new MastodonClient({ url: await server.start() });
+  const controller = new AbortController();
+  try {
+    for (let i = 0; i < 3; i++) {
+      await client.get('timelines/tag/arte', { limit: 5 }, { signal: controller.signal });
+    }
+    assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+
+    controller.abort();
+    await assert.rejects(
+      client.get('timelines/tag/arte', {}, { signal: controller.signal }),
+      error => error instanceof APIError && error.details.aborted === true
+    );
+  } finally {
+    await server.stop();
+  }
+  console.log('✓ testRequestReleasesSignal');
+}
+
+// Test: Retry backoffs remove their abort listener, and an aborted signal stops retrying at once
+async function testRetryBackoffReleasesSignal() {
+  const original = { ...config.performance };
+  Object.assign(config.performance, { rateLimitDelay: 0, retryAttempts: 2, retryBaseDelay: 1, retryMaxDelay: 2 });
+  let calls = 0;
+  const client = {
+    get: async () => {
+      calls++;
+      throw new APIError('Request timeout', null, { timeout: true });
+    }
+  };
+  try {
+    const controller = new AbortController();
+    await assert.rejects(
+      new MastodonService({ name: 'flaky.social', url: 'http://127.0.0.1:9/api/v1/' }, client)
+        .request('timelines/tag/arte', {}, 'get', { signal: controller.signal }),
+      error => error.details.timeout === true
+    );
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+
+    calls = 0;
+    controller.abort();
+    await assert.rejects(
+      new MastodonService({ name: 'flaky.social', url: 'http://127.0.0.1:9/api/v1/' }, client)
+        .request('timelines/tag/arte', {}, 'get', { signal: controller.signal }),
+      error => error.details.aborted === true
+    );
+    assert.strictEqual(calls, 1, 'no retry after the signal is aborted');
+  } finally {
+    Object.assign(config.performance, original);
+  }
+  console.log('✓ testRetryBackoffReleasesSignal');
+}
+
+// Run all tests
+import { pathToFileURL } from 'url';
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running Mastodon client tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testParseLinkHeader,
+    testParseLinkHeaderEmpty,
+    testParseRateLimitHeaders,
+    testBuildUrl,
+    testBuildUrlRefusesOtherOrigin,
+    testRequestReleasesSignal,
+    testRetryBackoffReleasesSignal
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testParseLinkHeader,
+  testParseLinkHeaderEmpty,
+  testParseRateLimitHeaders,
+  testBuildUrl,
+  testBuildUrlRefusesOtherOrigin,
+  testRequestReleasesSignal,
+  testRetryBackoffReleasesSignal
+};
@@ -0,0 +1,190 @@
+import assert from 'assert';
+import http from 'http';
+import { MastodonStream, parseServerSentEvents } from '../../../src/services/mastodonStream.js';
+
+/**
+ * Test suite for the Mastodon streaming API client
+ * Stream tests run against a local fake streaming server
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+/**
+ * Start a fake streaming server; `respond(req, res, connection)` writes each connection's events
+ */
+function startFakeStreamingServer(respond) {
+  let connection = 0;
+  const requests = [];
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      requests.push({ url: req.url, authorization: req.headers.authorization });
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      respond(req, res, ++connection);
+    });
+    server.listen(0, '127.0.0.1', () => resolve({
+      server,
+      requests,
+      url: `http://127.0.0.1:${server.address().port}/api/v1/streaming`
+    }));
+  });
+}
+
+/**
+ * Wait for `count` emissions of an event
+ */
+function waitForEvents(emitter, event, count, timeoutMs = 5000) {
+  const received = [];
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${count} '${event}' events`)), timeoutMs);
+    emitter.on(event, (...args) => {
+      received.push(args);
+      if (received.length === count) {
+        clearTimeout(timer);
+        resolve(received);
+      }
+    });
+  });
+}
+
+// Test: Events are parsed, heartbeats skipped and the unterminated remainder kept
+function testParseServerSentEvents() {
+  const { events, rest } = parseServerSentEvents(
+    ':thump\n\nevent: update\ndata: {"id":"1"}\n\nevent: delete\ndata: 2\n\nevent: upd'
+  );
+
+  assert.deepStrictEqual(events, [
+    { event: 'update', data: '{"id":"1"}' },
+    { event: 'delete', data: '2' }
+  ]);
+  assert.strictEqual(rest, 'event: upd');
+  console.log('✓ testParseServerSentEvents');
+}
+
+// Test: Multi-line data and CRLF line endings are supported
+function testParseMultilineData() {
+  const { events } = parseServerSentEvents('event: update\r\ndata: {"id":\r\ndata: "1"}\r\n\r\n');
+
+  assert.deepStrictEqual(events, [{ event: 'update', data: '{"id":\n"1"}' }]);
+  console.log('✓ testParseMultilineData');
+}
+
+// Test: Statuses, edits and deletions from the fake server are emitted, split across chunks
+async function testStreamEmitsEvents() {
+  const fake = await startFakeStreamingServer((req, res) => {
+    res.write(':thump\n\nevent: update\ndata: {"id":"10","content":"hi"}\n\nevent: status.up');
+    setTimeout(() => res.write('date\ndata: {"id":"10","content":"edited"}\n\nevent: delete\ndata: 10\n\n'), 20);
+  });
+  const stream = new MastodonStream({ url: fake.url, stream: 'hashtag', params: { tag: 'caturday' }, accessToken: 'token' });
+
+  try {
+    const updates = waitForEvents(stream, 'update', 1);
+    const edits = waitForEvents(stream, 'status.update', 1);
+    const deletions = waitForEvents(stream, 'delete', 1);
+    stream.start();
+
+    assert.deepStrictEqual((await updates)[0][0], { id: '10', content: 'hi' });
+    assert.deepStrictEqual((await edits)[0][0], { id: '10', content: 'edited' });
+    assert.strictEqual((await deletions)[0][0], '10');
+    assert.deepStrictEqual(fake.requests[0], { url: '/api/v1/streaming/hashtag?tag=caturday', authorization: 'Bearer token' });
+  } finally {
+    stream.stop();
+    fake.server.closeAllConnections();
+    fake.server.close();
+  }
+  console.log('✓ testStreamEmitsEvents');
+}
+
+// Test: The stream reconnects after the server closes the connection
+async function testStreamReconnects() {
+  const fake = await startFakeStreamingServer((req, res, connection) => {
+    res.write(`event: update\ndata: {"id":"${connection}"}\n\n`);
+    if (connection === 1) {
+      res.end();
+    }
+  });
+  const stream = new MastodonStream({ url: fake.url, stream: 'hashtag', params: { tag: 't' }, reconnectBaseMs: 10 });
+
+  try {
+    const updates = waitForEvents(stream, 'update', 2);
+    const disconnections = waitForEvents(stream, 'disconnected', 1);
+    stream.start();
+
+    assert.deepStrictEqual((await updates).map(([status]) => status.id), ['1', '2']);
+    await disconnections;
+    assert.strictEqual(stream.getStatus().connects, 2);
+    assert.strictEqual(stream.getStatus().lastError, 'Stream ended');
+  } finally {
+    stream.stop();
+    fake.server.closeAllConnections();
+    fake.server.close();
+  }
+  console.log('✓ testStreamReconnects');
+}
+
+// Test: A silent connection is dropped after the idle timeout and reopened
+async function testStreamIdleTimeout() {
+  const fake = await startFakeStreamingServer((req, res, connection) => {
+    if (connection === 2) {
+      res.write('event: update\ndata: {"id":"2"}\n\n');
+    }
+  });
+  const stream = new MastodonStream({ url: fake.url, stream: 'hashtag', params: { tag: 't' }, reconnectBaseMs: 10, idleTimeoutMs: 100 });
+
+  try {
+    const disconnections = waitForEvents(stream, 'disconnected', 1);
+    const updates = waitForEvents(stream, 'update', 1);
+    stream.start();
+
+    const [[error]] = await disconnections;
+    assert.match(error.message, /No data for 100ms/);
+    assert.strictEqual((await updates)[0][0].id, '2');
+  } finally {
+    stream.stop();
+    fake.server.closeAllConnections();
+    fake.server.close();
+  }
+  console.log('✓ testStreamIdleTimeout');
+}
+
+// Run all tests
+import { pathToFileURL } from 'url';
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running Mastodon streaming tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testParseServerSentEvents,
+    testParseMultilineData,
+    testStreamEmitsEvents,
+    testStreamReconnects,
+    testStreamIdleTimeout
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testParseServerSentEvents,
+  testParseMultilineData,
+  testStreamEmitsEvents,
+  testStreamReconnects,
+  testStreamIdleTimeout
+};
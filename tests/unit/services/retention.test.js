@@ -0,0 +1,148 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import moment from 'moment-timezone';
+import { pathToFileURL } from 'url';
+import { runMigrations } from '../../../src/database/migrations.js';
+import { databaseService } from '../../../src/services/databaseService.js';
+import { SqliteHistoryStorage } from '../../../src/database/storage/index.js';
+import { RetentionService } from '../../../src/services/retentionService.js';
+
+/**
+ * Test suite for the retention policies and history downsampling
+ * Runs against an in-memory database
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+const retention = { statusesDays: 10, engagementDays: 5, dailyHistoryDays: 30, weeklyHistoryDays: 0 };
+
+/**
+ * Run a test with the database service pointed at a fresh database
+ */
+async function withDatabase(test) {
+  const originalHistoryStorage = databaseService.storage;
+
+  try {
+    const db = new Database(':memory:');
+    runMigrations(db);
+    databaseService.storage = new SqliteHistoryStorage(db);
+
+    await test(db);
+  } finally {
+    databaseService.storage = originalHistoryStorage;
+  }
+}
+
+// Test: Old daily counts are folded into weekly and monthly rollups that the history still reads
+async function testDownsampleHistory() {
+  await withDatabase(async db => {
+    const service = new RetentionService(db, retention);
+    for (const [date, uses] of [['2026-01-30', 10], ['2026-01-31', 40], ['2026-02-01', 5], ['2026-02-02', 7]]) {
+      await databaseService.saveDailyHashtagData('arte', date, { uses, accounts: 2 });
+    }
+
+    const dryRun = await service.downsampleHistory('2026-02-01', { dryRun: true });
+    assert.deepStrictEqual(dryRun, { rows: 2, weeks: 1, months: 1, revisions: 2 });
+    assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM hashtag_history').get().count, 4);
+
+    // The rest of the week (and of February) is folded in by a later run
+    await service.downsampleHistory('2026-02-01');
+    await service.downsampleHistory('2026-02-02');
+
+    const weekly = db.prepare('SELECT * FROM hashtag_history_weekly').all();
+    assert.strictEqual(weekly.length, 1);
+    assert.strictEqual(weekly[0].period, '2026-W05');
+    assert.strictEqual(weekly[0].days_counted, 3);
+    assert.strictEqual(weekly[0].total_uses, 55);
+    assert.strictEqual(weekly[0].peak_date, '2026-01-31');
+
+    const months = (await databaseService.getHistoryRollup('arte', 'month', '2026-01-01', '2026-02-28')).periods;
+    assert.deepStrictEqual(months.map(month => [month.period, month.daysCounted, month.totalUses]),
+      [['2026-01', 2, 50], ['2026-02', 2, 12]]);
+    assert.deepStrictEqual(months[0].peakDay, { date: '2026-01-31', uses: 40, accounts: 2 });
+
+    const weeks = (await databaseService.getHistoryRollup('arte', 'week', '2026-01-01', '2026-02-28')).periods;
+    assert.deepStrictEqual(weeks.map(week => [week.period, week.totalUses]), [['2026-W05', 55], ['2026-W06', 7]]);
+
+    // Days are only available per day while they are kept
+    assert.deepStrictEqual((await databaseService.getHistoryRollup('arte', 'day', '2026-01-01', '2026-02-28')).periods
+      .map(day => day.period), ['2026-02-02']);
+    assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM hashtag_history_revisions').get().count, 1);
+  });
+
+  console.log('✓ testDownsampleHistory');
+}
+
+// Test: Expired statuses are removed with their hashtags, snapshots and orphaned accounts
+async function testStatusesAndSnapshots() {
+  await withDatabase(async db => {
+    const service = new RetentionService(db, retention);
+    const daysAgo = n => moment.utc().subtract(n, 'days').toISOString();
+    const insertStatus = db.prepare(`
+      INSERT INTO statuses (instance, id, account_id, created_at) VALUES ('a.social', ?, ?, ?)
+    `);
+    const insertSnapshot = db.prepare(`
+      INSERT INTO status_engagement_snapshots (instance, status_id, captured_at) VALUES ('a.social', ?, ?)
+    `);
+    db.prepare(`INSERT INTO accounts (instance, id, acct, username) VALUES ('a.social', '1', 'old', 'old'), ('a.social', '2', 'new', 'new')`).run();
+    insertStatus.run('100', '1', daysAgo(20));
+    insertStatus.run('200', '2', daysAgo(1));
+    db.prepare(`INSERT INTO status_tags (instance, status_id, hashtag) VALUES ('a.social', '100', 'arte'), ('a.social', '200', 'arte')`).run();
+    insertSnapshot.run('100', daysAgo(20));
+    insertSnapshot.run('200', daysAgo(6));
+    insertSnapshot.run('200', daysAgo(1));
+
+    const report = await service.run({ dryRun: true });
+    assert.deepStrictEqual(report.policies.map(policy => [policy.name, policy.rows]),
+      [['statuses', 1], ['engagement_snapshots', 2], ['daily_history', 0], ['weekly_history', 0]]);
+    assert.strictEqual(report.policies[3].enabled, false);
+    assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM statuses').get().count, 2);
+
+    const applied = await service.run();
+    assert.strictEqual(applied.dryRun, false);
+    assert.strictEqual(applied.policies[0].accounts, 1);
+    // The old status' snapshot went with it, so only the newer status' expired snapshot is left to remove
+    assert.strictEqual(applied.policies[1].rows, 1);
+
+    assert.deepStrictEqual(db.prepare('SELECT id FROM statuses').all(), [{ id: '200' }]);
+    assert.deepStrictEqual(db.prepare('SELECT status_id FROM status_tags').all(), [{ status_id: '200' }]);
+    assert.deepStrictEqual(db.prepare('SELECT id FROM accounts').all(), [{ id: '2' }]);
+    assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM status_engagement_snapshots').get().count, 1);
+  });
+
+  console.log('✓ testStatusesAndSnapshots');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running retention tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testDownsampleHistory,
+    testStatusesAndSnapshots
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testDownsampleHistory,
+  testStatusesAndSnapshots
+};
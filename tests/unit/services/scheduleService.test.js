@@ -0,0 +1,117 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import moment from 'moment-timezone';
+import { pathToFileURL } from 'url';
+import { runMigrations } from '../../../src/database/migrations.js';
+import { ScheduleService } from '../../../src/services/scheduleService.js';
+import { ValidationError } from '../../../src/errors/index.js';
+import { appConfig as config } from '../../../src/config/index.js';
+
+/**
+ * Test suite for the versioned weekly schedule
+ * Runs against an in-memory database with the seeded schedule
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+const today = moment().tz(config.server.timezone).format('YYYY-MM-DD');
+const daysFromToday = n => moment.tz(today, config.server.timezone).add(n, 'days').format('YYYY-MM-DD');
+
+function createService() {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  return { db, service: new ScheduleService(db) };
+}
+
+function countVersions(db) {
+  return db.prepare('SELECT COUNT(*) AS count FROM hashtag_schedule_versions').get().count;
+}
+
+// Test: A date resolves to the latest version effective on it, the newest one on ties
+function testVersionForDate() {
+  const { service } = createService();
+  const seeded = service.getScheduleForDate(today);
+  const days = Array.from({ length: 7 }, (_, day) => [`dia${day}`]);
+
+  service.replaceSchedule(days, { effectiveFrom: daysFromToday(10) });
+  const latest = service.replaceSchedule(days.map(([tag]) => [`${tag}b`]), { effectiveFrom: daysFromToday(10) });
+
+  assert.deepStrictEqual(service.getScheduleForDate(today).days, seeded.days);
+  assert.deepStrictEqual(service.getScheduleForDate(daysFromToday(9)).version, seeded.version);
+  assert.strictEqual(service.getScheduleForDate(daysFromToday(10)).version.id, latest.id);
+  assert.deepStrictEqual(service.getScheduleForDate(daysFromToday(40)).days[3], ['dia3b']);
+  console.log('✓ testVersionForDate');
+}
+
+// Test: An edit for today builds on today's version, not on a version dated later
+function testEditBuildsOnVersionInEffect() {
+  const { service } = createService();
+  const seeded = service.getScheduleForDate(today).days;
+
+  service.setDay(1, ['futuro'], { effectiveFrom: daysFromToday(30) });
+  service.addHashtag(1, 'hoje');
+
+  assert.deepStrictEqual(service.getScheduleForDate(today).days[1], [...seeded[1], 'hoje']);
+  assert.deepStrictEqual(service.getScheduleForDate(today).days[2], seeded[2]);
+  assert.deepStrictEqual(service.getScheduleForDate(daysFromToday(30)).days[1], ['futuro']);
+
+  // Later edits build on the future version once they take effect after it
+  service.addHashtag(1, 'depois', { effectiveFrom: daysFromToday(31) });
+  assert.deepStrictEqual(service.getScheduleForDate(daysFromToday(31)).days[1], ['futuro', 'depois']);
+  assert.throws(() => service.removeHashtag(1, 'hoje', { effectiveFrom: daysFromToday(31) }), /not scheduled/);
+  console.log('✓ testEditBuildsOnVersionInEffect');
+}
+
+// Test: Edits dated before today are refused unless allowPast is set
+function testPastEffectiveDate() {
+  const { db, service } = createService();
+  const yesterday = daysFromToday(-1);
+  const days = Array.from({ length: 7 }, () => ['corrigida']);
+  const versions = countVersions(db);
+
+  assert.throws(() => service.replaceSchedule(days, { effectiveFrom: yesterday }), ValidationError);
+  assert.throws(() => service.addHashtag(2, 'ontem', { effectiveFrom: yesterday }), ValidationError);
+  assert.throws(() => service.removeHashtag(2, 'ontem', { effectiveFrom: yesterday }), ValidationError);
+  assert.strictEqual(countVersions(db), versions);
+
+  service.replaceSchedule(days, { effectiveFrom: yesterday, allowPast: true });
+  assert.deepStrictEqual(service.getScheduleForDate(yesterday).days[0], ['corrigida']);
+  assert.strictEqual(countVersions(db), versions + 1);
+  console.log('✓ testPastEffectiveDate');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running schedule tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testVersionForDate,
+    testEditBuildsOnVersionInEffect,
+    testPastEffectiveDate
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testVersionForDate,
+  testEditBuildsOnVersionInEffect,
+  testPastEffectiveDate
+};
@@ -0,0 +1,197 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import { pathToFileURL } from 'url';
+import { runMigrations } from '../../../src/database/migrations.js';
+import { StatusStore } from '../../../src/services/statusStore.js';
+import { SearchService, toMatchQuery } from '../../../src/services/searchService.js';
+import { ValidationError } from '../../../src/errors/index.js';
+
+/**
+ * Test suite for the full-text search over archived statuses
+ * Runs against an in-memory database with the application migrations
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+function createSearch() {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  return { db, store: new StatusStore(db), search: new SearchService(db) };
+}
+
+function createStatus(id, overrides = {}) {
+  return {
+    id,
+    created_at: '2026-03-10T12:00:00.000Z',
+    content: '<p>Olá #Arte</p>',
+    tags: [{ name: 'Arte' }],
+    account: { id: '7', username: 'ana', acct: 'ana' },
+    ...overrides
+  };
+}
+
+function ids(results) {
+  return results.map(result => `${result.status.instance}:${result.status.id}`);
+}
+
+// Test: Searches ignore case and accents, and snippets highlight matches as escaped HTML
+function testAccentFoldingAndSnippets() {
+  const { store, search } = createSearch();
+
+  store.upsertStatuses('example.social', [
+    createStatus('1', { content: '<p>Uma <b>AÇÃO</b> coletiva &amp; <a href="#">bonita</a><br>&lt;script&gt;</p>' }),
+    createStatus('2', { content: '<p>Nada aqui</p>', spoiler_text: 'Sobre a acao de hoje' }),
+    createStatus('3', {
+      content: '<p>Foto do mural</p>',
+      media_attachments: [{ type: 'image', description: 'Mural da Ação Cultural' }]
+    }),
+    createStatus('4', { content: '<p>Outra coisa</p>' })
+  ], 'arte');
+
+  const { results, total } = search.search('acão');
+  assert.strictEqual(total, 3);
+  assert.deepStrictEqual(ids(results).sort(), ['example.social:1', 'example.social:2', 'example.social:3']);
+
+  const byId = Object.fromEntries(results.map(result => [result.status.id, result]));
+  assert.strictEqual(byId['1'].snippets.content, 'Uma <mark>AÇÃO</mark> coletiva &amp; bonita\n&lt;script&gt;');
+  assert.deepStrictEqual(Object.keys(byId['2'].snippets), ['content', 'spoilerText']);
+  assert.strictEqual(byId['2'].snippets.spoilerText, 'Sobre a <mark>acao</mark> de hoje');
+  assert.strictEqual(byId['3'].snippets.mediaDescriptions, 'Mural da <mark>Ação</mark> Cultural');
+  assert.ok(results.every(result => result.rank > 0));
+  assert.strictEqual(search.search('MURAL cultural').total, 1);
+  console.log('✓ testAccentFoldingAndSnippets');
+}
+
+// Test: Hashtag, author, instance and time filters narrow the results, which are paged
+function testFilters() {
+  const { store, search } = createSearch();
+
+  store.upsertStatuses('example.social', [
+    createStatus('1', { content: '<p>festa junina</p>', created_at: '2026-06-01T12:00:00.000Z' }),
+    createStatus('2', {
+      content: '<p>festa na rua</p>',
+      created_at: '2026-06-02T12:00:00.000Z',
+      account: { id: '8', username: 'bia', acct: 'bia@other.social' }
+    })
+  ], 'arte');
+  store.upsertStatuses('other.social', [
+    createStatus('9', {
+      content: '<p>festa!</p>',
+      created_at: '2026-06-03T12:00:00.000Z',
+      tags: [{ name: 'Musica' }],
+      account: { id: '3', username: 'bia', acct: 'bia' }
+    })
+  ]);
+
+  assert.strictEqual(search.search('festa').total, 3);
+  assert.deepStrictEqual(ids(search.search('festa', { hashtag: 'ARTE' }).results).sort(),
+    ['example.social:1', 'example.social:2']);
+  assert.deepStrictEqual(ids(search.search('festa', { author: '@bia@other.social' }).results).sort(),
+    ['example.social:2', 'other.social:9']);
+  assert.strictEqual(search.search('festa', { author: 'bia' }).total, 2);
+  assert.strictEqual(search.search('festa', { author: 'ana@other.social' }).total, 0);
+  assert.deepStrictEqual(ids(search.search('festa', { instance: 'other.social' }).results), ['other.social:9']);
+  assert.deepStrictEqual(ids(search.search('festa', {
+    since: '2026-06-02T00:00:00Z', until: '2026-06-03T00:00:00Z'
+  }).results), ['example.social:2']);
+
+  const page = search.search('festa', { limit: 2, offset: 2 });
+  assert.strictEqual(page.total, 3);
+  assert.strictEqual(page.results.length, 1);
+  console.log('✓ testFilters');
+}
+
+// Test: Edits and deletions reach the index, whichever code deletes the status
+function testIndexFollowsStatuses() {
+  const { db, store, search } = createSearch();
+
+  store.upsertStatuses('example.social', [
+    createStatus('1', { content: '<p>primeira versão</p>' }),
+    createStatus('2', { content: '<p>primeira também</p>' })
+  ], 'arte');
+  store.upsertStatuses('example.social', [createStatus('1', { content: '<p>texto editado</p>' })], 'arte');
+
+  assert.deepStrictEqual(ids(search.search('primeira').results), ['example.social:2']);
+  assert.strictEqual(search.search('editado').total, 1);
+
+  store.deleteStatus('example.social', '1');
+  assert.strictEqual(search.search('editado').total, 0);
+  db.prepare('DELETE FROM statuses WHERE id = ?').run('2');
+  assert.strictEqual(search.search('primeira').total, 0);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM status_search').get().count, 0);
+  console.log('✓ testIndexFollowsStatuses');
+}
+
+// Test: Statuses archived before the search migration are indexed by it
+function testMigrationIndexesArchive() {
+  const db = new Database(':memory:');
+  runMigrations(db, { target: 12 });
+  db.prepare("INSERT INTO accounts (instance, id, acct, username) VALUES ('example.social', '7', 'ana', 'ana')").run();
+  db.prepare(`
+    INSERT INTO statuses (instance, id, account_id, created_at, content)
+    VALUES ('example.social', '1', '7', '2026-03-10T12:00:00.000Z', '<p>Arquivo antigo</p>')
+  `).run();
+
+  runMigrations(db);
+
+  assert.deepStrictEqual(ids(new SearchService(db).search('arquivo').results), ['example.social:1']);
+  console.log('✓ testMigrationIndexesArchive');
+}
+
+// Test: Search text becomes a MATCH expression where user input cannot inject operators
+function testMatchQuery() {
+  assert.strictEqual(toMatchQuery('arte "dia das mães" foto* -chuva'),
+    '("arte" AND "dia das mães" AND "foto" *) NOT "chuva"');
+  assert.strictEqual(toMatchQuery('gato OR NEAR(cão'), '("gato" AND "OR" AND "NEAR(cão")');
+  assert.strictEqual(toMatchQuery('  -chuva ** ""  '), null);
+
+  const { store, search } = createSearch();
+  store.upsertStatuses('example.social', [
+    createStatus('1', { content: '<p>artesanato no sol</p>' }),
+    createStatus('2', { content: '<p>artesanato na chuva</p>' })
+  ], 'arte');
+  assert.deepStrictEqual(ids(search.search('arte* -chuva').results), ['example.social:1']);
+  assert.strictEqual(search.search('gato OR NEAR(cão').total, 0);
+  assert.throws(() => search.search('-chuva'), ValidationError);
+  console.log('✓ testMatchQuery');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running search tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testAccentFoldingAndSnippets,
+    testFilters,
+    testIndexFollowsStatuses,
+    testMigrationIndexesArchive,
+    testMatchQuery
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testAccentFoldingAndSnippets,
+  testFilters,
+  testIndexFollowsStatuses,
+  testMigrationIndexesArchive,
+  testMatchQuery
+};
@@ -0,0 +1,178 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import { runMigrations } from '../../../src/database/migrations.js';
+import { StatusStore, statusToRow, rowToStatus } from '../../../src/services/statusStore.js';
+
+/**
+ * Test suite for the status archive
+ * Runs against an in-memory database with the application migrations
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+function createStore() {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  return { db, store: new StatusStore(db) };
+}
+
+function createStatus(id, overrides = {}) {
+  return {
+    id,
+    uri: `https://example.social/users/ana/statuses/${id}`,
+    url: `https://example.social/@ana/${id}`,
+    created_at: '2026-03-10T12:00:00.000Z',
+    content: '<p>Olá #Arte</p>',
+    favourites_count: 1,
+    reblogs_count: 0,
+    replies_count: 0,
+    tags: [{ name: 'Arte' }],
+    account: { id: '7', username: 'ana', acct: 'ana', followers_count: 10 },
+    ...overrides
+  };
+}
+
+// Test: Re-fetching a status updates its counts instead of adding a row
+function testUpsertUpdatesEngagement() {
+  const { db, store } = createStore();
+
+  store.upsertStatuses('example.social', [createStatus('1')], 'arte');
+  store.upsertStatuses('example.social', [createStatus('1', {
+    favourites_count: 9,
+    account: { id: '7', username: 'ana', acct: 'ana', followers_count: 25 }
+  })], 'arte');
+
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM statuses').get().count, 1);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM accounts').get().count, 1);
+  const [status] = store.getStatuses('arte');
+  assert.strictEqual(status.favourites_count, 9);
+  assert.strictEqual(status.account.followers_count, 25);
+  console.log('✓ testUpsertUpdatesEngagement');
+}
+
+// Test: The fetched hashtag is recorded even when the status does not list it
+function testTagsIncludeFetchedHashtag() {
+  const { store } = createStore();
+
+  store.upsertStatuses('example.social', [createStatus('1', { tags: [{ name: 'Musica' }] })], 'Arte');
+
+  assert.strictEqual(store.getStatuses('arte').length, 1);
+  assert.strictEqual(store.getStatuses('MUSICA').length, 1);
+  assert.deepStrictEqual(store.getStatuses('arte')[0].tags.map(tag => tag.name).sort(), ['arte', 'musica']);
+  assert.strictEqual(store.getStatuses('outra').length, 0);
+  console.log('✓ testTagsIncludeFetchedHashtag');
+}
+
+// Test: Statuses are filtered by time range and instance, newest first
+function testGetStatusesFilters() {
+  const { store } = createStore();
+
+  store.upsertStatuses('example.social', [
+    createStatus('1', { created_at: '2026-03-09T23:00:00.000Z' }),
+    createStatus('2', { created_at: '2026-03-10T08:00:00.000Z' }),
+    createStatus('3', { created_at: '2026-03-10T20:00:00.000Z' })
+  ]);
+  store.upsertStatuses('other.social', [createStatus('2', { created_at: '2026-03-10T09:00:00.000Z' })]);
+
+  const day = store.getStatuses('arte', { since: '2026-03-10T00:00:00Z', until: '2026-03-11T00:00:00Z' });
+  assert.deepStrictEqual(day.map(status => `${status.instance}:${status.id}`), [
+    'example.social:3', 'other.social:2', 'example.social:2'
+  ]);
+  assert.strictEqual(store.getStatuses('arte', { instance: 'other.social' }).length, 1);
+  console.log('✓ testGetStatusesFilters');
+}
+
+// Test: Deleting a status removes it and its hashtags
+function testDeleteStatus() {
+  const { db, store } = createStore();
+
+  store.upsertStatuses('example.social', [createStatus('1'), createStatus('2')], 'arte');
+
+  assert.strictEqual(store.deleteStatus('example.social', '1'), 1);
+  assert.strictEqual(store.deleteStatus('example.social', '1'), 0);
+  assert.deepStrictEqual(store.getStatuses('arte').map(status => status.id), ['2']);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM status_tags').get().count, 1);
+  console.log('✓ testDeleteStatus');
+}
+
+// Test: Snapshots are recorded when counts change, only while the status is tracked
+function testEngagementSnapshots() {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  const store = new StatusStore(db, { trackingHours: 72 });
+  const createdAt = Date.parse('2026-03-10T12:00:00.000Z');
+  const at = hours => ({ now: new Date(createdAt + hours * 60 * 60 * 1000) });
+
+  store.upsertStatuses('example.social', [createStatus('1')], 'arte', at(1));
+  store.upsertStatuses('example.social', [createStatus('1')], 'arte', at(2));
+  store.upsertStatuses('example.social', [createStatus('1', { favourites_count: 4 })], 'arte', at(3));
+  store.upsertStatuses('example.social', [createStatus('1', { favourites_count: 8 })], 'arte', at(80));
+
+  const snapshots = store.getSnapshots('example.social', ['1']);
+  assert.deepStrictEqual(snapshots.map(snapshot => snapshot.favourites_count), [1, 4]);
+  assert.strictEqual(snapshots[1].captured_at, '2026-03-10T15:00:00.000Z');
+  assert.strictEqual(store.getStatus('example.social', '1').favourites_count, 8);
+
+  store.deleteStatus('example.social', '1');
+  assert.deepStrictEqual(store.getSnapshots('example.social', ['1']), []);
+  console.log('✓ testEngagementSnapshots');
+}
+
+// Test: A row maps back to the Mastodon status shape
+function testRowRoundTrip() {
+  const status = createStatus('5', { media_attachments: [{ type: 'image' }], sensitive: true });
+  const row = statusToRow('example.social', status);
+  const restored = rowToStatus({ ...row, account_username: 'ana', account_followers_count: 10, tags: 'arte' });
+
+  assert.strictEqual(restored.id, '5');
+  assert.strictEqual(restored.sensitive, true);
+  assert.deepStrictEqual(restored.media_attachments, [{ type: 'image' }]);
+  assert.strictEqual(restored.account.username, 'ana');
+  assert.strictEqual(restored.instance, 'example.social');
+  console.log('✓ testRowRoundTrip');
+}
+
+// Run all tests
+import { pathToFileURL } from 'url';
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running status archive tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testUpsertUpdatesEngagement,
+    testTagsIncludeFetchedHashtag,
+    testGetStatusesFilters,
+    testDeleteStatus,
+    testEngagementSnapshots,
+    testRowRoundTrip
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testUpsertUpdatesEngagement,
+  testTagsIncludeFetchedHashtag,
+  testGetStatusesFilters,
+  testDeleteStatus,
+  testEngagementSnapshots,
+  testRowRoundTrip
+};
@@ -0,0 +1,164 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import moment from 'moment-timezone';
+import { pathToFileURL } from 'url';
+import { runMigrations } from '../../../src/database/migrations.js';
+import { scheduleService } from '../../../src/services/scheduleService.js';
+import { TrendingHistoryService, buildStints } from '../../../src/services/trendingHistoryService.js';
+import { appConfig as config } from '../../../src/config/index.js';
+
+/**
+ * Test suite for the trending tag snapshots
+ * Runs the service against an in-memory database with the seeded schedule
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+const today = moment().tz(config.server.timezone).format('YYYY-MM-DD');
+// Snapshot times during today, in the server timezone
+const at = time => moment.tz(`${today} ${time}`, config.server.timezone).toISOString();
+const trend = (...names) => names.map(name => ({ name, history: [{ day: '0', uses: '10', accounts: '4' }] }));
+
+/**
+ * Run a test with a service on a fresh database (and the schedule service pointed at it)
+ */
+async function withTrendingHistory(test) {
+  const originalScheduleDb = scheduleService.db;
+
+  try {
+    const db = new Database(':memory:');
+    runMigrations(db);
+    scheduleService.db = db;
+
+    await test(new TrendingHistoryService(db, { instance: 'test.social', fetchTrendingTags: async () => trend('Fetched') }));
+  } finally {
+    scheduleService.db = originalScheduleDb;
+  }
+}
+
+// Test: Stints end at the first snapshot a tag is missing from
+function testBuildStints() {
+  const snapshots = [1, 2, 3, 4, 5].map(id => ({ id, takenAt: at(`0${id}:00`) }));
+  const stints = buildStints(snapshots, [
+    { snapshotId: 1, rank: 3 },
+    { snapshotId: 2, rank: 1 },
+    { snapshotId: 4, rank: 5 },
+    { snapshotId: 5, rank: 2 }
+  ]);
+
+  assert.strictEqual(stints.length, 2);
+  assert.deepStrictEqual(stints[0], {
+    startedAt: at('01:00'),
+    endedAt: at('03:00'),
+    lastSeenAt: at('02:00'),
+    snapshots: 2,
+    bestRank: 1,
+    durationMs: 2 * 60 * 60 * 1000,
+    ongoing: false
+  });
+  assert.strictEqual(stints[1].ongoing, true);
+  assert.strictEqual(stints[1].endedAt, null);
+  assert.strictEqual(stints[1].durationMs, 60 * 60 * 1000);
+
+  console.log('✓ testBuildStints');
+}
+
+// Test: Snapshots store ranks and are compared with the previous one
+async function testSnapshotsAndEntrants() {
+  await withTrendingHistory(async service => {
+    const first = service.saveSnapshot(trend('Alpha', 'beta', 'ALPHA', 'gamma'), at('01:00'));
+    assert.strictEqual(first.tagCount, 3);
+    assert.deepStrictEqual(first.tags.map(entry => [entry.tag, entry.rank]), [['alpha', 1], ['beta', 2], ['gamma', 3]]);
+    assert.strictEqual(first.tags[0].uses, 10);
+
+    service.saveSnapshot(trend('beta', 'delta', 'alpha'), at('02:00'));
+
+    const { entered, left, previous } = service.getNewEntrants();
+    assert.strictEqual(previous.id, first.id);
+    assert.deepStrictEqual(entered.map(entry => [entry.tag, entry.rank]), [['delta', 2]]);
+    assert.deepStrictEqual(left, [{ tag: 'gamma', previousRank: 3 }]);
+
+    // The first snapshot has nothing to compare with: every tag is new
+    assert.strictEqual(service.getNewEntrants(first.id).entered.length, 3);
+
+    const taken = await service.takeSnapshot();
+    assert.deepStrictEqual(taken.tags.map(entry => entry.tag), ['fetched']);
+    assert.strictEqual(service.getSnapshot().id, taken.id);
+
+    const { snapshots, total } = service.listSnapshots({ limit: 2 });
+    assert.strictEqual(total, 3);
+    assert.deepStrictEqual(snapshots.map(snapshot => snapshot.id), [taken.id, first.id + 1]);
+
+    assert.throws(() => service.getSnapshot(999), error => error.code === 'NOT_FOUND');
+  });
+
+  console.log('✓ testSnapshotsAndEntrants');
+}
+
+// Test: A tag's ranks, time trending and the scheduled hashtags' best ranks are reported
+async function testTagHistoryAndDurations() {
+  await withTrendingHistory(service => {
+    const scheduled = scheduleService.getHashtagsForDate(today)[0];
+    service.saveSnapshot(trend('alpha', scheduled), at('01:00'));
+    service.saveSnapshot(trend('alpha', 'beta'), at('01:30'));
+    service.saveSnapshot(trend('beta', 'alpha'), at('02:00'));
+    service.saveSnapshot(trend('beta'), at('02:30'));
+
+    const history = service.getTagHistory('alpha', { startDate: today, endDate: today });
+    assert.strictEqual(history.snapshotsInPeriod, 4);
+    assert.deepStrictEqual(history.points.map(point => point.rank), [1, 1, 2]);
+    assert.strictEqual(history.stints.length, 1);
+    assert.strictEqual(history.summary.trendingMs, 90 * 60 * 1000);
+    assert.strictEqual(history.summary.trendingNow, false);
+
+    const durations = service.getDurations({ startDate: today, endDate: today });
+    assert.deepStrictEqual(durations.tags.map(entry => entry.tag), ['alpha', 'beta', scheduled]);
+    assert.strictEqual(durations.tags[1].trendingNow, true);
+    assert.strictEqual(durations.tags[1].trendingMs, 60 * 60 * 1000);
+
+    const { days, daysTrended } = service.getScheduledHashtagRanks({ startDate: today, endDate: today });
+    assert.strictEqual(daysTrended, 1);
+    assert.strictEqual(days[0].snapshots, 4);
+    assert.deepStrictEqual(days[0].hashtags.find(entry => entry.hashtag === scheduled),
+      { hashtag: scheduled, trended: true, bestRank: 2, appearances: 1 });
+    assert.ok(days[0].hashtags.filter(entry => entry.hashtag !== scheduled).every(entry => entry.bestRank === null));
+  });
+
+  console.log('✓ testTagHistoryAndDurations');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running trending history tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testBuildStints,
+    testSnapshotsAndEntrants,
+    testTagHistoryAndDurations
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testBuildStints,
+  testSnapshotsAndEntrants,
+  testTagHistoryAndDurations
+};
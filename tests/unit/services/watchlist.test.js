@@ -0,0 +1,145 @@
+import assert from 'assert';
+import Database from 'better-sqlite3';
+import moment from 'moment-timezone';
+import { pathToFileURL } from 'url';
+import { runMigrations } from '../../../src/database/migrations.js';
+import { databaseService } from '../../../src/services/databaseService.js';
+import { SqliteHistoryStorage } from '../../../src/database/storage/index.js';
+import { scheduleService } from '../../../src/services/scheduleService.js';
+import { watchlistService } from '../../../src/services/watchlistService.js';
+import { historyCollector } from '../../../src/services/historyCollector.js';
+import { federatedMastodonService } from '../../../src/services/federatedMastodon.js';
+import { appConfig as config } from '../../../src/config/index.js';
+
+/**
+ * Test suite for the hashtag watchlist
+ * Runs the service singletons against an in-memory database with the seeded schedule
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+const today = moment().tz(config.server.timezone).format('YYYY-MM-DD');
+const daysAgo = n => moment.tz(today, config.server.timezone).subtract(n, 'days').format('YYYY-MM-DD');
+
+/**
+ * Run a test with the singletons pointed at a fresh database
+ */
+async function withWatchlist(test) {
+  const originalHistoryStorage = databaseService.storage;
+  const originalScheduleDb = scheduleService.db;
+  const originalWatchlistDb = watchlistService.db;
+  const originalGetHashtagUse = federatedMastodonService.getHashtagUse;
+
+  try {
+    const db = new Database(':memory:');
+    runMigrations(db);
+    databaseService.storage = new SqliteHistoryStorage(db);
+    scheduleService.db = db;
+    watchlistService.db = db;
+
+    await test();
+  } finally {
+    databaseService.storage = originalHistoryStorage;
+    scheduleService.db = originalScheduleDb;
+    watchlistService.db = originalWatchlistDb;
+    federatedMastodonService.getHashtagUse = originalGetHashtagUse;
+  }
+}
+
+// Test: Hashtags are added, updated and removed, and are active within their period
+async function testAddUpdateRemove() {
+  await withWatchlist(() => {
+    let result = watchlistService.add('campanha', { startDate: daysAgo(3), note: 'Campanha de doação' });
+    assert.strictEqual(result.created, true);
+    assert.strictEqual(result.entry.active, true);
+    assert.strictEqual(result.entry.endDate, null);
+
+    watchlistService.add('encerrada', { startDate: daysAgo(20), endDate: daysAgo(10) });
+    watchlistService.add('futura', { startDate: moment.tz(today, config.server.timezone).add(5, 'days').format('YYYY-MM-DD') });
+
+    assert.deepStrictEqual(watchlistService.list().map(entry => entry.hashtag), ['encerrada', 'campanha', 'futura']);
+    assert.deepStrictEqual(watchlistService.list({ activeOnly: true }).map(entry => entry.hashtag), ['campanha']);
+    assert.deepStrictEqual(watchlistService.getHashtagsForDate(daysAgo(15)), ['encerrada']);
+    assert.strictEqual(watchlistService.isWatchedOn('Campanha', daysAgo(3)), true);
+    assert.strictEqual(watchlistService.isWatchedOn('campanha', daysAgo(4)), false);
+
+    result = watchlistService.add('campanha', { startDate: daysAgo(3), endDate: daysAgo(1) });
+    assert.strictEqual(result.created, false);
+    assert.strictEqual(result.entry.endDate, daysAgo(1));
+    assert.strictEqual(result.entry.active, false);
+
+    assert.throws(() => watchlistService.add('campanha', { startDate: daysAgo(1), endDate: daysAgo(2) }),
+      error => error.code === 'VALIDATION_ERROR');
+
+    assert.strictEqual(watchlistService.remove('campanha').hashtag, 'campanha');
+    assert.throws(() => watchlistService.get('campanha'), error => error.code === 'NOT_FOUND');
+    assert.throws(() => watchlistService.remove('campanha'), error => error.code === 'NOT_FOUND');
+  });
+
+  console.log('✓ testAddUpdateRemove');
+}
+
+// Test: Watched hashtags are collected and checked for gaps only within their period
+async function testCollectionIncludesWatched() {
+  await withWatchlist(async () => {
+    watchlistService.add('campanha', { startDate: daysAgo(2) });
+    const fetched = [];
+    federatedMastodonService.getHashtagUse = async hashtag => {
+      fetched.push(hashtag);
+      return [0, 1, 2, 3].map(n => ({ day: String(moment.utc(daysAgo(n)).unix()), uses: '3', accounts: '1' }));
+    };
+
+    const summary = await historyCollector.collectAllHashtags(daysAgo(1), { revise: false });
+    assert.ok(fetched.includes('campanha'));
+    assert.strictEqual(summary.totalHashtags, scheduleService.getAllHashtags(daysAgo(1)).length + 1);
+    assert.strictEqual((await databaseService.getDailyData('campanha', daysAgo(1))).uses, 3);
+
+    // Not collected for the day before the watch started, and only missing from its start date
+    const gaps = await historyCollector.findGaps({ startDate: daysAgo(3), endDate: daysAgo(1) });
+    const missingCampanha = [...gaps.recoverable, ...gaps.unrecoverable]
+      .filter(gap => gap.hashtags.includes('campanha'))
+      .map(gap => gap.date);
+    assert.deepStrictEqual(missingCampanha, [daysAgo(2)]);
+
+    // By default the watch start is checked even before the first collected day
+    const defaultGaps = await historyCollector.findGaps();
+    assert.strictEqual(defaultGaps.start, daysAgo(2));
+    assert.deepStrictEqual(defaultGaps.recoverable, [{ date: daysAgo(2), hashtags: ['campanha'] }]);
+  });
+
+  console.log('✓ testCollectionIncludesWatched');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running watchlist tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testAddUpdateRemove,
+    testCollectionIncludesWatched
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testAddUpdateRemove,
+  testCollectionIncludesWatched
+};
@@ -0,0 +1,126 @@
+import assert from 'assert';
+import { CircuitBreaker } from '../../../src/utils/circuitBreaker.js';
+
+/**
+ * Test suite for the circuit breaker
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+// Test: Circuit opens after the threshold of consecutive failures
+function testOpensAfterThreshold() {
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 3, resetTimeoutMs: 1000 });
+
+  breaker.recordFailure(0);
+  breaker.recordFailure(0);
+  assert.strictEqual(breaker.state, 'closed');
+  assert.strictEqual(breaker.canRequest(0), true);
+
+  breaker.recordFailure(0);
+  assert.strictEqual(breaker.state, 'open');
+  assert.strictEqual(breaker.canRequest(500), false, 'requests are refused while open');
+  assert.strictEqual(breaker.getStatus().rejected, 1);
+  console.log('✓ testOpensAfterThreshold');
+}
+
+// Test: A success resets the consecutive failure count
+function testSuccessResetsFailures() {
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 2, resetTimeoutMs: 1000 });
+
+  breaker.recordFailure(0);
+  breaker.recordSuccess();
+  breaker.recordFailure(0);
+  assert.strictEqual(breaker.state, 'closed');
+  console.log('✓ testSuccessResetsFailures');
+}
+
+// Test: After the reset timeout a single trial request is let through
+function testHalfOpenAllowsOneTrial() {
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1, resetTimeoutMs: 1000 });
+
+  breaker.recordFailure(0);
+  assert.strictEqual(breaker.canRequest(1000), true);
+  assert.strictEqual(breaker.state, 'half_open');
+  assert.strictEqual(breaker.canRequest(1001), false, 'only one trial at a time');
+
+  breaker.recordSuccess();
+  assert.strictEqual(breaker.state, 'closed');
+  console.log('✓ testHalfOpenAllowsOneTrial');
+}
+
+// Test: A failed trial opens the circuit again for another reset timeout
+function testFailedTrialReopens() {
+  const states = [];
+  const breaker = new CircuitBreaker({
+    name: 'test',
+    failureThreshold: 1,
+    resetTimeoutMs: 1000,
+    onStateChange: state => states.push(state)
+  });
+
+  breaker.recordFailure(0);
+  breaker.canRequest(1000);
+  breaker.recordFailure(1000);
+
+  assert.strictEqual(breaker.state, 'open');
+  assert.strictEqual(breaker.getRetryAt(), 2000);
+  assert.deepStrictEqual(states, ['open', 'half_open', 'open']);
+  assert.strictEqual(breaker.getStatus().timesOpened, 2);
+  console.log('✓ testFailedTrialReopens');
+}
+
+// Test: Releasing a trial lets another one through without closing the circuit
+function testReleaseTrial() {
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1, resetTimeoutMs: 1000 });
+
+  breaker.recordFailure(0);
+  breaker.canRequest(1000);
+  breaker.release();
+
+  assert.strictEqual(breaker.state, 'half_open');
+  assert.strictEqual(breaker.canRequest(1000), true);
+  console.log('✓ testReleaseTrial');
+}
+
+// Run all tests
+import { pathToFileURL } from 'url';
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running circuit breaker tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testOpensAfterThreshold,
+    testSuccessResetsFailures,
+    testHalfOpenAllowsOneTrial,
+    testFailedTrialReopens,
+    testReleaseTrial
+  ];
+
+  for (const test of tests) {
+    try {
+      test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testOpensAfterThreshold,
+  testSuccessResetsFailures,
+  testHalfOpenAllowsOneTrial,
+  testFailedTrialReopens,
+  testReleaseTrial
+};
@@ -0,0 +1,135 @@
+import assert from 'assert';
+import { pathToFileURL } from 'url';
+import { hashtagService, HashtagAnalysis, CombinedHashtagAnalysis } from '../../../src/services/hashtagService.js';
+
+/**
+ * Test suite for the combined analysis of several hashtags (merged toots and histories)
+ * Per-tag analyses are built in memory; nothing is fetched
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+const TODAY = '1717459200';
+const YESTERDAY = '1717372800';
+
+function createToot(uri, username, relevanceScore) {
+  return { id: uri, uri, account: { username }, relevanceScore, favourites_count: 0, reblogs_count: 0, replies_count: 0 };
+}
+
+function createAnalysis(hashtag, toots, history, instanceHistories = {}) {
+  return new HashtagAnalysis(hashtag, '2024-06-04', toots, history, 'today', instanceHistories);
+}
+
+/**
+ * Run a test with hashtagService.analyzeHashtag answering from the given per-tag analyses
+ */
+async function withAnalyses(analyses, test) {
+  const originalAnalyzeHashtag = hashtagService.analyzeHashtag;
+  hashtagService.analyzeHashtag = async hashtag => analyses[hashtag];
+  try {
+    await test();
+  } finally {
+    hashtagService.analyzeHashtag = originalAnalyzeHashtag;
+  }
+}
+
+const ANALYSES = {
+  arte: createAnalysis('arte', [createToot('u1', 'ana', 9), createToot('u2', 'bia', 5)], [
+    { day: TODAY, uses: '40', accounts: '12' }, { day: YESTERDAY, uses: '30', accounts: '10' }
+  ], { 'a.social': [{ day: TODAY, uses: '40', accounts: '12' }] }),
+  foto: createAnalysis('foto', [createToot('u2', 'bia', 5), createToot('u3', 'caio', 7)], [
+    { day: TODAY, uses: '25', accounts: '8' }
+  ], { 'a.social': [{ day: TODAY, uses: '20', accounts: '7' }], 'b.social': [{ day: TODAY, uses: '5', accounts: '1' }] })
+};
+
+// Test: Toots are merged by URI, remembering which of the hashtags each one matched
+async function testMergesToots() {
+  await withAnalyses(ANALYSES, async () => {
+    const analysis = await hashtagService.analyzeHashtags(['arte', 'foto', 'arte']);
+
+    assert.ok(analysis instanceof CombinedHashtagAnalysis);
+    assert.strictEqual(analysis.hashtag, 'arte+foto');
+    assert.deepStrictEqual(analysis.toots.map(toot => [toot.uri, toot.matchedHashtags]),
+      [['u1', ['arte']], ['u3', ['foto']], ['u2', ['arte', 'foto']]]);
+    assert.strictEqual(analysis.getSharedTootCount(), 1);
+    assert.deepStrictEqual(analysis.getTagBreakdown().map(tag => [tag.hashtag, tag.tootCount]), [['arte', 40], ['foto', 25]]);
+  });
+  console.log('✓ testMergesToots');
+}
+
+// Test: Histories are summed per day, and per instance
+async function testMergesHistories() {
+  await withAnalyses(ANALYSES, async () => {
+    const analysis = await hashtagService.analyzeHashtags(['arte', 'foto']);
+
+    assert.deepStrictEqual(analysis.history, [
+      { day: TODAY, uses: 65, accounts: 20 }, { day: YESTERDAY, uses: 30, accounts: 10 }
+    ]);
+    assert.deepStrictEqual(analysis.instanceHistories['a.social'], [{ day: TODAY, uses: 60, accounts: 19 }]);
+    assert.deepStrictEqual(analysis.instanceHistories['b.social'], [{ day: TODAY, uses: 5, accounts: 1 }]);
+    assert.strictEqual(analysis.getWeeklyTotal(), 95);
+  });
+  console.log('✓ testMergesHistories');
+}
+
+// Test: Today's count is the toots merged by URI, before the limit, also when histories are known
+async function testTodayCountIsDeduplicated() {
+  await withAnalyses(ANALYSES, async () => {
+    const analysis = await hashtagService.analyzeHashtags(['arte', 'foto']);
+    const limited = await hashtagService.analyzeHashtags(['arte', 'foto'], { limit: 1 });
+
+    assert.strictEqual(analysis.getTodayCount(), 3, 'u2 uses both hashtags and counts once');
+    assert.strictEqual(limited.toots.length, 1);
+    assert.strictEqual(limited.getTodayCount(), 3);
+    assert.strictEqual(analysis.toJSON().summary.tootCount, 3);
+
+    const single = await hashtagService.analyzeHashtags(['arte']);
+    assert.strictEqual(single.getTodayCount(), 40, 'a single hashtag keeps its history count');
+  });
+
+  // Without history, the same merged toots are counted
+  await withAnalyses({
+    arte: createAnalysis('arte', ANALYSES.arte.toots, []),
+    foto: createAnalysis('foto', ANALYSES.foto.toots, [])
+  }, async () => {
+    const analysis = await hashtagService.analyzeHashtags(['arte', 'foto']);
+    assert.strictEqual(analysis.getTodayCount(), 3);
+  });
+  console.log('✓ testTodayCountIsDeduplicated');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running combined analysis tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testMergesToots,
+    testMergesHistories,
+    testTodayCountIsDeduplicated
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testMergesToots,
+  testMergesHistories,
+  testTodayCountIsDeduplicated
+};
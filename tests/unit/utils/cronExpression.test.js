@@ -0,0 +1,109 @@
+import assert from 'assert';
+import { pathToFileURL } from 'url';
+import { parseCron, nextCronDate } from '../../../src/utils/cronExpression.js';
+
+/**
+ * Test suite for cron expression parsing and next-run calculation
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+const after = new Date('2026-03-10T12:34:56Z'); // Tuesday
+
+// Test: Fields accept lists, ranges and steps
+function testParseFields() {
+  const cron = parseCron('*/15 8-18/5 1,15 * 1-5');
+
+  assert.deepStrictEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...cron.hours], [8, 13, 18]);
+  assert.deepStrictEqual([...cron.daysOfMonth], [1, 15]);
+  assert.strictEqual(cron.months.size, 12);
+  assert.deepStrictEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual([...parseCron('0 0 * * 7').daysOfWeek], [0], '7 is Sunday');
+  assert.strictEqual(parseCron('@daily').expression, '@daily');
+
+  console.log('✓ testParseFields');
+}
+
+// Test: Malformed expressions are rejected with a validation error
+function testRejectsInvalid() {
+  ['', '* * * *', '60 * * * *', '* 24 * * *', '5-1 * * * *', '*/0 * * * *', 'a * * * *', '1/2/3 * * * *']
+    .forEach(expression => {
+      assert.throws(() => parseCron(expression), error => error.code === 'VALIDATION_ERROR', expression);
+    });
+
+  console.log('✓ testRejectsInvalid');
+}
+
+// Test: Next run is the first matching minute strictly after the given time
+function testNextRun() {
+  assert.strictEqual(nextCronDate('*/15 * * * *', after).toISOString(), '2026-03-10T12:45:00.000Z');
+  assert.strictEqual(nextCronDate('0 23 * * *', after).toISOString(), '2026-03-10T23:00:00.000Z');
+  assert.strictEqual(nextCronDate('34 12 * * *', after).toISOString(), '2026-03-11T12:34:00.000Z');
+  assert.strictEqual(nextCronDate('0 0 1 * *', after).toISOString(), '2026-04-01T00:00:00.000Z');
+  assert.strictEqual(nextCronDate('@weekly', after).toISOString(), '2026-03-15T00:00:00.000Z');
+  assert.strictEqual(nextCronDate('0 0 31 2 *', after), null, 'February 31st never comes');
+
+  console.log('✓ testNextRun');
+}
+
+// Test: Restricting both day fields matches either of them, as in cron
+function testDayFieldsMatchEither() {
+  // The 20th (a Friday) or any Thursday: Thursday the 12th comes first
+  assert.strictEqual(nextCronDate('0 9 20 * 4', after).toISOString(), '2026-03-12T09:00:00.000Z');
+  // Only weekdays restricted: the next Sunday
+  assert.strictEqual(nextCronDate('0 9 * * 0', after).toISOString(), '2026-03-15T09:00:00.000Z');
+
+  console.log('✓ testDayFieldsMatchEither');
+}
+
+// Test: Expressions are evaluated in the given timezone
+function testTimezone() {
+  // 23:00 in São Paulo (UTC-3) is 02:00 UTC the next day
+  assert.strictEqual(
+    nextCronDate('0 23 * * *', after, 'America/Sao_Paulo').toISOString(),
+    '2026-03-11T02:00:00.000Z'
+  );
+
+  console.log('✓ testTimezone');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running cron expression tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testParseFields,
+    testRejectsInvalid,
+    testNextRun,
+    testDayFieldsMatchEither,
+    testTimezone
+  ];
+
+  for (const test of tests) {
+    try {
+      await test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testParseFields,
+  testRejectsInvalid,
+  testNextRun,
+  testDayFieldsMatchEither,
+  testTimezone
+};
@@ -0,0 +1,90 @@
+import assert from 'assert';
+import { mergeHistories } from '../../../src/utils/historyMerge.js';
+
+/**
+ * Test suite for merging Mastodon tag histories
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+// Test: Sum strategy adds values of the same day
+function testSumStrategy() {
+  const merged = mergeHistories([
+    [{ day: '1717459200', uses: '4', accounts: '2' }],
+    [{ day: '1717459200', uses: '3', accounts: '3' }]
+  ]);
+
+  assert.deepStrictEqual(merged, [{ day: '1717459200', uses: 7, accounts: 5 }]);
+  console.log('✓ testSumStrategy');
+}
+
+// Test: Max strategy keeps the largest value per day
+function testMaxStrategy() {
+  const merged = mergeHistories([
+    [{ day: '1717459200', uses: '4', accounts: '1' }],
+    [{ day: '1717459200', uses: '3', accounts: '3' }]
+  ], 'max');
+
+  assert.deepStrictEqual(merged, [{ day: '1717459200', uses: 4, accounts: 3 }]);
+  console.log('✓ testMaxStrategy');
+}
+
+// Test: Days missing from one history are kept, newest first
+function testKeepsAllDaysNewestFirst() {
+  const merged = mergeHistories([
+    [{ day: '1717459200', uses: '1', accounts: '1' }],
+    [{ day: '1717545600', uses: '2', accounts: '1' }, { day: '1717372800', uses: '5', accounts: '2' }]
+  ]);
+
+  assert.deepStrictEqual(merged.map(day => day.day), ['1717545600', '1717459200', '1717372800']);
+  console.log('✓ testKeepsAllDaysNewestFirst');
+}
+
+// Test: Missing histories are ignored
+function testIgnoresMissingHistories() {
+  const merged = mergeHistories([undefined, [], [{ day: '1717459200', uses: 'x', accounts: null }]]);
+
+  assert.deepStrictEqual(merged, [{ day: '1717459200', uses: 0, accounts: 0 }]);
+  console.log('✓ testIgnoresMissingHistories');
+}
+
+// Run all tests
+import { pathToFileURL } from 'url';
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running history merge tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testSumStrategy,
+    testMaxStrategy,
+    testKeepsAllDaysNewestFirst,
+    testIgnoresMissingHistories
+  ];
+
+  for (const test of tests) {
+    try {
+      test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testSumStrategy,
+  testMaxStrategy,
+  testKeepsAllDaysNewestFirst,
+  testIgnoresMissingHistories
+};
@@ -0,0 +1,126 @@
+import assert from 'assert';
+import { rollupHistory, summarizeRollup } from '../../../src/utils/historyRollup.js';
+
+/**
+ * Test suite for rolling the daily hashtag history up into periods
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+const days = [
+  { date: '2025-12-30', uses: 10, accounts: 4 },
+  { date: '2026-01-02', uses: 30, accounts: 9 },
+  { date: '2026-01-15', uses: 20, accounts: 5 },
+  { date: '2026-02-01', uses: 15, accounts: 3 },
+  { date: '2026-04-10', uses: 50, accounts: 12 }
+];
+
+// Test: Months and quarters total their days and compare with the previous period
+function testMonthsAndQuarters() {
+  const months = rollupHistory(days, 'month');
+
+  assert.deepStrictEqual(months.map(month => month.period), ['2025-12', '2026-01', '2026-02', '2026-04']);
+  assert.deepStrictEqual(months[1], {
+    period: '2026-01',
+    start: '2026-01-01',
+    end: '2026-01-31',
+    daysInPeriod: 31,
+    daysCounted: 2,
+    totalUses: 50,
+    totalAccounts: 14,
+    peakDay: { date: '2026-01-02', uses: 30, accounts: 9 },
+    dailyAverage: 25,
+    change: { uses: 40, percent: 400 }
+  });
+  assert.deepStrictEqual(months[2].change, { uses: -35, percent: -70 });
+  // March has no collected days, so April has nothing to compare with
+  assert.strictEqual(months[3].change, null);
+
+  const quarters = rollupHistory(days, 'quarter');
+  assert.deepStrictEqual(quarters.map(quarter => [quarter.period, quarter.totalUses]),
+    [['2025-Q4', 10], ['2026-Q1', 65], ['2026-Q2', 50]]);
+  assert.strictEqual(quarters[1].daysInPeriod, 90);
+  assert.deepStrictEqual(quarters[2].change, { uses: -15, percent: -23.1 });
+
+  console.log('✓ testMonthsAndQuarters');
+}
+
+// Test: ISO weeks are labelled with their ISO year across the new year
+function testIsoWeeks() {
+  const weeks = rollupHistory(days, 'week');
+
+  assert.strictEqual(weeks[0].period, '2026-W01');
+  assert.strictEqual(weeks[0].start, '2025-12-29');
+  assert.strictEqual(weeks[0].end, '2026-01-04');
+  assert.strictEqual(weeks[0].totalUses, 40);
+  assert.strictEqual(weeks[0].daysInPeriod, 7);
+
+  const years = rollupHistory(days, 'year');
+  assert.deepStrictEqual(years.map(year => year.period), ['2025', '2026']);
+  assert.deepStrictEqual(years[1].change, { uses: 105, percent: 1050 });
+
+  console.log('✓ testIsoWeeks');
+}
+
+// Test: The summary has totals and the peak period and day
+function testSummary() {
+  const summary = summarizeRollup(rollupHistory(days, 'month'));
+
+  assert.strictEqual(summary.totalPeriods, 4);
+  assert.strictEqual(summary.totalDays, 5);
+  assert.strictEqual(summary.totalUses, 125);
+  assert.strictEqual(summary.averagePerPeriod, 31.3);
+  assert.strictEqual(summary.peakPeriod.period, '2026-01');
+  assert.deepStrictEqual(summary.peakDay, { date: '2026-04-10', uses: 50, accounts: 12 });
+
+  assert.deepStrictEqual(summarizeRollup(rollupHistory([], 'year')), {
+    totalPeriods: 0,
+    totalDays: 0,
+    totalUses: 0,
+    totalAccounts: 0,
+    averagePerPeriod: 0,
+    peakPeriod: null,
+    peakDay: null
+  });
+
+  console.log('✓ testSummary');
+}
+
+// Run all tests
+import { pathToFileURL } from 'url';
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running history rollup tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testMonthsAndQuarters,
+    testIsoWeeks,
+    testSummary
+  ];
+
+  for (const test of tests) {
+    try {
+      test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testMonthsAndQuarters,
+  testIsoWeeks,
+  testSummary
+};
@@ -0,0 +1,178 @@
+import assert from 'assert';
+import { resolveHashtagsForDate, overrideAppliesOn } from '../../../src/utils/scheduleResolver.js';
+import { getEasterDate, getBrazilianHolidays, getHolidaysForDate } from '../../../src/utils/holidays.js';
+
+/**
+ * Test suite for schedule override resolution and the bundled holiday calendar
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+// Test helper function
+function createOverride(overrides = {}) {
+  return {
+    id: 1,
+    type: 'date',
+    date: null,
+    holidayKey: null,
+    everyWeeks: null,
+    startDate: null,
+    endDate: null,
+    hashtags: ['especial'],
+    mode: 'replace',
+    ...overrides
+  };
+}
+
+// Test: Easter dates for known years
+function testEasterDates() {
+  assert.strictEqual(getEasterDate(2024), '2024-03-31');
+  assert.strictEqual(getEasterDate(2025), '2025-04-20');
+  assert.strictEqual(getEasterDate(2026), '2026-04-05');
+  console.log('✓ testEasterDates');
+}
+
+// Test: Movable holidays are derived from Easter
+function testMovableHolidays() {
+  const holidays = getBrazilianHolidays(2025);
+  const byKey = Object.fromEntries(holidays.map(holiday => [holiday.key, holiday.date]));
+
+  assert.strictEqual(byKey.carnaval, '2025-03-04', 'Carnaval is 47 days before Easter');
+  assert.strictEqual(byKey.sexta_santa, '2025-04-18', 'Good Friday is 2 days before Easter');
+  assert.strictEqual(byKey.corpus_christi, '2025-06-19', 'Corpus Christi is 60 days after Easter');
+  console.log('✓ testMovableHolidays');
+}
+
+// Test: Consciência Negra is only national from 2024 on
+function testConscienciaNegraSince2024() {
+  assert.strictEqual(getHolidaysForDate('2023-11-20').length, 0);
+  assert.strictEqual(getHolidaysForDate('2024-11-20')[0].key, 'consciencia_negra');
+  console.log('✓ testConscienciaNegraSince2024');
+}
+
+// Test: No overrides returns the weekly schedule
+function testNoOverridesKeepsBase() {
+  const result = resolveHashtagsForDate('2025-06-04', ['quartacapa', 'quartoon'], [], []);
+
+  assert.deepStrictEqual(result.hashtags, ['quartacapa', 'quartoon']);
+  assert.deepStrictEqual(result.appliedOverrides, []);
+  console.log('✓ testNoOverridesKeepsBase');
+}
+
+// Test: Date override replaces the day's hashtags only on that date
+function testDateOverrideReplaces() {
+  const override = createOverride({ date: '2025-06-04' });
+
+  assert.deepStrictEqual(resolveHashtagsForDate('2025-06-04', ['quartacapa'], [override], []).hashtags, ['especial']);
+  assert.deepStrictEqual(resolveHashtagsForDate('2025-06-11', ['quartacapa'], [override], []).hashtags, ['quartacapa']);
+  console.log('✓ testDateOverrideReplaces');
+}
+
+// Test: Append mode keeps base hashtags and dedupes
+function testAppendMode() {
+  const override = createOverride({ date: '2025-06-04', mode: 'append', hashtags: ['quartacapa', 'extra'] });
+  const result = resolveHashtagsForDate('2025-06-04', ['quartacapa'], [override], []);
+
+  assert.deepStrictEqual(result.hashtags, ['quartacapa', 'extra']);
+  console.log('✓ testAppendMode');
+}
+
+// Test: Rotation applies every N weeks from its start date
+function testRotationEveryNWeeks() {
+  const rotation = createOverride({ type: 'rotation', startDate: '2025-06-04', everyWeeks: 2 });
+
+  assert.strictEqual(overrideAppliesOn(rotation, '2025-06-04'), true, 'applies on start date');
+  assert.strictEqual(overrideAppliesOn(rotation, '2025-06-11'), false, 'skips the following week');
+  assert.strictEqual(overrideAppliesOn(rotation, '2025-06-18'), true, 'applies two weeks later');
+  assert.strictEqual(overrideAppliesOn(rotation, '2025-05-21'), false, 'does not apply before start');
+  assert.strictEqual(overrideAppliesOn(rotation, '2025-06-05'), false, 'does not apply on other weekdays');
+  console.log('✓ testRotationEveryNWeeks');
+}
+
+// Test: Holiday override uses the bundled calendar
+function testHolidayOverride() {
+  const override = createOverride({ type: 'holiday', holidayKey: 'natal', hashtags: ['natal'] });
+  const result = resolveHashtagsForDate('2025-12-25', ['musiquinta'], [override]);
+
+  assert.deepStrictEqual(result.hashtags, ['natal']);
+  assert.strictEqual(result.holidays[0].key, 'natal');
+  console.log('✓ testHolidayOverride');
+}
+
+// Test: Date overrides take precedence over holidays and rotations
+function testPrecedence() {
+  const overrides = [
+    createOverride({ id: 3, type: 'date', date: '2025-12-25', hashtags: ['data'] }),
+    createOverride({ id: 1, type: 'holiday', holidayKey: 'natal', hashtags: ['feriado'] }),
+    createOverride({ id: 2, type: 'rotation', startDate: '2025-12-18', everyWeeks: 1, hashtags: ['rodizio'] })
+  ];
+  const result = resolveHashtagsForDate('2025-12-25', ['musiquinta'], overrides);
+
+  assert.deepStrictEqual(result.hashtags, ['data']);
+  assert.deepStrictEqual(result.appliedOverrides, [2, 1, 3], 'applied from lowest to highest precedence');
+  console.log('✓ testPrecedence');
+}
+
+// Test: End date bounds an override
+function testEndDateBounds() {
+  const rotation = createOverride({ type: 'rotation', startDate: '2025-06-04', everyWeeks: 1, endDate: '2025-06-11' });
+
+  assert.strictEqual(overrideAppliesOn(rotation, '2025-06-11'), true);
+  assert.strictEqual(overrideAppliesOn(rotation, '2025-06-18'), false);
+  console.log('✓ testEndDateBounds');
+}
+
+// Run all tests
+import { pathToFileURL } from 'url';
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running schedule resolver tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    // Holiday calendar tests
+    testEasterDates,
+    testMovableHolidays,
+    testConscienciaNegraSince2024,
+    // Resolution tests
+    testNoOverridesKeepsBase,
+    testDateOverrideReplaces,
+    testAppendMode,
+    testRotationEveryNWeeks,
+    testHolidayOverride,
+    testPrecedence,
+    testEndDateBounds
+  ];
+
+  for (const test of tests) {
+    try {
+      test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testEasterDates,
+  testMovableHolidays,
+  testConscienciaNegraSince2024,
+  testNoOverridesKeepsBase,
+  testDateOverrideReplaces,
+  testAppendMode,
+  testRotationEveryNWeeks,
+  testHolidayOverride,
+  testPrecedence,
+  testEndDateBounds
+};
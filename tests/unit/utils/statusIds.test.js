@@ -0,0 +1,69 @@
+import assert from 'assert';
+import { compareStatusIds, newestStatusId } from '../../../src/utils/statusIds.js';
+
+/**
+ * Test suite for Mastodon status id helpers
+ * Uses Node.js native assert module (no external test framework required)
+ */
+
+// Test: Longer snowflake ids are newer, whatever their leading digits
+function testCompareByLength() {
+  assert.ok(compareStatusIds('109999999999999999', '99999999999999999') > 0);
+  assert.ok(compareStatusIds('99999999999999999', '109999999999999999') < 0);
+  console.log('✓ testCompareByLength');
+}
+
+// Test: Ids of the same length compare lexically (beyond Number precision)
+function testCompareSameLength() {
+  assert.ok(compareStatusIds('112233445566778899', '112233445566778898') > 0);
+  assert.strictEqual(compareStatusIds('112233445566778899', '112233445566778899'), 0);
+  console.log('✓ testCompareSameLength');
+}
+
+// Test: Newest id ignores missing values and returns null when there is none
+function testNewestStatusId() {
+  assert.strictEqual(newestStatusId([null, '108', '1010', undefined, '999']), '1010');
+  assert.strictEqual(newestStatusId([null]), null);
+  assert.strictEqual(newestStatusId([]), null);
+  console.log('✓ testNewestStatusId');
+}
+
+// Run all tests
+import { pathToFileURL } from 'url';
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  console.log('Running status id tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    testCompareByLength,
+    testCompareSameLength,
+    testNewestStatusId
+  ];
+
+  for (const test of tests) {
+    try {
+      test();
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${test.name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\nTest execution completed.`);
+  console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+export {
+  testCompareByLength,
+  testCompareSameLength,
+  testNewestStatusId
+};